@@ -1,61 +1,118 @@
 /**
  * applist.js
  * Generates Excel list of business applications with their domains and Fachbereich
- * Supports multiple domains/fachbereich per application (comma-separated)
+ * Supports multiple domains/fachbereich per application (comma-separated), configurable extra columns and the
+ * comparison with a baseline model (same detection as comatrix, see baseline.js)
  */
 
 const XLSX = require("xlsx-js-style");
-const path = require("path");
-const { findDomain, findFachbereich } = require("./model");
+const { analyzeGroupings, withCycleMarker, formatCyclePath, extractElements } = require("./model");
+const { getConfig } = require("./config");
+const { getParameter } = require("./params");
+const { getScope, createScopeFilter, describeScope } = require("./scope");
+const { collectCycles, addDiagnosticsSheet } = require("./diagnosticsExcel");
+const { DEFAULT_COLUMNS, parseColumn, getAppListColumns } = require("./applistColumns");
+const { findBaselineModel } = require("./baseline");
+const { log, summarizeModel, setSummary, runWithSummary } = require("./logger");
+const { EXIT_OK, EXIT_ERROR, EXIT_NO_DATA, getOutputPath } = require("./batch");
+const { showConsole, openOutputLocation, exitOnFailure } = require("./archiHost");
+const {
+  COLOR_ADDED,
+  COLOR_CHANGED,
+  COLOR_REMOVED,
+  COLOR_HEADER_GRAY,
+  getFontStyle,
+  cellStyle,
+} = require("./excelStyles");
+
+// Attributes compared with the baseline, with their labels in the "Änderung" column
+const COMPARED_ATTRIBUTES = {
+  name: "Name",
+  typ: "Typ",
+  domain: "Domäne",
+  fachbereich: "Fachbereich",
+};
+
+// Fill color and label of the comparison status (null = unchanged)
+const STATUS_STYLES = {
+  added: { color: COLOR_ADDED, label: "hinzugefügt" },
+  removed: { color: COLOR_REMOVED, label: "gelöscht" },
+  changed: { color: COLOR_CHANGED, label: "geändert" },
+};
+
+// Maximum column width, longer content is wrapped
+const MAX_COLUMN_WIDTH = 60;
 
-// Color constants matching comatrix style
-const COLOR_HEADER_GRAY = "D9D9D9";
-const COLOR_TEXT_BLACK = "000000";
+/**
+ * Gets the cell value of an application in a column
+ * @param {Object} app - Application from collectApplications()
+ * @param {Object} column - Column from parseColumn()
+ * @returns {String|number} Cell value, empty string for missing properties
+ */
+function getColumnValue(app, column) {
+  if (column.kind === "property") {
+    return (app.element.prop(column.key, true) || []).join(", ");
+  }
+  if (column.kind === "metric") {
+    return app[column.key];
+  }
+  if (column.key === "domain" || column.key === "fachbereich") {
+    return withCycleMarker(app[column.key], app.cycles);
+  }
+  if (column.key === "documentation") {
+    return app.element.documentation || "";
+  }
+  return app[column.key];
+}
 
 /**
- * Gets font style for Excel cells
- * @param {Boolean} bold - Whether text should be bold
- * @returns {Object} Font style object
+ * Describes the comparison status of an application for the "Änderung" column
+ * @param {Object} app - Application from mergeApplications()
+ * @returns {String} e.g. "hinzugefügt" or "Domäne: Sales → Finance", empty if unchanged
  */
-function getFontStyle(bold = false) {
-  const style = {
-    name: "Calibri",
-    sz: 11,
-    color: { rgb: COLOR_TEXT_BLACK },
-  };
-  if (bold) {
-    style.bold = true;
+function describeChanges(app) {
+  if (app.status !== "changed") {
+    return app.status ? STATUS_STYLES[app.status].label : "";
   }
-  return style;
+  return Object.keys(app.previousAttributes)
+    .map((attribute) => `${COMPARED_ATTRIBUTES[attribute]}: ${app.previousAttributes[attribute]} → ${app[attribute]}`)
+    .join(", ");
 }
 
 /**
  * Generates Excel file with list of business applications and their classifications
- * @param {Array} applications - Array of {name, typ, domain, fachbereich} objects
- *                               domain and fachbereich can be comma-separated lists or "cycle"
+ * @param {Array} applications - Array of applications from collectApplications() or mergeApplications()
+ *                               domain and fachbereich can be comma-separated lists, applications with grouping
+ *                               cycles get a warning marker and the cycles are listed in the "Diagnose" worksheet
  * @param {String} outputPath - Path where Excel file should be saved
+ * @param {Object|null} scope - Optional scope from getScope(), recorded next to the header row
+ * @param {Array|null} columns - Columns from getAppListColumns(), the default columns if null
+ * @param {Boolean} compareMode - Whether the applications were merged with a baseline: adds the "Änderung" column,
+ *                                the color coding and its legend
  */
-function generateAppListExcel(applications, outputPath) {
-  console.log("Creating Excel workbook...");
+function generateAppListExcel(applications, outputPath, scope = null, columns = null, compareMode = false) {
+  log.info("Creating Excel workbook...");
 
   // Create workbook and worksheet
   const workbook = XLSX.utils.book_new();
   const worksheetData = [];
 
-  // Define border style
-  const borderStyle = {
-    top: { style: "thin", color: { rgb: COLOR_TEXT_BLACK } },
-    bottom: { style: "thin", color: { rgb: COLOR_TEXT_BLACK } },
-    left: { style: "thin", color: { rgb: COLOR_TEXT_BLACK } },
-    right: { style: "thin", color: { rgb: COLOR_TEXT_BLACK } },
-  };
+  const listColumns = columns || DEFAULT_COLUMNS.map(parseColumn);
 
   // Header row
-  worksheetData.push(["Anwendung", "Typ", "Domäne", "Fachbereich"]);
+  const headerRow = listColumns.map((column) => column.header);
+  if (compareMode) {
+    headerRow.push("Änderung");
+  }
+  worksheetData.push(headerRow);
 
   // Data rows
   applications.forEach((app) => {
-    worksheetData.push([app.name, app.typ, app.domain, app.fachbereich]);
+    const row = listColumns.map((column) => getColumnValue(app, column));
+    if (compareMode) {
+      row.push(describeChanges(app));
+    }
+    worksheetData.push(row);
   });
 
   // Create worksheet from data
@@ -64,19 +121,11 @@ function generateAppListExcel(applications, outputPath) {
   // Apply styles
   const range = XLSX.utils.decode_range(worksheet["!ref"]);
 
-  // Header style
-  const headerStyle = {
-    font: getFontStyle(true),
-    alignment: { horizontal: "center" },
-    border: borderStyle,
-    fill: { fgColor: { rgb: COLOR_HEADER_GRAY } },
-  };
+  // Header style (same as the comatrix worksheets)
+  const headerStyle = cellStyle(COLOR_HEADER_GRAY, { bold: true, alignment: { horizontal: "center" } });
 
-  // Data style
-  const dataStyle = {
-    font: getFontStyle(),
-    border: borderStyle,
-  };
+  // Data style (multi-line documentation is wrapped)
+  const dataStyle = cellStyle(null, { alignment: { vertical: "top", wrapText: true } });
 
   // Apply header style to first row
   for (let col = range.s.c; col <= range.e.c; col++) {
@@ -96,18 +145,72 @@ function generateAppListExcel(applications, outputPath) {
     }
   }
 
-  // Set column widths (wider to accommodate multiple comma-separated values)
-  worksheet["!cols"] = [
-    { wch: 40 }, // Anwendung column
-    { wch: 25 }, // Typ column
-    { wch: 40 }, // Domäne column (wider for multiple domains)
-    { wch: 40 }, // Fachbereich column (wider for multiple Fachbereich)
-  ];
+  // Compare mode, same colors as comatrix: added rows green, removed rows red,
+  // changed attributes and the description of the change orange
+  if (compareMode) {
+    applications.forEach((app, index) => {
+      if (!app.status) {
+        return;
+      }
+      const fillStyle = cellStyle(STATUS_STYLES[app.status].color, { alignment: dataStyle.alignment });
+      headerRow.forEach((header, col) => {
+        const column = listColumns[col];
+        const isChangedCell =
+          app.status !== "changed" ||
+          col === listColumns.length ||
+          (column.kind === "attribute" && column.key in app.previousAttributes);
+        if (isChangedCell) {
+          worksheet[XLSX.utils.encode_cell({ r: index + 1, c: col })].s = fillStyle;
+        }
+      });
+    });
+  }
+
+  // Column widths based on the longest line of each column
+  worksheet["!cols"] = headerRow.map((header, col) => {
+    let maxWidth = 0;
+    worksheetData.forEach((row) => {
+      String(row[col])
+        .split("\n")
+        .forEach((line) => {
+          maxWidth = Math.max(maxWidth, line.length);
+        });
+    });
+    return { wch: Math.min(MAX_COLUMN_WIDTH, Math.max(10, maxWidth + 2)) };
+  });
+
+  // Record the active scope next to the header row, one column apart (F1 with the default columns),
+  // the legend of the compare mode below it
+  const sideColumn = headerRow.length + 1;
+  const scopeDescription = describeScope(scope);
+  if (scopeDescription) {
+    const scopeCell = XLSX.utils.encode_cell({ r: 0, c: sideColumn });
+    XLSX.utils.sheet_add_aoa(worksheet, [[scopeDescription]], { origin: scopeCell });
+    worksheet[scopeCell].s = { font: getFontStyle(null, true) };
+  }
+  if (compareMode) {
+    const legend = [
+      ["Grün = Hinzugefügt", COLOR_ADDED],
+      ["Orange = geändert", COLOR_CHANGED],
+      ["Rot = gelöscht", COLOR_REMOVED],
+    ];
+    legend.forEach(([label, color], index) => {
+      const legendCell = XLSX.utils.encode_cell({ r: index + 1, c: sideColumn });
+      XLSX.utils.sheet_add_aoa(worksheet, [[label]], { origin: legendCell });
+      worksheet[legendCell].s = cellStyle(color, { alignment: { horizontal: "center" } });
+    });
+  }
 
   // Add worksheet to workbook
   XLSX.utils.book_append_sheet(workbook, worksheet, "Anwendungen");
 
-  console.log("Writing Excel file...");
+  // Diagnostics: grouping cycles of the listed applications (removed applications are no longer grouped)
+  const cycles = collectCycles(applications.filter((app) => app.status !== "removed"));
+  if (cycles.length > 0) {
+    addDiagnosticsSheet(workbook, cycles);
+  }
+
+  log.info("Writing Excel file...");
 
   // Write to file using Java FileOutputStream for Archi/GraalVM compatibility
   const FileOutputStream = Java.type("java.io.FileOutputStream");
@@ -117,153 +220,323 @@ function generateAppListExcel(applications, outputPath) {
   fos.write(output);
   fos.close();
 
-  console.log(`✓ Excel file created: ${outputPath}`);
+  log.info(`✓ Excel file created: ${outputPath}`);
 }
 
 /**
- * Main execution function
+ * Counts the Schnittstellen each application provides and uses
+ * @param {Object} model - The Archi model to analyze
+ * @returns {Map} Application ID -> {offered: Set of Schnittstellen, consumed: Set of provider ID|Schnittstelle}
  */
-function runAppList() {
-  console.clear();
-  console.show();
-  console.log("=== AppList - Generate Application List ===\n");
+function countInterfaces(model) {
+  const counts = new Map();
+  const getCounts = (element) => {
+    if (!counts.has(element.id)) {
+      counts.set(element.id, { offered: new Set(), consumed: new Set() });
+    }
+    return counts.get(element.id);
+  };
 
-  // Check if a model is selected
-  if (!model) {
-    console.log("ERROR: No model is selected. Please open or create a model first.");
-    return;
-  }
+  extractElements(model).forEach((connection) => {
+    const schnittstelle = connection.schnittstelle || "N/A";
+    getCounts(connection.target).offered.add(schnittstelle);
+    getCounts(connection.source).consumed.add(`${connection.target.id}|${schnittstelle}`);
+  });
 
-  console.log(`Selected model: ${model.name}`);
-  console.log(`Model path: ${model.path || "(not saved)"}\n`);
+  return counts;
+}
 
-  try {
-    // Find all application components with specific specializations
-    console.log(
-      'Searching for application components with specializations: "Geschäftsanwendung", "Register", "Querschnittsanwendung"...',
-    );
+/**
+ * Collects the applications of a model with their domains and Fachbereich
+ * @param {Object} model - The Archi model to analyze
+ * @param {Object} config - Metamodel configuration (applicationSpecializations)
+ * @param {Object|null} scope - Optional scope from getScope(), only applications in scope are listed
+ * @param {Array|null} columns - Columns from getAppListColumns(), the metrics are only counted if a column needs them
+ * @returns {Array} Array of {id, name, typ, domain, fachbereich, cycles, element} objects, sorted by Fachbereich,
+ *                  domain, typ and name. cycles holds the grouping cycles above the application (see
+ *                  findGroupingCycles()), element the application component. With metric columns the objects also
+ *                  carry offeredInterfaces and consumedInterfaces.
+ */
+function collectApplications(model, config, scope = null, columns = null) {
+  // Find all application components with specific specializations
+  const allowedSpecializations = config.applicationSpecializations;
+  const allAppComponents = $(model).find("application-component");
+  log.info(`Total application components found: ${allAppComponents.length}`);
+
+  const inScope = scope ? createScopeFilter(scope) : () => true;
+  const interfaceCounts = (columns || []).some((column) => column.kind === "metric") ? countInterfaces(model) : null;
+  const applications = [];
+
+  allAppComponents.each((appComponent) => {
+    const spec = appComponent.specialization;
+    if (allowedSpecializations.includes(spec) && inScope(appComponent)) {
+      const groupings = analyzeGroupings(appComponent);
+      const application = {
+        id: appComponent.id,
+        name: appComponent.name,
+        typ: spec,
+        domain: groupings.domains.join(", ") || "(keine Domäne)",
+        fachbereich: groupings.fachbereiche.join(", ") || "(kein Fachbereich)",
+        cycles: groupings.cycles,
+        element: appComponent,
+      };
+      if (interfaceCounts) {
+        const counts = interfaceCounts.get(appComponent.id);
+        application.offeredInterfaces = counts ? counts.offered.size : 0;
+        application.consumedInterfaces = counts ? counts.consumed.size : 0;
+      }
+      applications.push(application);
+    }
+  });
 
-    const allAppComponents = $("application-component");
-    console.log(`Total application components found: ${allAppComponents.length}`);
-
-    const applications = [];
-    const allowedSpecializations = [
-      "Geschäftsanwendung",
-      "Register",
-      "Querschnittsanwendung",
-      "QA",
-      "QK",
-      "GA",
-      "GK",
-      "GK-GUI",
-    ];
+  return sortApplications(applications);
+}
 
-    allAppComponents.each((appComponent) => {
-      const spec = appComponent.specialization;
-      if (allowedSpecializations.includes(spec)) {
-        const domain = findDomain(appComponent);
-        const fachbereich = findFachbereich(appComponent);
-        applications.push({
-          name: appComponent.name,
-          typ: spec,
-          domain: domain || "(keine Domäne)",
-          fachbereich: fachbereich || "(kein Fachbereich)",
-        });
+/**
+ * Merges the applications of the baseline into the current applications (matched by ID)
+ * @param {Array} baselineApplications - Applications of the baseline model from collectApplications()
+ * @param {Array} currentApplications - Applications of the selected model from collectApplications()
+ * @returns {Array} Applications with status "added", "removed", "changed" or null (unchanged), sorted like
+ *                  collectApplications(). Changed applications carry the baseline values of the changed name, typ,
+ *                  domain or fachbereich in previousAttributes, removed applications their baseline values.
+ */
+function mergeApplications(baselineApplications, currentApplications) {
+  const baselineById = new Map(baselineApplications.map((app) => [app.id, app]));
+  const currentIds = new Set(currentApplications.map((app) => app.id));
+
+  const merged = currentApplications.map((app) => {
+    const baselineApp = baselineById.get(app.id);
+    if (!baselineApp) {
+      return { ...app, status: "added" };
+    }
+
+    const previousAttributes = {};
+    Object.keys(COMPARED_ATTRIBUTES).forEach((attribute) => {
+      if (baselineApp[attribute] !== app[attribute]) {
+        previousAttributes[attribute] = baselineApp[attribute];
       }
     });
+    return Object.keys(previousAttributes).length > 0
+      ? { ...app, status: "changed", previousAttributes }
+      : { ...app, status: null };
+  });
 
-    console.log(`Found ${applications.length} applications\n`);
+  baselineApplications
+    .filter((app) => !currentIds.has(app.id))
+    .forEach((app) => merged.push({ ...app, status: "removed" }));
 
-    if (applications.length === 0) {
-      console.log("⚠ No application components with the specified specializations found.");
-      return;
+  return sortApplications(merged);
+}
+
+/**
+ * Sorts applications by Fachbereich, domain, typ and name
+ * @param {Array} applications - Applications to sort (sorted in place)
+ * @returns {Array} The sorted applications
+ */
+function sortApplications(applications) {
+  // Sort by fachbereich, then domain, then typ, then name
+  applications.sort((a, b) => {
+    // Empty Fachbereich go to the end
+    if (a.fachbereich === "(kein Fachbereich)" && b.fachbereich !== "(kein Fachbereich)") return 1;
+    if (a.fachbereich !== "(kein Fachbereich)" && b.fachbereich === "(kein Fachbereich)") return -1;
+
+    // Compare Fachbereich
+    if (a.fachbereich !== b.fachbereich) {
+      return a.fachbereich.localeCompare(b.fachbereich);
     }
 
-    // Sort by fachbereich, then domain, then typ, then name
-    applications.sort((a, b) => {
-      // Empty Fachbereich go to the end
-      if (a.fachbereich === "(kein Fachbereich)" && b.fachbereich !== "(kein Fachbereich)") return 1;
-      if (a.fachbereich !== "(kein Fachbereich)" && b.fachbereich === "(kein Fachbereich)") return -1;
+    // Empty domains go to the end
+    if (a.domain === "(keine Domäne)" && b.domain !== "(keine Domäne)") return 1;
+    if (a.domain !== "(keine Domäne)" && b.domain === "(keine Domäne)") return -1;
 
-      // Compare Fachbereich
-      if (a.fachbereich !== b.fachbereich) {
-        return a.fachbereich.localeCompare(b.fachbereich);
-      }
+    // Compare domains
+    if (a.domain !== b.domain) {
+      return a.domain.localeCompare(b.domain);
+    }
 
-      // Empty domains go to the end
-      if (a.domain === "(keine Domäne)" && b.domain !== "(keine Domäne)") return 1;
-      if (a.domain !== "(keine Domäne)" && b.domain === "(keine Domäne)") return -1;
+    // Compare typ
+    if (a.typ !== b.typ) {
+      return a.typ.localeCompare(b.typ);
+    }
 
-      // Compare domains
-      if (a.domain !== b.domain) {
-        return a.domain.localeCompare(b.domain);
-      }
+    // Same fachbereich, domain, and typ - sort by name
+    return a.name.localeCompare(b.name);
+  });
 
-      // Compare typ
-      if (a.typ !== b.typ) {
-        return a.typ.localeCompare(b.typ);
-      }
+  return applications;
+}
 
-      // Same fachbereich, domain, and typ - sort by name
-      return a.name.localeCompare(b.name);
-    });
+/**
+ * Generates the application list of a model
+ * @param {Object|null} model - The Archi model, null if no model is selected
+ * @returns {number} Exit status: EXIT_OK, EXIT_NO_DATA without applications, EXIT_ERROR on errors
+ */
+function generateAppListReport(model) {
+  showConsole();
+  log.info("=== AppList - Generate Application List ===\n");
+
+  // Check if a model is selected
+  if (!model) {
+    log.error("No model is selected. Please open or create a model first.");
+    return EXIT_ERROR;
+  }
+
+  log.info(`Selected model: ${model.name}`);
+  log.info(`Model path: ${model.path || "(not saved)"}\n`);
+
+  // Load metamodel configuration (--config parameter or defaults)
+  let config;
+  try {
+    config = getConfig();
+    if (getParameter("config")) {
+      log.info(`Configuration loaded from: ${getParameter("config")}\n`);
+    }
+  } catch (error) {
+    log.error(error.message);
+    return EXIT_ERROR;
+  }
+
+  // Resolve the scope (--domain, --fachbereich, --view, --folder or the selection in the model tree)
+  // and the columns (--columns parameter or applistColumns configuration)
+  let scope;
+  let columns;
+  try {
+    scope = getScope();
+    if (scope) {
+      log.info(`${describeScope(scope)}\n`);
+    }
+    columns = getAppListColumns(config);
+    log.info(`Columns: ${columns.map((column) => column.header).join(", ")}\n`);
+  } catch (error) {
+    log.error(error.message);
+    return EXIT_ERROR;
+  }
 
-    // Print summary
-    console.log("=== Applications by Fachbereich and Domain ===");
+  // Check for baseline model (--baselineModel, --baselineRef or model property 'baseline', see baseline.js)
+  const baselineModel = findBaselineModel(model, $.model.getLoadedModels());
+  setSummary({ baseline: summarizeModel(baselineModel) });
+
+  try {
+    const allowedSpecializations = config.applicationSpecializations;
+    log.info(
+      `Searching for application components with specializations: ${allowedSpecializations.map((spec) => `"${spec}"`).join(", ")}...`,
+    );
+
+    const currentApplications = collectApplications(model, config, scope, columns);
+    log.info(`Found ${currentApplications.length} applications\n`);
+
+    // Compare mode: merge the applications of the baseline, removed applications stay in the list
+    let applications = currentApplications;
+    if (baselineModel) {
+      log.info(`Collecting applications of the baseline model: ${baselineModel.name}...`);
+      applications = mergeApplications(collectApplications(baselineModel, config, scope, columns), currentApplications);
+
+      const countStatus = (status) => applications.filter((app) => app.status === status).length;
+      log.info(
+        `Compared with baseline: ${countStatus("added")} added, ${countStatus("removed")} removed, ${countStatus("changed")} changed\n`,
+      );
+      setSummary({
+        counts: { added: countStatus("added"), removed: countStatus("removed"), changed: countStatus("changed") },
+      });
+    }
+
+    if (applications.length === 0) {
+      log.warn("No application components with the specified specializations found.", { code: "noApplications" });
+      return EXIT_NO_DATA;
+    }
+
+    // Print summary (details with --verbose)
+    log.info("=== Applications by Fachbereich and Domain ===");
     let currentFachbereich = null;
     let currentDomain = null;
     applications.forEach((app) => {
       if (app.fachbereich !== currentFachbereich) {
         currentFachbereich = app.fachbereich;
-        console.log(`\n${currentFachbereich}:`);
+        log.debug(`\n${currentFachbereich}:`);
         currentDomain = null; // Reset domain when fachbereich changes
       }
       if (app.domain !== currentDomain) {
         currentDomain = app.domain;
-        console.log(`  ${currentDomain}:`);
+        log.debug(`  ${currentDomain}:`);
       }
-      console.log(`    - ${app.name} (${app.typ})`);
+      log.debug(`    - ${app.name} (${app.typ})${app.status ? ` [${app.status}]` : ""}`);
+    });
+    log.debug("");
+
+    // Applications without Domäne are listed under "(keine Domäne)"
+    const withoutDomain = currentApplications.filter((app) => app.domain === "(keine Domäne)");
+    if (withoutDomain.length > 0) {
+      const names = withoutDomain.map((app) => app.name).join(", ");
+      log.warn(`Applications without Domäne (${withoutDomain.length}): ${names}`, {
+        code: "missingDomain",
+        elements: withoutDomain.map((app) => ({ id: app.id, name: app.name })),
+      });
+    }
+
+    // Grouping cycles do not hide the other groupings, they are listed in the "Diagnose" worksheet
+    const cycles = collectCycles(applications.filter((app) => app.status !== "removed"));
+    cycles.forEach((entry) => {
+      log.warn(`Grouping cycle: ${formatCyclePath(entry.cycle)} (affects ${entry.elements.join(", ")})`, {
+        code: "groupingCycle",
+        cycle: entry.cycle.map((element) => element.name),
+        elements: entry.elements,
+      });
     });
-    console.log("");
+    if (cycles.length > 0) {
+      log.info("");
+    }
 
-    // Define output path
-    const normalizedPath = model.path ? model.path.replace(/\\/g, "/") : null;
-    const outputDir = normalizedPath ? path.dirname(normalizedPath) : __DIR__;
-    const outputPath = path.join(outputDir, "applist.xlsx");
+    // Define output path (--output, --outputDir or next to the model)
+    const outputPath = getOutputPath(model, "applist.xlsx");
 
-    console.log(`Output file: ${outputPath}\n`);
+    log.info(`Output file: ${outputPath}\n`);
 
     // Generate Excel file
-    generateAppListExcel(applications, outputPath);
+    generateAppListExcel(applications, outputPath, scope, columns, baselineModel !== null);
 
-    console.log("\n=== Export Complete ===");
-    console.log(`Application list saved to: ${outputPath}`);
-    console.log(`Total applications: ${applications.length}`);
+    log.info("\n=== Export Complete ===");
+    log.info(`Application list saved to: ${outputPath}`);
+    log.info(`Total applications: ${currentApplications.length}`);
+    setSummary({ output: outputPath, counts: { applications: currentApplications.length } });
 
     // Count by type
     const countByType = {};
-    applications.forEach((app) => {
+    currentApplications.forEach((app) => {
       countByType[app.typ] = (countByType[app.typ] || 0) + 1;
     });
-    console.log(`  - Geschäftsanwendung: ${countByType["Geschäftsanwendung"] || 0}`);
-    console.log(`  - Register: ${countByType["Register"] || 0}`);
-    console.log(`  - Querschnittsanwendung: ${countByType["Querschnittsanwendung"] || 0}`);
-
-    // Open the file location in file browser
-    try {
-      java.awt.Desktop.getDesktop().open(new java.io.File(outputDir));
-    } catch (e) {
-      console.log("Could not open file browser automatically.");
-    }
+    allowedSpecializations.forEach((spec) => {
+      if (countByType[spec]) {
+        log.info(`  - ${spec}: ${countByType[spec]}`);
+      }
+    });
+
+    // Open the file location in file browser (not with --noOpen or --batch)
+    openOutputLocation(outputPath);
+    return EXIT_OK;
   } catch (error) {
-    console.log(`\n✗ ERROR: Failed to create Excel file`);
-    console.log(`Error message: ${error.message}`);
-    console.log(`Error type: ${error.constructor.name}`);
-    if (error.stack) {
-      console.log(`Stack trace:\n${error.stack}`);
-    }
+    log.exception("Failed to create Excel file", error);
+    return EXIT_ERROR;
   }
 }
 
-// Execute the main function when script is loaded
-runAppList();
+/**
+ * Main execution function
+ * Writes the run summary (see logger.js) after the application list.
+ * @param {Object|null} selectedModel - The Archi model (default: the selected model)
+ * @returns {number} Exit status: EXIT_OK, EXIT_NO_DATA without applications, EXIT_ERROR on errors
+ */
+function runAppList(selectedModel = model) {
+  return runWithSummary("applist", () => generateAppListReport(selectedModel));
+}
+
+module.exports = {
+  collectApplications,
+  mergeApplications,
+  generateAppListExcel,
+  runAppList,
+};
+
+// Execute the main function when the script is run (bundled entry point), not when required
+if (require.main === module) {
+  exitOnFailure(runAppList());
+}
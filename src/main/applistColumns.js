@@ -0,0 +1,113 @@
+/**
+ * applistColumns.js
+ * Column definitions of the application list
+ *
+ * A column is given as "<attribute>", "property:<name>" or "metric:<name>":
+ *   name, typ, domain, fachbereich, documentation, id   Attributes of the application
+ *   property:Verantwortlich                              Value of an element property (multiple values comma-separated)
+ *   metric:offeredInterfaces                             Number of Schnittstellen the application provides
+ *   metric:consumedInterfaces                            Number of Schnittstellen the application uses
+ * The applistColumns configuration lists the columns, either as such strings or as {column, header} objects
+ * with a custom header. The --columns parameter replaces them for one run, e.g.
+ *   jArchi.script("applist.ajs", "--columns", "name,domain,property:Verantwortlich,metric:offeredInterfaces")
+ */
+
+const { getParameter } = require("./params");
+
+// Built-in attributes with their default headers
+const COLUMN_ATTRIBUTES = {
+  name: "Anwendung",
+  typ: "Typ",
+  domain: "Domäne",
+  fachbereich: "Fachbereich",
+  documentation: "Dokumentation",
+  id: "ID",
+};
+
+// Computed metrics with their default headers
+const COLUMN_METRICS = {
+  offeredInterfaces: "Angebotene Schnittstellen",
+  consumedInterfaces: "Genutzte Schnittstellen",
+};
+
+// Columns of the application list without configuration
+const DEFAULT_COLUMNS = ["name", "typ", "domain", "fachbereich"];
+
+/**
+ * Parses a column definition
+ * @param {String|Object} definition - "domain", "property:Verantwortlich", "metric:offeredInterfaces"
+ *                                     or {column, header}
+ * @returns {Object} {kind, key, header}, kind is "attribute", "property" or "metric"
+ * @throws {Error} If the column is unknown or the definition is malformed
+ */
+function parseColumn(definition) {
+  const isObject = definition !== null && typeof definition === "object" && !Array.isArray(definition);
+  const spec = isObject ? definition.column : definition;
+  if (typeof spec !== "string" || spec.trim() === "") {
+    throw new Error("must be a column name or an object with keys column and header");
+  }
+  if (isObject) {
+    const unknownKey = Object.keys(definition).find((key) => key !== "column" && key !== "header");
+    if (unknownKey) {
+      throw new Error(`${unknownKey}: unknown configuration key`);
+    }
+    if ("header" in definition && (typeof definition.header !== "string" || definition.header.trim() === "")) {
+      throw new Error("header: must be a non-empty string");
+    }
+  }
+
+  const trimmed = spec.trim();
+  const separatorIndex = trimmed.indexOf(":");
+  const prefix = separatorIndex >= 0 ? trimmed.substring(0, separatorIndex) : null;
+  const key = separatorIndex >= 0 ? trimmed.substring(separatorIndex + 1).trim() : trimmed;
+
+  let column;
+  if (prefix === null && key in COLUMN_ATTRIBUTES) {
+    column = { kind: "attribute", key, header: COLUMN_ATTRIBUTES[key] };
+  } else if (prefix === "property" && key !== "") {
+    column = { kind: "property", key, header: key };
+  } else if (prefix === "metric" && key in COLUMN_METRICS) {
+    column = { kind: "metric", key, header: COLUMN_METRICS[key] };
+  } else {
+    throw new Error(`unknown column "${trimmed}"`);
+  }
+
+  if (isObject && definition.header) {
+    column.header = definition.header;
+  }
+  return column;
+}
+
+/**
+ * Gets the columns of the application list
+ * The --columns parameter (comma-separated) replaces the applistColumns configuration.
+ * @param {Object} config - Metamodel configuration (applistColumns)
+ * @returns {Array<Object>} Columns from parseColumn()
+ * @throws {Error} If the --columns parameter names an unknown column
+ */
+function getAppListColumns(config) {
+  const parameter = getParameter("columns");
+  if (!parameter) {
+    return config.applistColumns.map(parseColumn);
+  }
+
+  const definitions = parameter.split(",").filter((definition) => definition.trim() !== "");
+  if (definitions.length === 0) {
+    throw new Error("Invalid --columns parameter: no columns given");
+  }
+  return definitions.map((definition) => {
+    try {
+      return parseColumn(definition);
+    } catch (error) {
+      throw new Error(`Invalid --columns parameter: ${error.message}`);
+    }
+  });
+}
+
+module.exports = {
+  COLUMN_ATTRIBUTES,
+  COLUMN_METRICS,
+  DEFAULT_COLUMNS,
+  parseColumn,
+  getAppListColumns,
+};
@@ -0,0 +1,55 @@
+/**
+ * archiHost.js
+ * Calls into the Archi application: scripting console, file browser and exit status of the report scripts
+ *
+ * Kept apart from batch.js, which logger.js depends on, so the messages here can go through the logger.
+ * Every call is skipped in batch mode (--batch), except the exit status of failed runs.
+ */
+
+const path = require("path");
+const { hasParameter } = require("./params");
+const { EXIT_OK, isBatchMode } = require("./batch");
+const { log } = require("./logger");
+
+/**
+ * Clears and shows the scripting console, except in batch mode
+ */
+function showConsole() {
+  if (isBatchMode()) {
+    return;
+  }
+  console.clear();
+  console.show();
+}
+
+/**
+ * Opens the directory of the output file in the file browser, unless --noOpen or --batch is given
+ * @param {String} outputPath - Output file path
+ */
+function openOutputLocation(outputPath) {
+  if (isBatchMode() || hasParameter("noOpen")) {
+    return;
+  }
+  try {
+    java.awt.Desktop.getDesktop().open(new java.io.File(path.dirname(outputPath)));
+  } catch (e) {
+    log.info("Could not open file browser automatically.");
+  }
+}
+
+/**
+ * Ends Archi with the exit status of a failed script in batch mode
+ * Successful runs return normally, so further command-line options of Archi (e.g. --saveModel) still apply.
+ * @param {number} status - Exit status returned by the script
+ */
+function exitOnFailure(status) {
+  if (isBatchMode() && status !== EXIT_OK) {
+    Java.type("java.lang.System").exit(status);
+  }
+}
+
+module.exports = {
+  showConsole,
+  openOutputLocation,
+  exitOnFailure,
+};
@@ -0,0 +1,95 @@
+/**
+ * baseline.js
+ * Finds the baseline model the reports compare the selected model with
+ *
+ * Priority 1: Parameter --baselineModel (path of a model file)
+ * Priority 2: Parameter --baselineRef (revision of the selected model's git repository)
+ * Priority 3: Model property "baseline" (name of another model opened in Archi)
+ * Example: jArchi.script("applist.ajs", "--baselineModel", "/path/to/old.archimate")
+ */
+
+const { getParameter } = require("./params");
+const { log } = require("./logger");
+const { loadBaselineFromRef } = require("./gitBaseline");
+
+/**
+ * Finds the baseline model of the selected model and logs the resulting mode
+ * Errors are logged and lead to the single model mode, they do not abort the report.
+ * @param {Object} selectedModel - The selected model
+ * @param {Array} loadedModels - Models opened in Archi ($.model.getLoadedModels())
+ * @returns {Object|null} Baseline model, null in single model mode
+ */
+function findBaselineModel(selectedModel, loadedModels) {
+  const baselineModelPath = getParameter("baselineModel");
+  const baselineRef = getParameter("baselineRef");
+  const baselineProperty = selectedModel.prop("baseline");
+
+  if (baselineModelPath) {
+    // Parameter provided - load model from path
+    log.info(`Loading baseline model from parameter: "${baselineModelPath}"`);
+
+    try {
+      const baselineModel = $.model.load(baselineModelPath);
+      if (baselineModel) {
+        log.info(`✓ Baseline model loaded: ${baselineModel.name}`);
+        log.info(`  Baseline path: ${baselineModelPath}`);
+        log.info("Running in COMPARE MODE (parameter-based).\n");
+        return baselineModel;
+      }
+      log.warn(`Failed to load baseline model from: ${baselineModelPath}`, { code: "baselineNotLoaded" });
+    } catch (error) {
+      log.warn(`Error loading baseline model: ${error.message}`, { code: "baselineNotLoaded" });
+    }
+    log.info("Running in single model mode.\n");
+    return null;
+  }
+
+  if (baselineRef) {
+    // Parameter provided - materialize the model at the revision from the local git repository
+    log.info(`Loading baseline model from git revision: "${baselineRef}"`);
+
+    if (!selectedModel.path) {
+      log.warn("The selected model is not saved, its git repository is unknown.", { code: "baselineNotLoaded" });
+      log.info("Running in single model mode.\n");
+      return null;
+    }
+
+    try {
+      const baseline = loadBaselineFromRef(selectedModel.path, baselineRef);
+      log.info(`✓ Baseline model loaded: ${baseline.model.name}`);
+      log.info(`  Revision: ${baselineRef} (${baseline.commit.substring(0, 8)}, ${baseline.layout} layout)`);
+      log.info("Running in COMPARE MODE (git revision).\n");
+      return baseline.model;
+    } catch (error) {
+      log.warn(`Error loading baseline model: ${error.message}`, { code: "baselineNotLoaded" });
+      log.info("Running in single model mode.\n");
+      return null;
+    }
+  }
+
+  if (!baselineProperty || baselineProperty.trim() === "") {
+    log.info("ℹ No --baselineModel or --baselineRef parameter provided.");
+    log.info("ℹ Property 'baseline' is not set in the selected model.");
+    log.info("Running in single model mode.\n");
+    return null;
+  }
+
+  log.info(`Looking for baseline model: "${baselineProperty}"`);
+
+  // Search for baseline model among loaded models
+  const baselineModel = loadedModels.find((m) => m.name === baselineProperty);
+  if (!baselineModel) {
+    log.warn(`Baseline model "${baselineProperty}" is not opened.`, { code: "baselineNotLoaded" });
+    log.info("Running in single model mode.\n");
+    return null;
+  }
+
+  log.info(`✓ Baseline model found: ${baselineModel.name}`);
+  log.info(`  Baseline path: ${baselineModel.path || "(not saved)"}`);
+  log.info("Running in COMPARE MODE (property-based).\n");
+  return baselineModel;
+}
+
+module.exports = {
+  findBaselineModel,
+};
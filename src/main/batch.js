@@ -0,0 +1,87 @@
+/**
+ * batch.js
+ * Output location, batch mode and exit status of the report scripts, for interactive and headless runs
+ * The calls into Archi (console, file browser, exit) are in archiHost.js.
+ *
+ * Scheduled runs use Archi's command line, e.g.
+ *   Archi -application com.archimatetool.commandline.app -consoleLog -nosplash \
+ *     --loadModel model.archimate --script.runScript comatrix.ajs --batch --outputDir /srv/reports
+ *
+ * Parameters:
+ *   --output <file>    Output file (default: the report's file name next to the model)
+ *   --outputDir <dir>  Directory of the output file, keeping the report's file name
+ *   --noOpen           Do not open the output directory in the file browser
+ *   --batch            Batch mode: no console window, no file browser, and errors end Archi with the exit status
+ */
+
+const path = require("path");
+const { getParameter, hasParameter } = require("./params");
+
+// Exit status of the scripts (same as the command-line tool)
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_NO_DATA = 3;
+
+/**
+ * Checks if the script runs in batch mode (--batch)
+ * @returns {boolean} True in batch mode
+ */
+function isBatchMode() {
+  return hasParameter("batch");
+}
+
+/**
+ * Gets the directory of a model, where the reports are written by default
+ * @param {Object|null} currentModel - The Archi model (or its {path})
+ * @returns {String} Directory of the model file, the script directory for unsaved models
+ */
+function getModelDirectory(currentModel) {
+  return currentModel && currentModel.path ? path.dirname(normalizePath(currentModel.path)) : __DIR__;
+}
+
+/**
+ * Normalizes a path to forward slashes (path-browserify only handles POSIX paths)
+ * @param {String} filePath - Path
+ * @returns {String} Normalized path
+ */
+function normalizePath(filePath) {
+  return filePath.replace(/\\/g, "/");
+}
+
+/**
+ * Resolves a path given as parameter against a directory, absolute paths (also "C:/...") are kept
+ * @param {String} filePath - Path
+ * @param {String} baseDir - Directory of relative paths
+ * @returns {String} Resolved path
+ */
+function resolvePath(filePath, baseDir) {
+  const normalized = normalizePath(filePath);
+  return path.isAbsolute(normalized) || /^[A-Za-z]:\//.test(normalized) ? normalized : path.join(baseDir, normalized);
+}
+
+/**
+ * Resolves the output file of a report: --output, or the default file name in --outputDir or next to the model
+ * Relative paths are resolved against the directory of the model.
+ * @param {Object} currentModel - The Archi model
+ * @param {String} defaultFileName - File name of the report, e.g. "comatrix.xlsm"
+ * @returns {String} Output file path
+ */
+function getOutputPath(currentModel, defaultFileName) {
+  const modelDir = getModelDirectory(currentModel);
+  const output = getParameter("output");
+  if (output) {
+    return resolvePath(output, modelDir);
+  }
+  const outputDir = getParameter("outputDir");
+  return path.join(outputDir ? resolvePath(outputDir, modelDir) : modelDir, defaultFileName);
+}
+
+module.exports = {
+  EXIT_OK,
+  EXIT_ERROR,
+  EXIT_NO_DATA,
+  isBatchMode,
+  getModelDirectory,
+  resolvePath,
+  getOutputPath,
+};
@@ -0,0 +1,244 @@
+/**
+ * changeLogExcel.js
+ * "Änderungen" worksheet listing every difference between baseline and current matrix
+ */
+
+const XLSX = require("xlsx-js-style");
+const {
+  COLOR_ADDED,
+  COLOR_CHANGED,
+  COLOR_REMOVED,
+  COLOR_MOVED,
+  COLOR_HEADER_GRAY,
+  cellStyle,
+} = require("./excelStyles");
+
+// Labels of the element attributes compared by merge() (previousAttributes)
+const ATTRIBUTE_LABELS = {
+  domain: "Domäne",
+  fachbereich: "Fachbereich",
+  specialization: "Spezialisierung",
+};
+
+// Change types shown in the first column, with their fill color
+const CHANGE_TYPES = {
+  rowAdded: { label: "Schnittstelle hinzugefügt", color: COLOR_ADDED },
+  rowRemoved: { label: "Schnittstelle gelöscht", color: COLOR_REMOVED },
+  connectionAdded: { label: "Verbindung hinzugefügt", color: COLOR_ADDED },
+  connectionRemoved: { label: "Verbindung gelöscht", color: COLOR_REMOVED },
+  renamedA: { label: "Anwendungssystem umbenannt", color: COLOR_CHANGED },
+  renamedB: { label: "Nutzer umbenannt", color: COLOR_CHANGED },
+  domain: { label: "Domäne geändert", color: COLOR_MOVED },
+  fachbereich: { label: "Fachbereich geändert", color: COLOR_MOVED },
+  specialization: { label: "Spezialisierung geändert", color: COLOR_MOVED },
+};
+
+const HEADER_ROW = [
+  "Änderung",
+  "Domäne",
+  "Anwendungssystem",
+  "Angebotene Schnittstelle",
+  "Domäne Nutzer",
+  "Nutzer",
+  "Beziehungs-IDs",
+  "Baseline",
+  "Aktuell",
+];
+
+/**
+ * Builds the key identifying a connection (A-element + Schnittstelle + B-element)
+ * @param {String} aId - ID of the A-element
+ * @param {String} schnittstelle - Schnittstelle name
+ * @param {String} bId - ID of the B-element
+ * @returns {String} Connection key
+ */
+function connectionKey(aId, schnittstelle, bId) {
+  return `${aId}|${schnittstelle}|${bId}`;
+}
+
+/**
+ * Indexes the relationship IDs of a matrix by connection
+ * @param {Object} comatrix - Matrix data structure from buildComatrix()
+ * @returns {Map} Connection key -> Array of relationship IDs
+ */
+function indexRelationshipIds(comatrix) {
+  const relationshipIds = new Map();
+  comatrix.relationships.forEach((rel) => {
+    const key = connectionKey(rel.target.id, rel.schnittstelle || "N/A", rel.source.id);
+    if (!relationshipIds.has(key)) {
+      relationshipIds.set(key, []);
+    }
+    relationshipIds.get(key).push(rel.id);
+  });
+  return relationshipIds;
+}
+
+/**
+ * Describes the attribute changes of an element for display in the matrix
+ * @param {Object} elementData - Element entry of a merged matrix
+ * @returns {String} e.g. "Domäne: Sales → Finance", empty if no attribute changed
+ */
+function formatAttributeChanges(elementData) {
+  if (!elementData.previousAttributes) {
+    return "";
+  }
+  return Object.keys(elementData.previousAttributes)
+    .map((attribute) => {
+      const previousValue = elementData.previousAttributes[attribute] || "-";
+      return `${ATTRIBUTE_LABELS[attribute]}: ${previousValue} → ${elementData[attribute] || "-"}`;
+    })
+    .join(", ");
+}
+
+/**
+ * Adds the "Änderungen" worksheet with one row per added, removed, renamed or reassigned item
+ * @param {Object} workbook - Workbook to add the worksheet to
+ * @param {Object} comparison - {comatrix, comatrixBase, comatrixCurrent, changedRowCombinations, changedAElements,
+ *                              renamedAElements, renamedBElements} as computed by output2Excel(),
+ *                              changedRowCombinations holds "AElementId|Schnittstelle" keys
+ * @returns {number} Number of listed changes
+ */
+function addChangeLogSheet(workbook, comparison) {
+  const { comatrix, comatrixBase, comatrixCurrent } = comparison;
+  const { aElements, bElementsMap, sortedAElements, sortedBElements } = comatrix;
+  const baseRelationshipIds = indexRelationshipIds(comatrixBase);
+  const currentRelationshipIds = indexRelationshipIds(comatrixCurrent);
+
+  const rows = [];
+  const rowTypes = [];
+
+  /**
+   * Adds a change row
+   * @param {Object} changeType - Entry of CHANGE_TYPES
+   * @param {Array} values - Values of the columns after the change type
+   */
+  function addRow(changeType, values) {
+    rows.push([changeType.label, ...values]);
+    rowTypes.push(changeType);
+  }
+
+  /**
+   * Adds a row for an added or removed connection
+   * @param {Object} changeType - Entry of CHANGE_TYPES
+   * @param {String} aId - ID of the A-element
+   * @param {String} schnittstelle - Schnittstelle name
+   * @param {String} bId - ID of the B-element
+   * @param {Map} relationshipIds - Relationship IDs of the matrix containing the connection
+   */
+  function addConnectionRow(changeType, aId, schnittstelle, bId, relationshipIds) {
+    const aData = aElements.get(aId);
+    const bData = bElementsMap.get(bId);
+    addRow(changeType, [
+      aData.domain,
+      aData.name,
+      schnittstelle,
+      bData.domain,
+      bData.name,
+      (relationshipIds.get(connectionKey(aId, schnittstelle, bId)) || []).join(", "),
+      "",
+      "",
+    ]);
+  }
+
+  // Renamed elements: the name is the changed attribute
+  sortedAElements.forEach((aId) => {
+    if (comparison.renamedAElements.has(aId)) {
+      const aData = aElements.get(aId);
+      addRow(CHANGE_TYPES.renamedA, [aData.domain, aData.name, "", "", "", "", aData.previousName, aData.name]);
+    }
+  });
+  sortedBElements.forEach((bId) => {
+    if (comparison.renamedBElements.has(bId)) {
+      const bData = bElementsMap.get(bId);
+      addRow(CHANGE_TYPES.renamedB, ["", "", "", bData.domain, bData.name, "", bData.previousName, bData.name]);
+    }
+  });
+
+  // Reassigned elements: one row per changed attribute
+  sortedAElements.forEach((aId) => {
+    const aData = aElements.get(aId);
+    Object.keys(aData.previousAttributes || {}).forEach((attribute) => {
+      const previousValue = aData.previousAttributes[attribute];
+      addRow(CHANGE_TYPES[attribute], [aData.domain, aData.name, "", "", "", "", previousValue, aData[attribute]]);
+    });
+  });
+  sortedBElements.forEach((bId) => {
+    const bData = bElementsMap.get(bId);
+    Object.keys(bData.previousAttributes || {}).forEach((attribute) => {
+      const previousValue = bData.previousAttributes[attribute];
+      addRow(CHANGE_TYPES[attribute], ["", "", "", bData.domain, bData.name, "", previousValue, bData[attribute]]);
+    });
+  });
+
+  // Connections, in the order of the matrix
+  sortedAElements.forEach((aId) => {
+    const baseData = comatrixBase.aElements.get(aId);
+    const currentData = comatrixCurrent.aElements.get(aId);
+
+    Array.from(aElements.get(aId).schnittstellenMap.keys())
+      .sort()
+      .forEach((schnittstelle) => {
+        const baseBSet = baseData ? baseData.schnittstellenMap.get(schnittstelle) : undefined;
+        const currentBSet = currentData ? currentData.schnittstellenMap.get(schnittstelle) : undefined;
+
+        sortedBElements.forEach((bId) => {
+          const inBaseline = Boolean(baseBSet && baseBSet.has(bId));
+          const inCurrent = Boolean(currentBSet && currentBSet.has(bId));
+
+          if (!baseBSet && inCurrent) {
+            addConnectionRow(CHANGE_TYPES.rowAdded, aId, schnittstelle, bId, currentRelationshipIds);
+          } else if (!currentBSet && inBaseline) {
+            addConnectionRow(CHANGE_TYPES.rowRemoved, aId, schnittstelle, bId, baseRelationshipIds);
+          } else if (
+            comparison.changedAElements.has(aId) &&
+            comparison.changedRowCombinations.has(`${aId}|${schnittstelle}`) &&
+            inBaseline !== inCurrent
+          ) {
+            // Row exists in both models with different connections
+            if (inCurrent) {
+              addConnectionRow(CHANGE_TYPES.connectionAdded, aId, schnittstelle, bId, currentRelationshipIds);
+            } else {
+              addConnectionRow(CHANGE_TYPES.connectionRemoved, aId, schnittstelle, bId, baseRelationshipIds);
+            }
+          }
+        });
+      });
+  });
+
+  const data = [HEADER_ROW, ...rows];
+  const worksheet = XLSX.utils.aoa_to_sheet(data);
+
+  // Column widths based on content
+  worksheet["!cols"] = HEADER_ROW.map((header, col) => {
+    let maxWidth = 0;
+    data.forEach((row) => {
+      maxWidth = Math.max(maxWidth, String(row[col]).length);
+    });
+    return { wch: Math.max(10, maxWidth + 2) };
+  });
+
+  const headerStyle = cellStyle(COLOR_HEADER_GRAY, { bold: true, alignment: { horizontal: "center" } });
+  data.forEach((row, rowIndex) => {
+    row.forEach((value, col) => {
+      const cellRef = XLSX.utils.encode_cell({ r: rowIndex, c: col });
+      if (rowIndex === 0) {
+        worksheet[cellRef].s = headerStyle;
+      } else {
+        // Change type colored like the matrix
+        worksheet[cellRef].s = cellStyle(col === 0 ? rowTypes[rowIndex - 1].color : null);
+      }
+    });
+  });
+
+  worksheet["!autofilter"] = {
+    ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: data.length - 1, c: HEADER_ROW.length - 1 } }),
+  };
+
+  XLSX.utils.book_append_sheet(workbook, worksheet, "Änderungen");
+  return rows.length;
+}
+
+module.exports = {
+  formatAttributeChanges,
+  addChangeLogSheet,
+};
@@ -0,0 +1,91 @@
+/**
+ * classification.js
+ * Rule-based classification of connections (intern, across domains, across Fachbereich, extern)
+ *
+ * Every connection between two applications falls into exactly one category, from the closest to the most distant:
+ *   sameDomain        both applications share a Domäne
+ *   sameFachbereich   different Domäne, but both share a Fachbereich
+ *   crossFachbereich  neither Domäne nor Fachbereich in common
+ *   outsideModel      one application has no Domäne or an external specialization (e.g. "Externer Partner")
+ * The classificationRules configuration maps each category to its label and optional fill color.
+ */
+
+const { CLASSIFICATION_CATEGORIES } = require("./config");
+const { splitNames } = require("./model");
+
+/**
+ * Checks if two comma-separated lists share at least one name
+ * @param {String} value1 - First list
+ * @param {String} value2 - Second list
+ * @returns {boolean} True if a name is part of both lists
+ */
+function shareName(value1, value2) {
+  const names2 = splitNames(value2);
+  return splitNames(value1).some((name) => names2.includes(name));
+}
+
+/**
+ * Checks if an application lies outside the modelled landscape
+ * @param {Object} element - Element data with domain and specialization
+ * @param {Object} config - Metamodel configuration (externalSpecializations)
+ * @returns {boolean} True without Domäne or with an external specialization
+ */
+function isOutsideModel(element, config) {
+  return element.domain === "" || config.externalSpecializations.includes(element.specialization || "");
+}
+
+/**
+ * Classifies the connection between two applications
+ * @param {Object} element1 - Element data with domain, fachbereich and specialization (e.g. the A-element)
+ * @param {Object} element2 - Element data of the other application (e.g. the B-element)
+ * @param {Object} config - Metamodel configuration
+ * @returns {String} One of CLASSIFICATION_CATEGORIES
+ */
+function classifyConnection(element1, element2, config) {
+  if (isOutsideModel(element1, config) || isOutsideModel(element2, config)) {
+    return "outsideModel";
+  }
+  if (shareName(element1.domain, element2.domain)) {
+    return "sameDomain";
+  }
+  if (shareName(element1.fachbereich, element2.fachbereich)) {
+    return "sameFachbereich";
+  }
+  return "crossFachbereich";
+}
+
+/**
+ * Aggregates the categories of several connections (e.g. all cells of a matrix row)
+ * The most distant category wins, so a row with one external connection is external.
+ * @param {Array<String>} categories - Categories of the connections
+ * @returns {String|null} Most distant category, null if there are no connections
+ */
+function aggregateClassification(categories) {
+  let result = null;
+  categories.forEach((category) => {
+    if (result === null || CLASSIFICATION_CATEGORIES.indexOf(category) > CLASSIFICATION_CATEGORIES.indexOf(result)) {
+      result = category;
+    }
+  });
+  return result;
+}
+
+/**
+ * Gets the label and color of a category
+ * @param {String|null} category - Category from classifyConnection() or aggregateClassification()
+ * @param {Object} config - Metamodel configuration (classificationRules)
+ * @returns {Object} {label, color}, color is null if the rule has none (empty label for null)
+ */
+function getClassificationRule(category, config) {
+  if (category === null) {
+    return { label: "", color: null };
+  }
+  const rule = config.classificationRules[category];
+  return { label: rule.label, color: rule.color ? rule.color.toUpperCase() : null };
+}
+
+module.exports = {
+  classifyConnection,
+  aggregateClassification,
+  getClassificationRule,
+};
@@ -4,20 +4,43 @@
  */
 
 const XLSX = require("xlsx-js-style");
-const path = require("path");
 const output2Excel = require("./output2Excel");
-const { findDomain, extractElements } = require("./model");
+const { analyzeGroupings, extractElements, splitNames } = require("./model");
 const { getParameter } = require("./params");
+const { getScope, filterConnectionsByScope, describeScope } = require("./scope");
+const { getConfig } = require("./config");
+const { findBaselineModel } = require("./baseline");
+const { log, summarizeModel, setSummary, runWithSummary } = require("./logger");
+const { EXIT_OK, EXIT_ERROR, EXIT_NO_DATA, getOutputPath } = require("./batch");
+const { showConsole, openOutputLocation, exitOnFailure } = require("./archiHost");
+
+// Element attributes compared between baseline and current model (names are compared separately)
+const TRACKED_ATTRIBUTES = ["domain", "fachbereich", "specialization"];
 
 /**
- * Sorts elements by domain (empty domains last), then by element name
- * @param {Map} elementsMap - Map with element names as keys and objects with domain property as values
- * @returns {Array} Sorted array of element names
+ * Sorts elements by Fachbereich, then by domain (empty values last), then by element name
+ * Elements of a Fachbereich and of a domain stay next to each other, so the matrix can group them.
+ * @param {Map} elementsMap - Map with element IDs as keys and objects with name, domain and fachbereich as values
+ * @returns {Array} Sorted array of element IDs
  */
 function sortElementsByDomain(elementsMap) {
-  return Array.from(elementsMap.keys()).sort((name1, name2) => {
-    const domain1 = elementsMap.get(name1).domain;
-    const domain2 = elementsMap.get(name2).domain;
+  return Array.from(elementsMap.keys()).sort((id1, id2) => {
+    const element1 = elementsMap.get(id1);
+    const element2 = elementsMap.get(id2);
+    const fachbereich1 = element1.fachbereich || "";
+    const fachbereich2 = element2.fachbereich || "";
+
+    // Empty Fachbereich go to the end
+    if (fachbereich1 === "" && fachbereich2 !== "") return 1;
+    if (fachbereich1 !== "" && fachbereich2 === "") return -1;
+
+    // Compare Fachbereich
+    if (fachbereich1 !== fachbereich2) {
+      return fachbereich1.localeCompare(fachbereich2);
+    }
+
+    const domain1 = element1.domain;
+    const domain2 = element2.domain;
 
     // Empty domains go to the end
     if (domain1 === "" && domain2 !== "") return 1;
@@ -29,56 +52,81 @@ function sortElementsByDomain(elementsMap) {
     }
 
     // Same domain, sort by element name
-    return name1.localeCompare(name2);
+    if (element1.name !== element2.name) {
+      return element1.name.localeCompare(element2.name);
+    }
+
+    // Same name (different elements), keep a stable order by ID
+    return id1.localeCompare(id2);
   });
 }
 
 /**
  * Builds a connectivity matrix from an Archi model
  * @param {Object} currentModel - The Archi model to analyze
- * @returns {Object} Matrix data structure with aElements, bElementsMap, sortedAElements, sortedBElements, and relationships
+ * @param {Object|null} scope - Optional scope from getScope(), only connections of A-elements in scope are used
+ * @returns {Object} Matrix data structure with aElements, bElementsMap, sortedAElements, sortedBElements, and relationships.
+ *                   Elements carry name, domain, fachbereich, specialization and the grouping cycles above them.
  */
-function buildComatrix(currentModel) {
-  console.log("Step 1: Analyzing relationships and building matrix...");
+function buildComatrix(currentModel, scope = null) {
+  log.info("Step 1: Analyzing relationships and building matrix...");
 
   // Extract relationships from the model
-  const relationships = extractElements(currentModel);
-  console.log(`Found ${relationships.length} triggering relationships`);
+  let relationships = extractElements(currentModel);
+  log.info(`Found ${relationships.length} triggering relationships`);
+
+  if (scope) {
+    relationships = filterConnectionsByScope(relationships, scope);
+    log.info(`${relationships.length} triggering relationships in scope`);
+  }
 
   // Collect all unique A elements (targets) and B elements (sources)
-  // Map structure: A element name -> {domain, schnittstellenMap}
+  // Elements are keyed by their Archi ID so that elements sharing a name stay separate
+  // Map structure: A element ID -> {name, domain, schnittstellenMap}
   const aElements = new Map();
-  const bElementsMap = new Map(); // Store B elements with their domains
+  const bElementsMap = new Map(); // Store B elements with their names and domains
 
   relationships.forEach((rel) => {
-    const aName = rel.target.name;
-    const bName = rel.source.name;
+    const aId = rel.target.id;
+    const bId = rel.source.id;
     const schnittstelle = rel.schnittstelle || "N/A";
     const aDomain = rel.targetDomain;
     const bDomain = rel.sourceDomain;
 
-    if (!aElements.has(aName)) {
-      aElements.set(aName, {
+    if (!aElements.has(aId)) {
+      const groupings = analyzeGroupings(rel.target);
+      aElements.set(aId, {
+        name: rel.target.name,
         domain: aDomain,
+        fachbereich: groupings.fachbereiche.join(", "),
+        specialization: rel.target.specialization || "",
+        cycles: groupings.cycles,
         schnittstellenMap: new Map(),
       });
     }
 
-    const aData = aElements.get(aName);
+    const aData = aElements.get(aId);
     if (!aData.schnittstellenMap.has(schnittstelle)) {
       aData.schnittstellenMap.set(schnittstelle, new Set());
     }
 
-    aData.schnittstellenMap.get(schnittstelle).add(bName);
-
-    // Store B element with its domain
-    if (!bElementsMap.has(bName)) {
-      bElementsMap.set(bName, { domain: bDomain });
+    aData.schnittstellenMap.get(schnittstelle).add(bId);
+
+    // Store B element with its name, domain, Fachbereich, specialization and grouping cycles
+    if (!bElementsMap.has(bId)) {
+      const groupings = analyzeGroupings(rel.source);
+      bElementsMap.set(bId, {
+        name: rel.source.name,
+        domain: bDomain,
+        fachbereich: groupings.fachbereiche.join(", "),
+        specialization: rel.source.specialization || "",
+        cycles: groupings.cycles,
+      });
     }
   });
 
-  console.log(`Found ${aElements.size} target elements (A) and ${bElementsMap.size} source elements (B)`);
-  console.log("Step 2: Sorting elements...");
+  log.info(`Found ${aElements.size} target elements (A) and ${bElementsMap.size} source elements (B)`);
+  log.info("Step 2: Sorting elements...");
 
   // Sort A elements by domain (empty domains last), then by element name
   const sortedAElements = sortElementsByDomain(aElements);
@@ -86,7 +134,7 @@ function buildComatrix(currentModel) {
   // Sort B elements by domain (empty domains last), then by element name
   const sortedBElements = sortElementsByDomain(bElementsMap);
 
-  console.log("Matrix data structure built successfully.");
+  log.info("Matrix data structure built successfully.");
 
   return {
     aElements,
@@ -97,36 +145,102 @@ function buildComatrix(currentModel) {
   };
 }
 
+/**
+ * Copies a Schnittstelle map including its B-element sets
+ * @param {Map} schnittstellenMap - Map of Schnittstelle -> Set of B element IDs
+ * @returns {Map} Independent copy of the map
+ */
+function copySchnittstellenMap(schnittstellenMap) {
+  const copy = new Map();
+  schnittstellenMap.forEach((bSet, schnittstelle) => copy.set(schnittstelle, new Set(bSet)));
+  return copy;
+}
+
+/**
+ * Copies the name, the tracked attributes and the grouping cycles of a matrix element
+ * @param {Object} data - Element entry from aElements or bElementsMap
+ * @returns {Object} New entry without Schnittstellen and comparison results
+ */
+function copyElementData(data) {
+  const copy = { name: data.name, cycles: data.cycles || [] };
+  TRACKED_ATTRIBUTES.forEach((attribute) => {
+    copy[attribute] = data[attribute];
+  });
+  return copy;
+}
+
+/**
+ * Checks if two comma-separated lists name the same groupings, in any order
+ * @param {String} value1 - First list, e.g. "Cloud, Infrastructure"
+ * @param {String} value2 - Second list, e.g. "Infrastructure, Cloud"
+ * @returns {boolean} True if both lists contain the same names
+ */
+function sameNames(value1, value2) {
+  return splitNames(value1).sort().join(", ") === splitNames(value2).sort().join(", ");
+}
+
+/**
+ * Compares the tracked attributes of an element in the baseline and the current model
+ * Domäne and Fachbereich listed in another order are not a change.
+ * @param {Object} baseData - Element entry of the baseline matrix
+ * @param {Object} currentData - Element entry of the current matrix
+ * @returns {Object|null} Baseline values of the changed attributes (e.g. {domain: "Sales"}), null if none changed
+ */
+function findAttributeChanges(baseData, currentData) {
+  const previousAttributes = {};
+  let changed = false;
+  TRACKED_ATTRIBUTES.forEach((attribute) => {
+    if (!sameNames(baseData[attribute], currentData[attribute])) {
+      previousAttributes[attribute] = baseData[attribute];
+      changed = true;
+    }
+  });
+  return changed ? previousAttributes : null;
+}
+
 /**
  * Merges two connectivity matrices (baseline and current)
  * @param {Object} comatrixBase - Matrix data structure from buildComatrix(baselineModel)
  * @param {Object} comatrixCurrent - Matrix data structure from buildComatrix(currentModel)
- * @returns {Object} Merged matrix data structure containing all elements from both models
+ * @returns {Object} Merged matrix data structure containing all elements from both models.
+ *                   Elements whose name changed carry the baseline name in previousName, elements moved to
+ *                   another domain, Fachbereich or specialization carry the baseline values in previousAttributes.
  */
 function merge(comatrixBase, comatrixCurrent) {
-  console.log("Merging baseline and current matrices...");
+  log.info("Merging baseline and current matrices...");
 
-  // Merge A elements
+  // Merge A elements (keyed by element ID, so renamed elements are matched)
   const aElements = new Map();
 
-  // Copy baseline A elements
-  comatrixBase.aElements.forEach((value, key) => {
-    aElements.set(key, {
-      domain: value.domain,
-      schnittstellenMap: new Map(value.schnittstellenMap),
+  // Copy baseline A elements (deep copy, the baseline sets are still needed for comparison)
+  comatrixBase.aElements.forEach((value, id) => {
+    aElements.set(id, {
+      ...copyElementData(value),
+      schnittstellenMap: copySchnittstellenMap(value.schnittstellenMap),
     });
   });
 
   // Merge current A elements
-  comatrixCurrent.aElements.forEach((value, key) => {
-    if (aElements.has(key)) {
+  comatrixCurrent.aElements.forEach((value, id) => {
+    if (aElements.has(id)) {
       // Element exists in both - merge Schnittstellen
-      const existingData = aElements.get(key);
+      const existingData = aElements.get(id);
 
-      // Update domain: use current if baseline is empty or differs
-      if (!existingData.domain || existingData.domain === "" || existingData.domain !== value.domain) {
-        existingData.domain = value.domain;
+      // Use current name, remember the baseline name if the element was renamed
+      if (existingData.name !== value.name) {
+        existingData.previousName = existingData.name;
+        existingData.name = value.name;
       }
+      existingData.cycles = value.cycles || [];
+
+      // Use current domain, Fachbereich and specialization, remember the baseline values if they changed
+      const previousAttributes = findAttributeChanges(existingData, value);
+      if (previousAttributes) {
+        existingData.previousAttributes = previousAttributes;
+      }
+      TRACKED_ATTRIBUTES.forEach((attribute) => {
+        existingData[attribute] = value[attribute];
+      });
 
       value.schnittstellenMap.forEach((bSet, schnittstelle) => {
         if (!existingData.schnittstellenMap.has(schnittstelle)) {
@@ -138,9 +252,9 @@ function merge(comatrixBase, comatrixCurrent) {
       });
     } else {
       // New element from current
-      aElements.set(key, {
-        domain: value.domain,
-        schnittstellenMap: new Map(value.schnittstellenMap),
+      aElements.set(id, {
+        ...copyElementData(value),
+        schnittstellenMap: copySchnittstellenMap(value.schnittstellenMap),
       });
     }
   });
@@ -149,21 +263,24 @@ function merge(comatrixBase, comatrixCurrent) {
   const bElementsMap = new Map();
 
   // Copy baseline B elements
-  comatrixBase.bElementsMap.forEach((data, name) => {
-    bElementsMap.set(name, { domain: data.domain });
+  comatrixBase.bElementsMap.forEach((data, id) => {
+    bElementsMap.set(id, copyElementData(data));
   });
 
-  // Add/update current B elements - prefer current domain if baseline is empty or differs
-  comatrixCurrent.bElementsMap.forEach((data, name) => {
-    if (bElementsMap.has(name)) {
-      const baselineData = bElementsMap.get(name);
-      // Use current domain if baseline is empty or differs
-      if (!baselineData.domain || baselineData.domain === "" || baselineData.domain !== data.domain) {
-        bElementsMap.set(name, { domain: data.domain });
+  // Add/update current B elements - prefer current name and attributes
+  comatrixCurrent.bElementsMap.forEach((data, id) => {
+    const merged = copyElementData(data);
+    if (bElementsMap.has(id)) {
+      const baselineData = bElementsMap.get(id);
+      if (baselineData.name !== data.name) {
+        merged.previousName = baselineData.name;
+      }
+      const previousAttributes = findAttributeChanges(baselineData, data);
+      if (previousAttributes) {
+        merged.previousAttributes = previousAttributes;
       }
-    } else {
-      bElementsMap.set(name, { domain: data.domain });
     }
+    bElementsMap.set(id, merged);
   });
 
   // Sort merged elements
@@ -174,7 +291,7 @@ function merge(comatrixBase, comatrixCurrent) {
   // Merge relationships
   const relationships = [...comatrixBase.relationships, ...comatrixCurrent.relationships];
 
-  console.log(
+  log.info(
     `Merged matrix: ${aElements.size} A-elements, ${bElementsMap.size} B-elements, ${relationships.length} relationships`,
   );
 
@@ -188,165 +305,342 @@ function merge(comatrixBase, comatrixCurrent) {
 }
 
 /**
- * Main execution function
+ * Builds the matrix of a model, merged with the baseline matrix in compare mode
+ * @param {Object} currentModel - The Archi model to analyze
+ * @param {Object} baselineModel - Baseline model to compare with, or null for single model mode
+ * @param {Object|null} scope - Optional scope from getScope(), applied to both models
+ * @returns {Object|null} {comatrix, comatrixBase, comatrixCurrent} (base and current are null in single model mode),
+ *                        null if the current model has no triggering relationships
+ */
+function createComatrix(currentModel, baselineModel, scope = null) {
+  if (!baselineModel) {
+    // Single model mode - just build from current model
+    const comatrix = buildComatrix(currentModel, scope);
+    return comatrix.relationships.length > 0 ? { comatrix, comatrixBase: null, comatrixCurrent: null } : null;
+  }
+
+  // Build matrices for both models
+  log.info("Building matrix for baseline model...");
+  const comatrixBase = buildComatrix(baselineModel, scope);
+  log.info(`Baseline: ${comatrixBase.relationships.length} relationships\n`);
+
+  log.info("Building matrix for current model...");
+  const comatrixCurrent = buildComatrix(currentModel, scope);
+  log.info(`Current: ${comatrixCurrent.relationships.length} relationships\n`);
+
+  if (comatrixCurrent.relationships.length === 0) {
+    return null;
+  }
+
+  // Merge baseline and current
+  const comatrix = merge(comatrixBase, comatrixCurrent);
+  log.info("");
+
+  return { comatrix, comatrixBase, comatrixCurrent };
+}
+
+/**
+ * Remembers the name an element had in the first version containing it
+ * merge() only keeps the name of the preceding version, the timeline shows the rename across all versions.
+ * Attribute changes between neighbouring versions are dropped, the timeline does not show them.
+ * @param {Map} mergedElements - aElements or bElementsMap of the merged matrix
+ * @param {Array<Map>} versionElements - Same map of each version, oldest first
  */
-function runComatrix() {
-  console.clear();
-  console.show();
-  console.log("=== Comatrix - Generate Connectivity Matrix ===\n");
+function applyFirstNames(mergedElements, versionElements) {
+  mergedElements.forEach((data, id) => {
+    delete data.previousAttributes;
+    const firstVersion = versionElements.find((elements) => elements.has(id));
+    const firstName = firstVersion.get(id).name;
+    if (firstName !== data.name) {
+      data.previousName = firstName;
+    } else {
+      delete data.previousName;
+    }
+  });
+}
+
+/**
+ * Builds the matrices of several model versions and merges them into one matrix
+ * @param {Array<Object>} versions - Versions as {label, model}, oldest first
+ * @param {Object|null} scope - Optional scope from getScope(), applied to every version
+ * @returns {Object|null} {comatrix, versions} - comatrix contains all elements and connections of all versions,
+ *                        versions holds {label, comatrix} per version; null if no version has triggering relationships
+ */
+function buildTimeline(versions, scope = null) {
+  const versionMatrices = versions.map((version, index) => {
+    log.info(`Building matrix for version ${index + 1} (${version.label})...`);
+    const versionComatrix = buildComatrix(version.model, scope);
+    log.info(`${version.label}: ${versionComatrix.relationships.length} relationships\n`);
+    return { label: version.label, comatrix: versionComatrix };
+  });
+
+  if (versionMatrices.every((version) => version.comatrix.relationships.length === 0)) {
+    return null;
+  }
+
+  // Merge the versions one after the other, later versions provide names and domains
+  let comatrix = versionMatrices[0].comatrix;
+  for (let i = 1; i < versionMatrices.length; i++) {
+    comatrix = merge(comatrix, versionMatrices[i].comatrix);
+  }
+  log.info("");
+
+  applyFirstNames(comatrix.aElements, versionMatrices.map((version) => version.comatrix.aElements));
+  applyFirstNames(comatrix.bElementsMap, versionMatrices.map((version) => version.comatrix.bElementsMap));
+
+  return { comatrix, versions: versionMatrices };
+}
+
+/**
+ * Loads the model versions of the --timeline parameter
+ * Entries are separated by ";" and have the form "label=path" or "path" (the model name is used as label).
+ * The selected model is added as last version unless it is part of the list.
+ * @param {String} timelineParameter - Value of the --timeline parameter
+ * @param {Object} selectedModel - Model selected in Archi
+ * @returns {Array<Object>} Versions as {label, model}, in the given order
+ * @throws {Error} If a model cannot be loaded or less than two versions are given
+ */
+function loadTimelineVersions(timelineParameter, selectedModel) {
+  const normalize = (filePath) => (filePath ? filePath.replace(/\\/g, "/") : null);
+  const versions = [];
+  let containsSelectedModel = false;
+
+  timelineParameter.split(";").forEach((entry) => {
+    const trimmedEntry = entry.trim();
+    if (trimmedEntry === "") {
+      return;
+    }
+
+    const separatorIndex = trimmedEntry.indexOf("=");
+    const label = separatorIndex > 0 ? trimmedEntry.substring(0, separatorIndex).trim() : null;
+    const modelPath = separatorIndex > 0 ? trimmedEntry.substring(separatorIndex + 1).trim() : trimmedEntry;
+
+    if (normalize(modelPath) === normalize(selectedModel.path)) {
+      containsSelectedModel = true;
+      versions.push({ label: label || selectedModel.name, model: selectedModel });
+      return;
+    }
+
+    const versionModel = $.model.load(modelPath);
+    if (!versionModel) {
+      throw new Error(`Failed to load timeline model from: ${modelPath}`);
+    }
+    versions.push({ label: label || versionModel.name, model: versionModel });
+  });
+
+  if (!containsSelectedModel) {
+    versions.push({ label: selectedModel.name, model: selectedModel });
+  }
+
+  if (versions.length < 2) {
+    throw new Error("The timeline needs at least two model versions");
+  }
+
+  return versions;
+}
+
+/**
+ * Generates the matrix of a model
+ * @param {Object|null} model - The Archi model, null if no model is selected
+ * @returns {number} Exit status: EXIT_OK, EXIT_NO_DATA without triggering relationships, EXIT_ERROR on errors
+ */
+function generateMatrixReport(model) {
+  showConsole();
+  log.info("=== Comatrix - Generate Connectivity Matrix ===\n");
 
   // Check if a model is selected
   if (!model) {
-    console.log("ERROR: No model is selected. Please open or create a model first.");
-    return;
+    log.error("No model is selected. Please open or create a model first.");
+    return EXIT_ERROR;
   }
 
-  console.log(`Selected model: ${model.name}`);
-  console.log(`Model path: ${model.path || "(not saved)"}\n`);
+  log.info(`Selected model: ${model.name}`);
+  log.info(`Model path: ${model.path || "(not saved)"}\n`);
+
+  // Load metamodel configuration (--config parameter or defaults)
+  try {
+    getConfig();
+    if (getParameter("config")) {
+      log.info(`Configuration loaded from: ${getParameter("config")}\n`);
+    }
+  } catch (error) {
+    log.error(error.message);
+    return EXIT_ERROR;
+  }
+
+  // Resolve the scope (--domain, --fachbereich, --view, --folder or the selection in the model tree)
+  let scope;
+  try {
+    scope = getScope();
+    if (scope) {
+      log.info(`${describeScope(scope)}\n`);
+    }
+  } catch (error) {
+    log.error(error.message);
+    return EXIT_ERROR;
+  }
 
   // List all loaded models
   const loadedModels = $.model.getLoadedModels();
-  console.log(`Total loaded models: ${loadedModels.length}`);
+  log.debug(`Total loaded models: ${loadedModels.length}`);
   loadedModels.forEach((m, index) => {
     const marker = m === model ? "→" : " ";
-    console.log(`${marker} ${index + 1}. ${m.name}`);
+    log.debug(`${marker} ${index + 1}. ${m.name}`);
   });
-  console.log("");
+  log.debug("");
 
-  // Check for baseline model
-  // Priority 1: Command line parameter --baselineModel
-  // Priority 2: Model property 'baseline'
-  const baselineModelPath = getParameter("baselineModel");
-  const baselineProperty = model.prop("baseline");
-  let baselineModel = null;
-  let compareMode = false;
+  // Check for timeline (several model versions), replaces the baseline comparison
+  const timelineParameter = getParameter("timeline");
+  let timelineVersions = null;
 
-  if (baselineModelPath) {
-    // Parameter provided - load model from path
-    console.log(`Loading baseline model from parameter: "${baselineModelPath}"`);
+  if (timelineParameter) {
+    log.info(`Loading timeline versions: "${timelineParameter}"`);
 
     try {
-      baselineModel = $.model.load(baselineModelPath);
-      if (baselineModel) {
-        console.log(`✓ Baseline model loaded: ${baselineModel.name}`);
-        console.log(`  Baseline path: ${baselineModelPath}`);
-        console.log("Running in COMPARE MODE (parameter-based).\n");
-        compareMode = true;
-      } else {
-        console.log(`✗ Failed to load baseline model from: ${baselineModelPath}`);
-        console.log("Running in single model mode.\n");
-      }
+      timelineVersions = loadTimelineVersions(timelineParameter, model);
+      timelineVersions.forEach((version, index) => {
+        log.info(`✓ Version ${index + 1}: ${version.label} (${version.model.name})`);
+      });
+      log.info("Running in TIMELINE MODE.\n");
+      setSummary({
+        versions: timelineVersions.map((version) => ({ label: version.label, ...summarizeModel(version.model) })),
+      });
     } catch (error) {
-      console.log(`✗ Error loading baseline model: ${error.message}`);
-      console.log("Running in single model mode.\n");
+      log.warn(`Error loading timeline: ${error.message}`, { code: "timelineNotLoaded" });
+      log.info("Continuing without timeline.\n");
     }
-  } else if (!baselineProperty || baselineProperty.trim() === "") {
-    console.log("ℹ No --baselineModel parameter provided.");
-    console.log("ℹ Property 'baseline' is not set in the selected model.");
-    console.log("Running in single model mode.\n");
-  } else {
-    console.log(`Looking for baseline model: "${baselineProperty}"`);
+  }
 
-    // Search for baseline model among loaded models
-    baselineModel = loadedModels.find((m) => m.name === baselineProperty);
+  // Check for baseline model (--baselineModel, --baselineRef or model property 'baseline', see baseline.js)
+  let baselineModel = null;
 
-    if (baselineModel) {
-      console.log(`✓ Baseline model found: ${baselineModel.name}`);
-      console.log(`  Baseline path: ${baselineModel.path || "(not saved)"}`);
-      console.log("Running in COMPARE MODE (property-based).\n");
-      compareMode = true;
-    } else {
-      console.log(`✗ Baseline model "${baselineProperty}" is not opened.`);
-      console.log("Running in single model mode.\n");
+  if (timelineVersions) {
+    if (getParameter("baselineModel") || getParameter("baselineRef")) {
+      log.info("ℹ Baseline parameters are ignored in timeline mode.\n");
     }
+  } else {
+    baselineModel = findBaselineModel(model, loadedModels);
+    setSummary({ baseline: summarizeModel(baselineModel) });
   }
+  const compareMode = baselineModel !== null;
 
   // Extract all triggering relationships from the selected model
-  console.log("Extracting triggering relationships starting with NST_...");
-  const elements = extractElements(model);
-  console.log(`Found ${elements.length} triggering relationships`);
+  log.info("Extracting triggering relationships starting with NST_...");
+  const elements = scope ? filterConnectionsByScope(extractElements(model), scope) : extractElements(model);
+  log.info(`Found ${elements.length} triggering relationships${scope ? " in scope" : ""}`);
 
   // Print domain information for verification
-  console.log("\n=== Domain Information ===");
+  log.info("\n=== Domain Information ===");
   const uniqueElements = new Map();
 
   elements.forEach((rel) => {
-    if (!uniqueElements.has(rel.source.name)) {
-      uniqueElements.set(rel.source.name, rel.sourceDomain);
+    if (!uniqueElements.has(rel.source.id)) {
+      uniqueElements.set(rel.source.id, rel.sourceDomain);
     }
-    if (!uniqueElements.has(rel.target.name)) {
-      uniqueElements.set(rel.target.name, rel.targetDomain);
+    if (!uniqueElements.has(rel.target.id)) {
+      uniqueElements.set(rel.target.id, rel.targetDomain);
     }
   });
 
-  console.log(`Total unique elements: ${uniqueElements.size}\n`);
+  log.info(`Total unique elements: ${uniqueElements.size}\n`);
+  setSummary({ counts: { relationships: elements.length, elements: uniqueElements.size } });
+
+  // Elements without Domäne end up in the "(keine Domäne)" groups of the matrix
+  const withoutDomain = new Map(); // ID -> name
+  elements.forEach((rel) => {
+    if (!rel.sourceDomain) {
+      withoutDomain.set(rel.source.id, rel.source.name);
+    }
+    if (!rel.targetDomain) {
+      withoutDomain.set(rel.target.id, rel.target.name);
+    }
+  });
+  if (withoutDomain.size > 0) {
+    log.warn(`Elements without Domäne (${withoutDomain.size}): ${Array.from(withoutDomain.values()).join(", ")}\n`, {
+      code: "missingDomain",
+      elements: Array.from(withoutDomain, ([id, name]) => ({ id, name })),
+    });
+  }
 
-  // Define output path
-  // Normalize path to use forward slashes (path-browserify only handles POSIX paths)
-  const normalizedPath = model.path ? model.path.replace(/\\/g, "/") : null;
-  const outputDir = normalizedPath ? path.dirname(normalizedPath) : __DIR__;
-  const outputPath = path.join(outputDir, "comatrix.xlsm");
+  // Define output path (--output, --outputDir or next to the model)
+  const outputPath = getOutputPath(model, "comatrix.xlsm");
 
-  console.log(`Output file: ${outputPath}\n`);
+  log.info(`Output file: ${outputPath}\n`);
 
   // Generate Excel file
-  console.log("Generating Excel file...");
+  log.info("Generating Excel file...");
 
   try {
     let comatrix;
-    let comatrixBase = null;
-    let comatrixCurrent = null;
-
-    if (compareMode) {
-      // Build matrices for both models
-      console.log("Building matrix for baseline model...");
-      comatrixBase = buildComatrix(baselineModel);
-      console.log(`Baseline: ${comatrixBase.relationships.length} relationships\n`);
-
-      console.log("Building matrix for current model...");
-      comatrixCurrent = buildComatrix(model);
-      console.log(`Current: ${comatrixCurrent.relationships.length} relationships\n`);
-
-      if (comatrixCurrent.relationships.length === 0) {
-        console.log("⚠ No NST_* triggering relationships found in the current model.");
-        return;
+
+    if (timelineVersions) {
+      const timeline = buildTimeline(timelineVersions, scope);
+
+      if (!timeline) {
+        log.warn("No NST_* triggering relationships found in any version of the timeline.", {
+          code: "noRelationships",
+        });
+        return EXIT_NO_DATA;
       }
 
-      // Merge baseline and current
-      comatrix = merge(comatrixBase, comatrixCurrent);
-      console.log("");
+      // Output to Excel with the versions of each connection
+      comatrix = timeline.comatrix;
+      output2Excel(comatrix, outputPath, null, null, { timeline, scope });
     } else {
-      // Single model mode - just build from current model
-      comatrix = buildComatrix(model);
+      const result = createComatrix(model, compareMode ? baselineModel : null, scope);
 
-      if (comatrix.relationships.length === 0) {
-        console.log("⚠ No NST_* triggering relationships found in the selected model.");
-        return;
+      if (!result) {
+        log.warn(`No NST_* triggering relationships found in the ${compareMode ? "current" : "selected"} model.`, {
+          code: "noRelationships",
+        });
+        return EXIT_NO_DATA;
       }
-    }
-
-    // Output to Excel with optional baseline comparison
-    output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent);
 
-    console.log("\n=== Export Complete ===");
-    console.log(`Matrix file saved to: ${outputPath}`);
-    console.log(`Total triggering relationships processed: ${comatrix.relationships.length}`);
+      const { comatrixBase, comatrixCurrent } = result;
+      comatrix = result.comatrix;
 
-    // Open the file location in file browser
-    try {
-      java.awt.Desktop.getDesktop().open(new java.io.File(outputDir));
-    } catch (e) {
-      console.log("Could not open file browser automatically.");
+      // Output to Excel with optional baseline comparison
+      output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent, { scope });
     }
+
+    log.info("\n=== Export Complete ===");
+    log.info(`Matrix file saved to: ${outputPath}`);
+    log.info(`Total triggering relationships processed: ${comatrix.relationships.length}`);
+    setSummary({
+      output: outputPath,
+      counts: { providers: comatrix.aElements.size, consumers: comatrix.bElementsMap.size },
+    });
+
+    // Open the file location in file browser (not with --noOpen or --batch)
+    openOutputLocation(outputPath);
+    return EXIT_OK;
   } catch (error) {
-    console.log(`\n✗ ERROR: Failed to create Excel file`);
-    console.log(`Error message: ${error.message}`);
-    console.log(`Error type: ${error.constructor.name}`);
-    if (error.stack) {
-      console.log(`Stack trace:\n${error.stack}`);
-    }
+    log.exception("Failed to create Excel file", error);
+    return EXIT_ERROR;
   }
 }
 
-// Execute the main function when script is loaded
-runComatrix();
+/**
+ * Main execution function
+ * Writes the run summary (see logger.js) after the matrix.
+ * @param {Object|null} selectedModel - The Archi model (default: the selected model)
+ * @returns {number} Exit status: EXIT_OK, EXIT_NO_DATA without triggering relationships, EXIT_ERROR on errors
+ */
+function runComatrix(selectedModel = model) {
+  return runWithSummary("comatrix", () => generateMatrixReport(selectedModel));
+}
+
+module.exports = {
+  sortElementsByDomain,
+  buildComatrix,
+  merge,
+  createComatrix,
+  buildTimeline,
+  loadTimelineVersions,
+  runComatrix,
+};
+
+// Execute the main function when the script is run (bundled entry point), not when required
+if (require.main === module) {
+  exitOnFailure(runComatrix());
+}
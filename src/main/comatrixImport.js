@@ -0,0 +1,441 @@
+/**
+ * comatrixImport.js
+ * Applies the edits made in an exported connectivity matrix (comatrix.xlsm) back to the selected model
+ *
+ * The "Matrix" worksheet is read in the layout of output2Excel(): the providing applications (A-elements) with the
+ * Schnittstelle they offer in the rows, the consumers (B-elements) in the columns, "x" for a connection. The separator
+ * rows and columns of the grouping (groupingExcel.js) are skipped. Compared with the connections of the model:
+ *   "x" without connection in the model      New triggering relationship "NST_<Schnittstelle>" from consumer to provider
+ *   Empty cell with connection in the model  Schnittstelle value removed, the relationship is deleted with its last value
+ * New rows (Anwendungssystem and Schnittstelle filled in) and new columns (name in the header row) are matched with the
+ * application components of the model by name, the Domäne tells applications with the same name apart.
+ * Connections whose row or column is missing in the workbook (e.g. outside the exported scope) are kept.
+ *
+ * Parameters:
+ *   --input <path>   Edited workbook (default: comatrix.xlsm next to the model)
+ *   --dryRun         Only show the changes
+ * Archi records the changes of a script run as one command, Edit › Undo reverts the whole import.
+ * Example: jArchi.script("comatriximport.ajs", "--input", "/path/to/comatrix.xlsm", "--dryRun")
+ */
+
+const XLSX = require("xlsx-js-style");
+const path = require("path");
+const { CYCLE_MARKER, extractElements, findDomain } = require("./model");
+const { isSeparatorRow, findElementColumns } = require("./groupingExcel");
+const { getConfig } = require("./config");
+const { getParameter, hasParameter } = require("./params");
+const { readBinaryFile } = require("./files");
+const { log, setSummary, runWithSummary } = require("./logger");
+const { EXIT_OK, EXIT_ERROR, isBatchMode } = require("./batch");
+const { showConsole, exitOnFailure } = require("./archiHost");
+
+// Headers of the columns A-D written by output2Excel()
+const MATRIX_HEADER = ["Domäne", "Anwendungssystem", "Angebotene Schnittstelle", "intern/extern"];
+
+// Worksheets of the compare and timeline modes, their cells do not describe the connections of one model
+const COMPARISON_SHEETS = ["Änderungen", "Zeitleiste"];
+
+// Name prefix of the connection relationships (see doc/metamodel.md)
+const CONNECTION_PREFIX = "NST_";
+
+/**
+ * Converts a cell value to trimmed text
+ * @param {*} value - Cell value
+ * @returns {String} Text, empty for empty cells
+ */
+function cellText(value) {
+  return value === undefined || value === null ? "" : String(value).trim();
+}
+
+/**
+ * Removes the cycle marker added to the Domäne of elements inside a grouping cycle
+ * @param {String} domain - Domäne as shown in the workbook
+ * @returns {String} Domäne without marker
+ */
+function stripCycleMarker(domain) {
+  return domain.replace(`(${CYCLE_MARKER})`, "").trim();
+}
+
+/**
+ * Builds the key of a connection (A-element + Schnittstelle + B-element)
+ * @param {String} aId - ID of the providing application
+ * @param {String} schnittstelle - Schnittstelle name
+ * @param {String} bId - ID of the consuming application
+ * @returns {String} Connection key
+ */
+function connectionKey(aId, schnittstelle, bId) {
+  return `${aId}|${schnittstelle}|${bId}`;
+}
+
+/**
+ * Reads the matrix of an exported workbook
+ * @param {String} filePath - Path of the workbook
+ * @returns {Object} {rows, columns}: rows as {rowNumber, domain, name, schnittstelle, cells} with the Excel row
+ *                   number and the cell text per column index, columns as {col, domain, name} (B-elements only)
+ * @throws {Error} If the workbook has no matrix in the layout of output2Excel() or compares model versions
+ */
+function readMatrixWorkbook(filePath) {
+  const workbook = XLSX.read(readBinaryFile(filePath), { type: "array" });
+  const worksheet = workbook.Sheets.Matrix;
+  if (!worksheet) {
+    throw new Error(`Worksheet "Matrix" not found in ${filePath}`);
+  }
+  const comparisonSheet = COMPARISON_SHEETS.find((name) => workbook.Sheets[name]);
+  if (comparisonSheet) {
+    throw new Error(
+      `The workbook compares model versions (worksheet "${comparisonSheet}"), import a matrix of a single model`,
+    );
+  }
+
+  const data = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: "" });
+  const headerRow = Array.from(data[1] || [], cellText);
+  if (MATRIX_HEADER.some((header, col) => headerRow[col] !== header)) {
+    throw new Error(`Worksheet "Matrix" in ${filePath} does not have the layout of the exported matrix`);
+  }
+
+  const columns = findElementColumns(headerRow).map((col) => ({
+    col,
+    domain: stripCycleMarker(cellText(data[0][col])),
+    name: headerRow[col],
+  }));
+
+  const rows = [];
+  data.slice(2).forEach((row, index) => {
+    const values = headerRow.map((header, col) => cellText(row[col]));
+    if (values.every((value) => value === "") || isSeparatorRow(values)) {
+      return;
+    }
+    rows.push({
+      rowNumber: index + 3,
+      domain: stripCycleMarker(values[0]),
+      name: values[1],
+      schnittstelle: values[2],
+      cells: new Map(columns.map((column) => [column.col, values[column.col]])),
+    });
+  });
+
+  return { rows, columns };
+}
+
+/**
+ * Creates the lookup of the applications named in the workbook
+ * Candidates are the application components of the model and the elements connected by a Schnittstelle.
+ * @param {Object} model - Selected model
+ * @param {Array} connections - Connections from extractElements()
+ * @returns {Object} {resolve(name, domain) → {element} or {error}, describe(element) → name, with the Domäne if
+ *                   several candidates share the name}
+ */
+function createElementResolver(model, connections) {
+  const elementsByName = new Map(); // name -> elements
+  const addCandidate = (element) => {
+    const candidates = elementsByName.get(element.name) || [];
+    if (!candidates.includes(element)) {
+      candidates.push(element);
+    }
+    elementsByName.set(element.name, candidates);
+  };
+  $(model).find("application-component").each(addCandidate);
+  connections.forEach((connection) => {
+    addCandidate(connection.source);
+    addCandidate(connection.target);
+  });
+
+  const domains = new Map(); // ID -> Domäne
+  const domainOf = (element) => {
+    if (!domains.has(element.id)) {
+      domains.set(element.id, findDomain(element));
+    }
+    return domains.get(element.id);
+  };
+
+  const resolve = (name, domain) => {
+    const candidates = elementsByName.get(name) || [];
+    if (candidates.length === 0) {
+      return { error: `unknown application "${name}"` };
+    }
+    if (candidates.length === 1) {
+      return { element: candidates[0] };
+    }
+    const inDomain = candidates.filter((element) => domainOf(element) === domain);
+    if (inDomain.length !== 1) {
+      return { error: `${candidates.length} applications are named "${name}", the Domäne "${domain}" does not tell` };
+    }
+    return { element: inDomain[0] };
+  };
+
+  const describe = (element) =>
+    elementsByName.get(element.name).length > 1
+      ? `${element.name} (${domainOf(element) || "no Domäne"})`
+      : element.name;
+
+  return { resolve, describe };
+}
+
+/**
+ * Compares the matrix of a workbook with the connections of the model
+ * @param {Object} model - Selected model
+ * @param {Object} matrix - Matrix from readMatrixWorkbook()
+ * @returns {Object} {added, removed, unchanged, warnings, describe}: added as {provider, schnittstelle, consumer},
+ *                   removed additionally with the relationships carrying the Schnittstelle, unchanged is the number
+ *                   of connections marked in the workbook and present in the model, warnings lists skipped rows,
+ *                   columns and cells, describe() names an application for the console
+ */
+function computeImportDelta(model, matrix) {
+  const connections = extractElements(model);
+  const { resolve, describe } = createElementResolver(model, connections);
+  const warnings = [];
+
+  const modelConnections = new Map(); // connection key -> connections
+  connections.forEach((connection) => {
+    // Same key as the matrix rows, an empty Schnittstelle is shown as "N/A"
+    const key = connectionKey(connection.target.id, connection.schnittstelle || "N/A", connection.source.id);
+    if (!modelConnections.has(key)) {
+      modelConnections.set(key, []);
+    }
+    modelConnections.get(key).push(connection);
+  });
+
+  const columns = [];
+  matrix.columns.forEach((column) => {
+    const resolved = resolve(column.name, column.domain);
+    if (resolved.error) {
+      warnings.push(`Column ${XLSX.utils.encode_col(column.col)}: ${resolved.error}, column skipped`);
+    } else {
+      columns.push({ ...column, element: resolved.element });
+    }
+  });
+
+  const added = [];
+  const removed = [];
+  let unchanged = 0;
+  const visited = new Set(); // connection keys, a repeated row or column does not count twice
+  matrix.rows.forEach((row) => {
+    const resolved = resolve(row.name, row.domain);
+    if (resolved.error) {
+      warnings.push(`Row ${row.rowNumber}: ${resolved.error}, row skipped`);
+      return;
+    }
+    const provider = resolved.element;
+
+    columns.forEach((column) => {
+      const consumer = column.element;
+      const key = connectionKey(provider.id, row.schnittstelle, consumer.id);
+      const value = row.cells.get(column.col);
+      if (visited.has(key)) {
+        return;
+      }
+      visited.add(key);
+
+      const marked = value.toLowerCase() === "x";
+      if (value !== "" && !marked) {
+        const cell = XLSX.utils.encode_cell({ r: row.rowNumber - 1, c: column.col });
+        warnings.push(`Cell ${cell}: unexpected value "${value}", cell skipped`);
+        return;
+      }
+
+      const existing = modelConnections.get(key) || [];
+      const change = { provider, schnittstelle: row.schnittstelle, consumer };
+      if (marked && existing.length === 0) {
+        added.push(change);
+      } else if (marked) {
+        unchanged++;
+      } else if (existing.length > 0) {
+        // Connections through application interfaces are not changed, they have more to them than a relationship
+        existing
+          .filter((connection) => connection.interfaceElement)
+          .forEach((connection) => {
+            warnings.push(
+              `${describe(provider)} → ${describe(consumer)}: ${row.schnittstelle} is modelled with the application ` +
+                `interface "${connection.interfaceElement.name}", change it in Archi`,
+            );
+          });
+        const relationships = existing
+          .filter((connection) => !connection.interfaceElement)
+          .map((connection) => connection.relationship);
+        if (relationships.length > 0) {
+          removed.push({ ...change, relationships });
+        }
+      }
+    });
+  });
+
+  return { added, removed, unchanged, warnings, describe };
+}
+
+/**
+ * Prints the changes of an import
+ * @param {Object} delta - Delta from computeImportDelta()
+ */
+function printImportDelta(delta) {
+  const describeChange = (change) =>
+    `${delta.describe(change.provider)} → ${delta.describe(change.consumer)}: ${change.schnittstelle}`;
+
+  if (delta.added.length > 0 || delta.removed.length > 0) {
+    log.info("Changes (provider → consumer: Schnittstelle):");
+    delta.added.forEach((change) => log.info(`+ ${describeChange(change)}`));
+    delta.removed.forEach((change) => log.info(`- ${describeChange(change)}`));
+    log.info("");
+  }
+  delta.warnings.forEach((warning) => log.warn(warning, { code: "notImported" }));
+  if (delta.warnings.length > 0) {
+    log.info("");
+  }
+  log.info(
+    `Connections to add: ${delta.added.length}, to remove: ${delta.removed.length}, unchanged: ${delta.unchanged}\n`,
+  );
+}
+
+/**
+ * Applies the changes of an import to the model
+ * New connections become relationships of the first configured connection type with the Schnittstelle property.
+ * @param {Object} model - Selected model
+ * @param {Object} delta - Delta from computeImportDelta()
+ * @returns {Object} {created, deleted, valuesRemoved}: relationships created and deleted, Schnittstelle values
+ *                   removed from relationships that carry further values
+ */
+function applyImportDelta(model, delta) {
+  const config = getConfig();
+  const relationshipType = config.connectionRelationshipTypes[0];
+
+  delta.added.forEach((change) => {
+    const relationship = model.createRelationship(
+      relationshipType,
+      `${CONNECTION_PREFIX}${change.schnittstelle}`,
+      change.consumer,
+      change.provider,
+    );
+    relationship.prop(config.interfaceProperty, change.schnittstelle);
+  });
+
+  // Schnittstelle values to remove per relationship, as shown in the matrix ("N/A" for an empty value)
+  const removals = new Map(); // relationship ID -> {relationship, values}
+  delta.removed.forEach((change) => {
+    change.relationships.forEach((relationship) => {
+      if (!removals.has(relationship.id)) {
+        removals.set(relationship.id, { relationship, values: new Set() });
+      }
+      removals.get(relationship.id).values.add(change.schnittstelle);
+    });
+  });
+
+  let deleted = 0;
+  let valuesRemoved = 0;
+  removals.forEach(({ relationship, values }) => {
+    const propertyValues = relationship.prop(config.interfaceProperty, true);
+    const removedValues = propertyValues.filter((value) => values.has(value || "N/A"));
+    if (removedValues.length === propertyValues.length) {
+      relationship.delete();
+      deleted++;
+    } else {
+      removedValues.forEach((value) => relationship.removeProp(config.interfaceProperty, value));
+      valuesRemoved += removedValues.length;
+    }
+  });
+
+  return { created: delta.added.length, deleted, valuesRemoved };
+}
+
+/**
+ * Imports the edited matrix into the selected model
+ * @returns {number} Exit status: EXIT_OK (also if the model was not changed), EXIT_ERROR on errors
+ */
+function importMatrix() {
+  showConsole();
+  log.info("=== Comatrix Import - Apply Matrix Edits to the Model ===\n");
+
+  if (!model) {
+    log.error("No model is selected. Please open or create a model first.");
+    return EXIT_ERROR;
+  }
+
+  log.info(`Selected model: ${model.name}`);
+  log.info(`Model path: ${model.path || "(not saved)"}\n`);
+
+  // Load metamodel configuration (--config parameter or defaults)
+  try {
+    getConfig();
+    if (getParameter("config")) {
+      log.info(`Configuration loaded from: ${getParameter("config")}\n`);
+    }
+  } catch (error) {
+    log.error(error.message);
+    return EXIT_ERROR;
+  }
+
+  // Define input path, by default the matrix exported next to the model
+  const normalizedPath = model.path ? model.path.replace(/\\/g, "/") : null;
+  const inputDir = normalizedPath ? path.dirname(normalizedPath) : __DIR__;
+  const inputPath = getParameter("input") || path.join(inputDir, "comatrix.xlsm");
+  const dryRun = hasParameter("dryRun");
+
+  log.info(`Input file: ${inputPath}`);
+  if (dryRun) {
+    log.info("Running in DRY RUN mode, the model is not changed.");
+  }
+  log.info("");
+
+  try {
+    log.info("Step 1: Reading the matrix...");
+    const matrix = readMatrixWorkbook(inputPath);
+    log.info(`Found ${matrix.rows.length} Schnittstelle rows and ${matrix.columns.length} consumer columns\n`);
+
+    log.info("Step 2: Comparing with the model...");
+    const delta = computeImportDelta(model, matrix);
+    printImportDelta(delta);
+    setSummary({
+      counts: { added: delta.added.length, removed: delta.removed.length, unchanged: delta.unchanged },
+    });
+
+    const changeCount = delta.added.length + delta.removed.length;
+    if (changeCount === 0) {
+      log.info("✓ The model already matches the matrix.");
+      return EXIT_OK;
+    }
+    if (dryRun) {
+      log.info("ℹ Dry run, the model was not changed.");
+      return EXIT_OK;
+    }
+    // Archi asks before changing the model, except in batch mode; the offline runtime has no dialogs
+    const interactive = typeof window !== "undefined" && !isBatchMode();
+    if (interactive && !window.confirm(`Apply ${changeCount} changes to "${model.name}"?`)) {
+      log.info("ℹ Import cancelled, the model was not changed.");
+      return EXIT_OK;
+    }
+
+    log.info("Step 3: Changing the model...");
+    const result = applyImportDelta(model, delta);
+    log.info(`✓ Created ${result.created} relationships`);
+    log.info(`✓ Deleted ${result.deleted} relationships`);
+    log.info(`✓ Removed ${result.valuesRemoved} Schnittstelle values from relationships with further values`);
+    setSummary({ counts: result });
+
+    log.info("\n=== Import Complete ===");
+    log.info("Edit › Undo reverts the import.");
+    return EXIT_OK;
+  } catch (error) {
+    log.exception("Failed to import the matrix", error);
+    return EXIT_ERROR;
+  }
+}
+
+/**
+ * Main function to import an edited matrix
+ * Writes the run summary (see logger.js) after the import.
+ * @returns {number} Exit status: EXIT_OK (also if the model was not changed), EXIT_ERROR on errors
+ */
+function runComatrixImport() {
+  return runWithSummary("comatriximport", importMatrix);
+}
+
+module.exports = {
+  readMatrixWorkbook,
+  computeImportDelta,
+  printImportDelta,
+  applyImportDelta,
+  runComatrixImport,
+};
+
+// Execute the main function when the script is run (bundled entry point), not when required
+if (require.main === module) {
+  exitOnFailure(runComatrixImport());
+}
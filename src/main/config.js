@@ -0,0 +1,313 @@
+/**
+ * config.js
+ * Metamodel configuration: specializations, property names and relationship types
+ *
+ * The configuration is loaded from the JSON file passed with --config. Keys missing in the
+ * file keep their defaults, which describe the conventions documented in doc/metamodel.md.
+ * Example: jArchi.script("comatrix.ajs", "--config", "/path/to/comatrix.json")
+ */
+
+const { getParameter } = require("./params");
+const { readTextFile } = require("./files");
+const { DEFAULT_COLUMNS, parseColumn } = require("./applistColumns");
+
+// Relationship types known to jArchi
+const RELATIONSHIP_TYPES = [
+  "access-relationship",
+  "aggregation-relationship",
+  "assignment-relationship",
+  "association-relationship",
+  "composition-relationship",
+  "flow-relationship",
+  "influence-relationship",
+  "realization-relationship",
+  "serving-relationship",
+  "specialization-relationship",
+  "triggering-relationship",
+];
+
+// Ways of modelling connections between applications
+// property:  connection relationships carrying the interface name in a property (legacy convention)
+// interface: application interfaces composed into the provider, serving/flow relationships to the consumers
+const CONNECTION_MODES = ["property", "interface"];
+
+// Connection categories ordered from the closest to the most distant connection, see classification.js
+const CLASSIFICATION_CATEGORIES = ["sameDomain", "sameFachbereich", "crossFachbereich", "outsideModel"];
+
+// Default configuration (the vocabulary the scripts were built for)
+const DEFAULT_CONFIG = {
+  groupingSpecializations: {
+    domain: "Domäne",
+    fachbereich: "Fachbereich",
+  },
+  hierarchyRelationshipTypes: ["aggregation-relationship", "composition-relationship"],
+  interfaceProperty: "Schnittstelle",
+  connectionRelationshipTypes: ["triggering-relationship"],
+  connectionModes: ["property"],
+  interfaceOwnerRelationshipTypes: ["composition-relationship"],
+  interfaceConnectionRelationshipTypes: ["serving-relationship", "flow-relationship"],
+  applicationSpecializations: [
+    "Geschäftsanwendung",
+    "Register",
+    "Querschnittsanwendung",
+    "QA",
+    "QK",
+    "GA",
+    "GK",
+    "GK-GUI",
+  ],
+  // Label and optional fill color (RGB hex) per connection category, see classification.js
+  classificationRules: {
+    sameDomain: { label: "intern" },
+    sameFachbereich: { label: "domänenübergreifend" },
+    crossFachbereich: { label: "fachbereichsübergreifend" },
+    outsideModel: { label: "extern" },
+  },
+  externalSpecializations: ["Externer Partner"],
+  // Columns of the application list, see applistColumns.js
+  applistColumns: DEFAULT_COLUMNS,
+};
+
+let activeConfig = null;
+
+/**
+ * Checks if a value is a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-empty strings
+ */
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+/**
+ * Validates a list of strings, optionally restricted to allowed values
+ * @param {*} value - Value to check
+ * @param {String} key - Configuration key (for error messages)
+ * @param {Array} errors - Error list to append to
+ * @param {Array} allowedValues - Optional list of allowed values
+ * @param {String} valueLabel - Description of the allowed values (for error messages)
+ */
+function validateStringList(value, key, errors, allowedValues, valueLabel = "relationship type") {
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push(`${key}: must be a non-empty array of strings`);
+    return;
+  }
+
+  value.forEach((entry, index) => {
+    if (!isNonEmptyString(entry)) {
+      errors.push(`${key}[${index}]: must be a non-empty string`);
+    } else if (allowedValues && !allowedValues.includes(entry)) {
+      errors.push(`${key}[${index}]: unknown ${valueLabel} "${entry}"`);
+    }
+  });
+}
+
+/**
+ * Validates the classification rules (one {label, color} object per connection category)
+ * @param {*} value - Value to check
+ * @param {Array} errors - Error list to append to
+ */
+function validateClassificationRules(value, errors) {
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    errors.push(`classificationRules: must be an object with keys ${CLASSIFICATION_CATEGORIES.join(", ")}`);
+    return;
+  }
+
+  Object.keys(value).forEach((category) => {
+    const rule = value[category];
+    const key = `classificationRules.${category}`;
+    if (!CLASSIFICATION_CATEGORIES.includes(category)) {
+      errors.push(`${key}: unknown connection category`);
+    } else if (rule === null || typeof rule !== "object" || Array.isArray(rule)) {
+      errors.push(`${key}: must be an object with keys label and color`);
+    } else {
+      Object.keys(rule).forEach((ruleKey) => {
+        if (ruleKey !== "label" && ruleKey !== "color") {
+          errors.push(`${key}.${ruleKey}: unknown configuration key`);
+        }
+      });
+      if (!isNonEmptyString(rule.label)) {
+        errors.push(`${key}.label: must be a non-empty string`);
+      }
+      if ("color" in rule && !/^[0-9A-Fa-f]{6}$/.test(rule.color)) {
+        errors.push(`${key}.color: must be an RGB hex color like "C6EFCE"`);
+      }
+    }
+  });
+}
+
+/**
+ * Validates a configuration object read from a config file
+ * @param {Object} rawConfig - Parsed configuration (may contain a subset of the keys)
+ * @returns {Array<String>} List of error messages, empty if the configuration is valid
+ */
+function validateConfig(rawConfig) {
+  const errors = [];
+
+  if (rawConfig === null || typeof rawConfig !== "object" || Array.isArray(rawConfig)) {
+    errors.push("(root): must be a JSON object");
+    return errors;
+  }
+
+  Object.keys(rawConfig).forEach((key) => {
+    if (!(key in DEFAULT_CONFIG)) {
+      errors.push(`${key}: unknown configuration key`);
+    }
+  });
+
+  if ("groupingSpecializations" in rawConfig) {
+    const value = rawConfig.groupingSpecializations;
+    if (value === null || typeof value !== "object" || Array.isArray(value)) {
+      errors.push("groupingSpecializations: must be an object with keys domain and fachbereich");
+    } else {
+      Object.keys(value).forEach((key) => {
+        if (!(key in DEFAULT_CONFIG.groupingSpecializations)) {
+          errors.push(`groupingSpecializations.${key}: unknown configuration key`);
+        } else if (!isNonEmptyString(value[key])) {
+          errors.push(`groupingSpecializations.${key}: must be a non-empty string`);
+        }
+      });
+    }
+  }
+
+  if ("hierarchyRelationshipTypes" in rawConfig) {
+    validateStringList(rawConfig.hierarchyRelationshipTypes, "hierarchyRelationshipTypes", errors, RELATIONSHIP_TYPES);
+  }
+
+  if ("interfaceProperty" in rawConfig && !isNonEmptyString(rawConfig.interfaceProperty)) {
+    errors.push("interfaceProperty: must be a non-empty string");
+  }
+
+  if ("connectionRelationshipTypes" in rawConfig) {
+    validateStringList(
+      rawConfig.connectionRelationshipTypes,
+      "connectionRelationshipTypes",
+      errors,
+      RELATIONSHIP_TYPES,
+    );
+  }
+
+  if ("connectionModes" in rawConfig) {
+    validateStringList(rawConfig.connectionModes, "connectionModes", errors, CONNECTION_MODES, "connection mode");
+  }
+
+  ["interfaceOwnerRelationshipTypes", "interfaceConnectionRelationshipTypes"].forEach((key) => {
+    if (key in rawConfig) {
+      validateStringList(rawConfig[key], key, errors, RELATIONSHIP_TYPES);
+    }
+  });
+
+  if ("applicationSpecializations" in rawConfig) {
+    validateStringList(rawConfig.applicationSpecializations, "applicationSpecializations", errors);
+  }
+
+  if ("classificationRules" in rawConfig) {
+    validateClassificationRules(rawConfig.classificationRules, errors);
+  }
+
+  // An empty list is allowed: only applications without Domäne are external then
+  if ("externalSpecializations" in rawConfig) {
+    const value = rawConfig.externalSpecializations;
+    if (!Array.isArray(value)) {
+      errors.push("externalSpecializations: must be an array of strings");
+    } else {
+      value.forEach((entry, index) => {
+        if (!isNonEmptyString(entry)) {
+          errors.push(`externalSpecializations[${index}]: must be a non-empty string`);
+        }
+      });
+    }
+  }
+
+  if ("applistColumns" in rawConfig) {
+    const value = rawConfig.applistColumns;
+    if (!Array.isArray(value) || value.length === 0) {
+      errors.push("applistColumns: must be a non-empty array of columns");
+    } else {
+      value.forEach((definition, index) => {
+        try {
+          parseColumn(definition);
+        } catch (error) {
+          errors.push(`applistColumns[${index}]: ${error.message}`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Combines a validated configuration with the defaults
+ * @param {Object} rawConfig - Validated configuration (subset of keys)
+ * @returns {Object} Complete configuration
+ */
+function applyDefaults(rawConfig) {
+  return {
+    ...DEFAULT_CONFIG,
+    ...rawConfig,
+    groupingSpecializations: {
+      ...DEFAULT_CONFIG.groupingSpecializations,
+      ...(rawConfig.groupingSpecializations || {}),
+    },
+    classificationRules: {
+      ...DEFAULT_CONFIG.classificationRules,
+      ...(rawConfig.classificationRules || {}),
+    },
+  };
+}
+
+/**
+ * Loads and validates a configuration file
+ * @param {String} configPath - Path to the JSON configuration file
+ * @returns {Object} Complete configuration (defaults for missing keys)
+ * @throws {Error} If the file cannot be read, is no valid JSON or contains invalid keys
+ */
+function loadConfig(configPath) {
+  let rawConfig;
+
+  try {
+    rawConfig = JSON.parse(readTextFile(configPath));
+  } catch (error) {
+    throw new Error(`Cannot read configuration file "${configPath}": ${error.message}`);
+  }
+
+  const errors = validateConfig(rawConfig);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration in "${configPath}":\n  - ${errors.join("\n  - ")}`);
+  }
+
+  return applyDefaults(rawConfig);
+}
+
+/**
+ * Gets the active configuration
+ * Loaded once from the --config parameter, or the defaults if no parameter is given
+ * @returns {Object} Complete configuration
+ * @throws {Error} If the configuration file is invalid
+ */
+function getConfig() {
+  if (!activeConfig) {
+    const configPath = getParameter("config");
+    activeConfig = configPath ? loadConfig(configPath) : applyDefaults({});
+  }
+  return activeConfig;
+}
+
+/**
+ * Forgets the active configuration, the next getConfig() call reads --config again
+ */
+function resetConfig() {
+  activeConfig = null;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  RELATIONSHIP_TYPES,
+  CONNECTION_MODES,
+  CLASSIFICATION_CATEGORIES,
+  validateConfig,
+  loadConfig,
+  getConfig,
+  resetConfig,
+};
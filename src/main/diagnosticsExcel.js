@@ -0,0 +1,69 @@
+/**
+ * diagnosticsExcel.js
+ * "Diagnose" worksheet listing the grouping cycles detected while building the matrix or the application list
+ */
+
+const XLSX = require("xlsx-js-style");
+const { formatCyclePath } = require("./model");
+const { COLOR_HEADER_GRAY, cellStyle } = require("./excelStyles");
+
+/**
+ * Collects the distinct grouping cycles of report elements
+ * @param {Array<Object>} elements - Elements as {name, cycles} (cycles from findGroupingCycles())
+ * @returns {Array<Object>} {cycle, elements} per cycle, elements holds the names of the affected elements;
+ *                          sorted by the cycle path
+ */
+function collectCycles(elements) {
+  const cycles = new Map(); // sorted IDs of the cycle -> {cycle, elements}
+  elements.forEach((element) => {
+    (element.cycles || []).forEach((cycle) => {
+      const key = cycle
+        .slice(1)
+        .map((member) => member.id)
+        .sort()
+        .join("|");
+      if (!cycles.has(key)) {
+        cycles.set(key, { cycle, elements: [] });
+      }
+      if (!cycles.get(key).elements.includes(element.name)) {
+        cycles.get(key).elements.push(element.name);
+      }
+    });
+  });
+
+  return Array.from(cycles.values()).sort((a, b) => formatCyclePath(a.cycle).localeCompare(formatCyclePath(b.cycle)));
+}
+
+/**
+ * Adds the "Diagnose" worksheet with one row per grouping cycle
+ * @param {Object} workbook - XLSX workbook
+ * @param {Array<Object>} cycles - Cycles from collectCycles()
+ */
+function addDiagnosticsSheet(workbook, cycles) {
+  const headerRow = ["Befund", "Pfad", "IDs", "Betroffene Elemente"];
+  const dataRows = cycles.map((entry) => [
+    "Zyklus in der Gruppierung",
+    formatCyclePath(entry.cycle),
+    entry.cycle.map((member) => member.id).join(" → "),
+    entry.elements.sort((a, b) => a.localeCompare(b)).join("\n"),
+  ]);
+
+  const data = [headerRow, ...dataRows];
+  const worksheet = XLSX.utils.aoa_to_sheet(data);
+  worksheet["!cols"] = [{ wch: 26 }, { wch: 50 }, { wch: 50 }, { wch: 40 }];
+
+  const headerStyle = cellStyle(COLOR_HEADER_GRAY, { bold: true, alignment: { horizontal: "center" } });
+  const dataStyle = cellStyle(null, { alignment: { vertical: "top", wrapText: true } });
+  data.forEach((row, rowIndex) => {
+    row.forEach((value, col) => {
+      worksheet[XLSX.utils.encode_cell({ r: rowIndex, c: col })].s = rowIndex === 0 ? headerStyle : dataStyle;
+    });
+  });
+
+  XLSX.utils.book_append_sheet(workbook, worksheet, "Diagnose");
+}
+
+module.exports = {
+  collectCycles,
+  addDiagnosticsSheet,
+};
@@ -0,0 +1,250 @@
+/**
+ * domainMatrixExcel.js
+ * "Domänen" worksheet condensing the matrix to Domäne × Domäne, shaded as a heatmap
+ */
+
+const XLSX = require("xlsx-js-style");
+const { COLOR_ADDED, COLOR_REMOVED, COLOR_HEADER_GRAY, cellStyle } = require("./excelStyles");
+const { splitNames } = require("./model");
+
+// Label of the applications without Domäne (as in the application list)
+const NO_DOMAIN = "(keine Domäne)";
+
+// Fill of the cell with the most connections, the other cells are shaded from white towards it
+const COLOR_HEATMAP_MAX = "F8696B";
+
+/**
+ * Creates an empty aggregate of the connections between two Domänen
+ * @returns {Object} {schnittstellen, connections, added, removed}: Schnittstellen as set of row keys
+ */
+function createCell() {
+  return { schnittstellen: new Set(), connections: 0, added: 0, removed: 0 };
+}
+
+/**
+ * Gets the aggregate of a key, creating it on first use
+ * @param {Map} cells - Aggregates by key
+ * @param {String} key - Key
+ * @returns {Object} Aggregate from createCell()
+ */
+function getCell(cells, key) {
+  if (!cells.has(key)) {
+    cells.set(key, createCell());
+  }
+  return cells.get(key);
+}
+
+/**
+ * Gets the Domänen of a matrix element, an application in several Domänen counts for each of them
+ * @param {Object} data - Element data of the matrix
+ * @returns {Array<String>} Domänen, NO_DOMAIN for applications without Domäne
+ */
+function getDomains(data) {
+  const domains = splitNames(data.domain);
+  return domains.length > 0 ? domains : [NO_DOMAIN];
+}
+
+/**
+ * Checks whether a matrix contains a connection
+ * @param {Object} comatrix - Matrix data structure from buildComatrix()
+ * @param {String} aId - ID of the A-element
+ * @param {String} schnittstelle - Schnittstelle name
+ * @param {String} bId - ID of the B-element
+ * @returns {Boolean} True if the A-element offers the Schnittstelle to the B-element
+ */
+function hasConnection(comatrix, aId, schnittstelle, bId) {
+  const aData = comatrix.aElements.get(aId);
+  return Boolean(
+    aData && aData.schnittstellenMap.has(schnittstelle) && aData.schnittstellenMap.get(schnittstelle).has(bId),
+  );
+}
+
+/**
+ * Sorts Domänen by name, applications without Domäne last
+ * @param {Iterable<String>} domains - Domänen
+ * @returns {Array<String>} Sorted Domänen
+ */
+function sortDomains(domains) {
+  return Array.from(domains).sort((domain1, domain2) => {
+    if (domain1 === NO_DOMAIN && domain2 !== NO_DOMAIN) return 1;
+    if (domain1 !== NO_DOMAIN && domain2 === NO_DOMAIN) return -1;
+    return domain1.localeCompare(domain2);
+  });
+}
+
+/**
+ * Aggregates the connections of a matrix by the Domäne of provider and consumer
+ * Counts are taken from the current model, in compare mode the connections added since and removed from the baseline
+ * are counted separately. A connection of an application in several Domänen counts for each of them, the totals
+ * count it once.
+ * @param {Object} comatrix - Matrix data structure from buildComatrix() or merge()
+ * @param {Object|null} comatrixBase - Baseline matrix in compare mode
+ * @param {Object|null} comatrixCurrent - Current matrix in compare mode
+ * @returns {Object} {providerDomains, consumerDomains, cells, rowTotals, columnTotals, total}: sorted Domänen and
+ *                   the aggregates per "provider|consumer" Domäne, per provider, per consumer and overall
+ */
+function buildDomainMatrix(comatrix, comatrixBase = null, comatrixCurrent = null) {
+  const compare = Boolean(comatrixBase && comatrixCurrent);
+  const cells = new Map();
+  const rowTotals = new Map();
+  const columnTotals = new Map();
+  const total = createCell();
+  const providerDomains = new Set();
+  const consumerDomains = new Set();
+
+  comatrix.aElements.forEach((aData, aId) => {
+    const aDomains = getDomains(aData);
+    aData.schnittstellenMap.forEach((bSet, schnittstelle) => {
+      bSet.forEach((bId) => {
+        const bDomains = getDomains(comatrix.bElementsMap.get(bId));
+        aDomains.forEach((aDomain) => providerDomains.add(aDomain));
+        bDomains.forEach((bDomain) => consumerDomains.add(bDomain));
+
+        const aggregates = [
+          ...aDomains.flatMap((aDomain) => bDomains.map((bDomain) => getCell(cells, `${aDomain}|${bDomain}`))),
+          ...aDomains.map((aDomain) => getCell(rowTotals, aDomain)),
+          ...bDomains.map((bDomain) => getCell(columnTotals, bDomain)),
+          total,
+        ];
+        const inBaseline = compare && hasConnection(comatrixBase, aId, schnittstelle, bId);
+        const inCurrent = !compare || hasConnection(comatrixCurrent, aId, schnittstelle, bId);
+        aggregates.forEach((cell) => {
+          if (inCurrent) {
+            cell.schnittstellen.add(`${aId}|${schnittstelle}`);
+            cell.connections++;
+          }
+          if (compare && inCurrent && !inBaseline) cell.added++;
+          if (compare && inBaseline && !inCurrent) cell.removed++;
+        });
+      });
+    });
+  });
+
+  return {
+    providerDomains: sortDomains(providerDomains),
+    consumerDomains: sortDomains(consumerDomains),
+    cells,
+    rowTotals,
+    columnTotals,
+    total,
+  };
+}
+
+/**
+ * Formats an aggregate for a cell
+ * @param {Object|undefined} cell - Aggregate from buildDomainMatrix()
+ * @param {Boolean} compare - Whether the added and removed connections are shown
+ * @returns {String} e.g. "2 / 5" or "2 / 5 (+1 −2)", empty if the Domänen were never connected
+ */
+function formatCell(cell, compare) {
+  if (!cell || (cell.connections === 0 && cell.removed === 0)) {
+    return "";
+  }
+  const counts = `${cell.schnittstellen.size} / ${cell.connections}`;
+  const changes = [];
+  if (compare && cell.added > 0) changes.push(`+${cell.added}`);
+  if (compare && cell.removed > 0) changes.push(`−${cell.removed}`);
+  return changes.length > 0 ? `${counts} (${changes.join(" ")})` : counts;
+}
+
+/**
+ * Shades a cell between white and the heatmap color by its number of connections
+ * @param {Number} connections - Connections of the cell
+ * @param {Number} maxConnections - Connections of the busiest cell
+ * @returns {String|null} Fill color (RGB hex), null for cells without connections
+ */
+function getHeatmapColor(connections, maxConnections) {
+  if (connections === 0 || maxConnections === 0) {
+    return null;
+  }
+  const ratio = connections / maxConnections;
+  return [0, 2, 4]
+    .map((offset) => {
+      const max = parseInt(COLOR_HEATMAP_MAX.substring(offset, offset + 2), 16);
+      const channel = Math.round(255 - (255 - max) * ratio);
+      return channel.toString(16).padStart(2, "0");
+    })
+    .join("")
+    .toUpperCase();
+}
+
+/**
+ * Adds the "Domänen" worksheet: providing Domänen in the rows, consuming Domänen in the columns
+ * Each cell holds "Schnittstellen / Verbindungen", in compare mode followed by the added and removed connections.
+ * @param {Object} workbook - XLSX workbook
+ * @param {Object} domainMatrix - Aggregates from buildDomainMatrix()
+ * @param {Boolean} compare - Whether the added and removed connections are shown
+ */
+function addDomainMatrixSheet(workbook, domainMatrix, compare) {
+  const { providerDomains, consumerDomains, cells, rowTotals, columnTotals, total } = domainMatrix;
+  const legend = compare ? "Schnittstellen / Verbindungen (+hinzugefügt −gelöscht)" : "Schnittstellen / Verbindungen";
+
+  const data = [
+    [legend, "Nutzende Domäne"],
+    ["Anbietende Domäne", ...consumerDomains, "Gesamt"],
+    ...providerDomains.map((aDomain) => [
+      aDomain,
+      ...consumerDomains.map((bDomain) => formatCell(cells.get(`${aDomain}|${bDomain}`), compare)),
+      formatCell(rowTotals.get(aDomain), compare),
+    ]),
+    [
+      "Gesamt",
+      ...consumerDomains.map((bDomain) => formatCell(columnTotals.get(bDomain), compare)),
+      formatCell(total, compare),
+    ],
+  ];
+
+  const worksheet = XLSX.utils.aoa_to_sheet(data);
+  const lastColumn = consumerDomains.length + 1;
+  const lastRow = data.length - 1;
+  worksheet["!cols"] = [
+    { wch: Math.max(30, ...providerDomains.map((domain) => domain.length + 2)) },
+    ...consumerDomains.map((domain) => ({ wch: Math.max(compare ? 16 : 10, domain.length + 2) })),
+    { wch: compare ? 16 : 10 },
+  ];
+  worksheet["!merges"] = [{ s: { r: 0, c: 1 }, e: { r: 0, c: lastColumn } }];
+
+  let maxConnections = 0;
+  cells.forEach((cell) => {
+    maxConnections = Math.max(maxConnections, cell.connections);
+  });
+
+  const headerStyle = cellStyle(COLOR_HEADER_GRAY, { bold: true, alignment: { horizontal: "center" } });
+  const countAlignment = { horizontal: "center" };
+  for (let row = 0; row <= lastRow; row++) {
+    for (let col = 0; col <= lastColumn; col++) {
+      const cellRef = XLSX.utils.encode_cell({ r: row, c: col });
+      if (!worksheet[cellRef]) {
+        worksheet[cellRef] = { v: "", t: "s" };
+      }
+
+      if (row < 2 || col === 0) {
+        worksheet[cellRef].s = headerStyle;
+      } else if (row === lastRow || col === lastColumn) {
+        worksheet[cellRef].s = cellStyle(null, { bold: true, alignment: countAlignment });
+      } else {
+        const aDomain = providerDomains[row - 2];
+        const bDomain = consumerDomains[col - 1];
+        const cell = cells.get(`${aDomain}|${bDomain}`);
+        let color = getHeatmapColor(cell ? cell.connections : 0, maxConnections);
+        // Domänen connected only since the baseline are green, Domänen no longer connected red
+        if (cell && cell.connections > 0 && cell.added === cell.connections) {
+          color = COLOR_ADDED;
+        } else if (cell && cell.connections === 0 && cell.removed > 0) {
+          color = COLOR_REMOVED;
+        }
+        // Connections within a Domäne are bold, as the intern rows of the matrix
+        worksheet[cellRef].s = cellStyle(color, { bold: aDomain === bDomain, alignment: countAlignment });
+      }
+    }
+  }
+  worksheet.A1.s = cellStyle(COLOR_HEADER_GRAY, { alignment: { horizontal: "left", wrapText: true } });
+
+  XLSX.utils.book_append_sheet(workbook, worksheet, "Domänen");
+}
+
+module.exports = {
+  buildDomainMatrix,
+  getHeatmapColor,
+  addDomainMatrixSheet,
+};
@@ -0,0 +1,89 @@
+/**
+ * excelStyles.js
+ * Colors and cell style helpers shared by the comatrix worksheets
+ */
+
+// Color constants for Excel styling
+const COLOR_ADDED = "9BBB59"; // Green (RGB 155/187/89) - New elements
+const COLOR_CHANGED = "FFC000"; // Orange (RGB 255/192/0) - Changed elements
+const COLOR_CHANGED_ALT = "FFFF00"; // Yellow (RGB 255/255/0) - Alternative changed color
+const COLOR_REMOVED = "C0504D"; // Red (RGB 192/80/77) - Removed elements
+const COLOR_MOVED = "B1A0C7"; // Purple (RGB 177/160/199) - Reassigned elements (domain, Fachbereich, specialization)
+const COLOR_HEADER_GRAY = "D9D9D9"; // Light gray (RGB 217/217/217) - Headers
+const COLOR_COLUMN_BLUE = "B8CCE4"; // Light blue (RGB 184/204/228) - B-element columns
+const COLOR_TEXT_BLACK = "000000"; // Black - Default text
+const COLOR_TEXT_WHITE = "FFFFFF"; // White - Text on red background
+
+// Thin black border on all sides
+const borderStyle = {
+  top: { style: "thin", color: { rgb: COLOR_TEXT_BLACK } },
+  bottom: { style: "thin", color: { rgb: COLOR_TEXT_BLACK } },
+  left: { style: "thin", color: { rgb: COLOR_TEXT_BLACK } },
+  right: { style: "thin", color: { rgb: COLOR_TEXT_BLACK } },
+};
+
+/**
+ * Gets the text color for a background color
+ * @param {String} bgColor - Background color (RGB hex), null for no fill
+ * @returns {Object} Color object
+ */
+function getTextColor(bgColor) {
+  // White on red (removed elements), black on all other fills
+  return { rgb: bgColor === COLOR_REMOVED ? COLOR_TEXT_WHITE : COLOR_TEXT_BLACK };
+}
+
+/**
+ * Gets the font style (Calibri 11) for a background color
+ * @param {String} bgColor - Background color (RGB hex), null for no fill
+ * @param {Boolean} bold - Whether text should be bold
+ * @returns {Object} Font style object
+ */
+function getFontStyle(bgColor, bold = false) {
+  const fontStyle = {
+    name: "Calibri",
+    sz: 11,
+    color: getTextColor(bgColor),
+  };
+
+  if (bold) {
+    fontStyle.bold = true;
+  }
+
+  return fontStyle;
+}
+
+/**
+ * Builds a bordered cell style with optional fill
+ * @param {String} bgColor - Background color (RGB hex), null for no fill
+ * @param {Object} options - {bold, alignment}
+ * @returns {Object} Cell style object
+ */
+function cellStyle(bgColor, options = {}) {
+  const style = {
+    font: getFontStyle(bgColor, options.bold),
+    border: borderStyle,
+  };
+  if (options.alignment) {
+    style.alignment = options.alignment;
+  }
+  if (bgColor) {
+    style.fill = { fgColor: { rgb: bgColor } };
+  }
+  return style;
+}
+
+module.exports = {
+  COLOR_ADDED,
+  COLOR_CHANGED,
+  COLOR_CHANGED_ALT,
+  COLOR_REMOVED,
+  COLOR_MOVED,
+  COLOR_HEADER_GRAY,
+  COLOR_COLUMN_BLUE,
+  COLOR_TEXT_BLACK,
+  COLOR_TEXT_WHITE,
+  borderStyle,
+  getTextColor,
+  getFontStyle,
+  cellStyle,
+};
@@ -0,0 +1,152 @@
+/**
+ * files.js
+ * File access helpers based on the Java APIs available in Archi/GraalVM
+ */
+
+/**
+ * Reads a text file
+ * @param {String} filePath - Path of the file to read
+ * @returns {String} File content (UTF-8)
+ */
+function readTextFile(filePath) {
+  const Files = Java.type("java.nio.file.Files");
+  const Paths = Java.type("java.nio.file.Paths");
+  return String(Files.readString(Paths.get(filePath)));
+}
+
+/**
+ * Reads a binary file
+ * @param {String} filePath - Path of the file to read
+ * @returns {Uint8Array} File content
+ */
+function readBinaryFile(filePath) {
+  const Files = Java.type("java.nio.file.Files");
+  const Paths = Java.type("java.nio.file.Paths");
+  const bytes = Files.readAllBytes(Paths.get(filePath));
+  // Java bytes are signed
+  const data = new Uint8Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) {
+    data[i] = bytes[i] & 0xff;
+  }
+  return data;
+}
+
+/**
+ * Writes a text file, replacing existing content
+ * @param {String} filePath - Path of the file to write
+ * @param {String} content - File content (written as UTF-8)
+ */
+function writeTextFile(filePath, content) {
+  const Files = Java.type("java.nio.file.Files");
+  const Paths = Java.type("java.nio.file.Paths");
+  Files.writeString(Paths.get(filePath), content);
+}
+
+/**
+ * Appends text to a file, creating it if necessary
+ * @param {String} filePath - Path of the file to write
+ * @param {String} content - Text to append
+ */
+function appendTextFile(filePath, content) {
+  const FileWriter = Java.type("java.io.FileWriter");
+  const writer = new FileWriter(filePath, true);
+  try {
+    writer.write(content);
+  } finally {
+    writer.close();
+  }
+}
+
+/**
+ * Joins a directory path and a file name with the separator of the platform
+ * @param {String} dirPath - Directory path
+ * @param {String} name - File or directory name
+ * @returns {String} Joined path
+ */
+function joinPath(dirPath, name) {
+  const File = Java.type("java.io.File");
+  return String(new File(dirPath, name).getPath());
+}
+
+/**
+ * Checks if a path is an existing directory
+ * @param {String} filePath - Path to check
+ * @returns {boolean} True for directories
+ */
+function isDirectory(filePath) {
+  const File = Java.type("java.io.File");
+  return Boolean(new File(filePath).isDirectory());
+}
+
+/**
+ * Lists the names of the files and directories in a directory
+ * @param {String} dirPath - Directory path
+ * @returns {Array<String>} Sorted names (empty if the directory does not exist)
+ */
+function listDirectory(dirPath) {
+  const File = Java.type("java.io.File");
+  const names = new File(dirPath).list();
+  return names ? Array.from(names, String).sort() : [];
+}
+
+/**
+ * Creates a new directory in the temporary directory of the system
+ * @param {String} prefix - Prefix of the directory name
+ * @returns {String} Path of the created directory
+ */
+function createTempDirectory(prefix) {
+  const Files = Java.type("java.nio.file.Files");
+  return String(Files.createTempDirectory(prefix));
+}
+
+/**
+ * Deletes a file or a directory with all its content
+ * @param {String} filePath - Path to delete
+ */
+function deleteRecursively(filePath) {
+  const File = Java.type("java.io.File");
+  if (isDirectory(filePath)) {
+    listDirectory(filePath).forEach((name) => deleteRecursively(joinPath(filePath, name)));
+  }
+  new File(filePath).delete();
+}
+
+/**
+ * Runs an external program and waits for it to finish
+ * @param {Array<String>} command - Program and arguments
+ * @param {Object} options - {cwd: working directory, env: additional environment variables}
+ * @returns {Object} {exitCode, output} with stdout and stderr combined
+ */
+function runProcess(command, options = {}) {
+  const ProcessBuilder = Java.type("java.lang.ProcessBuilder");
+  const File = Java.type("java.io.File");
+  const JavaString = Java.type("java.lang.String");
+
+  const builder = new ProcessBuilder(Java.to(command, "java.lang.String[]"));
+  if (options.cwd) {
+    builder.directory(new File(options.cwd));
+  }
+  const environment = builder.environment();
+  Object.entries(options.env || {}).forEach(([key, value]) => environment.put(key, value));
+  builder.redirectErrorStream(true);
+
+  const javaProcess = builder.start();
+  javaProcess.getOutputStream().close();
+  const output = String(new JavaString(javaProcess.getInputStream().readAllBytes(), "UTF-8"));
+  const exitCode = javaProcess.waitFor();
+
+  return { exitCode, output };
+}
+
+module.exports = {
+  readTextFile,
+  readBinaryFile,
+  writeTextFile,
+  appendTextFile,
+  joinPath,
+  isDirectory,
+  listDirectory,
+  createTempDirectory,
+  deleteRecursively,
+  runProcess,
+};
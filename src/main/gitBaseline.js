@@ -0,0 +1,177 @@
+/**
+ * gitBaseline.js
+ * Loads the baseline model from a revision (commit, tag or branch) of the local git repository
+ *
+ * Supports models saved as a single .archimate file and coArchi repositories, where the model is
+ * committed in the split-folder layout and Archi works on .git/temp.archimate.
+ * Only local git commands are used; the repository's index and working tree are not touched.
+ */
+
+const path = require("path");
+const { writeTextFile, joinPath, createTempDirectory, deleteRecursively, runProcess } = require("./files");
+const { graficoToArchimate } = require("./grafico");
+
+// Model folder of coArchi repositories
+const COARCHI_MODEL_DIR = "model";
+
+/**
+ * Runs a git command in a repository
+ * @param {String} repoDir - Repository (or any directory inside it)
+ * @param {Array<String>} args - git arguments
+ * @param {Object} env - Additional environment variables
+ * @returns {Object} {exitCode, output}
+ */
+function git(repoDir, args, env) {
+  return runProcess(["git", "-C", repoDir, ...args], { env });
+}
+
+/**
+ * Runs a git command and fails if it does not succeed
+ * @param {String} repoDir - Repository
+ * @param {Array<String>} args - git arguments
+ * @param {Object} env - Additional environment variables
+ * @returns {String} Output of the command
+ * @throws {Error} If git exits with an error
+ */
+function gitOrThrow(repoDir, args, env) {
+  const result = git(repoDir, args, env);
+  if (result.exitCode !== 0) {
+    throw new Error(`git ${args[0]} failed: ${result.output.trim()}`);
+  }
+  return result.output;
+}
+
+/**
+ * Finds the git repository of a model file
+ * @param {String} modelPath - Path of the model file opened in Archi
+ * @returns {Object} {repoDir, modelFile} - modelFile is the path inside the repository, null for coArchi
+ * @throws {Error} If the model is not inside a git repository
+ */
+function findRepository(modelPath) {
+  // path-browserify only handles POSIX paths
+  const normalizedPath = modelPath.replace(/\\/g, "/");
+  const modelDir = path.dirname(normalizedPath);
+
+  // coArchi: Archi works on .git/temp.archimate, the repository holds the split layout
+  if (path.basename(modelDir) === ".git") {
+    return { repoDir: path.dirname(modelDir), modelFile: null };
+  }
+
+  const result = git(modelDir, ["rev-parse", "--show-toplevel", "--show-prefix"]);
+  if (result.exitCode !== 0) {
+    throw new Error(`Model is not inside a git repository: ${modelPath}`);
+  }
+
+  const [repoDir, prefix] = result.output.split("\n");
+  return { repoDir: repoDir.trim(), modelFile: `${prefix.trim()}${path.basename(normalizedPath)}` };
+}
+
+/**
+ * Resolves a revision to a commit ID
+ * @param {String} repoDir - Repository
+ * @param {String} ref - Commit, tag or branch
+ * @returns {String} Commit ID
+ * @throws {Error} If the revision does not exist
+ */
+function resolveCommit(repoDir, ref) {
+  const result = git(repoDir, ["rev-parse", "--verify", "--quiet", `${ref}^{commit}`]);
+  if (result.exitCode !== 0) {
+    throw new Error(`Unknown git revision "${ref}" in ${repoDir}`);
+  }
+  return result.output.trim();
+}
+
+/**
+ * Checks if a file exists in a commit
+ * @param {String} repoDir - Repository
+ * @param {String} commit - Commit ID
+ * @param {String} filePath - Path inside the repository
+ * @returns {boolean} True if the file exists
+ */
+function existsInCommit(repoDir, commit, filePath) {
+  return git(repoDir, ["cat-file", "-e", `${commit}:${filePath}`]).exitCode === 0;
+}
+
+/**
+ * Writes files of a commit into a directory
+ * Uses a temporary index, so the repository's own index and working tree stay unchanged.
+ * @param {String} repoDir - Repository
+ * @param {String} treeish - Tree to extract (e.g. "<commit>:model")
+ * @param {String} targetDir - Directory to write to
+ * @param {String} tempDir - Directory for the temporary index
+ * @param {Array<String>} files - Files of the tree to extract, all files if omitted
+ */
+function checkoutTree(repoDir, treeish, targetDir, tempDir, files) {
+  const env = { GIT_INDEX_FILE: joinPath(tempDir, "index") };
+  gitOrThrow(repoDir, ["read-tree", treeish], env);
+  const fileArgs = files ? ["--", ...files] : ["--all"];
+  gitOrThrow(repoDir, ["checkout-index", `--prefix=${targetDir}/`, ...fileArgs], env);
+}
+
+/**
+ * Writes the model at a revision to a temporary .archimate file
+ * @param {String} modelPath - Path of the current model file
+ * @param {String} ref - Commit, tag or branch
+ * @returns {Object} {modelPath, tempDir, commit, layout} - layout is "archimate" or "coArchi"
+ * @throws {Error} If the revision or the model at the revision cannot be found
+ */
+function materializeModel(modelPath, ref) {
+  const { repoDir, modelFile } = findRepository(modelPath);
+  const commit = resolveCommit(repoDir, ref);
+  const tempDir = createTempDirectory("comatrix-baseline-");
+
+  try {
+    if (modelFile && existsInCommit(repoDir, commit, modelFile)) {
+      // Single .archimate file
+      const modelDir = path.dirname(modelFile);
+      const fileName = path.basename(modelFile);
+      const treeish = modelDir === "." ? commit : `${commit}:${modelDir}`;
+      checkoutTree(repoDir, treeish, joinPath(tempDir, "tree"), tempDir, [fileName]);
+      return { modelPath: joinPath(joinPath(tempDir, "tree"), fileName), tempDir, commit, layout: "archimate" };
+    }
+
+    if (existsInCommit(repoDir, commit, `${COARCHI_MODEL_DIR}/folder.xml`)) {
+      // coArchi split-folder layout
+      const modelDir = joinPath(tempDir, COARCHI_MODEL_DIR);
+      checkoutTree(repoDir, `${commit}:${COARCHI_MODEL_DIR}`, modelDir, tempDir);
+      const archimatePath = joinPath(tempDir, "baseline.archimate");
+      writeTextFile(archimatePath, graficoToArchimate(modelDir));
+      return { modelPath: archimatePath, tempDir, commit, layout: "coArchi" };
+    }
+
+    throw new Error(
+      modelFile
+        ? `Revision "${ref}" contains neither "${modelFile}" nor a coArchi model folder`
+        : `Revision "${ref}" contains no coArchi model folder`,
+    );
+  } catch (error) {
+    deleteRecursively(tempDir);
+    throw error;
+  }
+}
+
+/**
+ * Loads the model at a revision of the local git repository as baseline
+ * Temporary files are removed once the model is loaded.
+ * @param {String} modelPath - Path of the current model file
+ * @param {String} ref - Commit, tag or branch
+ * @returns {Object} {model, commit, layout}
+ * @throws {Error} If the model cannot be materialized or loaded
+ */
+function loadBaselineFromRef(modelPath, ref) {
+  const materialized = materializeModel(modelPath, ref);
+  try {
+    return {
+      model: $.model.load(materialized.modelPath),
+      commit: materialized.commit,
+      layout: materialized.layout,
+    };
+  } finally {
+    deleteRecursively(materialized.tempDir);
+  }
+}
+
+module.exports = {
+  materializeModel,
+  loadBaselineFromRef,
+};
@@ -0,0 +1,231 @@
+/**
+ * grafico.js
+ * Assembles a model stored in coArchi's split-folder layout ("Grafico") into a single .archimate file
+ *
+ * Layout of the model folder in a coArchi repository:
+ *   model/folder.xml                  Model (name, purpose, properties, profiles)
+ *   model/<folder type>/folder.xml    Top-level folders (business, application, relations, diagrams, ...)
+ *   model/.../<id>/folder.xml         Sub folders
+ *   model/.../<Type>_<id>.xml         One file per element, relationship and view
+ * References between files are stored as child elements with href="<file>#<id>".
+ */
+
+const { XMLParser } = require("fast-xml-parser");
+const { readTextFile, joinPath, isDirectory, listDirectory } = require("./files");
+
+const FOLDER_FILE = "folder.xml";
+
+// Element names of the split layout and their counterparts in .archimate files
+const TAG_NAMES = {
+  folders: "folder",
+  elements: "element",
+  children: "child",
+  sourceConnections: "sourceConnection",
+  properties: "property",
+  profiles: "profile",
+  features: "feature",
+};
+
+// Helpers for the ordered output of fast-xml-parser
+
+function nodeName(node) {
+  return Object.keys(node).find((key) => key !== ":@");
+}
+
+function nodeAttributes(node) {
+  return node[":@"] || {};
+}
+
+function nodeChildren(node) {
+  return node[nodeName(node)] || [];
+}
+
+/**
+ * Reads and parses an XML file of the split layout
+ * @param {String} filePath - Path of the XML file
+ * @returns {Object} Root node (fast-xml-parser ordered format)
+ */
+function readXmlFile(filePath) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "",
+    preserveOrder: true,
+    parseTagValue: false,
+    trimValues: false,
+    htmlEntities: true,
+  });
+
+  const root = parser.parse(readTextFile(filePath)).find((node) => !nodeName(node).startsWith("?"));
+  if (!root) {
+    throw new Error(`No XML root element in ${filePath}`);
+  }
+  return root;
+}
+
+/**
+ * Creates a node in the ordered format
+ * @param {String} name - Element name
+ * @param {Object} attributes - Attributes
+ * @param {Array} children - Child nodes
+ * @returns {Object} Node
+ */
+function createNode(name, attributes, children) {
+  return { [name]: children, ":@": attributes };
+}
+
+/**
+ * Converts a node of the split layout to the .archimate vocabulary
+ * Cross-file references (child elements with href) become ID attributes, element names are renamed.
+ * @param {Object} node - Parsed node
+ * @param {String} name - Element name to use in the output
+ * @param {Object} attributes - Attributes to use in the output
+ * @returns {Object} Converted node
+ */
+function convertNode(node, name, attributes) {
+  const convertedAttributes = { ...attributes };
+  const children = [];
+  const hasElementChildren = nodeChildren(node).some((child) => !("#text" in child));
+
+  nodeChildren(node).forEach((child) => {
+    if ("#text" in child) {
+      // Keep text content, drop indentation between child elements
+      if (!hasElementChildren || child["#text"].trim() !== "") {
+        children.push(child);
+      }
+      return;
+    }
+
+    const childName = nodeName(child);
+    const childAttributes = nodeAttributes(child);
+
+    if (childAttributes.href) {
+      // Reference to an object in another file: <source href="File.xml#id"/> becomes source="id"
+      const id = childAttributes.href.substring(childAttributes.href.lastIndexOf("#") + 1);
+      convertedAttributes[childName] = convertedAttributes[childName] ? `${convertedAttributes[childName]} ${id}` : id;
+      return;
+    }
+
+    children.push(convertNode(child, TAG_NAMES[childName] || childName, childAttributes));
+  });
+
+  return createNode(name, convertedAttributes, children);
+}
+
+/**
+ * Removes namespace declarations (only needed on the root element of the assembled file)
+ * @param {Object} attributes - Attributes of a root element in the split layout
+ * @returns {Object} Attributes without xmlns declarations
+ */
+function withoutNamespaces(attributes) {
+  const result = {};
+  Object.keys(attributes).forEach((key) => {
+    if (!key.startsWith("xmlns")) {
+      result[key] = attributes[key];
+    }
+  });
+  return result;
+}
+
+/**
+ * Reads a folder directory with its sub folders and model objects
+ * @param {String} dirPath - Directory containing folder.xml
+ * @returns {Object} <folder> node
+ */
+function readFolderDirectory(dirPath) {
+  const folderRoot = readXmlFile(joinPath(dirPath, FOLDER_FILE));
+  const folder = convertNode(folderRoot, "folder", withoutNamespaces(nodeAttributes(folderRoot)));
+  const subFolders = [];
+  const objects = [];
+
+  listDirectory(dirPath).forEach((name) => {
+    const entryPath = joinPath(dirPath, name);
+    if (isDirectory(entryPath)) {
+      if (listDirectory(entryPath).includes(FOLDER_FILE)) {
+        subFolders.push(readFolderDirectory(entryPath));
+      }
+    } else if (name !== FOLDER_FILE && name.endsWith(".xml")) {
+      // Element, relationship or view: the root element name is the xsi:type in .archimate files
+      const objectRoot = readXmlFile(entryPath);
+      const attributes = { "xsi:type": nodeName(objectRoot), ...withoutNamespaces(nodeAttributes(objectRoot)) };
+      objects.push(convertNode(objectRoot, "element", attributes));
+    }
+  });
+
+  // Sub folders come first, like in files saved by Archi
+  folder.folder = [...nodeChildren(folder), ...subFolders, ...objects];
+  return folder;
+}
+
+/**
+ * Escapes a value for use in XML
+ * @param {String} value - Text or attribute value
+ * @param {boolean} isAttribute - True for attribute values (quotes and line breaks are escaped too)
+ * @returns {String} Escaped value
+ */
+function escapeXml(value, isAttribute) {
+  const escaped = String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  if (!isAttribute) {
+    return escaped;
+  }
+  return escaped.replace(/"/g, "&quot;").replace(/\n/g, "&#xA;").replace(/\r/g, "&#xD;").replace(/\t/g, "&#x9;");
+}
+
+/**
+ * Serializes a node as indented XML
+ * @param {Object} node - Node in the ordered format
+ * @param {String} indent - Indentation of the node
+ * @returns {String} XML
+ */
+function serializeNode(node, indent) {
+  const name = nodeName(node);
+  const attributes = nodeAttributes(node);
+  const attributeText = Object.keys(attributes)
+    .map((key) => ` ${key}="${escapeXml(attributes[key], true)}"`)
+    .join("");
+  const children = nodeChildren(node);
+
+  if (children.length === 0) {
+    return `${indent}<${name}${attributeText}/>`;
+  }
+  if (children.every((child) => "#text" in child)) {
+    const text = children.map((child) => escapeXml(child["#text"], false)).join("");
+    return `${indent}<${name}${attributeText}>${text}</${name}>`;
+  }
+
+  const childLines = children
+    .filter((child) => !("#text" in child))
+    .map((child) => serializeNode(child, `${indent}  `));
+  return [`${indent}<${name}${attributeText}>`, ...childLines, `${indent}</${name}>`].join("\n");
+}
+
+/**
+ * Assembles a coArchi model folder into the content of an .archimate file
+ * @param {String} modelDir - The "model" directory of a coArchi repository
+ * @returns {String} XML content of the equivalent .archimate file
+ * @throws {Error} If the directory does not contain a model
+ */
+function graficoToArchimate(modelDir) {
+  if (!listDirectory(modelDir).includes(FOLDER_FILE)) {
+    throw new Error(`No coArchi model found in ${modelDir} (${FOLDER_FILE} is missing)`);
+  }
+
+  const modelRoot = readXmlFile(joinPath(modelDir, FOLDER_FILE));
+  const model = convertNode(modelRoot, "archimate:model", {
+    "xmlns:xsi": "http://www.w3.org/2001/XMLSchema-instance",
+    "xmlns:archimate": "http://www.archimatetool.com/archimate",
+    ...withoutNamespaces(nodeAttributes(modelRoot)),
+  });
+
+  // Top-level folders come first, like in files saved by Archi
+  const topLevelFolders = listDirectory(modelDir)
+    .filter((name) => isDirectory(joinPath(modelDir, name)))
+    .filter((name) => listDirectory(joinPath(modelDir, name)).includes(FOLDER_FILE))
+    .map((name) => readFolderDirectory(joinPath(modelDir, name)));
+  model["archimate:model"] = [...topLevelFolders, ...nodeChildren(model)];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${serializeNode(model, "")}\n`;
+}
+
+module.exports = {
+  graficoToArchimate,
+};
@@ -0,0 +1,385 @@
+/**
+ * graphFormats.js
+ * Writers of the graph export (see tgf.js), one per file format
+ *
+ * Every writer turns the graph collected by tgf.js into the file content:
+ *   tgf       Trivial Graph Format, type in the node label
+ *   graphml   GraphML (yEd, Gephi), typed attribute keys for the element and relationship properties
+ *   dot       Graphviz DOT, one cluster per Domäne
+ *   gexf      GEXF 1.3 for Gephi, typed attributes like GraphML
+ *   mermaid   Mermaid flowchart for wikis, one subgraph per Domäne
+ * Example: jArchi.script("tgf.ajs", "--format", "graphml")
+ */
+
+const { getParameter } = require("./params");
+
+// Attributes of every node: name and value getter
+const NODE_ATTRIBUTES = [
+  { name: "name", value: (node) => node.name },
+  { name: "type", value: (node) => node.type },
+  { name: "specialization", value: (node) => node.specialization },
+  { name: "domain", value: (node) => node.domain },
+  { name: "fachbereich", value: (node) => node.fachbereich },
+  { name: "documentation", value: (node) => node.documentation },
+];
+
+// Attributes of every edge: name and value getter
+const EDGE_ATTRIBUTES = [
+  { name: "label", value: (edge) => edge.label },
+  { name: "type", value: (edge) => edge.type },
+  { name: "documentation", value: (edge) => edge.documentation },
+];
+
+// GEXF names of the GraphML attribute types
+const GEXF_TYPES = { string: "string", boolean: "boolean", int: "integer", double: "double" };
+
+/**
+ * Derives the attribute type of a property from its values
+ * @param {Array<String>} values - Non-empty values of the property
+ * @returns {String} "boolean", "int", "double" or "string" (GraphML names)
+ */
+function inferAttributeType(values) {
+  if (values.length === 0) {
+    return "string";
+  }
+  if (values.every((value) => value === "true" || value === "false")) {
+    return "boolean";
+  }
+  if (values.every((value) => /^-?\d+$/.test(value))) {
+    return "int";
+  }
+  if (values.every((value) => /^-?\d+(\.\d+)?$/.test(value))) {
+    return "double";
+  }
+  return "string";
+}
+
+/**
+ * Describes the attributes of nodes or edges: the fixed ones and one per property found
+ * @param {Array<Object>} items - Nodes or edges with properties ({key: value})
+ * @param {Array<Object>} fixedAttributes - NODE_ATTRIBUTES or EDGE_ATTRIBUTES
+ * @returns {Array<Object>} {name, type, value(item)}, properties in the order they are found
+ */
+function describeAttributes(items, fixedAttributes) {
+  const propertyValues = new Map(); // key -> values
+  items.forEach((item) => {
+    Object.entries(item.properties).forEach(([key, value]) => {
+      if (!propertyValues.has(key)) {
+        propertyValues.set(key, []);
+      }
+      propertyValues.get(key).push(value);
+    });
+  });
+
+  return [
+    ...fixedAttributes.map((attribute) => ({ ...attribute, type: "string" })),
+    ...Array.from(propertyValues.entries()).map(([key, values]) => ({
+      name: key,
+      type: inferAttributeType(values),
+      value: (item) => item.properties[key],
+    })),
+  ];
+}
+
+/**
+ * Groups the nodes by Domäne
+ * @param {Array<Object>} nodes - Nodes of the graph
+ * @returns {Object} {clusters: [{domain, nodes}] sorted by Domäne, unclustered: nodes without Domäne}
+ */
+function groupByDomain(nodes) {
+  const clusters = new Map(); // Domäne -> nodes
+  const unclustered = [];
+  nodes.forEach((node) => {
+    if (!node.domain) {
+      unclustered.push(node);
+      return;
+    }
+    if (!clusters.has(node.domain)) {
+      clusters.set(node.domain, []);
+    }
+    clusters.get(node.domain).push(node);
+  });
+
+  return {
+    clusters: Array.from(clusters.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([domain, clusterNodes]) => ({ domain, nodes: clusterNodes })),
+    unclustered,
+  };
+}
+
+/**
+ * Escapes text for XML content and attribute values
+ * Characters not allowed in XML 1.0 are dropped.
+ * @param {String} value - Text
+ * @returns {String} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Escapes text for XML attribute values
+ * Line breaks and tabs are written as character references, parsers would turn them into spaces otherwise.
+ * @param {String} value - Text
+ * @returns {String} Escaped text
+ */
+function escapeXmlAttribute(value) {
+  return escapeXml(value).replace(/\r/g, "&#13;").replace(/\n/g, "&#10;").replace(/\t/g, "&#9;");
+}
+
+/**
+ * Quotes text as DOT string
+ * @param {String} value - Text
+ * @returns {String} Quoted text, line breaks as \n
+ */
+function quoteDot(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\r?\n/g, "\\n")}"`;
+}
+
+/**
+ * Quotes text as Mermaid label
+ * Mermaid has no escape character, special characters are written as entity codes.
+ * @param {String} value - Text
+ * @returns {String} Quoted text, line breaks as <br>
+ */
+function quoteMermaid(value) {
+  return `"${String(value)
+    .replace(/#/g, "#35;")
+    .replace(/"/g, "#quot;")
+    .replace(/</g, "#lt;")
+    .replace(/>/g, "#gt;")
+    .replace(/\r?\n/g, "<br>")}"`;
+}
+
+/**
+ * Label of a node in the formats without attributes
+ * @param {Object} node - Node of the graph
+ * @returns {String} Name and type, e.g. "Customer Portal [application-component]"
+ */
+function nodeLabel(node) {
+  return `${node.name} [${node.type}]`;
+}
+
+/**
+ * Writes Trivial Graph Format
+ * @param {Object} graph - {name, nodes, edges} from collectGraph()
+ * @returns {String} File content
+ */
+function writeTGF(graph) {
+  // Nodes, separator, edges
+  const lines = [
+    ...graph.nodes.map((node) => `${node.id} ${nodeLabel(node)}`),
+    "#",
+    ...graph.edges.map((edge) => `${edge.sourceId} ${edge.targetId} ${edge.label}`),
+  ];
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Writes the <data> elements of a GraphML node or edge
+ * @param {Object} item - Node or edge
+ * @param {Array<Object>} attributes - Attributes from describeAttributes() with their key IDs
+ * @param {String} indent - Indentation
+ * @returns {Array<String>} Lines, empty values are left out
+ */
+function graphmlData(item, attributes, indent) {
+  return attributes
+    .filter((attribute) => attribute.value(item))
+    .map((attribute) => `${indent}<data key="${attribute.id}">${escapeXml(attribute.value(item))}</data>`);
+}
+
+/**
+ * Writes GraphML
+ * @param {Object} graph - {name, nodes, edges} from collectGraph()
+ * @returns {String} File content
+ */
+function writeGraphML(graph) {
+  const nodeAttributes = describeAttributes(graph.nodes, NODE_ATTRIBUTES).map((attribute, index) => ({
+    ...attribute,
+    id: `n${index}`,
+  }));
+  const edgeAttributes = describeAttributes(graph.edges, EDGE_ATTRIBUTES).map((attribute, index) => ({
+    ...attribute,
+    id: `e${index}`,
+  }));
+  const keyLine = (attribute, domain) =>
+    `  <key id="${attribute.id}" for="${domain}" attr.name="${escapeXmlAttribute(attribute.name)}" attr.type="${attribute.type}"/>`;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+    '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    ...nodeAttributes.map((attribute) => keyLine(attribute, "node")),
+    ...edgeAttributes.map((attribute) => keyLine(attribute, "edge")),
+    '  <graph id="G" edgedefault="directed">',
+  ];
+  graph.nodes.forEach((node) => {
+    lines.push(
+      `    <node id="${escapeXmlAttribute(node.id)}">`,
+      ...graphmlData(node, nodeAttributes, "      "),
+      "    </node>",
+    );
+  });
+  graph.edges.forEach((edge) => {
+    lines.push(
+      `    <edge id="${escapeXmlAttribute(edge.id)}" source="${escapeXmlAttribute(edge.sourceId)}" target="${escapeXmlAttribute(edge.targetId)}">`,
+      ...graphmlData(edge, edgeAttributes, "      "),
+      "    </edge>",
+    );
+  });
+  lines.push("  </graph>", "</graphml>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Writes Graphviz DOT
+ * @param {Object} graph - {name, nodes, edges} from collectGraph()
+ * @returns {String} File content
+ */
+function writeDOT(graph) {
+  const nodeLine = (node, indent) =>
+    `${indent}${quoteDot(node.id)} [label=${quoteDot(`${node.name}\n[${node.type}]`)}];`;
+  const { clusters, unclustered } = groupByDomain(graph.nodes);
+
+  const lines = [`digraph ${quoteDot(graph.name)} {`, "  node [shape=box];"];
+  clusters.forEach((cluster, index) => {
+    lines.push(`  subgraph cluster_${index} {`, `    label=${quoteDot(cluster.domain)};`);
+    cluster.nodes.forEach((node) => lines.push(nodeLine(node, "    ")));
+    lines.push("  }");
+  });
+  unclustered.forEach((node) => lines.push(nodeLine(node, "  ")));
+  graph.edges.forEach((edge) => {
+    lines.push(`  ${quoteDot(edge.sourceId)} -> ${quoteDot(edge.targetId)} [label=${quoteDot(edge.label)}];`);
+  });
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Writes the <attvalues> element of a GEXF node or edge
+ * @param {Object} item - Node or edge
+ * @param {Array<Object>} attributes - Attributes from describeAttributes() with their IDs
+ * @param {String} indent - Indentation
+ * @returns {Array<String>} Lines, empty if the item has no values
+ */
+function gexfAttributeValues(item, attributes, indent) {
+  const values = attributes
+    .filter((attribute) => attribute.value(item))
+    .map(
+      (attribute) =>
+        `${indent}  <attvalue for="${attribute.id}" value="${escapeXmlAttribute(attribute.value(item))}"/>`,
+    );
+  return values.length > 0 ? [`${indent}<attvalues>`, ...values, `${indent}</attvalues>`] : [];
+}
+
+/**
+ * Writes GEXF 1.3
+ * @param {Object} graph - {name, nodes, edges} from collectGraph()
+ * @returns {String} File content
+ */
+function writeGEXF(graph) {
+  // The label is an attribute of the GEXF elements themselves
+  const withIds = (attributes) =>
+    attributes
+      .filter((attribute) => attribute.name !== "name" && attribute.name !== "label")
+      .map((attribute, index) => ({ ...attribute, id: String(index) }));
+  const nodeAttributes = withIds(describeAttributes(graph.nodes, NODE_ATTRIBUTES));
+  const edgeAttributes = withIds(describeAttributes(graph.edges, EDGE_ATTRIBUTES));
+  const attributeLine = (attribute) =>
+    `      <attribute id="${attribute.id}" title="${escapeXmlAttribute(attribute.name)}" type="${GEXF_TYPES[attribute.type]}"/>`;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    "  <meta>",
+    "    <creator>archi-comatrix</creator>",
+    `    <description>${escapeXml(graph.name)}</description>`,
+    "  </meta>",
+    '  <graph mode="static" defaultedgetype="directed">',
+    '    <attributes class="node">',
+    ...nodeAttributes.map(attributeLine),
+    "    </attributes>",
+    '    <attributes class="edge">',
+    ...edgeAttributes.map(attributeLine),
+    "    </attributes>",
+    "    <nodes>",
+  ];
+  graph.nodes.forEach((node) => {
+    lines.push(
+      `      <node id="${escapeXmlAttribute(node.id)}" label="${escapeXmlAttribute(node.name)}">`,
+      ...gexfAttributeValues(node, nodeAttributes, "        "),
+      "      </node>",
+    );
+  });
+  lines.push("    </nodes>", "    <edges>");
+  graph.edges.forEach((edge) => {
+    lines.push(
+      `      <edge id="${escapeXmlAttribute(edge.id)}" source="${escapeXmlAttribute(edge.sourceId)}" target="${escapeXmlAttribute(edge.targetId)}" ` +
+        `label="${escapeXmlAttribute(edge.label)}">`,
+      ...gexfAttributeValues(edge, edgeAttributes, "        "),
+      "      </edge>",
+    );
+  });
+  lines.push("    </edges>", "  </graph>", "</gexf>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Writes a Mermaid flowchart
+ * Archi IDs are replaced by short node IDs, Mermaid reserves words like "end".
+ * @param {Object} graph - {name, nodes, edges} from collectGraph()
+ * @returns {String} File content
+ */
+function writeMermaid(graph) {
+  const nodeIds = new Map(graph.nodes.map((node, index) => [node.id, `n${index}`]));
+  const nodeLine = (node, indent) =>
+    `${indent}${nodeIds.get(node.id)}[${quoteMermaid(`${node.name}\n[${node.type}]`)}]`;
+  const { clusters, unclustered } = groupByDomain(graph.nodes);
+
+  const lines = ["flowchart LR"];
+  clusters.forEach((cluster, index) => {
+    lines.push(`  subgraph d${index}[${quoteMermaid(cluster.domain)}]`);
+    cluster.nodes.forEach((node) => lines.push(nodeLine(node, "    ")));
+    lines.push("  end");
+  });
+  unclustered.forEach((node) => lines.push(nodeLine(node, "  ")));
+  graph.edges.forEach((edge) => {
+    lines.push(`  ${nodeIds.get(edge.sourceId)} -->|${quoteMermaid(edge.label)}| ${nodeIds.get(edge.targetId)}`);
+  });
+  return lines.join("\n") + "\n";
+}
+
+// Formats of the graph export: file extension and writer
+const GRAPH_FORMATS = {
+  tgf: { extension: "tgf", write: writeTGF },
+  graphml: { extension: "graphml", write: writeGraphML },
+  dot: { extension: "dot", write: writeDOT },
+  gexf: { extension: "gexf", write: writeGEXF },
+  mermaid: { extension: "mmd", write: writeMermaid },
+};
+
+/**
+ * Gets the format of the graph export from the --format parameter
+ * @returns {String} Format name, "tgf" without parameter
+ * @throws {Error} If the format is unknown
+ */
+function getGraphFormat() {
+  const format = (getParameter("format") || "tgf").trim().toLowerCase();
+  if (!(format in GRAPH_FORMATS)) {
+    throw new Error(`Unknown format "${format}", use one of ${Object.keys(GRAPH_FORMATS).join(", ")}`);
+  }
+  return format;
+}
+
+module.exports = {
+  GRAPH_FORMATS,
+  getGraphFormat,
+};
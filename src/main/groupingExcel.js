@@ -1,10 +1,17 @@
 /**
  * groupingExcel.js
  * Excel row and column grouping functionality
+ *
+ * The outline levels are fixed: rows Fachbereich › Domäne › Anwendung › Schnittstelle, columns Fachbereich › Domäne ›
+ * B-element. Deeper grouping nesting found by analyzeGroupings() (model.js) adds no level, the Domäne and Fachbereich
+ * keys list all groupings found at any depth (e.g. "Cloud, Infrastructure" for a Domäne nested in another one).
  */
 
+const { log } = require("./logger");
+
 // Constants
 const COLUMN_E = 4; // First column for B-elements (columns A-D are fixed)
+const NO_FACHBEREICH = "(kein Fachbereich)"; // Separator label of elements without Fachbereich
 
 /**
  * Generic function to group vectors by a key function
@@ -49,50 +56,119 @@ function groupVectorsByKey(vectors, keyFunc) {
   return groups;
 }
 
+/**
+ * Gets the application key of a data row
+ * Rows built by output2Excel() carry the A-element ID in row.aId, so that applications
+ * sharing a name are not grouped together. Rows without ID fall back to the name (column 1).
+ * @param {Array} row - Data row
+ * @returns {String} Application key
+ */
+function getApplicationKey(row) {
+  return row.aId !== undefined ? row.aId : row[1];
+}
+
+/**
+ * Gets the Fachbereich of a data row (remembered by output2Excel() in row.fachbereich)
+ * @param {Array} row - Data row
+ * @returns {String} Fachbereich, empty if unknown
+ */
+function getFachbereichKey(row) {
+  return row.fachbereich || "";
+}
+
+/**
+ * Builds the nested outline of a list of vectors (rows or columns)
+ * Each hierarchy level splits the vectors of its parent into groups of consecutive vectors with the same key.
+ * Groups with more than one vector get a separator entry before their members, single vectors are not grouped
+ * any further. Hierarchy levels whose key is empty for every vector (e.g. a model without Fachbereich) are skipped.
+ * @param {Array} vectors - Vectors to group (already sorted along the hierarchy)
+ * @param {Array} hierarchy - Levels from outermost to innermost: {type, key(vector)}
+ * @returns {Array} Entries in output order: {separator: true, type, key, vectors, level} for separators
+ *                  and {vector, level, hidden} for the vectors, level is the Excel outline level
+ */
+function buildOutline(vectors, hierarchy) {
+  const levels = hierarchy.filter(
+    (hierarchyLevel, depth) =>
+      depth === hierarchy.length - 1 || vectors.some((vector) => hierarchyLevel.key(vector) !== ""),
+  );
+  const entries = [];
+
+  const addGroups = (groupVectors, depth) => {
+    if (depth === levels.length) {
+      // Members of the innermost group are initially collapsed
+      groupVectors.forEach((vector) => entries.push({ vector, level: depth, hidden: true }));
+      return;
+    }
+
+    groupVectorsByKey(groupVectors, levels[depth].key).forEach((group) => {
+      if (group.vectors.length === 1) {
+        // Single vector: no separator needed on this or any deeper level
+        entries.push({ vector: group.vectors[0], level: depth, hidden: false });
+      } else {
+        const type = levels[depth].type;
+        entries.push({ separator: true, type, key: group.key, vectors: group.vectors, level: depth });
+        addGroups(group.vectors, depth + 1);
+      }
+    });
+  };
+
+  addGroups(vectors, 0);
+  return entries;
+}
+
+/**
+ * Aggregates the connection marks of several vectors ("x" as soon as one of them has a mark or version code)
+ * @param {Array} values - Cell values of the grouped vectors
+ * @returns {String} "x" or empty string
+ */
+function aggregateMarks(values) {
+  return values.some((value) => Boolean(value)) ? "x" : "";
+}
+
+// Row hierarchy: Fachbereich › Domäne › Anwendung (the Schnittstelle rows are the members)
+const ROW_HIERARCHY = [
+  { type: "fachbereich", key: getFachbereichKey },
+  { type: "domain", key: (row) => row[0] },
+  { type: "application", key: getApplicationKey },
+];
+
 /**
  * Helper function to insert group separator rows
- * @param {Array} dataRows - Array of data rows
+ * Separator rows are inserted per Fachbereich, Domäne and Anwendungssystem and aggregate the marks of their rows.
+ * Every returned row remembers its outline position in row.outline ({level, hidden}).
+ * @param {Array} dataRows - Array of data rows (row.aId and row.fachbereich set by output2Excel())
  * @returns {Array} Data rows with separator rows inserted
  */
 function insertGroupSeparators(dataRows) {
   if (dataRows.length === 0) return [];
 
-  // Group rows by Domain|Application
-  const groups = groupVectorsByKey(dataRows, (row) => `${row[0]}|${row[1]}`);
+  return buildOutline(dataRows, ROW_HIERARCHY).map((entry) => {
+    if (!entry.separator) {
+      entry.vector.outline = { level: entry.level, hidden: entry.hidden };
+      return entry.vector;
+    }
 
-  // Build result with separator rows containing aggregated "x" marks
-  const result = [];
-  groups.forEach((group) => {
-    if (group.vectors.length === 1) {
-      // Single row group: no separator needed, just add the row
-      result.push(group.vectors[0]);
+    // Separator labels: Fachbereich in column A, Domäne in column A, Anwendungssystem in columns A and B
+    const firstRow = entry.vectors[0];
+    let separatorRow;
+    if (entry.type === "fachbereich") {
+      separatorRow = [entry.key || NO_FACHBEREICH, "", "", ""];
+    } else if (entry.type === "domain") {
+      separatorRow = [firstRow[0], "", "", ""];
     } else {
-      // Multi-row group: add separator followed by all rows
-      const firstRow = group.vectors[0];
-      const numColumns = firstRow.length;
-      const separatorRow = [firstRow[0], firstRow[1], "", ""];
-
-      // For each B-element column, check if any row in group has "x"
-      for (let col = COLUMN_E; col < numColumns; col++) {
-        let hasX = false;
-        for (let row of group.vectors) {
-          if (row[col] === "x") {
-            hasX = true;
-            break;
-          }
-        }
-        separatorRow.push(hasX ? "x" : "");
-      }
-
-      // Add separator row
-      result.push(separatorRow);
+      separatorRow = [firstRow[0], firstRow[1], "", ""];
+      separatorRow.aId = firstRow.aId;
+    }
+    separatorRow.fachbereich = firstRow.fachbereich;
+    separatorRow.outline = { level: entry.level, hidden: false };
 
-      // Add all group member rows
-      group.vectors.forEach((row) => result.push(row));
+    // For each B-element column, check if any row in the group has a connection ("x" or version code)
+    for (let col = COLUMN_E; col < firstRow.length; col++) {
+      separatorRow.push(aggregateMarks(entry.vectors.map((row) => row[col])));
     }
-  });
 
-  return result;
+    return separatorRow;
+  });
 }
 
 /**
@@ -106,7 +182,7 @@ function isSeparatorRow(row) {
 }
 
 /**
- * Helper function to apply Excel row grouping for rows with same Domain and Application
+ * Helper function to apply the nested Excel row grouping computed by insertGroupSeparators()
  * @param {Object} worksheet - XLSX worksheet object
  * @param {Array} dataRows - Array of data rows with separators
  */
@@ -116,165 +192,146 @@ function applyRowGrouping(worksheet, dataRows) {
     worksheet["!rows"] = [];
   }
 
-  // Track groups: separator rows mark the start of groups
-  const groups = buildGroups(
-    dataRows,
-    isSeparatorRow,
-    (vector) => ({ domain: vector[0], application: vector[1] }),
-    2, // Data rows start at row 2 (0-indexed)
-  );
+  let groupCount = 0;
+  dataRows.forEach((row, index) => {
+    if (isSeparatorRow(row)) {
+      groupCount++;
+    }
+    if (!row.outline || row.outline.level === 0) {
+      return;
+    }
 
-  // Apply grouping levels to worksheet (only to non-separator rows)
-  groups.forEach((group) => {
-    for (let rowIdx = group.startIndex; rowIdx <= group.endIndex; rowIdx++) {
-      if (!worksheet["!rows"][rowIdx]) {
-        worksheet["!rows"][rowIdx] = {};
-      }
-      worksheet["!rows"][rowIdx].level = 1; // Set outline level 1
-      worksheet["!rows"][rowIdx].hidden = true; // Initially collapsed
+    const rowIdx = index + 2; // Data rows start at row 2 (0-indexed)
+    if (!worksheet["!rows"][rowIdx]) {
+      worksheet["!rows"][rowIdx] = {};
+    }
+    worksheet["!rows"][rowIdx].level = row.outline.level;
+    if (row.outline.hidden) {
+      worksheet["!rows"][rowIdx].hidden = true; // Schnittstellen initially collapsed
     }
   });
 
-  console.log(`Applied grouping to ${groups.length} groups of rows (initially collapsed)`);
+  // Separator rows are above their groups, separator columns left of them
+  worksheet["!outline"] = { above: true, left: true };
+
+  log.debug(`Applied grouping to ${groupCount} groups of rows (initially collapsed)`);
 }
 
 /**
- * Generic function to build groups from vectors (rows or columns)
- * @param {Array} dataVectors - Array of data vectors (rows or columns) to process
- * @param {Function} isSeparatorFunc - Function to check if a vector is a separator
- * @param {Function} groupingKeyFunc - Function to extract grouping key from a vector
- * @param {number} indexOffset - Offset for Excel index calculation (where first vector appears in Excel)
- * @returns {Array} Array of group objects
+ * Builds the column layout of the B-elements: Fachbereich › Domäne › B-element
+ * @param {Array} data - Matrix data before column separators were inserted (row 0 holds the B-element domains)
+ * @param {Array} fachbereiche - Fachbereich per B-element column (in column order, starting at column E)
+ * @returns {Array} Outline entries from buildOutline(), vectors are column indices
  */
-function buildGroups(dataVectors, isSeparatorFunc, groupingKeyFunc, indexOffset = 0) {
-  const groups = [];
-  let currentGroup = null;
-
-  dataVectors.forEach((vector, index) => {
-    const excelIndex = index + indexOffset;
-
-    if (isSeparatorFunc(vector)) {
-      // Save previous group if it exists and has more than one element
-      if (currentGroup && currentGroup.endIndex > currentGroup.startIndex) {
-        groups.push(currentGroup);
-      }
-      // Start new group (separator is NOT part of the group)
-      const groupKey = groupingKeyFunc(vector);
-      currentGroup = {
-        ...groupKey,
-        separatorIndex: excelIndex,
-        startIndex: excelIndex + 1, // Group starts after separator
-        endIndex: excelIndex, // Will be updated as we find group members
-      };
-    } else if (currentGroup) {
-      // Check if this vector belongs to the current group
-      const vectorKey = groupingKeyFunc(vector);
-      const keysMatch = Object.keys(vectorKey).every((k) => vectorKey[k] === currentGroup[k]);
-
-      if (keysMatch) {
-        // This is a group member
-        currentGroup.endIndex = excelIndex;
-      } else {
-        // Different key - close current group and reset
-        if (currentGroup.endIndex > currentGroup.startIndex) {
-          groups.push(currentGroup);
-        }
-        currentGroup = null; // Single element, no group
-      }
-    }
-    // else: single element with no current group - no action needed
-  });
-
-  // Don't forget the last group
-  if (currentGroup && currentGroup.endIndex > currentGroup.startIndex) {
-    groups.push(currentGroup);
+function buildColumnLayout(data, fachbereiche) {
+  const columnIndices = [];
+  for (let col = COLUMN_E; col < data[0].length; col++) {
+    columnIndices.push(col);
   }
-  return groups;
+
+  return buildOutline(columnIndices, [
+    { type: "fachbereich", key: (colIdx) => fachbereiche[colIdx - COLUMN_E] || "" },
+    { type: "domain", key: (colIdx) => data[0][colIdx] },
+  ]);
 }
 
 /**
  * Helper function to insert column separators
+ * Separator columns are inserted per Fachbereich and Domäne and aggregate the marks of their columns.
+ * The outline position of every column is remembered in result.columnOutline ({level, hidden, separator}).
  * @param {Array} data - Matrix data with domain row, header row, and data rows
+ * @param {Array} fachbereiche - Fachbereich per B-element column (in column order, starting at column E)
  * @returns {Array} Data with column separators inserted
  */
-function insertColumnSeparators(data) {
+function insertColumnSeparators(data, fachbereiche = []) {
   if (data.length === 0 || data[0].length <= COLUMN_E) return data;
 
-  // Create array of column indices starting from COLUMN_E
-  const columnIndices = [];
-  for (let col = COLUMN_E; col < data[0].length; col++) {
-    columnIndices.push(col);
-  }
-
-  // Group column indices by domain (from row 0)
-  const columnGroups = groupVectorsByKey(columnIndices, (colIdx) => data[0][colIdx]);
+  const layout = buildColumnLayout(data, fachbereiche);
 
   // Build new data structure with separator columns
-  const result = [];
-  for (let row of data) {
+  const result = data.map((row) => {
     const newRow = [...row.slice(0, COLUMN_E)];
+    // Keep the row metadata set by output2Excel() and insertGroupSeparators()
+    ["aId", "fachbereich", "outline"].forEach((key) => {
+      if (row[key] !== undefined) {
+        newRow[key] = row[key];
+      }
+    });
 
-    columnGroups.forEach((group) => {
-      if (group.vectors.length === 1) {
-        // Single column group: no separator needed
-        newRow.push(row[group.vectors[0]]);
+    layout.forEach((entry) => {
+      if (!entry.separator) {
+        newRow.push(row[entry.vector]);
+      } else if (row === data[0]) {
+        // Row 0 (domain row): Fachbereich or domain name
+        newRow.push(entry.type === "fachbereich" ? entry.key || NO_FACHBEREICH : entry.key);
+      } else if (row === data[1]) {
+        // Row 1 (header row): empty
+        newRow.push("");
       } else {
-        // Multi-column group: add separator followed by all columns
-        // Separator column shows aggregated data
-        let separatorValue = "";
-
-        if (row === data[0]) {
-          // Row 0 (domain row): show domain name
-          separatorValue = group.key;
-        } else if (row === data[1]) {
-          // Row 1 (header row): empty
-          separatorValue = "";
-        } else {
-          // Data rows: aggregate "x" marks
-          let hasX = false;
-          for (let colIdx of group.vectors) {
-            if (row[colIdx] === "x") {
-              hasX = true;
-              break;
-            }
-          }
-          separatorValue = hasX ? "x" : "";
-        }
-
-        newRow.push(separatorValue);
-
-        // Add all group member columns
-        group.vectors.forEach((colIdx) => newRow.push(row[colIdx]));
+        // Data rows: aggregate connection marks ("x" or version code)
+        newRow.push(aggregateMarks(entry.vectors.map((colIdx) => row[colIdx])));
       }
     });
 
-    result.push(newRow);
-  }
+    return newRow;
+  });
+
+  // Columns A-D are not grouped
+  result.columnOutline = new Array(COLUMN_E).fill({ level: 0, hidden: false, separator: false });
+  layout.forEach((entry) => {
+    const separator = Boolean(entry.separator);
+    result.columnOutline.push({ level: entry.level, hidden: Boolean(entry.hidden), separator });
+  });
+
+  return result;
+}
+
+/**
+ * Maps keys of the B-element columns onto the column layout produced by insertColumnSeparators()
+ * @param {Array} data - Matrix data before column separators were inserted
+ * @param {Array} keys - One key per B-element column (in column order, starting at column E)
+ * @param {Array} fachbereiche - Fachbereich per B-element column, as passed to insertColumnSeparators()
+ * @returns {Array} Keys aligned with the columns after separators were inserted (null for columns A-D and separators)
+ */
+function mapColumnKeys(data, keys, fachbereiche = []) {
+  const result = new Array(COLUMN_E).fill(null);
+  if (data.length === 0 || data[0].length <= COLUMN_E) return result;
+
+  buildColumnLayout(data, fachbereiche).forEach((entry) => {
+    result.push(entry.separator ? null : keys[entry.vector - COLUMN_E]);
+  });
 
   return result;
 }
 
 /**
  * Helper function to check if a column is a separator column
- * @param {Array} data - Matrix data
+ * @param {Array} data - Matrix data returned by insertColumnSeparators()
  * @param {number} col - Column index
  * @returns {boolean} True if column is a separator
  */
 function isSeparatorColumn(data, col) {
-  // Separator columns have domain name in row 0 and empty in row 1
-  // and the next column also has a value in row 1 (it's not the end)
-  if (col < COLUMN_E || col >= data[1].length - 1) return false;
-
-  const row0Value = data[0][col];
-  const row1Value = data[1][col];
-  const row1NextValue = data[1][col + 1];
+  return Boolean(data.columnOutline && data.columnOutline[col] && data.columnOutline[col].separator);
+}
 
-  // Separator if row 1 is empty, row 0 has domain, and next column in row 1 has a value
-  return row1Value === "" && row0Value !== "" && row1NextValue !== "";
+/**
+ * Finds the B-element columns of a matrix worksheet read back from Excel
+ * Separator columns have an empty header cell (see insertColumnSeparators()), B-element columns the element name.
+ * @param {Array} headerRow - Values of the header row (row 1) of the worksheet
+ * @returns {Array<number>} Indices of the B-element columns
+ */
+function findElementColumns(headerRow) {
+  const columns = [];
+  for (let col = COLUMN_E; col < headerRow.length; col++) {
+    if (String(headerRow[col]).trim() !== "") {
+      columns.push(col);
+    }
+  }
+  return columns;
 }
 
 /**
- * Helper function to apply column grouping
+ * Helper function to apply the nested column grouping computed by insertColumnSeparators()
  * @param {Object} worksheet - XLSX worksheet object
  * @param {Array} data - Matrix data with separators
  */
@@ -284,32 +341,26 @@ function applyColumnGrouping(worksheet, data) {
     worksheet["!cols"] = [];
   }
 
-  // Transpose columns into column vectors
-  const columnVectors = [];
-  for (let col = COLUMN_E; col < data[0].length; col++) {
-    columnVectors.push(data.map((row) => row[col]));
-  }
-
-  // Use buildGroups to find column groups
-  const columnGroups = buildGroups(
-    columnVectors,
-    (colVector) => colVector[1] === "" && colVector[0] !== "",
-    (colVector) => ({ domain: colVector[0] }),
-    COLUMN_E,
-  );
+  const columnOutline = data.columnOutline || [];
+  let groupCount = 0;
+  columnOutline.forEach((column, colIdx) => {
+    if (column.separator) {
+      groupCount++;
+    }
+    if (column.level === 0) {
+      return;
+    }
 
-  // Apply grouping levels to worksheet (only to non-separator columns)
-  columnGroups.forEach((group) => {
-    for (let colIdx = group.startIndex; colIdx <= group.endIndex; colIdx++) {
-      if (!worksheet["!cols"][colIdx]) {
-        worksheet["!cols"][colIdx] = {};
-      }
-      worksheet["!cols"][colIdx].level = 1; // Set outline level 1
-      worksheet["!cols"][colIdx].hidden = true; // Initially collapsed
+    if (!worksheet["!cols"][colIdx]) {
+      worksheet["!cols"][colIdx] = {};
+    }
+    worksheet["!cols"][colIdx].level = column.level;
+    if (column.hidden) {
+      worksheet["!cols"][colIdx].hidden = true; // B-elements initially collapsed
     }
   });
 
-  console.log(`Applied grouping to ${columnGroups.length} groups of columns (initially collapsed)`);
+  log.debug(`Applied grouping to ${groupCount} groups of columns (initially collapsed)`);
 }
 
 module.exports = {
@@ -317,6 +368,8 @@ module.exports = {
   isSeparatorRow,
   applyRowGrouping,
   insertColumnSeparators,
+  mapColumnKeys,
   isSeparatorColumn,
+  findElementColumns,
   applyColumnGrouping,
 };
@@ -0,0 +1,370 @@
+/**
+ * integrationView.js
+ * Generates an Archi view of the integration landscape from the connections of the matrix
+ *
+ * The view shows the Domäne groupings with their application components nested inside and the NST relationships
+ * between the applications, labelled with their Schnittstelle values. Connections through application interfaces are
+ * drawn with the interface placed next to its providing component: the composition from the provider and the
+ * serving/flow relationships to the consumers. The groupings are laid out in a grid, the applications (followed by
+ * the interfaces) in rows inside them; applications without Domäne are placed below the grid. Applications in several
+ * Domänen are shown in the first one. Without connections (in the scope) the view is left unchanged.
+ * The generated view is marked with the property "Generiert von" and regenerated in place on the next run, views drawn
+ * by hand are never changed.
+ *
+ * Parameters:
+ *   --viewName <name>     Name of the generated view (default: "Integrationslandschaft")
+ *   --gridColumns <n>     Domänen per row of the grid (default: 3)
+ *   and the scope parameters of scope.js (--domain, --fachbereich, --view, --folder, --scopeConsumers)
+ * Example: jArchi.script("integrationview.ajs", "--viewName", "Integration Sales", "--domain", "Sales")
+ */
+
+const { buildComatrix } = require("./comatrix");
+const { splitNames } = require("./model");
+const { getParameter } = require("./params");
+const { getScope, describeScope } = require("./scope");
+const { getConfig } = require("./config");
+const { log, setSummary, runWithSummary } = require("./logger");
+const { EXIT_OK, EXIT_ERROR, EXIT_NO_DATA } = require("./batch");
+const { showConsole, exitOnFailure } = require("./archiHost");
+
+const DEFAULT_VIEW_NAME = "Integrationslandschaft";
+const NO_DOMAIN = "(keine Domäne)"; // Key of the applications without Domäne, placed below the grid
+const DEFAULT_GRID_COLUMNS = 3;
+
+// Property marking the generated view, so a re-run finds it again
+const GENERATED_PROPERTY = "Generiert von";
+const GENERATOR = "integrationview";
+
+// Layout in pixels, applications have Archi's default size
+const LAYOUT = {
+  margin: 20,
+  appWidth: 120,
+  appHeight: 55,
+  appGap: 20,
+  groupPadding: 20,
+  groupHeader: 30,
+  groupGap: 40,
+};
+
+/**
+ * Lays out the applications of one Domäne in rows, about as many columns as rows
+ * @param {Number} count - Number of applications
+ * @returns {Object} {width, height, positions}: size of the grouping and the application positions relative to it
+ */
+function layoutGrouping(count) {
+  const columns = Math.max(1, Math.ceil(Math.sqrt(count)));
+  const rows = Math.max(1, Math.ceil(count / columns));
+
+  const positions = [];
+  for (let i = 0; i < count; i++) {
+    positions.push({
+      x: LAYOUT.groupPadding + (i % columns) * (LAYOUT.appWidth + LAYOUT.appGap),
+      y: LAYOUT.groupHeader + Math.floor(i / columns) * (LAYOUT.appHeight + LAYOUT.appGap),
+    });
+  }
+
+  return {
+    width: 2 * LAYOUT.groupPadding + columns * LAYOUT.appWidth + (columns - 1) * LAYOUT.appGap,
+    height: LAYOUT.groupHeader + rows * LAYOUT.appHeight + (rows - 1) * LAYOUT.appGap + LAYOUT.groupPadding,
+    positions,
+  };
+}
+
+/**
+ * Places the groupings in a grid, each column as wide as its widest grouping and each row as high as its highest
+ * @param {Array<Object>} sizes - {width, height} of the groupings in grid order
+ * @param {Number} gridColumns - Groupings per row
+ * @returns {Object} {positions, height}: position of each grouping and the total height of the grid
+ */
+function layoutGrid(sizes, gridColumns) {
+  const columnWidths = [];
+  const rowHeights = [];
+  sizes.forEach((size, i) => {
+    const column = i % gridColumns;
+    const row = Math.floor(i / gridColumns);
+    columnWidths[column] = Math.max(columnWidths[column] || 0, size.width);
+    rowHeights[row] = Math.max(rowHeights[row] || 0, size.height);
+  });
+
+  const offset = (lengths, index) =>
+    LAYOUT.margin + lengths.slice(0, index).reduce((sum, length) => sum + length + LAYOUT.groupGap, 0);
+  const positions = sizes.map((size, i) => ({
+    x: offset(columnWidths, i % gridColumns),
+    y: offset(rowHeights, Math.floor(i / gridColumns)),
+  }));
+
+  return { positions, height: offset(rowHeights, rowHeights.length) - (rowHeights.length > 0 ? LAYOUT.groupGap : 0) };
+}
+
+/**
+ * Finds the generated view or creates it, views drawn by hand are never reused
+ * @param {Object} currentModel - The Archi model
+ * @param {String} viewName - Name of the view
+ * @returns {Object} {view, regenerated}: the emptied or new view, regenerated is true for an existing view
+ * @throws {Error} If a view of this name was not generated by this script
+ */
+function prepareView(currentModel, viewName) {
+  const views = $(currentModel)
+    .find("view")
+    .filter((view) => view.name === viewName);
+  const generated = views.filter((view) => view.prop(GENERATED_PROPERTY) === GENERATOR).first();
+
+  if (generated) {
+    $(generated).children().delete();
+    return { view: generated, regenerated: true };
+  }
+  if (views.size() > 0) {
+    throw new Error(`View "${viewName}" was not generated by this script, choose another name with --viewName`);
+  }
+
+  const view = currentModel.createArchimateView(viewName);
+  view.prop(GENERATED_PROPERTY, GENERATOR);
+  view.documentation =
+    "Generiert aus den Schnittstellen des Modells, Änderungen an der Sicht werden beim nächsten Lauf überschrieben.";
+  return { view, regenerated: false };
+}
+
+/**
+ * Draws the applications and connections of the matrix on the integration view
+ * @param {Object} currentModel - The Archi model
+ * @param {Object} comatrix - Matrix from buildComatrix()
+ * @param {String} viewName - Name of the view
+ * @param {Number} gridColumns - Domänen per row of the grid
+ * @returns {Object} {view, regenerated, domains, applications, interfaces, connections}: counts of the drawn objects,
+ *                   connections are the NST relationships and the relationships from the interfaces to the consumers
+ */
+function generateIntegrationView(currentModel, comatrix, viewName, gridColumns) {
+  const config = getConfig();
+  const { view, regenerated } = prepareView(currentModel, viewName);
+
+  // Applications of the matrix
+  const applications = new Map(); // ID -> element
+  comatrix.relationships.forEach((connection) => {
+    applications.set(connection.target.id, connection.target);
+    applications.set(connection.source.id, connection.source);
+  });
+
+  // Elements by the first Domäne of their application, sorted by name
+  const groupByDomain = (entries) => {
+    const result = new Map(); // Domäne -> elements
+    entries.forEach(({ element, applicationId }) => {
+      const data = comatrix.aElements.get(applicationId) || comatrix.bElementsMap.get(applicationId);
+      const domain = splitNames(data.domain)[0] || NO_DOMAIN;
+      if (!result.has(domain)) {
+        result.set(domain, []);
+      }
+      result.get(domain).push(element);
+    });
+    result.forEach((elements) =>
+      elements.sort(
+        (element1, element2) => element1.name.localeCompare(element2.name) || element1.id.localeCompare(element2.id),
+      ),
+    );
+    return result;
+  };
+
+  // Application interfaces in the Domäne of their (first) providing component, after its applications
+  const interfaces = new Map(); // interface ID -> {element, applicationId}
+  comatrix.relationships
+    .filter((connection) => connection.interfaceElement && !interfaces.has(connection.interfaceElement.id))
+    .forEach((connection) =>
+      interfaces.set(connection.interfaceElement.id, {
+        element: connection.interfaceElement,
+        applicationId: connection.target.id,
+      }),
+    );
+  const applicationsByDomain = groupByDomain(
+    Array.from(applications.values(), (element) => ({ element, applicationId: element.id })),
+  );
+  groupByDomain(Array.from(interfaces.values())).forEach((elements, domain) => {
+    applicationsByDomain.set(domain, [...(applicationsByDomain.get(domain) || []), ...elements]);
+  });
+
+  // Grouping elements of the Domänen, the first one wins if several share a name
+  const domainGroupings = new Map();
+  $(currentModel)
+    .find("element")
+    .filter((element) => element.specialization === config.groupingSpecializations.domain)
+    .each((element) => {
+      if (!domainGroupings.has(element.name)) {
+        domainGroupings.set(element.name, element);
+      }
+    });
+
+  const domains = Array.from(applicationsByDomain.keys())
+    .filter((domain) => domainGroupings.has(domain))
+    .sort((domain1, domain2) => domain1.localeCompare(domain2));
+  const groupingLayouts = domains.map((domain) => layoutGrouping(applicationsByDomain.get(domain).length));
+  const grid = layoutGrid(groupingLayouts, gridColumns);
+
+  const diagramObjects = new Map(); // element ID -> diagram object
+  domains.forEach((domain, i) => {
+    const layout = groupingLayouts[i];
+    const position = grid.positions[i];
+    const grouping = view.add(domainGroupings.get(domain), position.x, position.y, layout.width, layout.height);
+    applicationsByDomain.get(domain).forEach((element, j) => {
+      const appPosition = layout.positions[j];
+      diagramObjects.set(
+        element.id,
+        grouping.add(element, appPosition.x, appPosition.y, LAYOUT.appWidth, LAYOUT.appHeight),
+      );
+    });
+  });
+
+  // Applications without Domäne (or whose Domäne is no grouping of this model) below the grid
+  const ungrouped = Array.from(applicationsByDomain.keys())
+    .filter((domain) => !domainGroupings.has(domain))
+    .flatMap((domain) => applicationsByDomain.get(domain));
+  const ungroupedLayout = layoutGrouping(ungrouped.length);
+  // The positions are relative to a grouping, which is left out here
+  const origin = {
+    x: LAYOUT.margin - LAYOUT.groupPadding,
+    y: grid.height + (domains.length > 0 ? LAYOUT.groupGap : 0) - LAYOUT.groupHeader,
+  };
+  ungrouped.forEach((element, i) => {
+    const position = ungroupedLayout.positions[i];
+    diagramObjects.set(
+      element.id,
+      view.add(element, origin.x + position.x, origin.y + position.y, LAYOUT.appWidth, LAYOUT.appHeight),
+    );
+  });
+
+  // One connection per relationship, NST relationships labelled with all of their Schnittstelle values
+  const drawnRelationships = new Set();
+  const drawRelationship = (relationship, sourceId, targetId) => {
+    if (drawnRelationships.has(relationship.id)) {
+      return null;
+    }
+    drawnRelationships.add(relationship.id);
+    return view.add(relationship, diagramObjects.get(sourceId), diagramObjects.get(targetId));
+  };
+  let connections = 0;
+  comatrix.relationships.forEach((connection) => {
+    if (connection.interfaceElement) {
+      // Interface to consumer, the name of the interface is the Schnittstelle
+      const interfaceId = connection.interfaceElement.id;
+      if (drawRelationship(connection.relationship, interfaceId, connection.source.id)) {
+        connections++;
+      }
+      $(connection.interfaceElement)
+        .inRels()
+        .filter(
+          (relationship) =>
+            relationship.source.id === connection.target.id &&
+            config.interfaceOwnerRelationshipTypes.includes(relationship.type),
+        )
+        .each((relationship) => drawRelationship(relationship, connection.target.id, interfaceId));
+      return;
+    }
+
+    const diagramConnection = drawRelationship(connection.relationship, connection.source.id, connection.target.id);
+    if (diagramConnection) {
+      diagramConnection.labelExpression = `\${properties:, :${config.interfaceProperty}}`;
+      connections++;
+    }
+  });
+
+  return {
+    view,
+    regenerated,
+    domains: domains.length,
+    applications: applications.size,
+    interfaces: interfaces.size,
+    connections,
+  };
+}
+
+/**
+ * Draws the integration view of the selected model
+ * @returns {number} Exit status: EXIT_OK, EXIT_NO_DATA without connections, EXIT_ERROR on errors
+ */
+function drawIntegrationView() {
+  showConsole();
+  log.info("=== Integration View - Generate the Integration Landscape ===\n");
+
+  if (!model) {
+    log.error("No model is selected. Please open or create a model first.");
+    return EXIT_ERROR;
+  }
+
+  log.info(`Selected model: ${model.name}`);
+  log.info(`Model path: ${model.path || "(not saved)"}\n`);
+
+  // Load metamodel configuration and the scope
+  let scope;
+  let gridColumns;
+  try {
+    getConfig();
+    if (getParameter("config")) {
+      log.info(`Configuration loaded from: ${getParameter("config")}\n`);
+    }
+    scope = getScope();
+    if (scope) {
+      log.info(`${describeScope(scope)}\n`);
+    }
+    gridColumns = Number(getParameter("gridColumns") || DEFAULT_GRID_COLUMNS);
+    if (!Number.isInteger(gridColumns) || gridColumns < 1) {
+      throw new Error(`--gridColumns must be a positive number, got "${getParameter("gridColumns")}"`);
+    }
+  } catch (error) {
+    log.error(error.message);
+    return EXIT_ERROR;
+  }
+
+  const viewName = getParameter("viewName") || DEFAULT_VIEW_NAME;
+
+  try {
+    const comatrix = buildComatrix(model, scope);
+    if (comatrix.relationships.length === 0) {
+      log.warn(`No connections found in the ${scope ? "scope" : "selected model"}, the view is not drawn.`, {
+        code: "noRelationships",
+      });
+      return EXIT_NO_DATA;
+    }
+
+    log.info("Step 3: Drawing the view...");
+    const result = generateIntegrationView(model, comatrix, viewName, gridColumns);
+    log.info(`${result.regenerated ? "Regenerated" : "Created"} view "${viewName}"`);
+    const interfaces = result.interfaces > 0 ? `, ${result.interfaces} application interfaces` : "";
+    log.info(
+      `✓ ${result.domains} Domänen, ${result.applications} applications${interfaces} and ${result.connections} ` +
+        "connections drawn",
+    );
+    setSummary({
+      view: viewName,
+      counts: {
+        domains: result.domains,
+        applications: result.applications,
+        interfaces: result.interfaces,
+        connections: result.connections,
+      },
+    });
+
+    log.info("\n=== Integration View Complete ===");
+    return EXIT_OK;
+  } catch (error) {
+    log.exception("Failed to generate the integration view", error);
+    return EXIT_ERROR;
+  }
+}
+
+/**
+ * Main execution function
+ * Writes the run summary (see logger.js) after the view.
+ * @returns {number} Exit status: EXIT_OK, EXIT_NO_DATA without connections, EXIT_ERROR on errors
+ */
+function runIntegrationView() {
+  return runWithSummary("integrationview", drawIntegrationView);
+}
+
+module.exports = {
+  layoutGrouping,
+  layoutGrid,
+  generateIntegrationView,
+  runIntegrationView,
+};
+
+// Execute the main function when the script is run (bundled entry point), not when required
+if (require.main === module) {
+  exitOnFailure(runIntegrationView());
+}
@@ -0,0 +1,309 @@
+/**
+ * interfaceCatalog.js
+ * Generates an Excel catalog of the Schnittstellen with their providers, consumers and properties
+ */
+
+const XLSX = require("xlsx-js-style");
+const { findFachbereich, extractElements } = require("./model");
+const { getConfig } = require("./config");
+const { getParameter } = require("./params");
+const { log, setSummary, runWithSummary } = require("./logger");
+const { classifyConnection, aggregateClassification, getClassificationRule } = require("./classification");
+const { COLOR_HEADER_GRAY, cellStyle } = require("./excelStyles");
+const { EXIT_OK, EXIT_ERROR, EXIT_NO_DATA, getOutputPath } = require("./batch");
+const { showConsole, openOutputLocation, exitOnFailure } = require("./archiHost");
+
+// Fixed columns before the property columns
+const FIXED_COLUMNS = [
+  "Schnittstelle",
+  "Anbieter",
+  "Domäne Anbieter",
+  "Fachbereich Anbieter",
+  "Nutzer",
+  "Domäne Nutzer",
+  "Fachbereich Nutzer",
+  "intern/extern",
+];
+
+// Columns after the property columns
+const TRAILING_COLUMNS = ["Dokumentation", "Beziehungs-IDs"];
+
+// Maximum column width, longer content is wrapped
+const MAX_COLUMN_WIDTH = 60;
+
+/**
+ * Collects the properties and the documentation of a model object
+ * @param {Object} catalogEntry - Catalog entry to add to
+ * @param {Object} concept - Relationship or application interface
+ * @param {String} interfaceProperty - Property holding the Schnittstelle name (not listed as property)
+ */
+function collectProperties(catalogEntry, concept, interfaceProperty) {
+  const keys = concept.prop() || [];
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    if (key === interfaceProperty) {
+      continue;
+    }
+    if (!catalogEntry.properties.has(key)) {
+      catalogEntry.properties.set(key, new Set());
+    }
+    const values = concept.prop(key, true);
+    for (let j = 0; j < values.length; j++) {
+      catalogEntry.properties.get(key).add(values[j]);
+    }
+  }
+
+  if (concept.documentation) {
+    catalogEntry.documentation.add(concept.documentation);
+  }
+}
+
+/**
+ * Collects one catalog entry per Schnittstelle and providing application
+ * @param {Object} model - The Archi model to analyze
+ * @param {Object} config - Metamodel configuration (interfaceProperty)
+ * @returns {Array} Array of {schnittstelle, provider, consumers, internExtern, properties, documentation,
+ *                  relationshipIds} sorted by provider domain, provider name and Schnittstelle.
+ *                  provider and consumers are {id, name, domain, fachbereich, specialization} objects,
+ *                  internExtern is the label of the most distant connection category (see classification.js).
+ */
+function collectInterfaces(model, config) {
+  const connections = extractElements(model);
+  log.info(`Found ${connections.length} connections`);
+
+  // Fachbereich lookups are cached, most applications take part in several connections
+  const fachbereichCache = new Map();
+  const describe = (element, domain) => {
+    if (!fachbereichCache.has(element.id)) {
+      fachbereichCache.set(element.id, findFachbereich(element));
+    }
+    return {
+      id: element.id,
+      name: element.name,
+      domain,
+      fachbereich: fachbereichCache.get(element.id),
+      specialization: element.specialization || "",
+    };
+  };
+
+  // Catalog entries keyed by provider ID and Schnittstelle (same orientation as the matrix: target = provider)
+  const entries = new Map();
+  connections.forEach((connection) => {
+    const schnittstelle = connection.schnittstelle || "N/A";
+    const key = `${connection.target.id}|${schnittstelle}`;
+
+    if (!entries.has(key)) {
+      entries.set(key, {
+        schnittstelle,
+        provider: describe(connection.target, connection.targetDomain),
+        consumers: new Map(),
+        properties: new Map(),
+        documentation: new Set(),
+        relationshipIds: new Set(),
+      });
+    }
+
+    const entry = entries.get(key);
+    if (!entry.consumers.has(connection.source.id)) {
+      entry.consumers.set(connection.source.id, describe(connection.source, connection.sourceDomain));
+    }
+    entry.relationshipIds.add(connection.id);
+    collectProperties(entry, connection.relationship, config.interfaceProperty);
+    if (connection.interfaceElement) {
+      collectProperties(entry, connection.interfaceElement, config.interfaceProperty);
+    }
+  });
+
+  const interfaces = Array.from(entries.values()).map((entry) => {
+    const consumers = Array.from(entry.consumers.values()).sort((a, b) => a.name.localeCompare(b.name));
+
+    // Same rules as the matrix: the most distant connection classifies the Schnittstelle
+    const category = aggregateClassification(
+      consumers.map((consumer) => classifyConnection(entry.provider, consumer, config)),
+    );
+
+    return { ...entry, consumers, internExtern: getClassificationRule(category, config).label };
+  });
+
+  // Sort by provider domain (empty domains last), provider name, Schnittstelle
+  interfaces.sort((a, b) => {
+    if (a.provider.domain === "" && b.provider.domain !== "") return 1;
+    if (a.provider.domain !== "" && b.provider.domain === "") return -1;
+    if (a.provider.domain !== b.provider.domain) {
+      return a.provider.domain.localeCompare(b.provider.domain);
+    }
+    if (a.provider.name !== b.provider.name) {
+      return a.provider.name.localeCompare(b.provider.name);
+    }
+    return a.schnittstelle.localeCompare(b.schnittstelle);
+  });
+
+  return interfaces;
+}
+
+/**
+ * Generates the Excel file of the interface catalog
+ * @param {Array} interfaces - Catalog entries from collectInterfaces()
+ * @param {String} outputPath - Path where the Excel file should be saved
+ */
+function generateInterfaceCatalogExcel(interfaces, outputPath) {
+  log.info("Creating Excel workbook...");
+
+  // One column per property key found on any Schnittstelle
+  const propertyKeys = new Set();
+  interfaces.forEach((entry) => entry.properties.forEach((values, key) => propertyKeys.add(key)));
+  const sortedPropertyKeys = Array.from(propertyKeys).sort();
+
+  const headerRow = [...FIXED_COLUMNS, ...sortedPropertyKeys, ...TRAILING_COLUMNS];
+
+  const distinct = (values) => Array.from(new Set(values.filter((value) => value !== ""))).join(", ");
+  const dataRows = interfaces.map((entry) => [
+    entry.schnittstelle,
+    entry.provider.name,
+    entry.provider.domain,
+    entry.provider.fachbereich,
+    entry.consumers.map((consumer) => consumer.name).join("\n"),
+    distinct(entry.consumers.map((consumer) => consumer.domain)),
+    distinct(entry.consumers.map((consumer) => consumer.fachbereich)),
+    entry.internExtern,
+    ...sortedPropertyKeys.map((key) => Array.from(entry.properties.get(key) || []).join(", ")),
+    Array.from(entry.documentation).join("\n"),
+    Array.from(entry.relationshipIds).join(", "),
+  ]);
+
+  const data = [headerRow, ...dataRows];
+  const worksheet = XLSX.utils.aoa_to_sheet(data);
+
+  // Column widths based on the longest line of each column
+  worksheet["!cols"] = headerRow.map((header, col) => {
+    let maxWidth = 0;
+    data.forEach((row) => {
+      String(row[col])
+        .split("\n")
+        .forEach((line) => {
+          maxWidth = Math.max(maxWidth, line.length);
+        });
+    });
+    return { wch: Math.min(MAX_COLUMN_WIDTH, Math.max(10, maxWidth + 2)) };
+  });
+
+  // Same styling as the application list: gray bold header, bordered cells
+  const headerStyle = cellStyle(COLOR_HEADER_GRAY, { bold: true, alignment: { horizontal: "center" } });
+  const dataStyle = cellStyle(null, { alignment: { vertical: "top", wrapText: true } });
+  data.forEach((row, rowIndex) => {
+    row.forEach((value, col) => {
+      const cellRef = XLSX.utils.encode_cell({ r: rowIndex, c: col });
+      worksheet[cellRef].s = rowIndex === 0 ? headerStyle : dataStyle;
+    });
+  });
+
+  worksheet["!autofilter"] = {
+    ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: data.length - 1, c: headerRow.length - 1 } }),
+  };
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, "Schnittstellen");
+
+  log.info("Writing Excel file...");
+
+  // Write to file using Java FileOutputStream for Archi/GraalVM compatibility
+  const excelBuffer = XLSX.write(workbook, { type: "buffer", bookType: "xlsx", cellStyles: true });
+  const FileOutputStream = Java.type("java.io.FileOutputStream");
+  const fos = new FileOutputStream(outputPath, false);
+  fos.write(Java.to(Array.from(excelBuffer), "byte[]"));
+  fos.close();
+
+  log.info(`✓ Excel file created: ${outputPath}`);
+}
+
+/**
+ * Generates the interface catalog of a model
+ * @param {Object|null} model - The Archi model, null if no model is selected
+ * @returns {number} Exit status: EXIT_OK, EXIT_NO_DATA without Schnittstellen, EXIT_ERROR on errors
+ */
+function generateCatalogReport(model) {
+  showConsole();
+  log.info("=== Interface Catalog - Generate Schnittstellen Catalog ===\n");
+
+  // Check if a model is selected
+  if (!model) {
+    log.error("No model is selected. Please open or create a model first.");
+    return EXIT_ERROR;
+  }
+
+  log.info(`Selected model: ${model.name}`);
+  log.info(`Model path: ${model.path || "(not saved)"}\n`);
+
+  // Load metamodel configuration (--config parameter or defaults)
+  let config;
+  try {
+    config = getConfig();
+    if (getParameter("config")) {
+      log.info(`Configuration loaded from: ${getParameter("config")}\n`);
+    }
+  } catch (error) {
+    log.error(error.message);
+    return EXIT_ERROR;
+  }
+
+  try {
+    log.info(`Collecting Schnittstellen (connection modes: ${config.connectionModes.join(", ")})...`);
+    const interfaces = collectInterfaces(model, config);
+
+    log.info(`Found ${interfaces.length} Schnittstellen\n`);
+    setSummary({ counts: { schnittstellen: interfaces.length } });
+
+    if (interfaces.length === 0) {
+      log.warn("No Schnittstellen found in the selected model.", { code: "noSchnittstellen" });
+      return EXIT_NO_DATA;
+    }
+
+    // Print summary
+    log.debug("=== Schnittstellen by Provider ===");
+    interfaces.forEach((entry) => {
+      log.debug(`  - ${entry.schnittstelle} (${entry.provider.name}): ${entry.consumers.length} consumers`);
+    });
+    log.debug("");
+
+    // Define output path (--output, --outputDir or next to the model)
+    const outputPath = getOutputPath(model, "interfacecatalog.xlsx");
+
+    log.info(`Output file: ${outputPath}\n`);
+
+    // Generate Excel file
+    generateInterfaceCatalogExcel(interfaces, outputPath);
+    setSummary({ output: outputPath });
+
+    log.info("\n=== Export Complete ===");
+    log.info(`Interface catalog saved to: ${outputPath}`);
+    log.info(`Total Schnittstellen: ${interfaces.length}`);
+
+    // Open the file location in file browser (not with --noOpen or --batch)
+    openOutputLocation(outputPath);
+    return EXIT_OK;
+  } catch (error) {
+    log.exception("Failed to create Excel file", error);
+    return EXIT_ERROR;
+  }
+}
+
+/**
+ * Main execution function
+ * Writes the run summary (see logger.js) after the catalog.
+ * @param {Object|null} selectedModel - The Archi model (default: the selected model)
+ * @returns {number} Exit status: EXIT_OK, EXIT_NO_DATA without Schnittstellen, EXIT_ERROR on errors
+ */
+function runInterfaceCatalog(selectedModel = model) {
+  return runWithSummary("interfacecatalog", () => generateCatalogReport(selectedModel));
+}
+
+module.exports = {
+  collectInterfaces,
+  generateInterfaceCatalogExcel,
+  runInterfaceCatalog,
+};
+
+// Execute the main function when the script is run (bundled entry point), not when required
+if (require.main === module) {
+  exitOnFailure(runInterfaceCatalog());
+}
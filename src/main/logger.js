@@ -0,0 +1,265 @@
+/**
+ * logger.js
+ * Console output of the report scripts with log levels, an optional log file and a JSON run summary
+ *
+ * Parameters:
+ *   --logLevel <level>     error, warn, info (default) or debug
+ *   --quiet                Errors only (same as --logLevel error)
+ *   --verbose              Debug messages as well (same as --logLevel debug)
+ *   --logFile <path>       Also appends the printed messages with time and level to the file
+ *   --summaryFile <path>   Run summary (default: <script>-summary.json next to the output file)
+ * Relative paths are resolved against the directory of the model, like --output.
+ *
+ * The run summary lists model, baseline, counts, warnings, errors, output file, exit status and duration of a run,
+ * e.g. for the automation consuming scheduled runs (see batch.js).
+ */
+
+const path = require("path");
+const { getParameter, hasParameter } = require("./params");
+const { writeTextFile, appendTextFile } = require("./files");
+const { EXIT_OK, EXIT_ERROR, EXIT_NO_DATA, getModelDirectory, resolvePath, getOutputPath } = require("./batch");
+
+// Log levels from the most to the least important
+const LOG_LEVELS = ["error", "warn", "info", "debug"];
+const DEFAULT_LOG_LEVEL = "info";
+
+// Console prefixes of errors and warnings
+const PREFIXES = { error: "✗ ERROR: ", warn: "⚠ " };
+
+// Status of the run summary by exit status
+const STATUS_NAMES = { [EXIT_OK]: "ok", [EXIT_ERROR]: "error", [EXIT_NO_DATA]: "noData" };
+
+// Run between startRun() and finishRun(), outside a run messages are printed at the default level only
+let activeRun = null;
+
+/**
+ * Gets the log level from --logLevel, --quiet or --verbose
+ * @returns {String} Log level
+ * @throws {Error} If --logLevel is not a known level
+ */
+function getLogLevel() {
+  if (hasParameter("quiet")) {
+    return "error";
+  }
+  if (hasParameter("verbose")) {
+    return "debug";
+  }
+  const level = getParameter("logLevel");
+  if (level === null) {
+    return DEFAULT_LOG_LEVEL;
+  }
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown --logLevel "${level}", expected one of ${LOG_LEVELS.join(", ")}`);
+  }
+  return level;
+}
+
+/**
+ * Prints a message if its level is enabled, and appends it to the log file
+ * A log file that cannot be written is dropped for the rest of the run, with a single warning on the console
+ * and in the run summary.
+ * @param {String} level - Log level of the message
+ * @param {String} text - Text as printed on the console
+ */
+function print(level, text) {
+  const logLevel = activeRun ? activeRun.logLevel : DEFAULT_LOG_LEVEL;
+  if (LOG_LEVELS.indexOf(level) > LOG_LEVELS.indexOf(logLevel)) {
+    return;
+  }
+  console.log(text);
+
+  const lines = text.trim();
+  if (activeRun && activeRun.logFile && lines) {
+    const prefix = `${new Date().toISOString()} ${level.toUpperCase().padEnd(5)} `;
+    try {
+      appendTextFile(activeRun.logFile, `${prefix}${lines.split("\n").join(`\n${" ".repeat(prefix.length)}`)}\n`);
+    } catch (error) {
+      const message = `Could not write the log file ${activeRun.logFile}: ${error.message}`;
+      activeRun.logFile = null;
+      activeRun.summary.warnings.push({ message, code: "logFileNotWritable" });
+      console.log(`${PREFIXES.warn}${message}`);
+    }
+  }
+}
+
+/**
+ * Prints an error or warning with its prefix and adds it to the run summary
+ * Leading line breaks stay in front of the prefix.
+ * @param {String} level - "error" or "warn"
+ * @param {String} message - Message without prefix
+ * @param {Object} details - Further fields of the summary entry, e.g. {code: "groupingCycle", elements: [...]}
+ */
+function report(level, message, details) {
+  if (activeRun) {
+    activeRun.summary[level === "error" ? "errors" : "warnings"].push({ message: message.trim(), ...details });
+  }
+  const lineBreaks = message.match(/^\n*/)[0];
+  print(level, `${lineBreaks}${PREFIXES[level]}${message.substring(lineBreaks.length)}`);
+}
+
+const log = {
+  /**
+   * Logs an error, also in quiet mode
+   * @param {String} message - Message without the "✗ ERROR:" prefix
+   * @param {Object} details - Further fields of the summary entry
+   */
+  error(message, details = {}) {
+    report("error", message, details);
+  },
+
+  /**
+   * Logs an exception caught by a script: message, error type and stack trace
+   * @param {String} message - What failed, e.g. "Failed to create Excel file"
+   * @param {Error} error - Caught error
+   */
+  exception(message, error) {
+    report("error", `\n${message}`, { cause: error.message, type: error.constructor.name });
+    print("error", `Error message: ${error.message}`);
+    print("error", `Error type: ${error.constructor.name}`);
+    if (error.stack) {
+      print("error", `Stack trace:\n${error.stack}`);
+    }
+  },
+
+  /**
+   * Logs a warning
+   * @param {String} message - Message without the "⚠" prefix
+   * @param {Object} details - Further fields of the summary entry
+   */
+  warn(message, details = {}) {
+    report("warn", message, details);
+  },
+
+  /**
+   * Logs progress and results
+   * @param {String} message - Message
+   */
+  info(message) {
+    print("info", message);
+  },
+
+  /**
+   * Logs details shown with --verbose only
+   * @param {String} message - Message
+   */
+  debug(message) {
+    print("debug", message);
+  },
+};
+
+/**
+ * Describes a model for the run summary
+ * @param {Object|null} currentModel - Archi model
+ * @returns {Object|null} {name, path}
+ */
+function summarizeModel(currentModel) {
+  return currentModel ? { name: currentModel.name, path: currentModel.path || null } : null;
+}
+
+/**
+ * Starts a run: reads the logging parameters and resets the summary
+ * @param {String} script - Script name, e.g. "comatrix"
+ * @throws {Error} If --logLevel is not a known level
+ */
+function startRun(script) {
+  const currentModel = globalThis.model || null;
+  activeRun = {
+    startTime: Date.now(),
+    logLevel: DEFAULT_LOG_LEVEL,
+    logFile: null,
+    summary: {
+      script,
+      startedAt: new Date().toISOString(),
+      model: summarizeModel(currentModel),
+      baseline: null,
+      counts: {},
+      warnings: [],
+      errors: [],
+      output: null,
+    },
+  };
+
+  const logFile = getParameter("logFile");
+  activeRun.logFile = logFile ? resolvePath(logFile, getModelDirectory(currentModel)) : null;
+  activeRun.logLevel = getLogLevel();
+}
+
+/**
+ * Adds fields to the summary of the current run, counts are merged with the counts added before
+ * @param {Object} fields - e.g. {baseline: summarizeModel(baselineModel), counts: {relationships: 12}}
+ */
+function setSummary(fields) {
+  if (!activeRun) {
+    return;
+  }
+  const { counts, ...otherFields } = fields;
+  Object.assign(activeRun.summary, otherFields);
+  Object.assign(activeRun.summary.counts, counts || {});
+}
+
+/**
+ * Gets the path of the run summary: --summaryFile, or next to the output file (--output, --outputDir or the model)
+ * @param {Object} summary - Run summary
+ * @returns {String} Summary file path
+ */
+function getSummaryPath(summary) {
+  const summaryFile = getParameter("summaryFile");
+  if (summaryFile) {
+    return resolvePath(summaryFile, getModelDirectory(summary.model));
+  }
+  const fileName = `${summary.script}-summary.json`;
+  return path.join(path.dirname(getOutputPath(summary.model, fileName)), fileName);
+}
+
+/**
+ * Finishes the current run and writes its summary
+ * @param {number} status - Exit status of the script (see batch.js)
+ * @returns {Object} Run summary
+ */
+function finishRun(status) {
+  const summary = activeRun.summary;
+  summary.status = STATUS_NAMES[status];
+  summary.exitCode = status;
+  summary.durationMs = Date.now() - activeRun.startTime;
+
+  const summaryPath = getSummaryPath(summary);
+  try {
+    writeTextFile(summaryPath, `${JSON.stringify(summary, null, 2)}\n`);
+    log.debug(`Run summary written to: ${summaryPath}`);
+  } catch (error) {
+    log.warn(`Could not write the run summary to ${summaryPath}: ${error.message}`);
+  }
+
+  activeRun = null;
+  return summary;
+}
+
+/**
+ * Runs a script between startRun() and finishRun()
+ * @param {String} script - Script name, e.g. "comatrix"
+ * @param {Function} fn - Script, returns its exit status
+ * @returns {number} Exit status of the script, EXIT_ERROR for invalid logging parameters
+ */
+function runWithSummary(script, fn) {
+  let status = EXIT_ERROR;
+  try {
+    startRun(script);
+    status = fn();
+  } catch (error) {
+    log.error(error.message);
+    status = EXIT_ERROR;
+  } finally {
+    finishRun(status);
+  }
+  return status;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  log,
+  summarizeModel,
+  setSummary,
+  startRun,
+  finishRun,
+  runWithSummary,
+};
@@ -0,0 +1,284 @@
+/**
+ * metricsExcel.js
+ * "Kennzahlen" worksheet with coupling metrics per application, Domäne and Fachbereich
+ *
+ * The metrics of a unit (an application, or all applications of a Domäne or Fachbereich) count the connections
+ * crossing its boundary, connections within the unit are internal. An application in several Domänen or Fachbereiche
+ * belongs to each of them:
+ *   Angebotene Schnittstellen   Schnittstellen offered by the unit (also those only used internally)
+ *   Nutzer (Ca)                 Applications outside the unit using them (afferent coupling)
+ *   Genutzte Schnittstellen     Schnittstellen of applications outside the unit used by the unit
+ *   Anbieter (Ce)               Applications outside the unit providing them (efferent coupling)
+ *   Fan-in, Fan-out             Incoming and outgoing connections (one per Schnittstelle and Nutzer)
+ *   Domänenübergreifend         Share of the unit's connections, internal ones included, not within one Domäne
+ *   Instabilität I              Martin's instability Ce / (Ca + Ce), empty for units without Ca and Ce
+ */
+
+const XLSX = require("xlsx-js-style");
+const { COLOR_ADDED, COLOR_REMOVED, COLOR_HEADER_GRAY, cellStyle } = require("./excelStyles");
+const { classifyConnection } = require("./classification");
+const { splitNames } = require("./model");
+const { getConfig } = require("./config");
+
+// Units the metrics are computed for, in the order of the worksheet
+const LEVELS = [
+  { key: "application", label: "Anwendung" },
+  { key: "domain", label: "Domäne" },
+  { key: "fachbereich", label: "Fachbereich" },
+];
+
+// Labels of applications without Domäne or Fachbereich (as in the application list)
+const NO_DOMAIN = "(keine Domäne)";
+const NO_FACHBEREICH = "(kein Fachbereich)";
+
+// Metric columns with their number formats (value and difference to the baseline)
+// Units missing in one model count 0 for the counts, the ratios of such units are not compared
+const METRICS = [
+  { key: "offered", label: "Angebotene Schnittstellen", format: "0", deltaFormat: "+0;-0;0" },
+  { key: "consumers", label: "Nutzer (Ca)", format: "0", deltaFormat: "+0;-0;0" },
+  { key: "consumed", label: "Genutzte Schnittstellen", format: "0", deltaFormat: "+0;-0;0" },
+  { key: "providers", label: "Anbieter (Ce)", format: "0", deltaFormat: "+0;-0;0" },
+  { key: "fanIn", label: "Fan-in", format: "0", deltaFormat: "+0;-0;0" },
+  { key: "fanOut", label: "Fan-out", format: "0", deltaFormat: "+0;-0;0" },
+  { key: "crossDomainShare", label: "Domänenübergreifend", format: "0%", deltaFormat: "+0%;-0%;0%", ratio: true },
+  { key: "instability", label: "Instabilität I", format: "0.00", deltaFormat: "+0.00;-0.00;0.00", ratio: true },
+];
+
+const NAME_COLUMNS = ["Ebene", "Name", "Domäne", "Fachbereich"];
+
+/**
+ * Gets the units an application belongs to per level
+ * @param {String} id - Element ID
+ * @param {Object} data - Element entry from aElements or bElementsMap
+ * @returns {Array<Array<Object>>} {level, key, name, domain, fachbereich} per level in the order of LEVELS: the
+ *                                 application itself, each of its Domänen and each of its Fachbereiche
+ */
+function getUnits(id, data) {
+  const domain = data.domain || NO_DOMAIN;
+  const fachbereich = data.fachbereich || NO_FACHBEREICH;
+  const groupUnits = (level, value, missing) =>
+    (value ? splitNames(value) : [missing]).map((name) => ({ level, key: name, name, domain: "", fachbereich: "" }));
+  return [
+    [{ level: "application", key: id, name: data.name, domain, fachbereich }],
+    groupUnits("domain", data.domain, NO_DOMAIN),
+    groupUnits("fachbereich", data.fachbereich, NO_FACHBEREICH),
+  ];
+}
+
+/**
+ * Computes the coupling metrics of a matrix
+ * @param {Object} comatrix - Matrix data structure from buildComatrix(), its relationships as returned by
+ *                            extractElements()
+ * @returns {Map} "level|key" -> {level, key, name, domain, fachbereich, values}, values holds one number per entry
+ *                of METRICS (null where the metric is undefined)
+ */
+function computeMetrics(comatrix) {
+  const config = getConfig();
+  const accumulators = new Map();
+  const getAccumulator = (unit) => {
+    const unitKey = `${unit.level}|${unit.key}`;
+    if (!accumulators.has(unitKey)) {
+      accumulators.set(unitKey, {
+        ...unit,
+        offered: new Set(),
+        consumers: new Set(),
+        consumed: new Set(),
+        providers: new Set(),
+        fanIn: 0,
+        fanOut: 0,
+        connections: 0,
+        crossDomain: 0,
+      });
+    }
+    return accumulators.get(unitKey);
+  };
+
+  // One connection per provider, Schnittstelle and consumer, even if several relationships carry it
+  const seen = new Set();
+  comatrix.relationships.forEach((rel) => {
+    const aId = rel.target.id;
+    const bId = rel.source.id;
+    const schnittstelle = rel.schnittstelle || "N/A";
+    const connectionKey = `${aId}|${schnittstelle}|${bId}`;
+    if (seen.has(connectionKey)) {
+      return;
+    }
+    seen.add(connectionKey);
+
+    const aData = comatrix.aElements.get(aId);
+    const bData = comatrix.bElementsMap.get(bId);
+    const crossDomain = classifyConnection(aData, bData, config) !== "sameDomain";
+    const aUnits = getUnits(aId, aData);
+    const bUnits = getUnits(bId, bData);
+
+    LEVELS.forEach((level, i) => {
+      const providers = aUnits[i].map(getAccumulator);
+      const consumers = bUnits[i].map(getAccumulator);
+
+      // Every unit touched by the connection counts it once, it crosses the boundary of the units on one side only
+      new Set([...providers, ...consumers]).forEach((accumulator) => {
+        const isProvider = providers.includes(accumulator);
+        const isConsumer = consumers.includes(accumulator);
+        accumulator.connections++;
+        if (crossDomain) accumulator.crossDomain++;
+        if (isProvider) {
+          accumulator.offered.add(`${aId}|${schnittstelle}`);
+        }
+        if (isProvider && !isConsumer) {
+          accumulator.consumers.add(bId);
+          accumulator.fanIn++;
+        }
+        if (isConsumer && !isProvider) {
+          accumulator.consumed.add(`${aId}|${schnittstelle}`);
+          accumulator.providers.add(aId);
+          accumulator.fanOut++;
+        }
+      });
+    });
+  });
+
+  const metrics = new Map();
+  accumulators.forEach((accumulator, unitKey) => {
+    const ca = accumulator.consumers.size;
+    const ce = accumulator.providers.size;
+    const { level, key, name, domain, fachbereich } = accumulator;
+    metrics.set(unitKey, {
+      level,
+      key,
+      name,
+      domain,
+      fachbereich,
+      values: {
+        offered: accumulator.offered.size,
+        consumers: ca,
+        consumed: accumulator.consumed.size,
+        providers: ce,
+        fanIn: accumulator.fanIn,
+        fanOut: accumulator.fanOut,
+        crossDomainShare: accumulator.connections > 0 ? accumulator.crossDomain / accumulator.connections : null,
+        instability: ca + ce > 0 ? ce / (ca + ce) : null,
+      },
+    });
+  });
+  return metrics;
+}
+
+/**
+ * Sorts the units by level, then applications by Domäne and name, Domänen and Fachbereich by name
+ * Units without Domäne or Fachbereich come last.
+ * @param {Array<Object>} units - Units from computeMetrics()
+ * @returns {Array<Object>} Sorted units
+ */
+function sortUnits(units) {
+  const levelIndex = (unit) => LEVELS.findIndex((level) => level.key === unit.level);
+  const compareNames = (name1, name2) => {
+    const missing1 = name1 === NO_DOMAIN || name1 === NO_FACHBEREICH;
+    const missing2 = name2 === NO_DOMAIN || name2 === NO_FACHBEREICH;
+    if (missing1 !== missing2) return missing1 ? 1 : -1;
+    return name1.localeCompare(name2);
+  };
+
+  return units.sort(
+    (unit1, unit2) =>
+      levelIndex(unit1) - levelIndex(unit2) ||
+      compareNames(unit1.domain, unit2.domain) ||
+      compareNames(unit1.name, unit2.name) ||
+      unit1.key.localeCompare(unit2.key),
+  );
+}
+
+/**
+ * Adds the "Kennzahlen" worksheet, in compare mode with the difference to the baseline after each metric
+ * Units only in the current model are green, units only in the baseline red.
+ * @param {Object} workbook - XLSX workbook
+ * @param {Map} metrics - Metrics of the current model from computeMetrics()
+ * @param {Map|null} baselineMetrics - Metrics of the baseline model in compare mode
+ * @returns {Number} Number of units listed
+ */
+function addMetricsSheet(workbook, metrics, baselineMetrics = null) {
+  const compare = baselineMetrics !== null;
+  const headerRow = [...NAME_COLUMNS];
+  METRICS.forEach((metric) => {
+    headerRow.push(metric.label);
+    if (compare) headerRow.push(`Δ ${metric.label}`);
+  });
+
+  const unitKeys = new Set([...metrics.keys(), ...(compare ? baselineMetrics.keys() : [])]);
+  const units = sortUnits(
+    Array.from(unitKeys).map((unitKey) => {
+      const current = metrics.get(unitKey);
+      const baseline = compare ? baselineMetrics.get(unitKey) : null;
+      return { ...(current || baseline), current, baseline };
+    }),
+  );
+
+  const rows = units.map((unit) => {
+    const level = LEVELS.find((candidate) => candidate.key === unit.level);
+    const row = [level.label, unit.name, unit.domain, unit.fachbereich];
+    METRICS.forEach((metric) => {
+      const missing = metric.ratio ? null : 0;
+      const value = unit.current ? unit.current.values[metric.key] : null;
+      row.push(value === null ? "" : value);
+      if (compare) {
+        const currentValue = unit.current ? value : missing;
+        const baseValue = unit.baseline ? unit.baseline.values[metric.key] : missing;
+        row.push(currentValue === null || baseValue === null ? "" : currentValue - baseValue);
+      }
+    });
+    return row;
+  });
+
+  const data = [headerRow, ...rows];
+  const worksheet = XLSX.utils.aoa_to_sheet(data);
+  worksheet["!cols"] = headerRow.map((header, col) => {
+    let maxWidth = header.length;
+    if (col < NAME_COLUMNS.length) {
+      rows.forEach((row) => {
+        maxWidth = Math.max(maxWidth, String(row[col]).length);
+      });
+    }
+    return { wch: Math.max(10, maxWidth + 2) };
+  });
+
+  const headerStyle = cellStyle(COLOR_HEADER_GRAY, {
+    bold: true,
+    alignment: { horizontal: "center", vertical: "top", wrapText: true },
+  });
+  const formats = [];
+  METRICS.forEach((metric) => {
+    formats.push(metric.format);
+    if (compare) formats.push(metric.deltaFormat);
+  });
+  data.forEach((row, rowIndex) => {
+    row.forEach((value, col) => {
+      const cellRef = XLSX.utils.encode_cell({ r: rowIndex, c: col });
+      if (rowIndex === 0) {
+        worksheet[cellRef].s = headerStyle;
+        return;
+      }
+      const unit = units[rowIndex - 1];
+      if (col < NAME_COLUMNS.length) {
+        // New and removed units colored like the matrix, aggregated units bold
+        const color = compare && !unit.baseline ? COLOR_ADDED : compare && !unit.current ? COLOR_REMOVED : null;
+        worksheet[cellRef].s = cellStyle(color, { bold: unit.level !== "application" });
+      } else {
+        worksheet[cellRef].s = cellStyle(null, { bold: unit.level !== "application" });
+        if (typeof value === "number") {
+          worksheet[cellRef].z = formats[col - NAME_COLUMNS.length];
+        }
+      }
+    });
+  });
+
+  worksheet["!autofilter"] = {
+    ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: data.length - 1, c: headerRow.length - 1 } }),
+  };
+
+  XLSX.utils.book_append_sheet(workbook, worksheet, "Kennzahlen");
+  return rows.length;
+}
+
+module.exports = {
+  computeMetrics,
+  addMetricsSheet,
+};
@@ -3,123 +3,201 @@
  * Functions for extracting and analyzing Archi model elements
  */
 
+const { getConfig } = require("./config");
+const { log } = require("./logger");
+
 /**
- * Helper function to find all groupings with a specific specialization
+ * Collects incoming relationships of the given types
  * @param {Object} element - The Archi element
- * @param {String} targetSpecialization - The specialization to look for (e.g., "Domäne", "Fachbereich")
- * @param {Set} visited - Set of already visited element IDs to detect cycles
- * @param {Object} currentPath - Set of elements in current traversal path for cycle detection
- * @returns {Object} Object with {found: Array<String>, hasCycle: Boolean}
+ * @param {Array<String>} relationshipTypes - Relationship types to collect (e.g., "aggregation-relationship")
+ * @returns {Object} jArchi collection of incoming relationships
  */
-function findAllGroupings(element, targetSpecialization, visited, currentPath) {
-  const result = { found: [], hasCycle: false };
+function findIncomingRels(element, relationshipTypes) {
+  let incomingRels = $(element).inRels(relationshipTypes[0]);
+  for (let i = 1; i < relationshipTypes.length; i++) {
+    incomingRels = incomingRels.add($(element).inRels(relationshipTypes[i]));
+  }
+  return incomingRels;
+}
 
-  // Check if we've encountered a cycle in the current path
-  if (currentPath.has(element.id)) {
-    result.hasCycle = true;
-    return result;
+/**
+ * Collects outgoing relationships of the given types
+ * @param {Object} element - The Archi element
+ * @param {Array<String>} relationshipTypes - Relationship types to collect (e.g., "serving-relationship")
+ * @returns {Object} jArchi collection of outgoing relationships
+ */
+function findOutgoingRels(element, relationshipTypes) {
+  let outgoingRels = $(element).outRels(relationshipTypes[0]);
+  for (let i = 1; i < relationshipTypes.length; i++) {
+    outgoingRels = outgoingRels.add($(element).outRels(relationshipTypes[i]));
   }
+  return outgoingRels;
+}
 
-  // Check if this element itself has the target specialization
-  if (element.specialization === targetSpecialization) {
-    result.found.push(element.name);
+// Marker shown next to the Domäne and Fachbereich of elements whose grouping hierarchy contains a cycle
+const CYCLE_MARKER = "⚠ Zyklus";
+
+/**
+ * Helper function to find all groupings with the Domäne and Fachbereich specializations
+ * @param {Object} element - The Archi element
+ * @param {Object} specializations - Specializations to look for, e.g. {domains: "Domäne", fachbereiche: "Fachbereich"}
+ * @param {Set} visited - Set of already visited element IDs
+ * @param {Array} currentPath - Elements in the current traversal path for cycle detection
+ * @param {Object} result - Result to add to: one name list per specialization key and cycles (see analyzeGroupings())
+ */
+function findAllGroupings(element, specializations, visited, currentPath, result) {
+  // Check if we've encountered a cycle in the current path
+  const cycleStart = currentPath.findIndex((pathElement) => pathElement.id === element.id);
+  if (cycleStart !== -1) {
+    addCycle(result, currentPath.slice(cycleStart));
+    return;
   }
 
+  // Check if this element itself has one of the specializations
+  Object.keys(specializations).forEach((key) => {
+    if (element.specialization === specializations[key] && !result[key].includes(element.name)) {
+      result[key].push(element.name);
+    }
+  });
+
   // Mark as visited
   visited.add(element.id);
-  currentPath.add(element.id);
+  currentPath.push(element);
 
-  // Find incoming aggregation or composition relationships
-  const incomingRels = $(element).inRels("aggregation-relationship").add($(element).inRels("composition-relationship"));
+  // Find incoming hierarchy relationships (aggregation/composition by default)
+  const incomingRels = findIncomingRels(element, getConfig().hierarchyRelationshipTypes);
 
   // Traverse up the hierarchy
   for (let i = 0; i < incomingRels.length; i++) {
-    const rel = incomingRels[i];
-    const parent = rel.source;
+    const parent = incomingRels[i].source;
 
     // Skip if already visited (but not in current path - that would be a cycle)
-    if (visited.has(parent.id) && !currentPath.has(parent.id)) {
+    if (visited.has(parent.id) && !currentPath.some((pathElement) => pathElement.id === parent.id)) {
       continue;
     }
 
     // Recursively search in parent
-    const parentResult = findAllGroupings(parent, targetSpecialization, visited, currentPath);
+    findAllGroupings(parent, specializations, visited, currentPath, result);
+  }
 
-    if (parentResult.hasCycle) {
-      result.hasCycle = true;
-    }
+  // Remove from current path when backtracking
+  currentPath.pop();
+}
 
-    // Add found groupings from parent
-    parentResult.found.forEach((name) => {
-      if (!result.found.includes(name)) {
-        result.found.push(name);
-      }
-    });
+/**
+ * Adds a cycle found while traversing up the hierarchy, unless it is known already
+ * @param {Object} result - Traversal result with cycles
+ * @param {Array} upwardPath - Elements of the cycle, each one grouped by the next one (and the last by the first)
+ */
+function addCycle(result, upwardPath) {
+  const key = upwardPath
+    .map((element) => element.id)
+    .sort()
+    .join("|");
+  if (result.cycleKeys.has(key)) {
+    return;
   }
+  result.cycleKeys.add(key);
 
-  // Remove from current path when backtracking
-  currentPath.delete(element.id);
+  // Report the path in aggregation direction (grouping → grouped element), closed with its first element
+  const first = upwardPath[0];
+  const path = [first, ...upwardPath.slice(1).reverse(), first];
+  result.cycles.push(path.map((element) => ({ id: element.id, name: element.name })));
+}
+
+/**
+ * Traverses the grouping hierarchy above an element (aggregation/composition relationships)
+ * Cycles do not hide the groupings found on the other paths.
+ * @param {Object} element - The Archi element
+ * @returns {Object} {domains, fachbereiche, cycles}: names of the groupings with the Domäne and Fachbereich
+ *                   specializations, and every circular path as [{id, name}, ...] in aggregation direction,
+ *                   closed with its first element (e.g. Alpha → Beta → Alpha)
+ */
+function analyzeGroupings(element) {
+  const config = getConfig();
+  const result = { domains: [], fachbereiche: [], cycles: [], cycleKeys: new Set() };
+  const specializations = {
+    domains: config.groupingSpecializations.domain,
+    fachbereiche: config.groupingSpecializations.fachbereich,
+  };
 
-  return result;
+  findAllGroupings(element, specializations, new Set(), [], result);
+
+  return { domains: result.domains, fachbereiche: result.fachbereiche, cycles: result.cycles };
 }
 
 /**
  * Finds all domains for an element by traversing aggregation/composition relationships
  * @param {Object} element - The Archi element
- * @returns {String} Comma-separated domain names, "cycle" if cycle detected, or empty string if none found
+ * @returns {String} Comma-separated domain names, empty string if none found (see analyzeGroupings() for cycles)
  */
 function findDomain(element) {
-  const visited = new Set();
-  const currentPath = new Set();
-  const result = findAllGroupings(element, "Domäne", visited, currentPath);
-
-  if (result.hasCycle) {
-    return "cycle";
-  }
-
-  if (result.found.length === 0) {
-    return "";
-  }
+  return analyzeGroupings(element).domains.join(", ");
+}
 
-  return result.found.join(", ");
+/**
+ * Splits a comma-separated list of domains or Fachbereich
+ * @param {String} value - e.g. "Finance, Sales" as returned by findDomain()
+ * @returns {Array<String>} Names, empty for an empty value
+ */
+function splitNames(value) {
+  return value ? value.split(", ") : [];
 }
 
 /**
  * Finds all Fachbereich for an element by traversing aggregation/composition relationships
  * @param {Object} element - The Archi element
- * @returns {String} Comma-separated Fachbereich names, "cycle" if cycle detected, or empty string if none found
+ * @returns {String} Comma-separated Fachbereich names, empty string if none found (cycles are ignored)
  */
 function findFachbereich(element) {
-  const visited = new Set();
-  const currentPath = new Set();
-  const result = findAllGroupings(element, "Fachbereich", visited, currentPath);
+  return analyzeGroupings(element).fachbereiche.join(", ");
+}
 
-  if (result.hasCycle) {
-    return "cycle";
-  }
+/**
+ * Finds the cycles in the grouping hierarchy above an element
+ * @param {Object} element - The Archi element
+ * @returns {Array<Array<Object>>} Circular paths as [{id, name}, ...], empty if there are none
+ */
+function findGroupingCycles(element) {
+  return analyzeGroupings(element).cycles;
+}
 
-  if (result.found.length === 0) {
-    return "";
+/**
+ * Adds the cycle marker to a Domäne or Fachbereich shown in a report
+ * @param {String} value - Domäne or Fachbereich (comma-separated list)
+ * @param {Array} cycles - Cycles of the element from findGroupingCycles()
+ * @returns {String} e.g. "Sales (⚠ Zyklus)", the value itself if there are no cycles
+ */
+function withCycleMarker(value, cycles) {
+  if (!cycles || cycles.length === 0) {
+    return value;
   }
+  return value ? `${value} (${CYCLE_MARKER})` : `(${CYCLE_MARKER})`;
+}
 
-  return result.found.join(", ");
+/**
+ * Formats a cycle for reports and console output
+ * @param {Array<Object>} cycle - Circular path from findGroupingCycles()
+ * @returns {String} e.g. "Alpha → Beta → Alpha"
+ */
+function formatCyclePath(cycle) {
+  return cycle.map((element) => element.name).join(" → ");
 }
 
 /**
- * Extracts triggering relationship information from Archi model
+ * Extracts connections modelled as relationships with the interface name in a property
+ * (triggering relationships with property "Schnittstelle" by default)
  * @param {Object} model - Archi model object
- * @returns {Array} Array of relationship objects with source, target, and Schnittstelle property
+ * @param {Object} config - Metamodel configuration
+ * @param {Array} relationships - Connection records to append to
  */
-function extractElements(model) {
-  const relationships = [];
-
-  // Get all triggering relationships from the model where name starts with NST_
-  $(model)
-    .find("triggering-relationship")
-    .each((relationship) => {
-      if (true) {
+function extractPropertyConnections(model, config, relationships) {
+  config.connectionRelationshipTypes.forEach((relationshipType) => {
+    $(model)
+      .find(relationshipType)
+      .each((relationship) => {
         // Get the Schnittstelle property values, can be multiply with same key
-        const schnittstellen = relationship.prop("Schnittstelle", true) || "";
+        const schnittstellen = relationship.prop(config.interfaceProperty, true) || "";
         if (schnittstellen) {
           // Find domains for source and target
           const sourceDomain = findDomain(relationship.source);
@@ -134,17 +212,98 @@ function extractElements(model) {
               schnittstelle: schnittstelle,
               sourceDomain: sourceDomain,
               targetDomain: targetDomain,
+              relationship: relationship,
+              interfaceElement: null,
             });
           });
         }
+      });
+  });
+}
+
+/**
+ * Extracts connections modelled through application interfaces:
+ * the interface is composed into the providing component, serving/flow relationships lead to the consumers
+ * @param {Object} model - Archi model object
+ * @param {Object} config - Metamodel configuration
+ * @param {Array} relationships - Connection records to append to
+ */
+function extractInterfaceConnections(model, config, relationships) {
+  $(model)
+    .find("application-interface")
+    .each((interfaceElement) => {
+      // Providing components (interface composed into the component)
+      const providers = [];
+      const ownerRels = findIncomingRels(interfaceElement, config.interfaceOwnerRelationshipTypes);
+      for (let i = 0; i < ownerRels.length; i++) {
+        if (ownerRels[i].source.type === "application-component") {
+          providers.push(ownerRels[i].source);
+        }
+      }
+
+      // Consuming components (serving/flow relationships from the interface)
+      const consumerRels = [];
+      const outgoingRels = findOutgoingRels(interfaceElement, config.interfaceConnectionRelationshipTypes);
+      for (let i = 0; i < outgoingRels.length; i++) {
+        if (outgoingRels[i].target.type === "application-component") {
+          consumerRels.push(outgoingRels[i]);
+        }
       }
+
+      providers.forEach((provider) => {
+        const providerDomain = findDomain(provider);
+
+        consumerRels.forEach((rel) => {
+          // Same orientation as triggering relationships: source = consumer (B), target = provider (A)
+          relationships.push({
+            id: rel.id,
+            name: rel.name,
+            source: rel.target,
+            target: provider,
+            schnittstelle: interfaceElement.name,
+            sourceDomain: findDomain(rel.target),
+            targetDomain: providerDomain,
+            relationship: rel,
+            interfaceElement: interfaceElement,
+          });
+        });
+      });
     });
+}
+
+/**
+ * Extracts connections between applications from Archi model
+ * Depending on the configured connection modes, connections are taken from relationships with an
+ * interface property (triggering by default) and/or from application interfaces
+ * @param {Object} model - Archi model object
+ * @returns {Array} Array of connection objects with source (consumer), target (provider) and Schnittstelle,
+ *                  the underlying relationship and the application interface (null for property-based connections)
+ */
+function extractElements(model) {
+  const config = getConfig();
+  const relationships = [];
+
+  if (config.connectionModes.includes("property")) {
+    extractPropertyConnections(model, config, relationships);
+    log.debug(`Found ${relationships.length} connections by property "${config.interfaceProperty}"`);
+  }
+  if (config.connectionModes.includes("interface")) {
+    const propertyConnections = relationships.length;
+    extractInterfaceConnections(model, config, relationships);
+    log.debug(`Found ${relationships.length - propertyConnections} connections through Application Interfaces`);
+  }
 
   return relationships;
 }
 
 module.exports = {
+  CYCLE_MARKER,
+  analyzeGroupings,
   findDomain,
   findFachbereich,
+  splitNames,
+  findGroupingCycles,
+  withCycleMarker,
+  formatCyclePath,
   extractElements,
 };
@@ -0,0 +1,456 @@
+/**
+ * modelLint.js
+ * Checks the modelling conventions the reports depend on (see doc/metamodel.md) and lists the violations
+ *
+ * Rules:
+ *   missingInterface      NST_* connection relationship without Schnittstelle property (missing in the matrix)
+ *   emptyInterface        Empty Schnittstelle value (shown as "N/A")
+ *   invalidEndpoint       Connection relationship from or to another element than an application component
+ *   missingDomain         Application without Domäne ("(keine Domäne)", classified as extern)
+ *   missingFachbereich    Application without Fachbereich ("(kein Fachbereich)")
+ *   groupingCycle         Circular aggregation/composition (grouped applications are marked "⚠ Zyklus")
+ *   duplicateName         Elements of the same type sharing a name (hard to tell apart in the reports)
+ *   unknownSpecialization Specialization the reports do not know (application missing in the application list)
+ */
+
+const XLSX = require("xlsx-js-style");
+const { findDomain, findFachbereich } = require("./model");
+const { getConfig } = require("./config");
+const { getParameter } = require("./params");
+const { log, setSummary, runWithSummary } = require("./logger");
+const { COLOR_CHANGED, COLOR_HEADER_GRAY, COLOR_REMOVED, cellStyle } = require("./excelStyles");
+const { EXIT_OK, EXIT_ERROR, getOutputPath } = require("./batch");
+const { showConsole, openOutputLocation, exitOnFailure } = require("./archiHost");
+
+// Severity levels from the most to the least severe, with their labels in the report
+const SEVERITIES = ["error", "warning", "info"];
+const SEVERITY_LABELS = { error: "Fehler", warning: "Warnung", info: "Hinweis" };
+const SEVERITY_COLORS = { error: COLOR_REMOVED, warning: COLOR_CHANGED, info: null };
+
+// Console markers per severity
+const SEVERITY_MARKERS = { error: "✗", warning: "⚠", info: "ℹ" };
+
+// Prefix of the connection relationships that are meant for the matrix
+const CONNECTION_PREFIX = "NST_";
+
+/**
+ * Describes a model object for a finding
+ * @param {Object} object - Element or relationship
+ * @returns {Object} {id, name, type}
+ */
+function describeObject(object) {
+  return { id: object.id, name: object.name || "", type: object.type };
+}
+
+/**
+ * Describes a relationship with its end points for messages
+ * @param {Object} relationship - Relationship
+ * @returns {String} e.g. 'NST_PlaceOrder ("Customer Portal" → "Order System")'
+ */
+function describeRelationship(relationship) {
+  return `${relationship.name || relationship.type} ("${relationship.source.name}" → "${relationship.target.name}")`;
+}
+
+/**
+ * Checks the connection relationships (property connection mode)
+ * @param {Object} model - The Archi model to check
+ * @param {Object} config - Metamodel configuration
+ * @param {Array} findings - Findings to append to
+ */
+function checkConnections(model, config, findings) {
+  config.connectionRelationshipTypes.forEach((relationshipType) => {
+    $(model)
+      .find(relationshipType)
+      .each((relationship) => {
+        const values = relationship.prop(config.interfaceProperty, true) || [];
+        const isConnection = values.length > 0 || (relationship.name || "").startsWith(CONNECTION_PREFIX);
+        if (!isConnection) {
+          return;
+        }
+
+        if (values.length === 0) {
+          findings.push({
+            severity: "error",
+            rule: "missingInterface",
+            objects: [describeObject(relationship)],
+            message: `${describeRelationship(relationship)} has no "${config.interfaceProperty}" property, the connection is missing in the matrix`,
+          });
+        } else if (values.some((value) => value.trim() === "")) {
+          findings.push({
+            severity: "error",
+            rule: "emptyInterface",
+            objects: [describeObject(relationship)],
+            message: `${describeRelationship(relationship)} has an empty "${config.interfaceProperty}" value, shown as "N/A"`,
+          });
+        }
+
+        [relationship.source, relationship.target].forEach((endpoint) => {
+          if (endpoint.type !== "application-component") {
+            findings.push({
+              severity: "error",
+              rule: "invalidEndpoint",
+              objects: [describeObject(relationship), describeObject(endpoint)],
+              message: `${describeRelationship(relationship)} connects ${endpoint.type} "${endpoint.name}", only application components are expected`,
+            });
+          }
+        });
+      });
+  });
+}
+
+/**
+ * Checks the Domäne, Fachbereich and specialization of the application components
+ * Applications with an external specialization need no Domäne or Fachbereich.
+ * @param {Object} model - The Archi model to check
+ * @param {Object} config - Metamodel configuration
+ * @param {Array} findings - Findings to append to
+ */
+function checkApplications(model, config, findings) {
+  $(model)
+    .find("application-component")
+    .each((application) => {
+      const specialization = application.specialization || "";
+      if (config.externalSpecializations.includes(specialization)) {
+        return;
+      }
+
+      if (specialization && !config.applicationSpecializations.includes(specialization)) {
+        findings.push({
+          severity: "warning",
+          rule: "unknownSpecialization",
+          objects: [describeObject(application)],
+          message: `Application "${application.name}" has the unknown specialization "${specialization}", it is missing in the application list`,
+        });
+      }
+
+      // Groupings found besides a cycle count, the cycle itself is reported once by checkGroupingCycles()
+      const domain = findDomain(application);
+      if (domain === "") {
+        findings.push({
+          severity: "warning",
+          rule: "missingDomain",
+          objects: [describeObject(application)],
+          message: `Application "${application.name}" belongs to no ${config.groupingSpecializations.domain}`,
+        });
+      }
+
+      const fachbereich = findFachbereich(application);
+      if (fachbereich === "") {
+        findings.push({
+          severity: "warning",
+          rule: "missingFachbereich",
+          objects: [describeObject(application)],
+          message: `Application "${application.name}" belongs to no ${config.groupingSpecializations.fachbereich}`,
+        });
+      }
+    });
+
+  // Groupings are only recognized with the Domäne or Fachbereich specialization
+  const groupingSpecializations = [config.groupingSpecializations.domain, config.groupingSpecializations.fachbereich];
+  $(model)
+    .find("grouping")
+    .each((grouping) => {
+      const specialization = grouping.specialization || "";
+      if (specialization && !groupingSpecializations.includes(specialization)) {
+        findings.push({
+          severity: "info",
+          rule: "unknownSpecialization",
+          objects: [describeObject(grouping)],
+          message: `Grouping "${grouping.name}" has the specialization "${specialization}", it is neither ${groupingSpecializations.join(" nor ")}`,
+        });
+      }
+    });
+}
+
+/**
+ * Finds the cycles of the grouping hierarchy (aggregation/composition by default)
+ * Each cycle is reported once with its full path, e.g. "Alpha → Beta → Alpha".
+ * @param {Object} model - The Archi model to check
+ * @param {Object} config - Metamodel configuration
+ * @param {Array} findings - Findings to append to
+ */
+function checkGroupingCycles(model, config, findings) {
+  const state = new Map(); // element ID -> "active" while on the current path, "done" afterwards
+  const reportedCycles = new Set();
+  const pathStack = [];
+
+  const visit = (element) => {
+    state.set(element.id, "active");
+    pathStack.push(element);
+
+    config.hierarchyRelationshipTypes.forEach((relationshipType) => {
+      $(element)
+        .outRels(relationshipType)
+        .each((relationship) => {
+          const child = relationship.target;
+          if (state.get(child.id) === "active") {
+            const cycle = pathStack.slice(pathStack.findIndex((candidate) => candidate.id === child.id));
+            const key = cycle
+              .map((member) => member.id)
+              .sort()
+              .join("|");
+            if (!reportedCycles.has(key)) {
+              reportedCycles.add(key);
+              findings.push({
+                severity: "error",
+                rule: "groupingCycle",
+                objects: cycle.map(describeObject),
+                message: `Circular grouping ${[...cycle, child].map((member) => member.name).join(" → ")}, the reports mark the grouped applications with "⚠ Zyklus"`,
+              });
+            }
+          } else if (!state.has(child.id)) {
+            visit(child);
+          }
+        });
+    });
+
+    pathStack.pop();
+    state.set(element.id, "done");
+  };
+
+  $(model)
+    .find("element")
+    .each((element) => {
+      if (!state.has(element.id)) {
+        visit(element);
+      }
+    });
+}
+
+/**
+ * Finds elements of the same type sharing a name
+ * @param {Object} model - The Archi model to check
+ * @param {Array} findings - Findings to append to
+ */
+function checkDuplicateNames(model, findings) {
+  const elementsByName = new Map(); // "type|name" -> elements
+  $(model)
+    .find("element")
+    .each((element) => {
+      if (!element.name) {
+        return;
+      }
+      const key = `${element.type}|${element.name}`;
+      if (!elementsByName.has(key)) {
+        elementsByName.set(key, []);
+      }
+      elementsByName.get(key).push(element);
+    });
+
+  elementsByName.forEach((elements) => {
+    if (elements.length > 1) {
+      findings.push({
+        severity: "warning",
+        rule: "duplicateName",
+        objects: elements.map(describeObject),
+        message: `${elements.length} elements of type ${elements[0].type} are named "${elements[0].name}"`,
+      });
+    }
+  });
+}
+
+/**
+ * Checks a model against the modelling conventions
+ * @param {Object} model - The Archi model to check
+ * @param {Object} config - Metamodel configuration
+ * @returns {Array} Findings as {severity, rule, objects, message}, objects are {id, name, type}.
+ *                  Sorted by severity (error, warning, info), then rule and message.
+ */
+function lintModel(model, config) {
+  const findings = [];
+
+  if (config.connectionModes.includes("property")) {
+    checkConnections(model, config, findings);
+  }
+  checkApplications(model, config, findings);
+  checkGroupingCycles(model, config, findings);
+  checkDuplicateNames(model, findings);
+
+  findings.sort((a, b) => {
+    if (a.severity !== b.severity) {
+      return SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity);
+    }
+    if (a.rule !== b.rule) {
+      return a.rule.localeCompare(b.rule);
+    }
+    return a.message.localeCompare(b.message);
+  });
+
+  return findings;
+}
+
+/**
+ * Counts the findings per severity
+ * @param {Array} findings - Findings from lintModel()
+ * @returns {Object} {error, warning, info}
+ */
+function countFindings(findings) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  findings.forEach((finding) => {
+    counts[finding.severity]++;
+  });
+  return counts;
+}
+
+/**
+ * Generates the Excel report of the findings
+ * @param {Array} findings - Findings from lintModel()
+ * @param {String} outputPath - Path where the Excel file should be saved
+ */
+function generateLintExcel(findings, outputPath) {
+  log.info("Creating Excel workbook...");
+
+  const headerRow = ["Schweregrad", "Regel", "Objekt", "Typ", "ID", "Meldung"];
+  const dataRows = findings.map((finding) => [
+    SEVERITY_LABELS[finding.severity],
+    finding.rule,
+    finding.objects.map((object) => object.name).join("\n"),
+    finding.objects.map((object) => object.type).join("\n"),
+    finding.objects.map((object) => object.id).join("\n"),
+    finding.message,
+  ]);
+
+  const data = [headerRow, ...dataRows];
+  const worksheet = XLSX.utils.aoa_to_sheet(data);
+
+  worksheet["!cols"] = [{ wch: 12 }, { wch: 24 }, { wch: 30 }, { wch: 24 }, { wch: 30 }, { wch: 100 }];
+
+  // Gray bold header, severity column filled red (Fehler) or orange (Warnung)
+  const headerStyle = cellStyle(COLOR_HEADER_GRAY, { bold: true, alignment: { horizontal: "center" } });
+  const dataStyle = cellStyle(null, { alignment: { vertical: "top", wrapText: true } });
+  data.forEach((row, rowIndex) => {
+    row.forEach((value, col) => {
+      const cellRef = XLSX.utils.encode_cell({ r: rowIndex, c: col });
+      if (rowIndex === 0) {
+        worksheet[cellRef].s = headerStyle;
+      } else if (col === 0) {
+        const severity = findings[rowIndex - 1].severity;
+        worksheet[cellRef].s = cellStyle(SEVERITY_COLORS[severity], { alignment: { vertical: "top" } });
+      } else {
+        worksheet[cellRef].s = dataStyle;
+      }
+    });
+  });
+
+  worksheet["!autofilter"] = {
+    ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: data.length - 1, c: headerRow.length - 1 } }),
+  };
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, "Befunde");
+
+  log.info("Writing Excel file...");
+
+  // Write to file using Java FileOutputStream for Archi/GraalVM compatibility
+  const excelBuffer = XLSX.write(workbook, { type: "buffer", bookType: "xlsx", cellStyles: true });
+  const FileOutputStream = Java.type("java.io.FileOutputStream");
+  const fos = new FileOutputStream(outputPath, false);
+  fos.write(Java.to(Array.from(excelBuffer), "byte[]"));
+  fos.close();
+
+  log.info(`✓ Excel file created: ${outputPath}`);
+}
+
+/**
+ * Prints the findings to the console
+ * @param {Array} findings - Findings from lintModel()
+ */
+function printFindings(findings) {
+  findings.forEach((finding) => {
+    const ids = finding.objects.map((object) => object.id).join(", ");
+    log.info(`${SEVERITY_MARKERS[finding.severity]} [${finding.rule}] ${finding.message} (${ids})`);
+  });
+}
+
+/**
+ * Checks a model and writes the findings
+ * @param {Object|null} model - The Archi model, null if no model is selected
+ * @returns {number} Exit status: EXIT_OK if the model has no errors (warnings and hints are allowed), EXIT_ERROR
+ *                   for errors in the model and failed runs
+ */
+function generateLintReport(model) {
+  showConsole();
+  log.info("=== Model Lint - Check Modelling Conventions ===\n");
+
+  // Check if a model is selected
+  if (!model) {
+    log.error("No model is selected. Please open or create a model first.");
+    return EXIT_ERROR;
+  }
+
+  log.info(`Selected model: ${model.name}`);
+  log.info(`Model path: ${model.path || "(not saved)"}\n`);
+
+  // Load metamodel configuration (--config parameter or defaults)
+  let config;
+  try {
+    config = getConfig();
+    if (getParameter("config")) {
+      log.info(`Configuration loaded from: ${getParameter("config")}\n`);
+    }
+  } catch (error) {
+    log.error(error.message);
+    return EXIT_ERROR;
+  }
+
+  try {
+    log.info("Checking modelling conventions...");
+    const findings = lintModel(model, config);
+    const counts = countFindings(findings);
+
+    log.info(`Errors: ${counts.error}, warnings: ${counts.warning}, hints: ${counts.info}\n`);
+    setSummary({ counts: { findingErrors: counts.error, findingWarnings: counts.warning, findingHints: counts.info } });
+    printFindings(findings);
+    log.info("");
+
+    // Define output path (--output, --outputDir or next to the model)
+    const outputPath = getOutputPath(model, "modellint.xlsx");
+
+    log.info(`Output file: ${outputPath}\n`);
+
+    // Generate Excel file
+    generateLintExcel(findings, outputPath);
+    setSummary({ output: outputPath });
+
+    log.info("\n=== Check Complete ===");
+    log.info(`Report saved to: ${outputPath}`);
+    if (counts.error > 0) {
+      log.error(`The model violates ${counts.error} conventions the reports depend on.`, { code: "lintErrors" });
+    } else {
+      log.info("✓ The model follows the conventions the reports depend on.");
+    }
+
+    // Open the file location in file browser (not with --noOpen or --batch)
+    openOutputLocation(outputPath);
+
+    return counts.error === 0 ? EXIT_OK : EXIT_ERROR;
+  } catch (error) {
+    log.exception("Failed to check the model", error);
+    return EXIT_ERROR;
+  }
+}
+
+/**
+ * Main execution function
+ * Writes the run summary (see logger.js) after the check.
+ * @param {Object|null} selectedModel - The Archi model (default: the selected model)
+ * @returns {number} Exit status: EXIT_OK if the model has no errors (warnings and hints are allowed), EXIT_ERROR
+ *                   for errors in the model and failed runs
+ */
+function runModelLint(selectedModel = model) {
+  return runWithSummary("modellint", () => generateLintReport(selectedModel));
+}
+
+module.exports = {
+  SEVERITIES,
+  lintModel,
+  countFindings,
+  printFindings,
+  generateLintExcel,
+  runModelLint,
+};
+
+// Execute the main function when the script is run (bundled entry point), not when required
+if (require.main === module) {
+  exitOnFailure(runModelLint());
+}
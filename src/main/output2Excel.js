@@ -9,19 +9,96 @@ const {
   isSeparatorRow,
   applyRowGrouping,
   insertColumnSeparators,
+  mapColumnKeys,
   isSeparatorColumn,
   applyColumnGrouping,
 } = require("./groupingExcel");
+const {
+  COLOR_ADDED,
+  COLOR_CHANGED,
+  COLOR_CHANGED_ALT,
+  COLOR_REMOVED,
+  COLOR_MOVED,
+  COLOR_HEADER_GRAY,
+  COLOR_COLUMN_BLUE,
+  borderStyle,
+  getFontStyle,
+} = require("./excelStyles");
+const {
+  getRowVersions,
+  getConnectionVersions,
+  getElementVersions,
+  getTimelineStatus,
+  formatVersionCode,
+  formatVersionLegend,
+  addTimelineSheet,
+} = require("./timelineExcel");
+const { formatAttributeChanges, addChangeLogSheet } = require("./changeLogExcel");
+const { classifyConnection, aggregateClassification, getClassificationRule } = require("./classification");
+const { getConfig } = require("./config");
+const { log } = require("./logger");
+const { describeScope } = require("./scope");
+const { withCycleMarker, formatCyclePath } = require("./model");
+const { collectCycles, addDiagnosticsSheet } = require("./diagnosticsExcel");
+const { buildDomainMatrix, addDomainMatrixSheet } = require("./domainMatrixExcel");
+const { computeMetrics, addMetricsSheet } = require("./metricsExcel");
+
+/**
+ * Builds the key identifying a matrix row (A-element + Schnittstelle)
+ * @param {String} aId - ID of the A-element
+ * @param {String} schnittstelle - Schnittstelle name
+ * @returns {String} Row key
+ */
+function rowKey(aId, schnittstelle) {
+  return `${aId}|${schnittstelle}`;
+}
+
+/**
+ * Checks whether a matrix contains a connection
+ * @param {Object} comatrix - Matrix data structure from buildComatrix()
+ * @param {String} aId - ID of the A-element
+ * @param {String} schnittstelle - Schnittstelle name
+ * @param {String} bId - ID of the B-element
+ * @returns {Boolean} True if the A-element offers the Schnittstelle to the B-element
+ */
+function hasConnection(comatrix, aId, schnittstelle, bId) {
+  const aData = comatrix.aElements.get(aId);
+  if (!aData || !aData.schnittstellenMap.has(schnittstelle)) {
+    return false;
+  }
+  return aData.schnittstellenMap.get(schnittstelle).has(bId);
+}
+
+/**
+ * Resolves the name shown in the workbook for a matrix element
+ * @param {Object} elementData - Element entry from aElements or bElementsMap
+ * @returns {String} Element name, flagged as renamed if the baseline name differs and followed by the
+ *                   baseline values of a changed domain, Fachbereich or specialization
+ */
+function getDisplayName(elementData) {
+  let displayName = elementData.name;
+  if (elementData.previousName !== undefined && elementData.previousName !== elementData.name) {
+    displayName = `renamed (${elementData.previousName} → ${elementData.name})`;
+  }
+
+  const attributeChanges = formatAttributeChanges(elementData);
+  return attributeChanges ? `${displayName} (${attributeChanges})` : displayName;
+}
 
-// Color constants for Excel styling
-const COLOR_ADDED = "9BBB59"; // Green (RGB 155/187/89) - New elements
-const COLOR_CHANGED = "FFC000"; // Orange (RGB 255/192/0) - Changed elements
-const COLOR_CHANGED_ALT = "FFFF00"; // Yellow (RGB 255/255/0) - Alternative changed color
-const COLOR_REMOVED = "C0504D"; // Red (RGB 192/80/77) - Removed elements
-const COLOR_HEADER_GRAY = "D9D9D9"; // Light gray (RGB 217/217/217) - Headers
-const COLOR_COLUMN_BLUE = "B8CCE4"; // Light blue (RGB 184/204/228) - B-element columns
-const COLOR_TEXT_BLACK = "000000"; // Black - Default text
-const COLOR_TEXT_WHITE = "FFFFFF"; // White - Text on red background
+/**
+ * Counts the elements of a merged matrix whose domain, Fachbereich or specialization changed
+ * @param {Map} elements - aElements or bElementsMap
+ * @returns {number} Number of reassigned elements
+ */
+function countReassigned(elements) {
+  let count = 0;
+  elements.forEach((data) => {
+    if (data.previousAttributes) {
+      count++;
+    }
+  });
+  return count;
+}
 
 /**
  * Outputs a connectivity matrix to Excel with optional baseline comparison
@@ -29,117 +106,115 @@ const COLOR_TEXT_WHITE = "FFFFFF"; // White - Text on red background
  * @param {String} outputPath - Path to save the Excel file
  * @param {Object} comatrixBase - Optional baseline matrix for comparison (from buildComatrix)
  * @param {Object} comatrixCurrent - Optional current matrix for comparison (from buildComatrix)
+ * @param {Object} options - {timeline: timeline from buildTimeline() to show the versions of each connection,
+ *                            scope: scope from getScope() to record in the legend}
  */
-function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
+function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent, options = {}) {
   const { aElements, bElementsMap, sortedAElements, sortedBElements } = comatrix;
+  const timeline = options.timeline || null;
+  const versionCount = timeline ? timeline.versions.length : 0;
+  const config = getConfig();
 
   // Build baseline and current sets if provided for comparison
+  // All sets are keyed by element ID, names are only resolved for display
   let baselineSets = null;
   let currentSets = null;
   let changedAElements = new Set(); // A-elements with changed connections
   let changedBElements = new Set(); // B-elements with changed connections
-  let baselineRowCombinations = new Set(); // Set of "AElement|Schnittstelle" combinations in baseline
-  let currentRowCombinations = new Set(); // Set of "AElement|Schnittstelle" combinations in current
+  let renamedAElements = new Set(); // A-elements whose name differs between baseline and current
+  let renamedBElements = new Set(); // B-elements whose name differs between baseline and current
+  let baselineRowCombinations = new Set(); // Set of "AElementId|Schnittstelle" combinations in baseline
+  let currentRowCombinations = new Set(); // Set of "AElementId|Schnittstelle" combinations in current
   let changedRowCombinations = new Set(); // Row combinations with connection changes
 
   if (comatrixBase && comatrixCurrent) {
-    console.log("Building baseline and current sets for comparison...");
+    log.info("Building baseline and current sets for comparison...");
 
     baselineSets = {
-      aElements: new Set(),
-      bElements: new Set(),
+      aElements: new Set(comatrixBase.aElements.keys()),
+      bElements: new Set(comatrixBase.bElementsMap.keys()),
     };
 
-    // Add only element names (not domains) for comparison
-    comatrixBase.aElements.forEach((value, name) => {
-      baselineSets.aElements.add(name);
-    });
-
-    comatrixBase.bElementsMap.forEach((domain, name) => {
-      baselineSets.bElements.add(name);
-    });
-
     currentSets = {
-      aElements: new Set(),
-      bElements: new Set(),
+      aElements: new Set(comatrixCurrent.aElements.keys()),
+      bElements: new Set(comatrixCurrent.bElementsMap.keys()),
     };
 
-    // Add only element names (not domains) for comparison
-    comatrixCurrent.aElements.forEach((value, name) => {
-      currentSets.aElements.add(name);
+    // Detect renamed elements (same ID, different name)
+    comatrixCurrent.aElements.forEach((data, aId) => {
+      if (comatrixBase.aElements.has(aId) && comatrixBase.aElements.get(aId).name !== data.name) {
+        renamedAElements.add(aId);
+      }
     });
 
-    comatrixCurrent.bElementsMap.forEach((domain, name) => {
-      currentSets.bElements.add(name);
+    comatrixCurrent.bElementsMap.forEach((data, bId) => {
+      if (comatrixBase.bElementsMap.has(bId) && comatrixBase.bElementsMap.get(bId).name !== data.name) {
+        renamedBElements.add(bId);
+      }
     });
 
     // Build row combinations (A-element + Schnittstelle)
-    comatrixBase.aElements.forEach((data, aName) => {
+    comatrixBase.aElements.forEach((data, aId) => {
       data.schnittstellenMap.forEach((bSet, schnittstelle) => {
-        baselineRowCombinations.add(`${aName}|${schnittstelle}`);
+        baselineRowCombinations.add(rowKey(aId, schnittstelle));
       });
     });
 
-    comatrixCurrent.aElements.forEach((data, aName) => {
+    comatrixCurrent.aElements.forEach((data, aId) => {
       data.schnittstellenMap.forEach((bSet, schnittstelle) => {
-        currentRowCombinations.add(`${aName}|${schnittstelle}`);
+        currentRowCombinations.add(rowKey(aId, schnittstelle));
       });
     });
 
     // Detect changed row combinations (A-element + Schnittstelle with different connections)
-    console.log("Analyzing connection changes...");
+    log.info("Analyzing connection changes...");
 
     // Check combinations that exist in both baseline and current
-    currentRowCombinations.forEach((combo) => {
-      if (baselineRowCombinations.has(combo)) {
-        const [aName, schnittstelle] = combo.split("|");
+    comatrixCurrent.aElements.forEach((currentData, aId) => {
+      currentData.schnittstellenMap.forEach((currentBSet, schnittstelle) => {
+        const combo = rowKey(aId, schnittstelle);
+        if (!baselineRowCombinations.has(combo)) {
+          return;
+        }
 
-        const baseBSet = comatrixBase.aElements.get(aName).schnittstellenMap.get(schnittstelle);
-        const currentBSet = comatrixCurrent.aElements.get(aName).schnittstellenMap.get(schnittstelle);
+        const baseBSet = comatrixBase.aElements.get(aId).schnittstellenMap.get(schnittstelle);
 
         // Check if the B-elements (connections) are different
         let hasChanges = false;
 
-        baseBSet.forEach((bName) => {
-          if (!currentBSet.has(bName)) {
+        baseBSet.forEach((bId) => {
+          if (!currentBSet.has(bId)) {
             hasChanges = true;
           }
         });
 
-        currentBSet.forEach((bName) => {
-          if (!baseBSet.has(bName)) {
+        currentBSet.forEach((bId) => {
+          if (!baseBSet.has(bId)) {
             hasChanges = true;
           }
         });
 
         if (hasChanges) {
           changedRowCombinations.add(combo);
+          changedAElements.add(aId);
         }
-      }
+      });
     });
 
     // Check each B-element column for changes
-    sortedBElements.forEach((bName) => {
-      const inBaseline = baselineSets.bElements.has(bName);
-      const inCurrent = currentSets.bElements.has(bName);
+    sortedBElements.forEach((bId) => {
+      const inBaseline = baselineSets.bElements.has(bId);
+      const inCurrent = currentSets.bElements.has(bId);
 
       if (inBaseline && inCurrent) {
         // B-element exists in both - check if any connections differ in this column
         let hasChanges = false;
 
         // Check all A-element + Schnittstelle combinations for this B-element
-        comatrixBase.aElements.forEach((baseData, aName) => {
+        comatrixBase.aElements.forEach((baseData, aId) => {
           baseData.schnittstellenMap.forEach((baseBSet, schnittstelle) => {
-            const inBaselineRow = baseBSet.has(bName);
-
-            // Check if this combination exists in current
-            let inCurrentRow = false;
-            if (comatrixCurrent.aElements.has(aName)) {
-              const currentData = comatrixCurrent.aElements.get(aName);
-              if (currentData.schnittstellenMap.has(schnittstelle)) {
-                inCurrentRow = currentData.schnittstellenMap.get(schnittstelle).has(bName);
-              }
-            }
+            const inBaselineRow = baseBSet.has(bId);
+            const inCurrentRow = hasConnection(comatrixCurrent, aId, schnittstelle, bId);
 
             if (inBaselineRow !== inCurrentRow) {
               hasChanges = true;
@@ -148,63 +223,80 @@ function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
         });
 
         // Also check combinations only in current
-        comatrixCurrent.aElements.forEach((currentData, aName) => {
+        comatrixCurrent.aElements.forEach((currentData, aId) => {
           currentData.schnittstellenMap.forEach((currentBSet, schnittstelle) => {
-            if (currentBSet.has(bName)) {
-              // Check if this combination existed in baseline
-              let inBaselineRow = false;
-              if (comatrixBase.aElements.has(aName)) {
-                const baseData = comatrixBase.aElements.get(aName);
-                if (baseData.schnittstellenMap.has(schnittstelle)) {
-                  inBaselineRow = baseData.schnittstellenMap.get(schnittstelle).has(bName);
-                }
-              }
-
-              if (!inBaselineRow) {
-                hasChanges = true;
-              }
+            if (currentBSet.has(bId) && !hasConnection(comatrixBase, aId, schnittstelle, bId)) {
+              hasChanges = true;
             }
           });
         });
 
         if (hasChanges) {
-          changedBElements.add(bName);
+          changedBElements.add(bId);
         }
       }
     });
 
-    console.log(
+    log.info(
       `Baseline contains ${baselineSets.aElements.size} A-elements and ${baselineSets.bElements.size} B-elements`,
     );
-    console.log(
-      `Current contains ${currentSets.aElements.size} A-elements and ${currentSets.bElements.size} B-elements`,
-    );
-    console.log(
+    log.info(`Current contains ${currentSets.aElements.size} A-elements and ${currentSets.bElements.size} B-elements`);
+    log.info(
       `Elements with changed connections: ${changedAElements.size} A-elements, ${changedBElements.size} B-elements`,
     );
-    console.log("New elements will be highlighted with green fill.");
-    console.log("Removed elements will be highlighted with red fill.");
-    console.log("Elements with changed connections will be highlighted with orange fill.\n");
+    log.info(`Renamed elements: ${renamedAElements.size} A-elements, ${renamedBElements.size} B-elements`);
+    log.info(
+      `Reassigned elements: ${countReassigned(aElements)} A-elements, ${countReassigned(bElementsMap)} B-elements`,
+    );
+    log.info("New elements will be highlighted with green fill.");
+    log.info("Removed elements will be highlighted with red fill.");
+    log.info("Elements with changed connections will be highlighted with orange fill.");
+    log.info("Renamed elements will be highlighted with orange fill and labeled with their old name.");
+    log.info("Reassigned elements (domain, Fachbereich, specialization) will be highlighted with purple fill.\n");
   }
 
-  console.log("Step 3: Building matrix data...");
+  if (timeline) {
+    log.info(`Comparing ${versionCount} versions: ${timeline.versions.map((version) => version.label).join(", ")}`);
+    log.info("Connections show the numbers of the versions they are part of.");
+    log.info("Connections added in a later version will be highlighted with green fill.");
+    log.info("Connections removed in a later version will be highlighted with red fill.");
+    log.info("Connections added and removed again or missing in between will be highlighted with orange fill.\n");
+  }
+
+  log.info("Step 3: Building matrix data...");
 
   // Build domain row for B elements (first row)
+  // Elements can only be reassigned compared with a baseline, D1 stays empty otherwise
+  const compareMode = Boolean(baselineSets && currentSets);
+  const legend = timeline
+    ? ["Grün = hinzugekommen", "Orange = zeitweise", "Rot = entfallen", formatVersionLegend(timeline)]
+    : ["Grün = Hinzugefügt", "Orange = geändert", "Rot = gelöscht", compareMode ? "Lila = verschoben" : ""];
+
+  // The active scope is recorded below the last legend entry
+  const scopeDescription = describeScope(options.scope || null);
+  if (scopeDescription) {
+    legend[3] = legend[3] ? `${legend[3]}\n${scopeDescription}` : scopeDescription;
+  }
+
   const bDomainRow = [
-    "Grün = Hinzugefügt",
-    "Orange = geändert",
-    "Rot = gelöscht",
-    "",
-    ...sortedBElements.map((bName) => bElementsMap.get(bName).domain),
+    ...legend,
+    ...sortedBElements.map((bId) => bElementsMap.get(bId).domain),
   ];
 
   // Build header row (second row)
-  const headerRow = ["Domäne", "Anwendungssystem", "Angebotene Schnittstelle", "intern/extern", ...sortedBElements];
+  const headerRow = [
+    "Domäne",
+    "Anwendungssystem",
+    "Angebotene Schnittstelle",
+    "intern/extern",
+    ...sortedBElements.map((bId) => getDisplayName(bElementsMap.get(bId))),
+  ];
 
-  // Build data rows
+  // Build data rows (each row remembers its A-element ID in row.aId and its Fachbereich in row.fachbereich)
   const dataRows = [];
-  sortedAElements.forEach((aName) => {
-    const aData = aElements.get(aName);
+  const rowCategories = new Map(); // "AElementId|Schnittstelle" -> aggregated classification category
+  sortedAElements.forEach((aId) => {
+    const aData = aElements.get(aId);
     const aDomain = aData.domain;
     const schnittstellenMap = aData.schnittstellenMap;
     const sortedSchnittstellen = Array.from(schnittstellenMap.keys()).sort();
@@ -212,50 +304,60 @@ function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
     sortedSchnittstellen.forEach((schnittstelle) => {
       const targetSet = schnittstellenMap.get(schnittstelle);
 
-      // Determine if intern or extern based on domains
-      // Check if any B element in this row has a connection
-      let hasConnectionWithDomain = false;
-      let hasConnectionWithoutDomain = false;
-
-      sortedBElements.forEach((bName) => {
-        if (targetSet.has(bName)) {
-          const bDomain = bElementsMap.get(bName).domain;
-          if (aDomain !== "" && bDomain !== "") {
-            hasConnectionWithDomain = true;
-          } else {
-            hasConnectionWithoutDomain = true;
-          }
+      // Classify every connection of the row, the most distant category labels the row
+      const categories = sortedBElements
+        .filter((bId) => targetSet.has(bId))
+        .map((bId) => classifyConnection(aData, bElementsMap.get(bId), config));
+      const rowCategory = aggregateClassification(categories);
+      rowCategories.set(rowKey(aId, schnittstelle), rowCategory);
+
+      const row = [aDomain, getDisplayName(aData), schnittstelle, getClassificationRule(rowCategory, config).label];
+      row.aId = aId;
+      row.fachbereich = aData.fachbereich;
+
+      // Add "x" (version code in timeline mode) for each B element if connection exists
+      sortedBElements.forEach((bId) => {
+        if (!targetSet.has(bId)) {
+          row.push("");
+        } else {
+          row.push(timeline ? formatVersionCode(getConnectionVersions(timeline, aId, schnittstelle, bId)) : "x");
         }
       });
 
-      // Determine intern/extern: if at least one connection is extern, mark as extern
-      const internExtern = hasConnectionWithoutDomain ? "extern" : hasConnectionWithDomain ? "intern" : "";
-
-      const row = [aDomain, aName, schnittstelle, internExtern];
-
-      // Add "x" for each B element if connection exists
-      sortedBElements.forEach((bName) => {
-        row.push(targetSet.has(bName) ? "x" : "");
-      });
-
       dataRows.push(row);
     });
   });
 
   // Insert group separator rows
-  console.log(`Step 3.5: Inserting group separators into ${dataRows.length} rows...`);
+  log.info(`Step 3.5: Inserting group separators into ${dataRows.length} rows...`);
   const dataRowsWithSeparators = insertGroupSeparators(dataRows);
-  console.log(`Result: ${dataRowsWithSeparators.length} rows (including separators)`);
+  log.info(`Result: ${dataRowsWithSeparators.length} rows (including separators)`);
 
   // Combine domain row, header, and data
   const data = [bDomainRow, headerRow, ...dataRowsWithSeparators];
 
   // Insert column separators
-  console.log(`Step 3.6: Inserting column separators into ${data[0].length - 4} B-element columns...`);
-  const dataWithColumnSeparators = insertColumnSeparators(data);
-  console.log(`Result: ${dataWithColumnSeparators[0].length} total columns (including separators)`);
+  log.info(`Step 3.6: Inserting column separators into ${data[0].length - 4} B-element columns...`);
+  const bFachbereiche = sortedBElements.map((bId) => bElementsMap.get(bId).fachbereich);
+  const dataWithColumnSeparators = insertColumnSeparators(data, bFachbereiche);
+  // B-element ID per column, null for separators
+  const columnBElements = mapColumnKeys(data, sortedBElements, bFachbereiche);
+  log.info(`Result: ${dataWithColumnSeparators[0].length} total columns (including separators)`);
+
+  // Domains of elements inside a grouping cycle are marked, after grouping so the outline keys stay clean
+  dataWithColumnSeparators.slice(2).forEach((row) => {
+    if (row.aId && row[0] !== undefined) {
+      row[0] = withCycleMarker(row[0], aElements.get(row.aId).cycles);
+    }
+  });
+  columnBElements.forEach((bId, col) => {
+    if (bId) {
+      const bCycles = bElementsMap.get(bId).cycles;
+      dataWithColumnSeparators[0][col] = withCycleMarker(dataWithColumnSeparators[0][col], bCycles);
+    }
+  });
 
-  console.log(
+  log.info(
     `Step 4: Creating worksheet with ${dataWithColumnSeparators.length - 2} data rows and ${dataWithColumnSeparators[0].length} columns...`,
   );
 
@@ -264,7 +366,7 @@ function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
   const worksheet = XLSX.utils.aoa_to_sheet(dataWithColumnSeparators);
 
   // Calculate column widths based on content
-  console.log("Step 4.5: Calculating auto-fit column widths...");
+  log.info("Step 4.5: Calculating auto-fit column widths...");
   const colWidths = [];
 
   for (let col = 0; col < dataWithColumnSeparators[0].length; col++) {
@@ -275,8 +377,12 @@ function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
       for (let row = 0; row < dataWithColumnSeparators.length; row++) {
         const cellValue = dataWithColumnSeparators[row][col];
         if (cellValue) {
-          const cellLength = String(cellValue).length;
-          maxWidth = Math.max(maxWidth, cellLength);
+          // Multi-line cells (version legend) are as wide as their longest line
+          String(cellValue)
+            .split("\n")
+            .forEach((line) => {
+              maxWidth = Math.max(maxWidth, line.length);
+            });
         }
       }
       // Add some padding and set minimum width
@@ -291,48 +397,7 @@ function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
   worksheet["!cols"] = colWidths;
 
   // Style the rows
-  console.log("Step 5: Applying styles and borders to all cells...");
-
-  // Helper function to get text color based on background color
-  const getTextColor = (bgColor) => {
-    if (!bgColor) {
-      return { rgb: COLOR_TEXT_BLACK }; // Black for no fill
-    }
-    // Red color (removed elements)
-    if (bgColor === COLOR_REMOVED) {
-      return { rgb: COLOR_TEXT_WHITE }; // White
-    }
-    // Yellow/Orange color (changed elements) or any other color
-    return { rgb: COLOR_TEXT_BLACK }; // Black
-  };
-
-  // Helper function to get font style based on background color and bold flag
-  const getFontStyle = (bgColor, bold = false) => {
-    const fontStyle = {
-      name: "Calibri",
-      sz: 11,
-      color: getTextColor(bgColor),
-      /*
-      bold: function () {
-        this.bold = true;
-      }.bind(this),
-      */
-    };
-
-    if (bold) {
-      fontStyle.bold = true;
-    }
-
-    return fontStyle;
-  };
-
-  // Define border style
-  const borderStyle = {
-    top: { style: "thin", color: { rgb: COLOR_TEXT_BLACK } },
-    bottom: { style: "thin", color: { rgb: COLOR_TEXT_BLACK } },
-    left: { style: "thin", color: { rgb: COLOR_TEXT_BLACK } },
-    right: { style: "thin", color: { rgb: COLOR_TEXT_BLACK } },
-  };
+  log.info("Step 5: Applying styles and borders to all cells...");
 
   // Base style for all cells: Calibri 11 with borders
   const baseStyle = {
@@ -348,7 +413,7 @@ function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
     fill: { fgColor: { rgb: COLOR_HEADER_GRAY } },
   };
 
-  // Specific styles for A1, B1, C1
+  // Specific styles for the legend in A1, B1, C1 and D1
   const styleA1 = {
     font: getFontStyle(COLOR_ADDED),
     alignment: { horizontal: "center" },
@@ -370,6 +435,13 @@ function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
     fill: { fgColor: { rgb: COLOR_REMOVED } },
   };
 
+  const styleD1 = {
+    font: getFontStyle(COLOR_MOVED),
+    alignment: { horizontal: "center" },
+    border: borderStyle,
+    fill: { fgColor: { rgb: COLOR_MOVED } },
+  };
+
   // Style for main header row (row 1) columns A-D - bold, RGB 217/217/217
   const headerStyleStandard = {
     font: getFontStyle(null, true),
@@ -435,6 +507,19 @@ function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
     border: borderStyle,
     fill: { fgColor: { rgb: COLOR_CHANGED } },
   };
+  // Style for reassigned A-elements (domain, Fachbereich or specialization changed) - purple fill like D1
+  const dataStyleMovedA = {
+    font: getFontStyle(COLOR_MOVED),
+    border: borderStyle,
+    fill: { fgColor: { rgb: COLOR_MOVED } },
+  };
+
+  const dataStyleMovedABold = {
+    font: getFontStyle(COLOR_MOVED, true),
+    border: borderStyle,
+    fill: { fgColor: { rgb: COLOR_MOVED } },
+  };
+
   // Style for data cells columns E onwards - Calibri 11 with borders, RGB 184/204/228, centered
   const dataStyleRightColumns = {
     font: getFontStyle(),
@@ -459,6 +544,14 @@ function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
     fill: { fgColor: { rgb: COLOR_ADDED } },
   };
 
+  // Style for version codes of connections that come and go in timeline mode - bold, centered, orange fill
+  const dataStyleXChanged = {
+    font: getFontStyle(COLOR_CHANGED, true),
+    alignment: { horizontal: "center" },
+    border: borderStyle,
+    fill: { fgColor: { rgb: COLOR_CHANGED } },
+  };
+
   // Style for "x" cells in removed A or B elements - bold, centered, red fill
   const dataStyleXRemoved = {
     font: getFontStyle(COLOR_REMOVED, true),
@@ -483,6 +576,28 @@ function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
     fill: { fgColor: { rgb: COLOR_HEADER_GRAY } },
   };
 
+  /**
+   * Copies a style with the fill color of a classification rule
+   * @param {Object} style - Style to copy
+   * @param {String|null} color - Fill color of the rule, null keeps the style unchanged
+   * @param {boolean} bold - Bold font
+   * @returns {Object} Style
+   */
+  const withClassificationColor = (style, color, bold) =>
+    color ? { ...style, font: getFontStyle(color, bold), fill: { fgColor: { rgb: color } } } : { ...style };
+
+  /**
+   * Gets the fill color of the classification rule of a connection
+   * @param {String} aId - ID of the A-element
+   * @param {String|null} bId - ID of the B-element, null for separator columns
+   * @returns {String|null} Fill color, null if the rule has none
+   */
+  const getCellColor = (aId, bId) => {
+    if (!bId) return null;
+    const category = classifyConnection(aElements.get(aId), bElementsMap.get(bId), config);
+    return getClassificationRule(category, config).color;
+  };
+
   // Apply base style to all cells first
   for (let row = 0; row < dataWithColumnSeparators.length; row++) {
     for (let col = 0; col < dataWithColumnSeparators[row].length; col++) {
@@ -493,16 +608,17 @@ function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
       // Data rows (row 2+)
       if (row >= 2) {
         const schnittstelle = dataWithColumnSeparators[row][2]; // Column C has Schnittstelle
-        const isIntern = dataWithColumnSeparators[row][3] === "intern"; // Check column D (intern/extern)
         const cellValue = dataWithColumnSeparators[row][col];
-        const aElementName = dataWithColumnSeparators[row][1]; // Column B has A-element name (Anwendungssystem)
+        const aElementId = dataWithColumnSeparators[row].aId; // A-element ID remembered by the data row
+        const rowCategory = rowCategories.get(rowKey(aElementId, schnittstelle));
+        const isIntern = rowCategory === "sameDomain"; // Rows within one domain are bold
 
         // Check if this is a separator row (empty Schnittstelle)
         const isSeparator = schnittstelle === "";
 
         if (isSeparator) {
           // Apply separator style, but use centered alignment for "x" marks
-          if (cellValue === "x") {
+          if (cellValue && col >= 4) {
             worksheet[cellRef].s = separatorStyleCentered;
           } else {
             worksheet[cellRef].s = separatorStyle;
@@ -510,26 +626,40 @@ function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
           continue; // Skip other styling logic for separator rows
         }
 
-        const rowCombo = `${aElementName}|${schnittstelle}`;
+        const rowCombo = rowKey(aElementId, schnittstelle);
 
         // Check row combination status
+        // In timeline mode the status follows the versions containing the row
+        const rowStatus = timeline
+          ? getTimelineStatus(getRowVersions(timeline, aElementId, schnittstelle), versionCount)
+          : "";
         const isNewRow =
-          baselineRowCombinations &&
-          currentRowCombinations &&
-          !baselineRowCombinations.has(rowCombo) &&
-          currentRowCombinations.has(rowCombo);
+          rowStatus === "added" ||
+          (baselineRowCombinations &&
+            currentRowCombinations &&
+            !baselineRowCombinations.has(rowCombo) &&
+            currentRowCombinations.has(rowCombo));
         const isRemovedRow =
-          baselineRowCombinations &&
-          currentRowCombinations &&
-          baselineRowCombinations.has(rowCombo) &&
-          !currentRowCombinations.has(rowCombo);
-        const isChangedRow = changedRowCombinations.has(rowCombo);
+          rowStatus === "removed" ||
+          (baselineRowCombinations &&
+            currentRowCombinations &&
+            baselineRowCombinations.has(rowCombo) &&
+            !currentRowCombinations.has(rowCombo));
+        const isMovedRow = aElements.get(aElementId).previousAttributes !== undefined;
+        const isChangedRow =
+          rowStatus === "changed" ||
+          changedRowCombinations.has(rowCombo) ||
+          renamedAElements.has(aElementId) ||
+          (timeline !== null && aElements.get(aElementId).previousName !== undefined);
 
         if (col < 4) {
           // Columns A-D: same color for all cells in a row based on row combination status
           if (isNewRow) {
             // New row: all A-D cells green
             worksheet[cellRef].s = isIntern ? { ...dataStyleNewABold } : { ...dataStyleNewA };
+          } else if (isMovedRow) {
+            // Reassigned A-element: all A-D cells purple
+            worksheet[cellRef].s = isIntern ? { ...dataStyleMovedABold } : { ...dataStyleMovedA };
           } else if (isChangedRow) {
             // Changed row: all A-D cells yellow
             worksheet[cellRef].s = isIntern ? { ...dataStyleChangedABold } : { ...dataStyleChangedA };
@@ -537,30 +667,39 @@ function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
             // Removed row: all A-D cells red with white text
             worksheet[cellRef].s = isIntern ? { ...dataStyleRemovedABold } : { ...dataStyleRemovedA };
           } else {
-            // Normal row: normal coloring
-            worksheet[cellRef].s = isIntern ? { ...dataStyleLeftColumnsBold } : { ...dataStyleLeftColumns };
+            // Normal row: normal coloring, column D in the color of the row classification (if configured)
+            const rowStyle = isIntern ? dataStyleLeftColumnsBold : dataStyleLeftColumns;
+            const rowColor = col === 3 ? getClassificationRule(rowCategory, config).color : null;
+            worksheet[cellRef].s = withClassificationColor(rowStyle, rowColor, isIntern);
           }
         } else {
           // Columns E+: check if B-element is new, removed, or changed
-          const bElementName = headerRow[col];
-          const isNewB = baselineSets && currentSets && !baselineSets.bElements.has(bElementName);
-          const isRemovedB = baselineSets && currentSets && !currentSets.bElements.has(bElementName);
-          const isChangedB = changedBElements.has(bElementName);
+          const bElementId = columnBElements[col];
+          const isNewB = baselineSets && currentSets && bElementId && !baselineSets.bElements.has(bElementId);
+          const isRemovedB = baselineSets && currentSets && bElementId && !currentSets.bElements.has(bElementId);
 
-          if (cellValue === "x") {
+          if (cellValue && timeline) {
+            // Version code: color based on the versions containing this connection
+            const connectionStatus = bElementId
+              ? getTimelineStatus(getConnectionVersions(timeline, aElementId, schnittstelle, bElementId), versionCount)
+              : "existing";
+
+            if (connectionStatus === "added") {
+              worksheet[cellRef].s = { ...dataStyleXNew };
+            } else if (connectionStatus === "removed") {
+              worksheet[cellRef].s = { ...dataStyleXRemoved };
+            } else if (connectionStatus === "changed") {
+              worksheet[cellRef].s = { ...dataStyleXChanged };
+            } else {
+              worksheet[cellRef].s = withClassificationColor(dataStyleX, getCellColor(aElementId, bElementId), true);
+            }
+          } else if (cellValue === "x") {
             // Check if this specific connection is new or removed
             let connectionStatus = "existing";
 
-            if (baselineSets && currentSets) {
-              const inBaseline =
-                comatrixBase.aElements.has(aElementName) &&
-                comatrixBase.aElements.get(aElementName).schnittstellenMap.has(schnittstelle) &&
-                comatrixBase.aElements.get(aElementName).schnittstellenMap.get(schnittstelle).has(bElementName);
-
-              const inCurrent =
-                comatrixCurrent.aElements.has(aElementName) &&
-                comatrixCurrent.aElements.get(aElementName).schnittstellenMap.has(schnittstelle) &&
-                comatrixCurrent.aElements.get(aElementName).schnittstellenMap.get(schnittstelle).has(bElementName);
+            if (baselineSets && currentSets && bElementId) {
+              const inBaseline = hasConnection(comatrixBase, aElementId, schnittstelle, bElementId);
+              const inCurrent = hasConnection(comatrixCurrent, aElementId, schnittstelle, bElementId);
 
               if (inCurrent && !inBaseline) {
                 connectionStatus = "new";
@@ -575,7 +714,7 @@ function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
             } else if (connectionStatus === "removed" || isRemovedRow || isRemovedB) {
               worksheet[cellRef].s = { ...dataStyleXRemoved };
             } else {
-              worksheet[cellRef].s = { ...dataStyleX };
+              worksheet[cellRef].s = withClassificationColor(dataStyleX, getCellColor(aElementId, bElementId), true);
             }
           } else {
             // Empty cell: always use normal blue styling
@@ -613,7 +752,6 @@ function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
       }
     } else {
       // Columns 4+ (B elements): check if this is a separator column or regular column
-      const row1Value = dataWithColumnSeparators[1][col];
       const isColSeparator = isSeparatorColumn(dataWithColumnSeparators, col);
 
       if (isColSeparator) {
@@ -622,10 +760,18 @@ function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
         if (worksheet[cellRef1]) worksheet[cellRef1].s = separatorStyleCentered;
       } else {
         // Regular B-element column
-        const bElementName = row1Value;
-        const isNewB = baselineSets && currentSets && !baselineSets.bElements.has(bElementName);
-        const isRemovedB = baselineSets && currentSets && !currentSets.bElements.has(bElementName);
-        const isChangedB = changedBElements.has(bElementName);
+        const bElementId = columnBElements[col];
+        const columnStatus = timeline ? getTimelineStatus(getElementVersions(timeline, bElementId), versionCount) : "";
+        const isNewB =
+          columnStatus === "added" || (baselineSets && currentSets && !baselineSets.bElements.has(bElementId));
+        const isRemovedB =
+          columnStatus === "removed" || (baselineSets && currentSets && !currentSets.bElements.has(bElementId));
+        const isMovedB = bElementsMap.get(bElementId).previousAttributes !== undefined;
+        const isChangedB =
+          columnStatus === "changed" ||
+          changedBElements.has(bElementId) ||
+          renamedBElements.has(bElementId) ||
+          (timeline !== null && bElementsMap.get(bElementId).previousName !== undefined);
 
         if (isNewB) {
           // New B-element: green fill in rows 0 and 1
@@ -659,6 +805,22 @@ function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
           };
           if (worksheet[cellRef0]) worksheet[cellRef0].s = styleRemovedBDomain;
           if (worksheet[cellRef1]) worksheet[cellRef1].s = styleRemovedBHeader;
+        } else if (isMovedB) {
+          // Reassigned B-element: purple fill in rows 0 and 1
+          const styleMovedBDomain = {
+            font: getFontStyle(COLOR_MOVED),
+            alignment: { horizontal: "center" },
+            border: borderStyle,
+            fill: { fgColor: { rgb: COLOR_MOVED } },
+          };
+          const styleMovedBHeader = {
+            font: getFontStyle(COLOR_MOVED),
+            alignment: { horizontal: "center", textRotation: 90, wrapText: true },
+            border: borderStyle,
+            fill: { fgColor: { rgb: COLOR_MOVED } },
+          };
+          if (worksheet[cellRef0]) worksheet[cellRef0].s = styleMovedBDomain;
+          if (worksheet[cellRef1]) worksheet[cellRef1].s = styleMovedBHeader;
         } else if (isChangedB) {
           // Changed B-element: yellow fill in rows 0 and 1
           const styleChangedBDomain = {
@@ -685,35 +847,103 @@ function output2Excel(comatrix, outputPath, comatrixBase, comatrixCurrent) {
     }
   }
 
-  // Apply Excel row grouping for rows with same Domäne and Anwendungssystem
-  console.log("Step 6: Applying row grouping...");
+  // Version legend in D1 (timeline mode): one line per version, legend of reassigned elements in compare mode
+  // The scope adds a line in all modes
+  if (timeline) {
+    worksheet["D1"].s = {
+      ...domainStyleGray,
+      alignment: { horizontal: "left", vertical: "top", wrapText: true },
+    };
+  } else if (!compareMode) {
+    worksheet["D1"].s = { ...domainStyleGray, alignment: { horizontal: "center", vertical: "top", wrapText: true } };
+  } else if (scopeDescription) {
+    worksheet["D1"].s = { ...styleD1, alignment: { horizontal: "center", vertical: "top", wrapText: true } };
+  } else {
+    worksheet["D1"].s = styleD1;
+  }
+
+  // Apply nested Excel row grouping (Fachbereich › Domäne › Anwendungssystem)
+  log.info("Step 6: Applying row grouping...");
   applyRowGrouping(worksheet, dataWithColumnSeparators.slice(2)); // Pass data rows only (skip domain row and header row)
 
-  // Apply Excel column grouping for columns with same domain
-  console.log("Step 6.5: Applying column grouping...");
+  // Apply nested Excel column grouping (Fachbereich › Domäne)
+  log.info("Step 6.1: Applying column grouping...");
   applyColumnGrouping(worksheet, dataWithColumnSeparators);
 
   // Add worksheet to workbook
   XLSX.utils.book_append_sheet(workbook, worksheet, "Matrix");
 
+  log.info("Step 6.2: Adding Domäne × Domäne worksheet...");
+  const domainMatrix = buildDomainMatrix(comatrix, comatrixBase, comatrixCurrent);
+  addDomainMatrixSheet(workbook, domainMatrix, compareMode);
+  log.info(
+    `Aggregated ${domainMatrix.total.connections} connections between ${domainMatrix.providerDomains.length} providing and ${domainMatrix.consumerDomains.length} consuming Domänen`,
+  );
+
+  // Metrics of the current model: the last version in timeline mode, compared with the baseline in compare mode
+  log.info("Step 6.3: Adding coupling metrics worksheet...");
+  const metricsComatrix = timeline
+    ? timeline.versions[timeline.versions.length - 1].comatrix
+    : compareMode
+      ? comatrixCurrent
+      : comatrix;
+  const unitCount = addMetricsSheet(
+    workbook,
+    computeMetrics(metricsComatrix),
+    compareMode ? computeMetrics(comatrixBase) : null,
+  );
+  log.info(`Computed coupling metrics for ${unitCount} applications, Domänen and Fachbereiche`);
+
+  if (compareMode) {
+    log.info("Step 6.4: Adding change log worksheet...");
+    const changeCount = addChangeLogSheet(workbook, {
+      comatrix,
+      comatrixBase,
+      comatrixCurrent,
+      changedRowCombinations,
+      changedAElements,
+      renamedAElements,
+      renamedBElements,
+    });
+    log.info(`Listed ${changeCount} changes`);
+  }
+
+  if (timeline) {
+    log.info("Step 6.5: Adding timeline worksheet...");
+    addTimelineSheet(workbook, timeline);
+  }
+
+  const cycles = collectCycles([...aElements.values(), ...bElementsMap.values()]);
+  if (cycles.length > 0) {
+    log.info("Step 6.6: Adding diagnostics worksheet...");
+    cycles.forEach((entry) =>
+      log.warn(`Grouping cycle: ${formatCyclePath(entry.cycle)}`, {
+        code: "groupingCycle",
+        cycle: entry.cycle.map((element) => element.name),
+        elements: entry.elements,
+      }),
+    );
+    addDiagnosticsSheet(workbook, cycles);
+  }
+
   // Set freeze panes: freeze first 2 rows and first 4 columns (A-D)
   workbook.Workbook = { Views: [{ xSplit: 4, ySplit: 2 }] };
 
-  console.log("Step 7: Generating Excel binary...");
+  log.info("Step 7: Generating Excel binary...");
   const excelBuffer = XLSX.write(workbook, {
     type: "buffer",
     bookType: "xlsm",
     cellStyles: true,
   });
 
-  console.log(`Step 8: Writing ${excelBuffer.length} bytes to file...`);
+  log.info(`Step 8: Writing ${excelBuffer.length} bytes to file...`);
   const FileOutputStream = Java.type("java.io.FileOutputStream");
   const fos = new FileOutputStream(outputPath, false);
   const javaBytes = Java.to(Array.from(excelBuffer), "byte[]");
   fos.write(javaBytes);
   fos.close();
 
-  console.log(`Step 9: Excel file created successfully: ${outputPath}`);
+  log.info(`Step 9: Excel file created successfully: ${outputPath}`);
 }
 
 module.exports = output2Excel;
@@ -0,0 +1,215 @@
+/**
+ * scope.js
+ * Restricts the reports to a part of the model (Domäne, Fachbereich, view, folder or the current selection)
+ *
+ * Parameters, an element has to match all of the given ones:
+ *   --domain <name>          Applications of the Domäne
+ *   --fachbereich <name>     Applications of the Fachbereich
+ *   --view <name|id>         Elements shown on the view
+ *   --folder <path>          Elements in the folder or its sub folders, e.g. "Application/Sales"
+ *   --scopeConsumers         Also restrict the consumers (B-elements) of the matrix
+ * When the script is launched with folders, views or elements selected in the model tree, only the selection is used.
+ * The matrix keeps every connection provided by an application in scope, so the partners it talks to stay visible.
+ * Views, folders and the selection are resolved in the selected model (also for baseline and timeline versions).
+ * Example: jArchi.script("comatrix.ajs", "--domain", "Sales", "--scopeConsumers")
+ */
+
+const { findDomain, findFachbereich, splitNames } = require("./model");
+const { getParameter, hasParameter } = require("./params");
+
+/**
+ * Gets the element behind a model tree or view object
+ * @param {Object} object - Element, relationship or diagram object
+ * @returns {Object} The element (the concept of diagram objects)
+ */
+function getConcept(object) {
+  return object.concept ? object.concept : object;
+}
+
+/**
+ * Collects the IDs of the elements contained in a folder or shown on a view
+ * @param {Object} container - Folder or view
+ * @param {Set} elementIds - Set to add the IDs to
+ */
+function collectElementIds(container, elementIds) {
+  $(container)
+    .find("element")
+    .each((object) => elementIds.add(getConcept(object).id));
+}
+
+/**
+ * Finds a view of the selected model by name or ID
+ * @param {String} nameOrId - View name or ID
+ * @returns {Set<String>} IDs of the elements shown on the view
+ * @throws {Error} If the model has no such view
+ */
+function findViewElementIds(nameOrId) {
+  const view = $(model)
+    .find("view")
+    .filter((candidate) => candidate.id === nameOrId || candidate.name === nameOrId)
+    .first();
+  if (!view) {
+    throw new Error(`View "${nameOrId}" not found in model "${model.name}"`);
+  }
+
+  const elementIds = new Set();
+  collectElementIds(view, elementIds);
+  return elementIds;
+}
+
+/**
+ * Finds a folder of the selected model by its path
+ * @param {String} folderPath - Folder names separated by "/", starting with a top-level folder (e.g. "Application/Sales")
+ * @returns {Set<String>} IDs of the elements in the folder and its sub folders
+ * @throws {Error} If the model has no such folder
+ */
+function findFolderElementIds(folderPath) {
+  let folder = model;
+  folderPath
+    .split("/")
+    .filter((name) => name.trim() !== "")
+    .forEach((name) => {
+      const child = $(folder)
+        .children("folder")
+        .filter((candidate) => candidate.name === name.trim())
+        .first();
+      if (!child) {
+        throw new Error(`Folder "${folderPath}" not found in model "${model.name}"`);
+      }
+      folder = child;
+    });
+
+  const elementIds = new Set();
+  collectElementIds(folder, elementIds);
+  return elementIds;
+}
+
+/**
+ * Gets the elements selected in the model tree or on a view
+ * @returns {Object|null} {elementIds, count} or null if nothing besides the model is selected
+ */
+function getSelectedElements() {
+  if (typeof selection === "undefined" || !selection) {
+    return null;
+  }
+
+  const elementIds = new Set();
+  let count = 0;
+  selection.each((object) => {
+    if ($(object).is("folder") || $(object).is("view")) {
+      collectElementIds(object, elementIds);
+      count++;
+    } else if ($(object).is("element")) {
+      elementIds.add(getConcept(object).id);
+      count++;
+    }
+  });
+
+  return count > 0 ? { elementIds, count } : null;
+}
+
+/**
+ * Gets the active scope from the script parameters and the current selection
+ * @returns {Object|null} {domain, fachbereich, view, folder, selectionCount, elementIds, includeConsumers},
+ *                        elementIds is the intersection of the view, folder and selection elements (null if none
+ *                        of them is given). Returns null if the whole model is processed.
+ * @throws {Error} If the view or folder does not exist
+ */
+function getScope() {
+  const scope = {
+    domain: getParameter("domain"),
+    fachbereich: getParameter("fachbereich"),
+    view: getParameter("view"),
+    folder: getParameter("folder"),
+    selectionCount: 0,
+    elementIds: null,
+    includeConsumers: hasParameter("scopeConsumers"),
+  };
+
+  const elementSets = [];
+  if (scope.view) {
+    elementSets.push(findViewElementIds(scope.view));
+  }
+  if (scope.folder) {
+    elementSets.push(findFolderElementIds(scope.folder));
+  }
+  const selected = getSelectedElements();
+  if (selected) {
+    scope.selectionCount = selected.count;
+    elementSets.push(selected.elementIds);
+  }
+
+  if (elementSets.length > 0) {
+    scope.elementIds = new Set(
+      Array.from(elementSets[0]).filter((id) => elementSets.every((elementSet) => elementSet.has(id))),
+    );
+  }
+
+  return scope.domain || scope.fachbereich || scope.elementIds ? scope : null;
+}
+
+/**
+ * Creates the test whether an element lies in the scope
+ * Domäne and Fachbereich are looked up in the element's own model, so moved elements follow their groupings.
+ * @param {Object} scope - Scope from getScope()
+ * @returns {Function} element => boolean
+ */
+function createScopeFilter(scope) {
+  const results = new Map();
+
+  return (element) => {
+    if (!results.has(element.id)) {
+      results.set(
+        element.id,
+        (!scope.elementIds || scope.elementIds.has(element.id)) &&
+          (!scope.domain || splitNames(findDomain(element)).includes(scope.domain)) &&
+          (!scope.fachbereich || splitNames(findFachbereich(element)).includes(scope.fachbereich)),
+      );
+    }
+    return results.get(element.id);
+  };
+}
+
+/**
+ * Keeps the connections whose provider (A-element) lies in the scope
+ * @param {Array} connections - Connection records from extractElements()
+ * @param {Object} scope - Scope from getScope()
+ * @returns {Array} Connections in scope, with scope.includeConsumers the consumer has to lie in the scope too
+ */
+function filterConnectionsByScope(connections, scope) {
+  const inScope = createScopeFilter(scope);
+  return connections.filter(
+    (connection) => inScope(connection.target) && (!scope.includeConsumers || inScope(connection.source)),
+  );
+}
+
+/**
+ * Describes the scope for the legend of the workbooks
+ * @param {Object|null} scope - Scope from getScope()
+ * @returns {String} e.g. "Ausschnitt: Domäne Sales, Sicht Landscape", empty for the whole model
+ */
+function describeScope(scope) {
+  if (!scope) {
+    return "";
+  }
+
+  const parts = [];
+  if (scope.domain) parts.push(`Domäne ${scope.domain}`);
+  if (scope.fachbereich) parts.push(`Fachbereich ${scope.fachbereich}`);
+  if (scope.view) parts.push(`Sicht ${scope.view}`);
+  if (scope.folder) parts.push(`Ordner ${scope.folder}`);
+  if (scope.selectionCount > 0) {
+    parts.push(`Auswahl (${scope.selectionCount} ${scope.selectionCount === 1 ? "Objekt" : "Objekte"})`);
+  }
+  if (scope.includeConsumers) parts.push("nur Nutzer im Ausschnitt");
+
+  return `Ausschnitt: ${parts.join(", ")}`;
+}
+
+module.exports = {
+  findViewElementIds,
+  getScope,
+  createScopeFilter,
+  filterConnectionsByScope,
+  describeScope,
+};
@@ -1,128 +1,337 @@
 /**
  * tgf.js
- * Exports Archi model to Trivial Graph Format (TGF)
+ * Exports Archi model as graph, by default in Trivial Graph Format (TGF)
  * TGF Format:
  *   - Nodes: node_id node_label
  *   - Separator: #
  *   - Edges: source_id target_id edge_label
+ * GraphML, DOT, GEXF and Mermaid are selected with --format (see graphFormats.js).
+ *
+ * Filter parameters (lists are comma-separated):
+ *   --elementTypes, --excludeElementTypes              Element types, e.g. "application-component,grouping"
+ *   --relationshipTypes, --excludeRelationshipTypes    Relationship types, e.g. "triggering-relationship"
+ *   --specializations, --excludeSpecializations        Element specializations, e.g. "Geschäftsanwendung"
+ *   --view <name|id>                                   Only elements shown on the view
+ *   --comatrixMode                                     Only the applications and their connections (extractElements()),
+ *                                                      one edge per Schnittstelle labelled with its name
+ *   --dropIsolated                                     Drop the nodes without edges after filtering
+ * Example: jArchi.script("tgf.ajs", "--comatrixMode", "--specializations", "Geschäftsanwendung", "--dropIsolated")
  */
 
-const path = require("path");
+const { extractElements, findDomain, findFachbereich } = require("./model");
+const { RELATIONSHIP_TYPES } = require("./config");
+const { getParameter, hasParameter } = require("./params");
+const { findViewElementIds } = require("./scope");
+const { GRAPH_FORMATS, getGraphFormat } = require("./graphFormats");
+const { writeTextFile } = require("./files");
+const { log, summarizeModel, setSummary, runWithSummary } = require("./logger");
+const { EXIT_OK, EXIT_ERROR, isBatchMode, getOutputPath } = require("./batch");
+const { openOutputLocation, exitOnFailure } = require("./archiHost");
+
+// Filter exporting every element and relationship
+const NO_FILTER = {
+  elementTypes: [],
+  excludeElementTypes: [],
+  relationshipTypes: [],
+  excludeRelationshipTypes: [],
+  specializations: [],
+  excludeSpecializations: [],
+  view: null,
+  viewElementIds: null,
+  comatrixMode: false,
+  dropIsolated: false,
+};
 
 /**
- * Generates TGF file from Archi model
- * @param {Object} model - The Archi model to export
- * @param {String} outputPath - Path where TGF file should be saved
+ * Splits a comma-separated parameter value
+ * @param {String|null} value - Parameter value
+ * @returns {Array<String>} Trimmed, non-empty entries
  */
-function generateTGF(model, outputPath) {
-  console.log("Generating TGF file...");
-
-  const lines = [];
-  const nodeIds = new Set();
+function splitList(value) {
+  return value
+    ? value
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter((entry) => entry !== "")
+    : [];
+}
 
-  // Step 1: Collect all elements (nodes) from the model
-  const elements = $(model).find("element").not("relationship");
+/**
+ * Gets the filter of the TGF export from the script parameters
+ * @returns {Object} {elementTypes, excludeElementTypes, relationshipTypes, excludeRelationshipTypes, specializations,
+ *                   excludeSpecializations, view, viewElementIds, comatrixMode, dropIsolated},
+ *                   viewElementIds is null without --view
+ * @throws {Error} If a relationship type is unknown or the view does not exist
+ */
+function getTGFFilter() {
+  const filter = {
+    elementTypes: splitList(getParameter("elementTypes")),
+    excludeElementTypes: splitList(getParameter("excludeElementTypes")),
+    relationshipTypes: splitList(getParameter("relationshipTypes")),
+    excludeRelationshipTypes: splitList(getParameter("excludeRelationshipTypes")),
+    specializations: splitList(getParameter("specializations")),
+    excludeSpecializations: splitList(getParameter("excludeSpecializations")),
+    view: getParameter("view"),
+    viewElementIds: null,
+    comatrixMode: hasParameter("comatrixMode"),
+    dropIsolated: hasParameter("dropIsolated"),
+  };
 
-  console.log(`Found ${elements.length} elements`);
+  const unknownType = [...filter.relationshipTypes, ...filter.excludeRelationshipTypes].find(
+    (type) => !RELATIONSHIP_TYPES.includes(type),
+  );
+  if (unknownType) {
+    throw new Error(`Unknown relationship type "${unknownType}"`);
+  }
+  if (filter.view) {
+    filter.viewElementIds = findViewElementIds(filter.view);
+  }
 
-  // Add nodes section
-  elements.each((element) => {
-    const id = element.id;
-    const name = element.name || "(unnamed)";
-    const type = element.type;
+  return filter;
+}
 
-    nodeIds.add(id);
-    // Format: id label (include type for clarity)
-    lines.push(`${id} ${name} [${type}]`);
-  });
+/**
+ * Checks a value against an include and an exclude list
+ * @param {String} value - Value to check
+ * @param {Array<String>} included - Allowed values, empty to allow all
+ * @param {Array<String>} excluded - Rejected values
+ * @returns {boolean} True if the value passes both lists
+ */
+function matchesLists(value, included, excluded) {
+  return (included.length === 0 || included.includes(value)) && !excluded.includes(value);
+}
 
-  // Step 2: Add separator
-  lines.push("#");
+/**
+ * Checks if an element passes the node filters
+ * @param {Object} element - Element
+ * @param {Object} filter - Filter from getTGFFilter()
+ * @returns {boolean} True if the element is exported as node
+ */
+function isNodeIncluded(element, filter) {
+  return (
+    matchesLists(element.type, filter.elementTypes, filter.excludeElementTypes) &&
+    matchesLists(element.specialization || "", filter.specializations, filter.excludeSpecializations) &&
+    (!filter.viewElementIds || filter.viewElementIds.has(element.id))
+  );
+}
 
-  // Step 3: Collect all relationships (edges)
-  const relationships = $(model).find("relationship");
+/**
+ * Reads the properties of a model object
+ * @param {Object} concept - Element or relationship
+ * @returns {Object} {key: value}, multiple values of a key comma-separated
+ */
+function readProperties(concept) {
+  const properties = {};
+  const keys = concept.prop() || [];
+  for (let i = 0; i < keys.length; i++) {
+    properties[keys[i]] = Array.from(concept.prop(keys[i], true)).join(", ");
+  }
+  return properties;
+}
 
-  console.log(`Found ${relationships.length} relationships`);
+/**
+ * Creates the node of an element
+ * @param {Object} element - Element
+ * @returns {Object} {id, name, type, specialization, domain, fachbereich, documentation, properties}
+ */
+function createNode(element) {
+  return {
+    id: element.id,
+    name: element.name || "(unnamed)",
+    type: element.type,
+    specialization: element.specialization || "",
+    domain: findDomain(element),
+    fachbereich: findFachbereich(element),
+    documentation: element.documentation || "",
+    properties: readProperties(element),
+  };
+}
 
-  let edgeCount = 0;
-  relationships.each((rel) => {
-    const sourceId = rel.source.id;
-    const targetId = rel.target.id;
-    const label = rel.name || rel.type;
+/**
+ * Creates the edge of a relationship
+ * @param {Object} relationship - Relationship
+ * @param {String} label - Edge label
+ * @returns {Object} {id, sourceId, targetId, label, type, documentation, properties}
+ */
+function createEdge(relationship, label) {
+  return {
+    id: relationship.id,
+    sourceId: relationship.source.id,
+    targetId: relationship.target.id,
+    label,
+    type: relationship.type,
+    documentation: relationship.documentation || "",
+    properties: readProperties(relationship),
+  };
+}
 
-    // Only include edges where both source and target are in our node set
-    if (nodeIds.has(sourceId) && nodeIds.has(targetId)) {
-      lines.push(`${sourceId} ${targetId} ${label}`);
-      edgeCount++;
+/**
+ * Collects the nodes and edges of the graph
+ * @param {Object} model - The Archi model to export
+ * @param {Object} filter - Filter from getTGFFilter()
+ * @returns {Object} {name, nodes, edges}, nodes from createNode(), edges from createEdge()
+ */
+function collectGraph(model, filter) {
+  const nodes = new Map(); // ID -> node
+  const edges = new Map(); // relationship ID (connection key in comatrix mode) -> edge
+  const addNode = (element) => {
+    if (!nodes.has(element.id)) {
+      nodes.set(element.id, createNode(element));
     }
-  });
+  };
+  const isEdgeIncluded = (relationship) =>
+    matchesLists(relationship.type, filter.relationshipTypes, filter.excludeRelationshipTypes);
 
-  console.log(`Exported ${edgeCount} edges`);
+  if (filter.comatrixMode) {
+    // Applications and their connections as in the matrix, nodes without connection are not exported
+    const connections = extractElements(model);
+    log.info(`Found ${connections.length} connections`);
 
-  // Step 4: Write to file
-  const content = lines.join("\n") + "\n";
+    connections
+      .filter((connection) => isEdgeIncluded(connection.relationship))
+      .filter((connection) => isNodeIncluded(connection.source, filter) && isNodeIncluded(connection.target, filter))
+      .forEach((connection) => {
+        addNode(connection.source);
+        addNode(connection.target);
+        // Several relationships of the same Schnittstelle between two applications form one edge
+        const schnittstelle = connection.schnittstelle || "N/A";
+        const key = `${connection.source.id}|${connection.target.id}|${schnittstelle}`;
+        if (!edges.has(key)) {
+          edges.set(key, {
+            ...createEdge(connection.relationship, schnittstelle),
+            sourceId: connection.source.id,
+            targetId: connection.target.id,
+          });
+        }
+      });
+  } else {
+    // Step 1: Collect the elements (nodes) of the model
+    const elements = $(model).find("element").not("relationship");
+    log.info(`Found ${elements.length} elements`);
+    elements.filter((element) => isNodeIncluded(element, filter)).each(addNode);
 
-  try {
-    const FileWriter = Java.type("java.io.FileWriter");
-    const writer = new FileWriter(outputPath);
-    writer.write(content);
-    writer.close();
+    // Step 2: Collect the relationships (edges) whose source and target are nodes
+    const relationships = $(model).find("relationship");
+    log.info(`Found ${relationships.length} relationships`);
+    relationships.each((rel) => {
+      if (isEdgeIncluded(rel) && nodes.has(rel.source.id) && nodes.has(rel.target.id)) {
+        edges.set(rel.id, createEdge(rel, rel.name || rel.type));
+      }
+    });
+  }
+
+  let nodeList = Array.from(nodes.values());
+  const edgeList = Array.from(edges.values());
+  if (filter.dropIsolated) {
+    const connectedIds = new Set();
+    edgeList.forEach((edge) => {
+      connectedIds.add(edge.sourceId);
+      connectedIds.add(edge.targetId);
+    });
+    const connectedNodes = nodeList.filter((node) => connectedIds.has(node.id));
+    log.info(`Dropped ${nodeList.length - connectedNodes.length} isolated nodes`);
+    nodeList = connectedNodes;
+  }
+
+  return { name: model.name, nodes: nodeList, edges: edgeList };
+}
+
+/**
+ * Generates the graph file from Archi model
+ * @param {Object} model - The Archi model to export
+ * @param {String} outputPath - Path where the file should be saved
+ * @param {Object|null} filter - Optional filter from getTGFFilter(), all elements and relationships if null
+ * @param {String} format - Key of GRAPH_FORMATS (graphFormats.js)
+ * @returns {boolean} True if the file was written
+ */
+function generateGraph(model, outputPath, filter = null, format = "tgf") {
+  log.info(`Generating ${format.toUpperCase()} file...`);
+
+  const graph = collectGraph(model, filter || NO_FILTER);
+  log.info(`Exported ${graph.nodes.length} nodes`);
+  log.info(`Exported ${graph.edges.length} edges`);
+  setSummary({ counts: { nodes: graph.nodes.length, edges: graph.edges.length } });
 
-    console.log(`✓ TGF file written successfully`);
+  try {
+    writeTextFile(outputPath, GRAPH_FORMATS[format].write(graph));
+    log.info(`✓ ${format.toUpperCase()} file written successfully`);
     return true;
   } catch (error) {
-    console.log(`✗ ERROR: Failed to write file: ${error.message}`);
+    log.error(`Failed to write file: ${error.message}`);
     return false;
   }
 }
 
 /**
- * Main function to execute TGF export
+ * Exports a model as graph file
+ * @param {Object|null} model - The Archi model, null if no model is selected
+ * @returns {number} Exit status: EXIT_OK, EXIT_ERROR on errors
  */
-function runTGF() {
+function exportGraph(model) {
   try {
-    console.log("=== TGF Export ===\n");
-
-    // Get the currently selected model
-    const model = selection.filter("archimate-model").first();
+    log.info("=== TGF Export ===\n");
 
     if (!model) {
-      console.log("⚠ Please select an ArchiMate model in the model tree before running this script.");
-      return;
+      log.error("Please select an ArchiMate model in the model tree before running this script.");
+      return EXIT_ERROR;
     }
 
-    console.log(`Selected model: ${model.name}`);
+    log.info(`Selected model: ${model.name}`);
+    setSummary({ model: summarizeModel(model) });
 
-    // Define output path
-    const normalizedPath = model.path ? model.path.replace(/\\/g, "/") : null;
-    const outputDir = normalizedPath ? path.dirname(normalizedPath) : __DIR__;
-    const outputPath = path.join(outputDir, "graph.tgf");
+    // Read the format and filter parameters
+    let format;
+    let filter;
+    try {
+      format = getGraphFormat();
+      filter = getTGFFilter();
+    } catch (error) {
+      log.error(error.message);
+      return EXIT_ERROR;
+    }
 
-    console.log(`Output file: ${outputPath}\n`);
+    // Define output path (--output, --outputDir or next to the model)
+    const outputPath = getOutputPath(model, `graph.${GRAPH_FORMATS[format].extension}`);
 
-    // Generate TGF file
-    const success = generateTGF(model, outputPath);
+    log.info(`Output file: ${outputPath}\n`);
 
-    if (success) {
-      console.log("\n=== Export Complete ===");
-      console.log(`TGF file saved to: ${outputPath}`);
+    // Generate the graph file
+    const success = generateGraph(model, outputPath, filter, format);
 
-      // Open the file location in file browser
-      try {
-        java.awt.Desktop.getDesktop().open(new java.io.File(outputDir));
-      } catch (e) {
-        console.log("Could not open file browser automatically.");
-      }
+    if (!success) {
+      return EXIT_ERROR;
     }
+
+    setSummary({ output: outputPath });
+    log.info("\n=== Export Complete ===");
+    log.info(`${format.toUpperCase()} file saved to: ${outputPath}`);
+
+    // Open the file location in file browser (not with --noOpen or --batch)
+    openOutputLocation(outputPath);
+    return EXIT_OK;
   } catch (error) {
-    console.log(`\n✗ ERROR: Failed to create TGF file`);
-    console.log(`Error message: ${error.message}`);
-    console.log(`Error type: ${error.constructor.name}`);
-    if (error.stack) {
-      console.log(`Stack trace:\n${error.stack}`);
-    }
+    log.exception("Failed to create graph file", error);
+    return EXIT_ERROR;
   }
 }
 
-// Execute the main function when script is loaded
-runTGF();
+/**
+ * Main function to execute TGF export, with run summary (see logger.js)
+ * @param {Object|null} selectedModel - The Archi model (default: the model selected in the model tree, on Archi's
+ *                                      command line, where nothing is selected, the loaded model)
+ * @returns {number} Exit status: EXIT_OK, EXIT_ERROR on errors
+ */
+function runTGF(selectedModel = selection.filter("archimate-model").first() || (isBatchMode() ? model : null)) {
+  return runWithSummary("tgf", () => exportGraph(selectedModel));
+}
+
+module.exports = {
+  getTGFFilter,
+  generateGraph,
+  runTGF,
+};
+
+// Execute the main function when the script is run (bundled entry point), not when required
+if (require.main === module) {
+  exitOnFailure(runTGF());
+}
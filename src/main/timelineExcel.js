@@ -0,0 +1,234 @@
+/**
+ * timelineExcel.js
+ * Version presence and timeline worksheet for the comparison of several model versions
+ */
+
+const XLSX = require("xlsx-js-style");
+const { COLOR_ADDED, COLOR_CHANGED, COLOR_REMOVED, COLOR_HEADER_GRAY, cellStyle } = require("./excelStyles");
+
+/**
+ * Collects the indexes of the versions matching a condition
+ * @param {Object} timeline - Timeline from buildTimeline()
+ * @param {Function} isPresent - Called with the matrix of each version
+ * @returns {Array<number>} Version indexes (0-based, ascending)
+ */
+function collectVersions(timeline, isPresent) {
+  const indexes = [];
+  timeline.versions.forEach((version, index) => {
+    if (isPresent(version.comatrix)) {
+      indexes.push(index);
+    }
+  });
+  return indexes;
+}
+
+/**
+ * Gets the versions in which an A-element offers a Schnittstelle (matrix row)
+ * @param {Object} timeline - Timeline from buildTimeline()
+ * @param {String} aId - ID of the A-element
+ * @param {String} schnittstelle - Schnittstelle name
+ * @returns {Array<number>} Version indexes
+ */
+function getRowVersions(timeline, aId, schnittstelle) {
+  return collectVersions(timeline, (comatrix) => {
+    const aData = comatrix.aElements.get(aId);
+    return Boolean(aData && aData.schnittstellenMap.has(schnittstelle));
+  });
+}
+
+/**
+ * Gets the versions containing a connection (matrix cell)
+ * @param {Object} timeline - Timeline from buildTimeline()
+ * @param {String} aId - ID of the A-element
+ * @param {String} schnittstelle - Schnittstelle name
+ * @param {String} bId - ID of the B-element
+ * @returns {Array<number>} Version indexes
+ */
+function getConnectionVersions(timeline, aId, schnittstelle, bId) {
+  return collectVersions(timeline, (comatrix) => {
+    const aData = comatrix.aElements.get(aId);
+    const bSet = aData ? aData.schnittstellenMap.get(schnittstelle) : undefined;
+    return Boolean(bSet && bSet.has(bId));
+  });
+}
+
+/**
+ * Gets the versions containing a B-element (matrix column)
+ * @param {Object} timeline - Timeline from buildTimeline()
+ * @param {String} bId - ID of the B-element
+ * @returns {Array<number>} Version indexes
+ */
+function getElementVersions(timeline, bId) {
+  return collectVersions(timeline, (comatrix) => comatrix.bElementsMap.has(bId));
+}
+
+/**
+ * Classifies the presence of a row, column or connection across the versions
+ * @param {Array<number>} versionIndexes - Versions containing the item
+ * @param {number} versionCount - Number of versions in the timeline
+ * @returns {String} "existing" (all versions), "added" (from a later version on), "removed" (up to an earlier
+ *                   version), "changed" (appears and disappears or has gaps), "" if not present at all
+ */
+function getTimelineStatus(versionIndexes, versionCount) {
+  if (versionIndexes.length === 0) {
+    return "";
+  }
+
+  const first = versionIndexes[0];
+  const last = versionIndexes[versionIndexes.length - 1];
+
+  if (last - first + 1 !== versionIndexes.length) {
+    return "changed";
+  }
+  if (first === 0 && last === versionCount - 1) {
+    return "existing";
+  }
+  if (first === 0) {
+    return "removed";
+  }
+  return last === versionCount - 1 ? "added" : "changed";
+}
+
+/**
+ * Formats version indexes as compact version code, e.g. [0, 1, 3] -> "1-2,4"
+ * @param {Array<number>} versionIndexes - Version indexes (0-based, ascending)
+ * @returns {String} Version numbers (1-based) with consecutive versions as ranges
+ */
+function formatVersionCode(versionIndexes) {
+  const ranges = [];
+  versionIndexes.forEach((index) => {
+    const lastRange = ranges[ranges.length - 1];
+    if (lastRange && lastRange.end === index - 1) {
+      lastRange.end = index;
+    } else {
+      ranges.push({ start: index, end: index });
+    }
+  });
+
+  return ranges
+    .map((range) => (range.start === range.end ? `${range.start + 1}` : `${range.start + 1}-${range.end + 1}`))
+    .join(",");
+}
+
+/**
+ * Formats the legend of the version numbers used in the version codes
+ * @param {Object} timeline - Timeline from buildTimeline()
+ * @returns {String} One line per version, e.g. "1 = Ist"
+ */
+function formatVersionLegend(timeline) {
+  return timeline.versions.map((version, index) => `${index + 1} = ${version.label}`).join("\n");
+}
+
+/**
+ * Gets the fill color for a timeline status
+ * @param {String} status - Status from getTimelineStatus()
+ * @returns {String|null} Color (RGB hex), null for no fill
+ */
+function getStatusColor(status) {
+  switch (status) {
+    case "added":
+      return COLOR_ADDED;
+    case "removed":
+      return COLOR_REMOVED;
+    case "changed":
+      return COLOR_CHANGED;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Adds the "Zeitleiste" worksheet listing every connection with the versions it is part of
+ * @param {Object} workbook - Workbook to add the worksheet to
+ * @param {Object} timeline - Timeline from buildTimeline()
+ */
+function addTimelineSheet(workbook, timeline) {
+  const { aElements, bElementsMap, sortedAElements, sortedBElements } = timeline.comatrix;
+  const versionCount = timeline.versions.length;
+
+  const headerRow = [
+    "Domäne",
+    "Anwendungssystem",
+    "Angebotene Schnittstelle",
+    "Domäne Nutzer",
+    "Nutzer",
+    ...timeline.versions.map((version) => version.label),
+    "Erstmals",
+    "Zuletzt",
+  ];
+
+  // One row per connection, in the order of the matrix; remember the status for styling
+  const rows = [];
+  const rowStatus = [];
+  sortedAElements.forEach((aId) => {
+    const aData = aElements.get(aId);
+    Array.from(aData.schnittstellenMap.keys())
+      .sort()
+      .forEach((schnittstelle) => {
+        const bSet = aData.schnittstellenMap.get(schnittstelle);
+        sortedBElements.forEach((bId) => {
+          if (!bSet.has(bId)) {
+            return;
+          }
+          const bData = bElementsMap.get(bId);
+          const versionIndexes = getConnectionVersions(timeline, aId, schnittstelle, bId);
+          rows.push([
+            aData.domain,
+            aData.name,
+            schnittstelle,
+            bData.domain,
+            bData.name,
+            ...timeline.versions.map((version, index) => (versionIndexes.includes(index) ? "x" : "")),
+            timeline.versions[versionIndexes[0]].label,
+            timeline.versions[versionIndexes[versionIndexes.length - 1]].label,
+          ]);
+          rowStatus.push(getTimelineStatus(versionIndexes, versionCount));
+        });
+      });
+  });
+
+  const data = [headerRow, ...rows];
+  const worksheet = XLSX.utils.aoa_to_sheet(data);
+
+  // Column widths based on content, version columns fit their label
+  worksheet["!cols"] = headerRow.map((header, col) => {
+    let maxWidth = 0;
+    data.forEach((row) => {
+      maxWidth = Math.max(maxWidth, String(row[col]).length);
+    });
+    return { wch: Math.max(col >= 5 && col < 5 + versionCount ? 6 : 10, maxWidth + 2) };
+  });
+
+  const headerStyle = cellStyle(COLOR_HEADER_GRAY, { bold: true, alignment: { horizontal: "center" } });
+  data.forEach((row, rowIndex) => {
+    row.forEach((value, col) => {
+      const cellRef = XLSX.utils.encode_cell({ r: rowIndex, c: col });
+      if (rowIndex === 0) {
+        worksheet[cellRef].s = headerStyle;
+      } else if (col < 5) {
+        // Connection columns: colored by the presence across the versions like the matrix
+        worksheet[cellRef].s = cellStyle(getStatusColor(rowStatus[rowIndex - 1]));
+      } else if (col < 5 + versionCount) {
+        worksheet[cellRef].s = cellStyle(null, { bold: true, alignment: { horizontal: "center" } });
+      } else {
+        worksheet[cellRef].s = cellStyle(null);
+      }
+    });
+  });
+
+  worksheet["!autofilter"] = {
+    ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: data.length - 1, c: headerRow.length - 1 } }),
+  };
+
+  XLSX.utils.book_append_sheet(workbook, worksheet, "Zeitleiste");
+}
+
+module.exports = {
+  getRowVersions,
+  getConnectionVersions,
+  getElementVersions,
+  getTimelineStatus,
+  formatVersionCode,
+  formatVersionLegend,
+  addTimelineSheet,
+};
@@ -0,0 +1,627 @@
+/**
+ * archimateModel.js
+ * Loads Archi model files (.archimate XML) into objects shaped like the jArchi object API
+ *
+ * Only the parts of the jArchi API used by the scripts are emulated: id, name, type,
+ * specialization, documentation, source/target, prop() and the folder/view structure.
+ * Models can be changed in memory with createRelationship(), createArchimateView(), add() and delete(), they are
+ * not saved.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { XMLParser } = require("fast-xml-parser");
+
+// Diagram model types that are treated as views
+const VIEW_TYPES = ["archimate-diagram-model", "sketch-model", "canvas-model"];
+
+// jArchi type names of diagram objects without an underlying concept
+const DIAGRAM_OBJECT_TYPES = {
+  Group: "diagram-model-group",
+  Note: "diagram-model-note",
+  DiagramModelReference: "diagram-model-reference",
+};
+
+/**
+ * Converts an XML type name to the jArchi type name
+ * @param {String} xsiType - Value of the xsi:type attribute (e.g., "archimate:ApplicationComponent")
+ * @returns {String} jArchi type (e.g., "application-component")
+ */
+function toJArchiType(xsiType) {
+  const localName = xsiType.includes(":") ? xsiType.substring(xsiType.indexOf(":") + 1) : xsiType;
+  return localName.replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase();
+}
+
+/**
+ * Checks if a jArchi type denotes a relationship
+ * @param {String} type - jArchi type
+ * @returns {boolean} True for relationship types
+ */
+function isRelationshipType(type) {
+  return type.endsWith("-relationship");
+}
+
+/**
+ * Creates an ID in the format Archi uses for new objects
+ * @returns {String} e.g. "id-0f3c..."
+ */
+function createId() {
+  return `id-${crypto.randomUUID().replace(/-/g, "")}`;
+}
+
+/**
+ * Adds an element or a relationship to a view (jArchi's add() of views and diagram objects)
+ * @param {View} view - View to add to
+ * @param {View|DiagramObject} parent - View or diagram object to nest a new element in
+ * @param {Concept} concept - Element to show, or relationship to draw between two diagram objects
+ * @param {Array} args - x, y, width and height (relative to the parent) for elements, the source and target
+ *                       diagram object for relationships
+ * @returns {DiagramObject|DiagramConnection} The new object on the view
+ */
+function addToView(view, parent, concept, args) {
+  const model = view.model;
+  if (concept.kind === "relationship") {
+    const [source, target] = args;
+    const attributes = { id: createId(), archimateRelationship: concept.id, source: source.id, target: target.id };
+    const connection = model.register(new DiagramConnection(model, attributes, view));
+    source.connections.push(connection);
+    return connection;
+  }
+
+  const [x, y, width, height] = args;
+  const attributes = { id: createId(), archimateElement: concept.id };
+  const diagramObject = model.register(new DiagramObject(model, attributes, "archimate:DiagramObject", parent, view));
+  diagramObject.bounds = { x, y, width, height };
+  view.diagramObjects.set(diagramObject.id, diagramObject);
+  parent.children.push(diagramObject);
+  return diagramObject;
+}
+
+/**
+ * Base class for all model objects carrying id, name and properties
+ */
+class ModelObject {
+  constructor(model, attributes) {
+    this.model = model;
+    this.id = attributes.id;
+    this.name = attributes.name || "";
+    this.documentation = "";
+    this.properties = [];
+  }
+
+  /**
+   * Reads or writes properties (same signature as jArchi's prop())
+   * prop() returns all keys, prop(key) the first value, prop(key, true) all values,
+   * prop(key, value) sets the first value and prop(key, value, true) adds another value.
+   */
+  prop(key, value, duplicate) {
+    if (key === undefined) {
+      return [...new Set(this.properties.map((p) => p.key))];
+    }
+
+    if (value === undefined || value === true) {
+      const values = this.properties.filter((p) => p.key === key).map((p) => p.value);
+      if (value === true) {
+        return values;
+      }
+      return values.length > 0 ? values[0] : null;
+    }
+
+    const existing = this.properties.find((p) => p.key === key);
+    if (existing && duplicate !== true) {
+      existing.value = String(value);
+    } else {
+      this.properties.push({ key, value: String(value) });
+    }
+    return this;
+  }
+
+  /**
+   * Removes properties (all with the key, or only those with the given value)
+   * @param {String} key - Property key
+   * @param {String} value - Optional property value
+   */
+  removeProp(key, value) {
+    this.properties = this.properties.filter((p) => p.key !== key || (value !== undefined && p.value !== value));
+    return this;
+  }
+}
+
+/**
+ * ArchiMate concept (element or relationship)
+ */
+class Concept extends ModelObject {
+  constructor(model, attributes, type, folder) {
+    super(model, attributes);
+    this.type = type;
+    this.folder = folder;
+    this.profileId = attributes.profiles || null;
+    this.sourceId = attributes.source || null;
+    this.targetId = attributes.target || null;
+  }
+
+  get kind() {
+    return isRelationshipType(this.type) ? "relationship" : "element";
+  }
+
+  get specialization() {
+    const profile = this.profileId ? this.model.profiles.get(this.profileId) : null;
+    return profile ? profile.name : null;
+  }
+
+  get source() {
+    return this.sourceId ? this.model.getById(this.sourceId) : null;
+  }
+
+  get target() {
+    return this.targetId ? this.model.getById(this.targetId) : null;
+  }
+
+  /**
+   * Deletes the concept from the model (jArchi's delete())
+   * Relationships of a deleted element and the connections of a deleted relationship on views are deleted too.
+   */
+  delete() {
+    if (this.kind === "element") {
+      this.model
+        .getRelationships()
+        .filter((relationship) => relationship.sourceId === this.id || relationship.targetId === this.id)
+        .forEach((relationship) => relationship.delete());
+    }
+
+    this.model.getDescendants().forEach((object) => {
+      if (object instanceof View) {
+        object.diagramObjects.forEach((diagramObject) => {
+          diagramObject.connections = diagramObject.connections.filter(
+            (connection) => connection.conceptId !== this.id,
+          );
+        });
+      }
+    });
+    this.folder.children = this.folder.children.filter((child) => child !== this);
+    this.model.objectsById.delete(this.id);
+  }
+}
+
+/**
+ * Model tree folder
+ */
+class Folder extends ModelObject {
+  constructor(model, attributes, parent) {
+    super(model, attributes);
+    this.type = "folder";
+    this.folderType = attributes.type || null;
+    this.parent = parent;
+    this.children = [];
+  }
+
+  get kind() {
+    return "folder";
+  }
+}
+
+/**
+ * Object on a view (diagram object, group, note, reference)
+ */
+class DiagramObject extends ModelObject {
+  constructor(model, attributes, xsiType, parent, view) {
+    super(model, attributes);
+    this.parent = parent;
+    this.view = view;
+    this.conceptId = attributes.archimateElement || null;
+    this.diagramType = DIAGRAM_OBJECT_TYPES[xsiType.substring(xsiType.indexOf(":") + 1)] || "diagram-model-object";
+    this.bounds = { x: 0, y: 0, width: -1, height: -1 };
+    this.children = [];
+    this.connections = [];
+  }
+
+  get kind() {
+    return "diagram-object";
+  }
+
+  get concept() {
+    return this.conceptId ? this.model.getById(this.conceptId) : null;
+  }
+
+  get type() {
+    return this.concept ? this.concept.type : this.diagramType;
+  }
+
+  /**
+   * Nests an element in this object (see addToView())
+   */
+  add(concept, ...args) {
+    return addToView(this.view, this, concept, args);
+  }
+
+  /**
+   * Removes the object with its nested objects and their connections from the view (jArchi's delete())
+   */
+  delete() {
+    const removedIds = new Set();
+    const collect = (object) => {
+      removedIds.add(object.id);
+      object.children.forEach(collect);
+    };
+    collect(this);
+
+    this.parent.children = this.parent.children.filter((child) => child !== this);
+    this.view.diagramObjects.forEach((object) => {
+      object.connections = object.connections.filter((connection) => {
+        const removed = removedIds.has(connection.sourceId) || removedIds.has(connection.targetId);
+        if (removed) {
+          this.model.objectsById.delete(connection.id);
+        }
+        return !removed;
+      });
+    });
+    removedIds.forEach((id) => {
+      this.view.diagramObjects.delete(id);
+      this.model.objectsById.delete(id);
+    });
+  }
+}
+
+/**
+ * Connection on a view
+ */
+class DiagramConnection extends ModelObject {
+  constructor(model, attributes, view) {
+    super(model, attributes);
+    this.view = view;
+    this.conceptId = attributes.archimateRelationship || null;
+    this.sourceId = attributes.source || null;
+    this.targetId = attributes.target || null;
+  }
+
+  get kind() {
+    return "diagram-connection";
+  }
+
+  get concept() {
+    return this.conceptId ? this.model.getById(this.conceptId) : null;
+  }
+
+  get type() {
+    return this.concept ? this.concept.type : "diagram-model-connection";
+  }
+
+  get source() {
+    return this.view.getDiagramObject(this.sourceId);
+  }
+
+  get target() {
+    return this.view.getDiagramObject(this.targetId);
+  }
+}
+
+/**
+ * View (diagram model)
+ */
+class View extends ModelObject {
+  constructor(model, attributes, type, folder) {
+    super(model, attributes);
+    this.type = type;
+    this.folder = folder;
+    this.children = [];
+    this.diagramObjects = new Map();
+  }
+
+  get kind() {
+    return "view";
+  }
+
+  getDiagramObject(id) {
+    return this.diagramObjects.get(id) || null;
+  }
+
+  /**
+   * Adds an element or a relationship to the view (see addToView())
+   */
+  add(concept, ...args) {
+    return addToView(this, this, concept, args);
+  }
+
+  /**
+   * Gets all diagram objects and connections of the view (depth first)
+   * @returns {Array} Diagram objects followed by their connections
+   */
+  getDescendants() {
+    const result = [];
+    const visit = (objects) => {
+      objects.forEach((object) => {
+        result.push(object);
+        visit(object.children);
+      });
+    };
+    visit(this.children);
+    Array.from(this.diagramObjects.values()).forEach((object) => result.push(...object.connections));
+    return result;
+  }
+}
+
+/**
+ * ArchiMate model
+ */
+class ArchimateModel extends ModelObject {
+  constructor(attributes, filePath) {
+    super(null, attributes);
+    this.model = this;
+    this.type = "archimate-model";
+    this.path = filePath || null;
+    this.folders = [];
+    this.profiles = new Map();
+    this.objectsById = new Map();
+  }
+
+  get kind() {
+    return "model";
+  }
+
+  get purpose() {
+    return this.documentation;
+  }
+
+  getById(id) {
+    return this.objectsById.get(id) || null;
+  }
+
+  register(object) {
+    if (object.id) {
+      this.objectsById.set(object.id, object);
+    }
+    return object;
+  }
+
+  /**
+   * Gets all folders, concepts and views of the model tree (depth first)
+   * @returns {Array} Model tree objects
+   */
+  getDescendants() {
+    const result = [];
+    const visit = (folders) => {
+      folders.forEach((folder) => {
+        result.push(folder);
+        folder.children.forEach((child) => {
+          if (child instanceof Folder) {
+            visit([child]);
+          } else {
+            result.push(child);
+          }
+        });
+      });
+    };
+    visit(this.folders);
+    return result;
+  }
+
+  getConcepts() {
+    return this.getDescendants().filter((object) => object instanceof Concept);
+  }
+
+  getRelationships() {
+    return this.getConcepts().filter((concept) => concept.kind === "relationship");
+  }
+
+  /**
+   * Creates a relationship (jArchi's model.createRelationship())
+   * @param {String} type - jArchi type, e.g. "triggering-relationship"
+   * @param {String} name - Name
+   * @param {Concept} source - Source element
+   * @param {Concept} target - Target element
+   * @param {Folder} folder - Optional folder, defaults to the Relations folder
+   * @returns {Concept} The new relationship
+   */
+  createRelationship(type, name, source, target, folder) {
+    const parent = folder || this.folders.find((candidate) => candidate.folderType === "relations");
+    if (!parent) {
+      throw new Error(`Model "${this.name}" has no Relations folder`);
+    }
+
+    const attributes = {
+      id: createId(),
+      name,
+      source: source.id,
+      target: target.id,
+    };
+    const relationship = this.register(new Concept(this, attributes, type, parent));
+    parent.children.push(relationship);
+    return relationship;
+  }
+
+  /**
+   * Creates a view (jArchi's model.createArchimateView())
+   * @param {String} name - Name
+   * @param {Folder} folder - Optional folder, defaults to the Views folder
+   * @returns {View} The new, empty view
+   */
+  createArchimateView(name, folder) {
+    const parent = folder || this.folders.find((candidate) => candidate.folderType === "diagrams");
+    if (!parent) {
+      throw new Error(`Model "${this.name}" has no Views folder`);
+    }
+
+    const view = this.register(new View(this, { id: createId(), name }, "archimate-diagram-model", parent));
+    parent.children.push(view);
+    return view;
+  }
+}
+
+// Helpers for the ordered output of fast-xml-parser
+
+function nodeName(node) {
+  return Object.keys(node).find((key) => key !== ":@");
+}
+
+function nodeAttributes(node) {
+  return node[":@"] || {};
+}
+
+function nodeChildren(node) {
+  return node[nodeName(node)] || [];
+}
+
+function nodeText(node) {
+  return nodeChildren(node)
+    .filter((child) => "#text" in child)
+    .map((child) => child["#text"])
+    .join("");
+}
+
+/**
+ * Reads documentation and properties shared by all model objects
+ * @param {ModelObject} object - Object to fill
+ * @param {Object} node - Parsed XML node
+ * @param {String} documentationTag - Tag holding the documentation ("documentation" or "purpose")
+ */
+function readCommonChildren(object, node, documentationTag = "documentation") {
+  nodeChildren(node).forEach((child) => {
+    const name = nodeName(child);
+    if (name === documentationTag) {
+      object.documentation = nodeText(child);
+    } else if (name === "property") {
+      const attributes = nodeAttributes(child);
+      object.properties.push({ key: attributes.key, value: attributes.value || "" });
+    }
+  });
+}
+
+/**
+ * Reads the objects on a view recursively
+ * @param {ArchimateModel} model - Model being loaded
+ * @param {View} view - View owning the objects
+ * @param {Object} node - Parsed XML node of the view or parent diagram object
+ * @param {Object} parent - View or parent diagram object
+ */
+function readDiagramChildren(model, view, node, parent) {
+  nodeChildren(node).forEach((child) => {
+    if (nodeName(child) !== "child") {
+      return;
+    }
+
+    const attributes = nodeAttributes(child);
+    const diagramObject = new DiagramObject(model, attributes, attributes["xsi:type"] || "", parent, view);
+    readCommonChildren(diagramObject, child);
+
+    nodeChildren(child).forEach((grandChild) => {
+      const name = nodeName(grandChild);
+      if (name === "bounds") {
+        const bounds = nodeAttributes(grandChild);
+        diagramObject.bounds = {
+          x: Number(bounds.x || 0),
+          y: Number(bounds.y || 0),
+          width: Number(bounds.width || -1),
+          height: Number(bounds.height || -1),
+        };
+      } else if (name === "sourceConnection") {
+        const connection = new DiagramConnection(model, nodeAttributes(grandChild), view);
+        readCommonChildren(connection, grandChild);
+        diagramObject.connections.push(model.register(connection));
+      }
+    });
+
+    view.diagramObjects.set(diagramObject.id, diagramObject);
+    parent.children.push(model.register(diagramObject));
+    readDiagramChildren(model, view, child, diagramObject);
+  });
+}
+
+/**
+ * Reads a folder with its elements, relationships, views and sub folders
+ * @param {ArchimateModel} model - Model being loaded
+ * @param {Object} node - Parsed XML node of the folder
+ * @param {Object} parent - Parent folder or model
+ * @returns {Folder} Folder object
+ */
+function readFolder(model, node, parent) {
+  const folder = model.register(new Folder(model, nodeAttributes(node), parent));
+  readCommonChildren(folder, node);
+
+  nodeChildren(node).forEach((child) => {
+    const name = nodeName(child);
+    if (name === "folder") {
+      folder.children.push(readFolder(model, child, folder));
+    } else if (name === "element") {
+      const attributes = nodeAttributes(child);
+      const type = toJArchiType(attributes["xsi:type"] || "");
+      if (VIEW_TYPES.includes(type)) {
+        const view = model.register(new View(model, attributes, type, folder));
+        readCommonChildren(view, child);
+        readDiagramChildren(model, view, child, view);
+        folder.children.push(view);
+      } else {
+        const concept = model.register(new Concept(model, attributes, type, folder));
+        readCommonChildren(concept, child);
+        folder.children.push(concept);
+      }
+    }
+  });
+
+  return folder;
+}
+
+/**
+ * Parses the XML content of an Archi model file
+ * @param {String} xml - Content of an .archimate file
+ * @param {String} filePath - Path of the file (becomes model.path)
+ * @returns {ArchimateModel} Loaded model
+ */
+function parseArchimateModel(xml, filePath) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "",
+    preserveOrder: true,
+    parseTagValue: false,
+    trimValues: false,
+    htmlEntities: true,
+  });
+
+  const document = parser.parse(xml);
+  const root = document.find((node) => {
+    const name = nodeName(node);
+    return name === "archimate:model" || name === "archimate:ArchimateModel" || name === "model";
+  });
+
+  if (!root) {
+    throw new Error(`Not an Archi model file: ${filePath || "(xml)"}`);
+  }
+
+  const model = new ArchimateModel(nodeAttributes(root), filePath);
+  model.register(model);
+  readCommonChildren(model, root, "purpose");
+
+  nodeChildren(root).forEach((child) => {
+    const name = nodeName(child);
+    if (name === "folder") {
+      model.folders.push(readFolder(model, child, model));
+    } else if (name === "profile") {
+      const attributes = nodeAttributes(child);
+      model.profiles.set(attributes.id, { id: attributes.id, name: attributes.name, conceptType: attributes.conceptType });
+    }
+  });
+
+  return model;
+}
+
+/**
+ * Loads an Archi model file
+ * @param {String} filePath - Path to the .archimate file
+ * @returns {ArchimateModel} Loaded model
+ */
+function loadArchimateModel(filePath) {
+  const absolutePath = path.resolve(filePath);
+  return parseArchimateModel(fs.readFileSync(absolutePath, "utf8"), absolutePath);
+}
+
+module.exports = {
+  ArchimateModel,
+  Concept,
+  Folder,
+  View,
+  DiagramObject,
+  DiagramConnection,
+  toJArchiType,
+  parseArchimateModel,
+  loadArchimateModel,
+};
@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+/**
+ * cli.js
+ * Command-line tool producing the comatrix, applist, TGF and interface catalog reports and the model lint
+ * directly from .archimate files
+ *
+ * Runs the bundled jArchi scripts on top of the offline jArchi runtime, so no Archi installation is needed
+ * (e.g. in CI pipelines). The options are translated to the script parameters of batch mode, the scripts do the rest
+ * (baseline, output file, logging and run summary).
+ * Example: archi-comatrix matrix model.archimate --baseline old.archimate -o out.xlsm
+ *
+ * Usage errors and a missing model file go to stderr before the script runs.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { installJArchiRuntime } = require("./jarchiRuntime");
+const { runComatrix } = require("../main/comatrix");
+const { runAppList } = require("../main/applist");
+const { runTGF } = require("../main/tgf");
+const { GRAPH_FORMATS } = require("../main/graphFormats");
+const { runInterfaceCatalog } = require("../main/interfaceCatalog");
+const { runModelLint } = require("../main/modelLint");
+const { resetConfig } = require("../main/config");
+const { EXIT_OK, EXIT_ERROR } = require("../main/batch");
+
+// Exit code for invalid arguments, the others are shared with the jArchi scripts (see batch.js)
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: archi-comatrix <command> <model.archimate> [options]
+
+Commands:
+  matrix     Connectivity matrix (default output: comatrix.xlsm next to the model)
+  applist    Application list (default output: applist.xlsx next to the model)
+  tgf        Graph export (default output: graph.tgf next to the model, graph.<extension> with --format)
+  catalog    Interface catalog (default output: interfacecatalog.xlsx next to the model)
+  lint       Check the modelling conventions (default output: modellint.xlsx next to the model),
+             exits with 1 if the model has errors
+
+Options:
+  -o, --output <file>     Output file
+  -b, --baseline <file>   Baseline model to compare with (matrix and applist)
+  -r, --baseline-ref <rev>
+                          Compare with the model at a revision of its git repository (matrix and applist)
+  -t, --timeline <list>   Compare several model versions, e.g. "Ist=ist.archimate;2026=2026.archimate"
+                          (matrix only, the model is added as last version unless listed)
+  -c, --config <file>     Metamodel configuration (JSON, see README)
+      --domain <name>     Only applications of the Domäne (matrix and applist)
+      --fachbereich <name>
+                          Only applications of the Fachbereich (matrix and applist)
+      --view <name|id>    Only elements shown on the view (matrix, applist and tgf)
+      --folder <path>     Only elements in the folder, e.g. "Application/Sales" (matrix and applist)
+      --scope-consumers   Restrict the consumer columns of the matrix to the scope as well
+      --columns <list>    Columns of the application list, e.g. "name,domain,property:Owner,metric:offeredInterfaces"
+                          (applist only, see README)
+
+Graph options (tgf only, lists are comma-separated):
+  -f, --format <name>     tgf, graphml, dot, gexf or mermaid (default: tgf)
+      --element-types <list>, --exclude-element-types <list>
+                          Element types to keep or drop, e.g. "application-component"
+      --relationship-types <list>, --exclude-relationship-types <list>
+                          Relationship types to keep or drop, e.g. "triggering-relationship"
+      --specializations <list>, --exclude-specializations <list>
+                          Element specializations to keep or drop, e.g. "Geschäftsanwendung"
+      --comatrix-mode     Only the applications and one edge per Schnittstelle, like the matrix
+      --drop-isolated     Drop the nodes without edges
+
+Logging options:
+      --log-level <level> error, warn, info (default) or debug
+  -q, --quiet             Errors only
+      --verbose           Debug messages as well
+      --log-file <file>   Also append the printed messages with time and level to the file
+      --summary-file <file>
+                          Run summary (default: <script>-summary.json next to the output file)
+  -h, --help              Show this help`;
+
+// Scope options passed to the reports as script parameters (see scope.js)
+const SCOPE_OPTIONS = {
+  domain: "--domain",
+  fachbereich: "--fachbereich",
+  view: "--view",
+  folder: "--folder",
+};
+
+// TGF filter options passed to the export as script parameters (see tgf.js)
+const TGF_OPTIONS = {
+  "element-types": "--elementTypes",
+  "exclude-element-types": "--excludeElementTypes",
+  "relationship-types": "--relationshipTypes",
+  "exclude-relationship-types": "--excludeRelationshipTypes",
+  specializations: "--specializations",
+  "exclude-specializations": "--excludeSpecializations",
+};
+
+// TGF filter switches passed to the export as script parameters (see tgf.js)
+const TGF_SWITCHES = {
+  "comatrix-mode": "--comatrixMode",
+  "drop-isolated": "--dropIsolated",
+};
+
+// Logging options passed to the logger as script parameters (see logger.js), the files resolved against the working
+// directory
+const LOG_OPTIONS = {
+  "log-level": "--logLevel",
+  "log-file": "--logFile",
+  "summary-file": "--summaryFile",
+};
+
+// Logging switches passed to the logger as script parameters (see logger.js)
+const LOG_SWITCHES = {
+  quiet: "--quiet",
+  verbose: "--verbose",
+};
+
+// Report commands with the entry functions of the jArchi scripts
+const COMMANDS = {
+  matrix: runComatrix,
+  applist: runAppList,
+  tgf: runTGF,
+  catalog: runInterfaceCatalog,
+  lint: runModelLint,
+};
+
+/**
+ * Resolves the model paths of a --timeline list against the working directory
+ * @param {String} timeline - Entries "label=path" or "path", separated by ";"
+ * @returns {String} Same list with absolute paths
+ */
+function resolveTimelinePaths(timeline) {
+  return timeline
+    .split(";")
+    .filter((entry) => entry.trim() !== "")
+    .map((entry) => {
+      const separatorIndex = entry.indexOf("=");
+      if (separatorIndex > 0) {
+        return `${entry.substring(0, separatorIndex)}=${path.resolve(entry.substring(separatorIndex + 1).trim())}`;
+      }
+      return path.resolve(entry.trim());
+    })
+    .join(";");
+}
+
+/**
+ * Builds the script parameters read by the reports through params.js
+ * The scripts run in batch mode (no console window, no file browser), paths are resolved against the working directory.
+ * @param {Object} options - Parsed command-line options
+ * @returns {Array<String>} Arguments like inside Archi, e.g. ["--batch", "--config", "/abs/config.json"]
+ */
+function buildScriptArguments(options) {
+  const scriptArguments = ["--batch"];
+  if (options.output) {
+    scriptArguments.push("--output", path.resolve(options.output));
+  }
+  if (options.config) {
+    scriptArguments.push("--config", path.resolve(options.config));
+  }
+  if (options.baseline) {
+    scriptArguments.push("--baselineModel", path.resolve(options.baseline));
+  }
+  if (options["baseline-ref"]) {
+    scriptArguments.push("--baselineRef", options["baseline-ref"]);
+  }
+  if (options.timeline) {
+    scriptArguments.push("--timeline", resolveTimelinePaths(options.timeline));
+  }
+  Object.entries(SCOPE_OPTIONS).forEach(([option, parameter]) => {
+    if (options[option]) {
+      scriptArguments.push(parameter, options[option]);
+    }
+  });
+  if (options["scope-consumers"]) {
+    scriptArguments.push("--scopeConsumers");
+  }
+  if (options.columns) {
+    scriptArguments.push("--columns", options.columns);
+  }
+  Object.entries(TGF_OPTIONS).forEach(([option, parameter]) => {
+    if (options[option]) {
+      scriptArguments.push(parameter, options[option]);
+    }
+  });
+  Object.entries(TGF_SWITCHES).forEach(([option, parameter]) => {
+    if (options[option]) {
+      scriptArguments.push(parameter);
+    }
+  });
+  if (options.format) {
+    scriptArguments.push("--format", options.format);
+  }
+  Object.entries(LOG_OPTIONS).forEach(([option, parameter]) => {
+    if (options[option]) {
+      scriptArguments.push(parameter, option === "log-level" ? options[option] : path.resolve(options[option]));
+    }
+  });
+  Object.entries(LOG_SWITCHES).forEach(([option, parameter]) => {
+    if (options[option]) {
+      scriptArguments.push(parameter);
+    }
+  });
+  return scriptArguments;
+}
+
+/**
+ * Parses the command line
+ * @param {Array<String>} argv - Arguments without node and script path
+ * @returns {Object} {command, modelPath, options}
+ * @throws {Error} If the arguments are invalid
+ */
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: "string", short: "o" },
+      baseline: { type: "string", short: "b" },
+      "baseline-ref": { type: "string", short: "r" },
+      timeline: { type: "string", short: "t" },
+      config: { type: "string", short: "c" },
+      domain: { type: "string" },
+      fachbereich: { type: "string" },
+      view: { type: "string" },
+      folder: { type: "string" },
+      "scope-consumers": { type: "boolean" },
+      columns: { type: "string" },
+      "element-types": { type: "string" },
+      "exclude-element-types": { type: "string" },
+      "relationship-types": { type: "string" },
+      "exclude-relationship-types": { type: "string" },
+      specializations: { type: "string" },
+      "exclude-specializations": { type: "string" },
+      "comatrix-mode": { type: "boolean" },
+      "drop-isolated": { type: "boolean" },
+      format: { type: "string", short: "f" },
+      "log-level": { type: "string" },
+      quiet: { type: "boolean", short: "q" },
+      verbose: { type: "boolean" },
+      "log-file": { type: "string" },
+      "summary-file": { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  if (values.help) {
+    return { command: "help", options: values };
+  }
+
+  const [command, modelPath, ...rest] = positionals;
+  if (!command) {
+    throw new Error("Missing command");
+  }
+  if (!(command in COMMANDS)) {
+    throw new Error(`Unknown command "${command}"`);
+  }
+  if (!modelPath) {
+    throw new Error("Missing model file");
+  }
+  if (rest.length > 0) {
+    throw new Error(`Unexpected argument "${rest[0]}"`);
+  }
+  if ((values.baseline || values["baseline-ref"]) && command !== "matrix" && command !== "applist") {
+    throw new Error("--baseline and --baseline-ref are only supported by the matrix and applist commands");
+  }
+  if (values.timeline && command !== "matrix") {
+    throw new Error("--timeline is only supported by the matrix command");
+  }
+  if (values.view && command !== "matrix" && command !== "applist" && command !== "tgf") {
+    throw new Error("--view is only supported by the matrix, applist and tgf commands");
+  }
+  const scopeOptions = ["domain", "fachbereich", "folder", "scope-consumers"].filter((option) => values[option]);
+  if (scopeOptions.length > 0 && command !== "matrix" && command !== "applist") {
+    throw new Error(`--${scopeOptions[0]} is only supported by the matrix and applist commands`);
+  }
+  if (values["scope-consumers"] && command !== "matrix") {
+    throw new Error("--scope-consumers is only supported by the matrix command");
+  }
+  if (values.columns && command !== "applist") {
+    throw new Error("--columns is only supported by the applist command");
+  }
+  const tgfOptions = [...Object.keys(TGF_OPTIONS), ...Object.keys(TGF_SWITCHES), "format"].filter(
+    (option) => values[option],
+  );
+  if (tgfOptions.length > 0 && command !== "tgf") {
+    throw new Error(`--${tgfOptions[0]} is only supported by the tgf command`);
+  }
+  if (values.format && !(values.format in GRAPH_FORMATS)) {
+    throw new Error(`Unknown format "${values.format}", use one of ${Object.keys(GRAPH_FORMATS).join(", ")}`);
+  }
+  if ([values.baseline, values["baseline-ref"], values.timeline].filter(Boolean).length > 1) {
+    throw new Error("Use only one of --baseline, --baseline-ref and --timeline");
+  }
+
+  return { command, modelPath, options: values };
+}
+
+/**
+ * Runs the command-line tool
+ * @param {Array<String>} argv - Arguments without node and script path
+ * @returns {number} Exit code (0 = success, 1 = error, 2 = invalid arguments, 3 = nothing to report)
+ */
+function runCli(argv) {
+  let commandLine;
+  try {
+    commandLine = parseCommandLine(argv);
+  } catch (error) {
+    console.error(`✗ ERROR: ${error.message}\n`);
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  const { command, modelPath, options } = commandLine;
+  if (command === "help") {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  const absoluteModelPath = path.resolve(modelPath);
+  if (!fs.existsSync(absoluteModelPath)) {
+    console.error(`✗ ERROR: Model file not found: ${absoluteModelPath}`);
+    return EXIT_ERROR;
+  }
+
+  try {
+    // The scripts read their parameters through params.js, like on Archi's command line
+    resetConfig();
+    const currentModel = installJArchiRuntime({
+      modelPath: absoluteModelPath,
+      argv: buildScriptArguments(options),
+      scriptDir: path.dirname(absoluteModelPath),
+    });
+    return COMMANDS[command](currentModel);
+  } catch (error) {
+    console.error(`✗ ERROR: ${error.message}`);
+    return EXIT_ERROR;
+  }
+}
+
+module.exports = {
+  runCli,
+};
+
+if (require.main === module) {
+  process.exitCode = runCli(process.argv.slice(2));
+}
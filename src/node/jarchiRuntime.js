@@ -0,0 +1,466 @@
+/**
+ * jarchiRuntime.js
+ * Offline stand-in for the jArchi scripting environment, so the scripts run under plain Node
+ *
+ * Installs the globals the scripts expect inside Archi:
+ *   $, model, selection, __DIR__, Java, java, console.show()
+ * The emulation covers the parts of the jArchi API used in src/main, not the full API.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const childProcess = require("child_process");
+const { loadArchimateModel, ArchimateModel, Folder, View, DiagramObject } = require("./archimateModel");
+
+/**
+ * Checks if an object matches a type selector
+ * @param {Object} object - Model object
+ * @param {String} type - Type selector ("element", "relationship", "concept", "view", "folder" or a jArchi type)
+ * @returns {boolean} True if the object matches
+ */
+function matchesType(object, type) {
+  // Objects on views match through the concept they show
+  const kind = object.kind === "diagram-object" || object.kind === "diagram-connection" ? conceptKind(object) : object.kind;
+
+  switch (type) {
+    case "*":
+      return true;
+    case "concept":
+      return kind === "element" || kind === "relationship";
+    case "element":
+      return kind === "element";
+    case "relationship":
+      return kind === "relationship";
+    case "view":
+      return kind === "view";
+    case "folder":
+      return kind === "folder";
+    default:
+      return object.type === type;
+  }
+}
+
+function conceptKind(diagramComponent) {
+  const concept = diagramComponent.concept;
+  return concept ? concept.kind : diagramComponent.kind;
+}
+
+/**
+ * Checks if an object matches a jArchi selector
+ * Supported: "*", "#id", ".name", "type", "type.name" and filter functions
+ * @param {Object} object - Model object
+ * @param {String|Function} selector - Selector
+ * @returns {boolean} True if the object matches
+ */
+function matchesSelector(object, selector) {
+  if (selector === undefined || selector === null || selector === "*") {
+    return true;
+  }
+  if (typeof selector === "function") {
+    return Boolean(selector(object));
+  }
+  if (selector.startsWith("#")) {
+    return object.id === selector.substring(1);
+  }
+  if (selector.startsWith(".")) {
+    return object.name === selector.substring(1);
+  }
+
+  const dotIndex = selector.indexOf(".");
+  if (dotIndex > 0) {
+    return matchesType(object, selector.substring(0, dotIndex)) && object.name === selector.substring(dotIndex + 1);
+  }
+
+  return matchesType(object, selector);
+}
+
+/**
+ * Gets the objects contained in a model object (depth first)
+ * @param {Object} object - Model, folder, view or diagram object
+ * @returns {Array} Contained objects
+ */
+function getDescendants(object) {
+  if (object instanceof ArchimateModel || object instanceof View) {
+    return object.getDescendants();
+  }
+  if (object instanceof Folder || object instanceof DiagramObject) {
+    const result = [];
+    object.children.forEach((child) => {
+      result.push(child);
+      result.push(...getDescendants(child));
+    });
+    if (object instanceof DiagramObject) {
+      result.push(...object.connections);
+    }
+    return result;
+  }
+  return [];
+}
+
+/**
+ * Collection of model objects, emulating jArchi's $() collections
+ */
+class Collection extends Array {
+  // Native array methods (map, slice, ...) return plain arrays
+  static get [Symbol.species]() {
+    return Array;
+  }
+
+  static of(objects) {
+    const collection = new Collection();
+    objects.forEach((object) => {
+      if (object && !collection.includes(object)) {
+        collection.push(object);
+      }
+    });
+    return collection;
+  }
+
+  each(callback) {
+    for (let i = 0; i < this.length; i++) {
+      callback(this[i]);
+    }
+    return this;
+  }
+
+  first() {
+    return this.length > 0 ? this[0] : null;
+  }
+
+  size() {
+    return this.length;
+  }
+
+  is(selector) {
+    return this.some((object) => matchesSelector(object, selector));
+  }
+
+  filter(selector) {
+    return Collection.of(Array.from(this).filter((object) => matchesSelector(object, selector)));
+  }
+
+  not(selector) {
+    return Collection.of(Array.from(this).filter((object) => !matchesSelector(object, selector)));
+  }
+
+  find(selector) {
+    const found = [];
+    this.forEach((object) => found.push(...getDescendants(object)));
+    return Collection.of(found).filter(selector);
+  }
+
+  add(other) {
+    const others = typeof other === "string" ? $(other) : other instanceof Array ? other : [other];
+    return Collection.of([...this, ...others]);
+  }
+
+  children(selector) {
+    const children = [];
+    this.forEach((object) => {
+      if (object instanceof ArchimateModel) {
+        children.push(...object.folders);
+      } else if (object.children) {
+        children.push(...object.children);
+      }
+    });
+    return Collection.of(children).filter(selector);
+  }
+
+  parent(selector) {
+    const parents = this.map((object) => object.parent || object.folder || object.view || null);
+    return Collection.of(parents).filter(selector);
+  }
+
+  inRels(selector) {
+    return this.relations((relationship, object) => relationship.targetId === object.id, selector);
+  }
+
+  outRels(selector) {
+    return this.relations((relationship, object) => relationship.sourceId === object.id, selector);
+  }
+
+  rels(selector) {
+    return this.inRels(selector).add(this.outRels(selector));
+  }
+
+  relations(predicate, selector) {
+    const found = [];
+    this.forEach((object) => {
+      if (object.kind !== "element" && object.kind !== "relationship") {
+        return;
+      }
+      object.model.getRelationships().forEach((relationship) => {
+        if (predicate(relationship, object)) {
+          found.push(relationship);
+        }
+      });
+    });
+    return Collection.of(found).filter(selector);
+  }
+
+  attr(name) {
+    const object = this.first();
+    return object ? object[name] : null;
+  }
+
+  prop(...args) {
+    const object = this.first();
+    return object ? object.prop(...args) : null;
+  }
+
+  delete() {
+    this.forEach((object) => object.delete());
+  }
+}
+
+/**
+ * Writes bytes to a file, emulating java.io.FileOutputStream
+ */
+class FileOutputStream {
+  constructor(filePath, append = false) {
+    this.filePath = String(filePath);
+    if (!append) {
+      fs.writeFileSync(this.filePath, Buffer.alloc(0));
+    }
+  }
+
+  write(bytes) {
+    fs.appendFileSync(this.filePath, Buffer.from(bytes));
+  }
+
+  close() {}
+}
+
+/**
+ * Writes text to a file, emulating java.io.FileWriter
+ */
+class FileWriter {
+  constructor(filePath, append = false) {
+    this.filePath = String(filePath);
+    if (!append) {
+      fs.writeFileSync(this.filePath, "");
+    }
+  }
+
+  write(text) {
+    fs.appendFileSync(this.filePath, String(text), "utf8");
+  }
+
+  close() {}
+}
+
+/**
+ * java.io.File stand-in
+ */
+class JavaFile {
+  constructor(parentOrPath, child) {
+    this.filePath = child === undefined ? String(parentOrPath) : path.join(String(parentOrPath), String(child));
+  }
+
+  getPath() {
+    return this.filePath;
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  isDirectory() {
+    return fs.existsSync(this.filePath) && fs.statSync(this.filePath).isDirectory();
+  }
+
+  list() {
+    return this.isDirectory() ? fs.readdirSync(this.filePath) : null;
+  }
+
+  delete() {
+    if (!fs.existsSync(this.filePath)) {
+      return false;
+    }
+    if (this.isDirectory()) {
+      fs.rmdirSync(this.filePath);
+    } else {
+      fs.unlinkSync(this.filePath);
+    }
+    return true;
+  }
+}
+
+/**
+ * Runs external programs, emulating java.lang.ProcessBuilder
+ * The program runs synchronously when start() is called.
+ */
+class ProcessBuilder {
+  constructor(command) {
+    this.command = Array.from(command, String);
+    this.workingDir = undefined;
+    this.env = new Map();
+    this.mergeErrorStream = false;
+  }
+
+  directory(file) {
+    this.workingDir = file.getPath();
+    return this;
+  }
+
+  environment() {
+    return { put: (key, value) => this.env.set(String(key), String(value)) };
+  }
+
+  redirectErrorStream(merge) {
+    this.mergeErrorStream = merge;
+    return this;
+  }
+
+  start() {
+    const result = childProcess.spawnSync(this.command[0], this.command.slice(1), {
+      cwd: this.workingDir,
+      env: { ...process.env, ...Object.fromEntries(this.env) },
+    });
+    if (result.error) {
+      throw new Error(`Cannot run program "${this.command[0]}": ${result.error.message}`);
+    }
+
+    const output = this.mergeErrorStream ? Buffer.concat([result.stdout, result.stderr]) : result.stdout;
+    return {
+      getOutputStream: () => ({ close() {} }),
+      getInputStream: () => ({ readAllBytes: () => output }),
+      waitFor: () => result.status,
+    };
+  }
+}
+
+/**
+ * java.lang.String stand-in, only for decoding bytes: new String(bytes, "UTF-8")
+ */
+class JavaString {
+  constructor(bytes, charset = "UTF-8") {
+    return new String(Buffer.from(bytes).toString(charset.toLowerCase() === "utf-8" ? "utf8" : charset));
+  }
+}
+
+// Java classes available through Java.type()
+const JAVA_TYPES = {
+  "java.io.FileOutputStream": FileOutputStream,
+  "java.io.FileWriter": FileWriter,
+  "java.io.File": JavaFile,
+  "java.lang.ProcessBuilder": ProcessBuilder,
+  "java.lang.String": JavaString,
+  "java.nio.file.Paths": {
+    get: (first, ...more) => path.join(String(first), ...more.map(String)),
+  },
+  "java.nio.file.Files": {
+    readString: (filePath) => fs.readFileSync(String(filePath), "utf8"),
+    readAllBytes: (filePath) => fs.readFileSync(String(filePath)),
+    exists: (filePath) => fs.existsSync(String(filePath)),
+    writeString: (filePath, content) => fs.writeFileSync(String(filePath), String(content), "utf8"),
+    createTempDirectory: (prefix) => fs.mkdtempSync(path.join(os.tmpdir(), String(prefix))),
+  },
+};
+
+/**
+ * GraalVM Java interop stand-in
+ */
+const Java = {
+  type(className) {
+    if (!(className in JAVA_TYPES)) {
+      throw new Error(`Java type not available in offline runtime: ${className}`);
+    }
+    return JAVA_TYPES[className];
+  },
+
+  // byte[] becomes a Buffer, other array types stay plain arrays
+  to(values, type) {
+    return type === "byte[]" ? Buffer.from(values) : Array.from(values);
+  },
+};
+
+/**
+ * Package-style access to Java classes (java.io.File, java.awt.Desktop, ...)
+ */
+const java = {
+  io: { File: JavaFile },
+  awt: {
+    Desktop: {
+      getDesktop() {
+        throw new Error("No desktop available in offline runtime");
+      },
+    },
+  },
+};
+
+/**
+ * jArchi's $() function
+ * $(selector) searches the current model, $(object) and $(array) wrap objects in a collection
+ */
+function $(target) {
+  if (typeof target === "string") {
+    return runtimeState.currentModel ? Collection.of([runtimeState.currentModel]).find(target) : new Collection();
+  }
+  if (target instanceof Array) {
+    return Collection.of(target);
+  }
+  return Collection.of(target ? [target] : []);
+}
+
+const runtimeState = {
+  currentModel: null,
+  loadedModels: [],
+};
+
+$.model = {
+  load(filePath) {
+    const loadedModel = loadArchimateModel(String(filePath));
+    runtimeState.loadedModels.push(loadedModel);
+    return loadedModel;
+  },
+
+  getLoadedModels() {
+    return [...runtimeState.loadedModels];
+  },
+};
+
+$.process = {
+  argv: [],
+  engine: "node",
+};
+
+/**
+ * Installs the jArchi globals
+ * @param {Object} options - Runtime options
+ * @param {String} options.modelPath - Model file to load as the selected model (global "model")
+ * @param {Array<String>} options.argv - Script arguments (read by params.js through $.process.argv)
+ * @param {Array<String>} options.loadedModels - Additional model files that are "open in Archi"
+ * @param {String} options.scriptDir - Value of __DIR__ (defaults to the working directory)
+ * @param {Array<String>} options.selection - IDs of the objects selected in the model tree (defaults to the model)
+ * @returns {Object} The selected model
+ */
+function installJArchiRuntime(options = {}) {
+  runtimeState.loadedModels = [];
+  runtimeState.currentModel = options.modelPath ? $.model.load(options.modelPath) : null;
+  (options.loadedModels || []).forEach((modelPath) => $.model.load(modelPath));
+
+  $.process.argv = [...(options.argv || [])];
+
+  global.$ = $;
+  global.model = runtimeState.currentModel;
+  global.selection = options.selection
+    ? Collection.of(options.selection.map((id) => $(`#${id}`).first()).filter((object) => object))
+    : Collection.of(runtimeState.currentModel ? [runtimeState.currentModel] : []);
+  global.__DIR__ = options.scriptDir || process.cwd();
+  global.Java = Java;
+  global.java = java;
+
+  // Archi's script console has show(); clear() would reset the terminal under Node
+  console.show = () => {};
+  console.clear = () => {};
+
+  return runtimeState.currentModel;
+}
+
+module.exports = {
+  installJArchiRuntime,
+  Collection,
+  matchesSelector,
+};
@@ -0,0 +1,164 @@
+/**
+ * applist.test.js
+ * Regression tests for the application list (src/main/applist.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const XLSX = require("xlsx-js-style");
+const { setupModel, createWorkspace, captureConsole, readSheet } = require("./helpers");
+const { installJArchiRuntime } = require("../src/node/jarchiRuntime");
+const { resetConfig } = require("../src/main/config");
+const { runAppList } = require("../src/main/applist");
+const { validateConfig } = require("../src/main/config");
+
+test("runAppList() lists applications with domains and Fachbereich", () => {
+  const { workspace } = setupModel("landscape.archimate");
+  captureConsole(() => runAppList());
+
+  const rows = readSheet(workspace.path("applist.xlsx"), "Anwendungen");
+  assert.deepEqual(rows, [
+    ["Anwendung", "Typ", "Domäne", "Fachbereich"],
+    ["Reporting", "Geschäftsanwendung", "Finance", "Finanzen"],
+    ["Payment Gateway", "Querschnittsanwendung", "Finance", "Finanzen"],
+    ["Customer Portal", "Geschäftsanwendung", "Sales", "Vertrieb"],
+    ["Order System", "Geschäftsanwendung", "Sales", "Vertrieb"],
+    ["Reporting", "Geschäftsanwendung", "Sales", "Vertrieb"],
+    ["Kubernetes", "Register", "Cloud, Infrastructure", "(kein Fachbereich)"],
+  ]);
+});
+
+test("runAppList() keeps the groupings of cyclic hierarchies and lists the cycle path", () => {
+  const { workspace } = setupModel("cycle.archimate");
+  const output = captureConsole(() => runAppList());
+
+  const rows = readSheet(workspace.path("applist.xlsx"), "Anwendungen");
+  assert.deepEqual(rows.slice(1), [
+    ["Cyclic App", "Geschäftsanwendung", "Beta, Alpha (⚠ Zyklus)", "Gamma (⚠ Zyklus)"],
+    ["Plain App", "Geschäftsanwendung", "Delta", "Gamma"],
+  ]);
+  assert.deepEqual(readSheet(workspace.path("applist.xlsx"), "Diagnose"), [
+    ["Befund", "Pfad", "IDs", "Betroffene Elemente"],
+    ["Zyklus in der Gruppierung", "Beta → Alpha → Beta", "grp-beta → grp-alpha → grp-beta", "Cyclic App"],
+  ]);
+  assert.ok(output.includes("⚠ Grouping cycle: Beta → Alpha → Beta (affects Cyclic App)"));
+});
+
+test("runAppList() compares against --baselineModel and keeps removed applications", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--baselineModel", (ws) => ws.path("landscape-baseline.archimate")],
+    extraFiles: ["landscape-baseline.archimate"],
+  });
+  const output = captureConsole(() => runAppList());
+
+  assert.ok(output.includes("Running in COMPARE MODE (parameter-based).\n"));
+  assert.ok(output.includes("Compared with baseline: 1 added, 1 removed, 1 changed\n"));
+  const rows = readSheet(workspace.path("applist.xlsx"), "Anwendungen");
+  assert.deepEqual(rows[0].slice(0, 5), ["Anwendung", "Typ", "Domäne", "Fachbereich", "Änderung"]);
+  assert.deepEqual(
+    rows.slice(1).map((row) => [row[0], row[4]]),
+    [
+      ["Reporting", ""],
+      ["Payment Gateway", ""],
+      ["Customer Portal", ""],
+      ["Legacy CRM", "gelöscht"],
+      ["Order System", "Name: Order Service → Order System"],
+      ["Reporting", ""],
+      ["Kubernetes", "hinzugefügt"],
+    ],
+  );
+  assert.deepEqual(
+    rows.slice(1, 4).map((row) => row[6]),
+    ["Grün = Hinzugefügt", "Orange = geändert", "Rot = gelöscht"],
+  );
+
+  const sheet = XLSX.readFile(workspace.path("applist.xlsx"), { cellStyles: true }).Sheets.Anwendungen;
+  assert.equal(sheet.A5.s.fgColor.rgb, "C0504D");
+  assert.equal(sheet.A6.s.fgColor.rgb, "FFC000");
+  assert.equal(sheet.B6.s.fgColor, undefined);
+  assert.equal(sheet.D8.s.fgColor.rgb, "9BBB59");
+});
+
+test("runAppList() highlights the changed Typ, Domäne and Fachbereich", () => {
+  // Current model: finance reporting moved to Sales, Payment Gateway became a Geschäftsanwendung
+  const workspace = createWorkspace(["landscape.archimate"]);
+  const xml = fs
+    .readFileSync(workspace.path("landscape.archimate"), "utf8")
+    .replace('source="grp-finance" target="app-report-finance"', 'source="grp-sales" target="app-report-finance"')
+    .replace('id="app-payment" profiles="prof-qa"', 'id="app-payment" profiles="prof-ga"');
+  fs.writeFileSync(workspace.path("moved.archimate"), xml);
+  resetConfig();
+  installJArchiRuntime({
+    modelPath: workspace.path("moved.archimate"),
+    argv: ["--baselineModel", workspace.path("landscape.archimate")],
+  });
+
+  captureConsole(() => runAppList());
+
+  const rows = readSheet(workspace.path("applist.xlsx"), "Anwendungen");
+  assert.deepEqual(rows.slice(1, 3).map((row) => row.slice(0, 5)), [
+    ["Payment Gateway", "Geschäftsanwendung", "Finance", "Finanzen", "Typ: Querschnittsanwendung → Geschäftsanwendung"],
+    ["Customer Portal", "Geschäftsanwendung", "Sales", "Vertrieb", ""],
+  ]);
+  assert.ok(
+    rows.some((row) => row[4] === "Domäne: Finance → Sales, Fachbereich: Finanzen → Vertrieb" && row[0] === "Reporting"),
+  );
+
+  const sheet = XLSX.readFile(workspace.path("applist.xlsx"), { cellStyles: true }).Sheets.Anwendungen;
+  assert.equal(sheet.B2.s.fgColor.rgb, "FFC000");
+  assert.equal(sheet.C2.s.fgColor, undefined);
+});
+
+test("runAppList() writes the columns of the --columns parameter", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--columns", "name,property:Owner,documentation,metric:offeredInterfaces,metric:consumedInterfaces"],
+  });
+  captureConsole(() => runAppList());
+
+  const rows = readSheet(workspace.path("applist.xlsx"), "Anwendungen");
+  assert.deepEqual(rows, [
+    ["Anwendung", "Owner", "Dokumentation", "Angebotene Schnittstellen", "Genutzte Schnittstellen"],
+    ["Reporting", "", "", 0, 1],
+    ["Payment Gateway", "", "", 1, 0],
+    ["Customer Portal", "Team Web", "Web portal for customers", 0, 2],
+    ["Order System", "", "", 2, 2],
+    ["Reporting", "", "", 0, 1],
+    ["Kubernetes", "", "", 1, 0],
+  ]);
+});
+
+test("runAppList() takes the columns and headers from the configuration", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--config", (ws) => ws.path("comatrix.json")],
+  });
+  fs.writeFileSync(
+    workspace.path("comatrix.json"),
+    JSON.stringify({ applistColumns: ["id", { column: "property:Owner", header: "Verantwortlich" }] }),
+  );
+  captureConsole(() => runAppList());
+
+  const rows = readSheet(workspace.path("applist.xlsx"), "Anwendungen");
+  assert.deepEqual(rows[0], ["ID", "Verantwortlich"]);
+  assert.deepEqual(rows[3], ["app-portal", "Team Web"]);
+});
+
+test("runAppList() reports unknown columns", () => {
+  const { workspace } = setupModel("landscape.archimate", { argv: ["--columns", "name,metric:size"] });
+  const output = captureConsole(() => runAppList());
+
+  assert.ok(output.includes('✗ ERROR: Invalid --columns parameter: unknown column "metric:size"'));
+  assert.ok(!fs.existsSync(workspace.path("applist.xlsx")));
+});
+
+test("validateConfig() checks the application list columns", () => {
+  assert.deepEqual(
+    validateConfig({ applistColumns: ["name", "owner", { column: "metric:offeredInterfaces", width: 10 }, {}] }),
+    [
+      'applistColumns[1]: unknown column "owner"',
+      "applistColumns[2]: width: unknown configuration key",
+      "applistColumns[3]: must be a column name or an object with keys column and header",
+    ],
+  );
+  assert.deepEqual(validateConfig({ applistColumns: [] }), ["applistColumns: must be a non-empty array of columns"]);
+});
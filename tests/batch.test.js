@@ -0,0 +1,149 @@
+/**
+ * batch.test.js
+ * Tests for the output parameters, batch mode and exit status of the report scripts (src/main/batch.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { setupModel, captureConsole } = require("./helpers");
+const { EXIT_OK, EXIT_ERROR, EXIT_NO_DATA } = require("../src/main/batch");
+const { runComatrix } = require("../src/main/comatrix");
+const { runAppList } = require("../src/main/applist");
+const { runTGF } = require("../src/main/tgf");
+const { runInterfaceCatalog } = require("../src/main/interfaceCatalog");
+const { runModelLint } = require("../src/main/modelLint");
+const { runCli } = require("../src/node/cli");
+const { resetConfig } = require("../src/main/config");
+
+/**
+ * Runs a function while recording the calls of console.show() and console.clear()
+ * @param {Function} fn - Function to run
+ * @returns {Array<String>} Names of the called console functions
+ */
+function recordConsoleCalls(fn) {
+  const calls = [];
+  const { show, clear } = console;
+  console.show = () => calls.push("show");
+  console.clear = () => calls.push("clear");
+  try {
+    fn();
+  } finally {
+    console.show = show;
+    console.clear = clear;
+  }
+  return calls;
+}
+
+test("--outputDir writes the report with its default name into the directory", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--outputDir", (ws) => ws.dir + "/reports", "--noOpen"],
+  });
+  fs.mkdirSync(workspace.path("reports"));
+
+  let status;
+  const output = captureConsole(() => {
+    status = runComatrix();
+  });
+
+  assert.equal(status, EXIT_OK);
+  assert.ok(fs.existsSync(workspace.path("reports/comatrix.xlsm")));
+  assert.ok(!fs.existsSync(workspace.path("comatrix.xlsm")));
+  assert.ok(!output.includes("Could not open file browser automatically."));
+});
+
+test("--output resolves relative paths against the directory of the model", () => {
+  const { workspace } = setupModel("landscape.archimate", { argv: ["--output", "Anwendungen.xlsx"] });
+
+  let status;
+  const output = captureConsole(() => {
+    status = runAppList();
+  });
+
+  assert.equal(status, EXIT_OK);
+  assert.ok(output.includes(`Output file: ${workspace.path("Anwendungen.xlsx")}\n`));
+  assert.ok(fs.existsSync(workspace.path("Anwendungen.xlsx")));
+  // Without --noOpen the file browser is opened (not available in the offline runtime)
+  assert.ok(output.includes("Could not open file browser automatically."));
+});
+
+test("--batch suppresses the console window and the file browser", () => {
+  setupModel("landscape.archimate", { argv: ["--batch"] });
+
+  let output;
+  const calls = recordConsoleCalls(() => {
+    output = captureConsole(() => runComatrix());
+  });
+
+  assert.deepEqual(calls, []);
+  assert.ok(!output.includes("Could not open file browser automatically."));
+  assert.deepEqual(
+    recordConsoleCalls(() => captureConsole(() => runAppList())),
+    [],
+  );
+});
+
+test("in batch mode the graph export uses the loaded model without a selection", () => {
+  const { workspace } = setupModel("landscape.archimate", { argv: ["--batch"], selection: ["app-order"] });
+
+  let status;
+  captureConsole(() => {
+    status = runTGF();
+  });
+
+  assert.equal(status, EXIT_OK);
+  assert.ok(fs.existsSync(workspace.path("graph.tgf")));
+});
+
+test("the interface catalog and the model lint follow the output parameters and --batch", () => {
+  const { workspace } = setupModel("lint.archimate", {
+    argv: ["--batch", "--outputDir", (ws) => ws.dir + "/reports"],
+  });
+  fs.mkdirSync(workspace.path("reports"));
+
+  let catalogStatus;
+  let lintStatus;
+  const calls = recordConsoleCalls(() => {
+    captureConsole(() => {
+      catalogStatus = runInterfaceCatalog();
+      lintStatus = runModelLint();
+    });
+  });
+
+  assert.deepEqual(calls, []);
+  assert.equal(catalogStatus, EXIT_OK);
+  assert.ok(fs.existsSync(workspace.path("reports/interfacecatalog.xlsx")));
+  // The lint model violates conventions of severity Fehler
+  assert.equal(lintStatus, EXIT_ERROR);
+  assert.ok(fs.existsSync(workspace.path("reports/modellint.xlsx")));
+});
+
+test("the scripts return distinct exit statuses for missing relationships and errors", () => {
+  const { workspace } = setupModel("landscape.archimate", { argv: ["--config", (ws) => ws.path("comatrix.json")] });
+  fs.writeFileSync(workspace.path("comatrix.json"), JSON.stringify({ interfaceProperty: "Unused" }));
+
+  let status;
+  captureConsole(() => {
+    status = runComatrix();
+  });
+  assert.equal(status, EXIT_NO_DATA);
+  resetConfig();
+  captureConsole(() => {
+    status = runInterfaceCatalog();
+  });
+  assert.equal(status, EXIT_NO_DATA);
+
+  fs.writeFileSync(workspace.path("comatrix.json"), "{ invalid");
+  resetConfig();
+  captureConsole(() => {
+    status = runComatrix();
+  });
+  assert.equal(status, EXIT_ERROR);
+
+  // The command-line tool uses the same exit codes
+  fs.writeFileSync(workspace.path("comatrix.json"), JSON.stringify({ interfaceProperty: "Unused" }));
+  captureConsole(() => {
+    status = runCli(["matrix", workspace.path("landscape.archimate"), "--config", workspace.path("comatrix.json")]);
+  });
+  assert.equal(status, EXIT_NO_DATA);
+});
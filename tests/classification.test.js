@@ -0,0 +1,104 @@
+/**
+ * classification.test.js
+ * Tests for the rule-based connection classification (src/main/classification.js)
+ */
+
+const fs = require("fs");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const XLSX = require("xlsx-js-style");
+const { setupModel, captureConsole, readSheet } = require("./helpers");
+const { runComatrix } = require("../src/main/comatrix");
+const { classifyConnection, aggregateClassification } = require("../src/main/classification");
+const { DEFAULT_CONFIG, validateConfig } = require("../src/main/config");
+
+/**
+ * Builds the element data compared by classifyConnection()
+ * @param {String} domain - Comma-separated domains
+ * @param {String} fachbereich - Comma-separated Fachbereich
+ * @param {String} specialization - Specialization
+ * @returns {Object} Element data
+ */
+function element(domain, fachbereich, specialization = "Geschäftsanwendung") {
+  return { domain, fachbereich, specialization };
+}
+
+test("classifyConnection() distinguishes domain, Fachbereich and external connections", () => {
+  const shop = element("Sales", "Vertrieb");
+  assert.equal(classifyConnection(shop, element("Sales, Finance", "Vertrieb"), DEFAULT_CONFIG), "sameDomain");
+  assert.equal(classifyConnection(shop, element("Marketing", "Vertrieb"), DEFAULT_CONFIG), "sameFachbereich");
+  assert.equal(classifyConnection(shop, element("Finance", "Finanzen"), DEFAULT_CONFIG), "crossFachbereich");
+  assert.equal(classifyConnection(shop, element("Finance", ""), DEFAULT_CONFIG), "crossFachbereich");
+  assert.equal(classifyConnection(shop, element("", ""), DEFAULT_CONFIG), "outsideModel");
+  assert.equal(
+    classifyConnection(shop, element("Sales", "Vertrieb", "Externer Partner"), DEFAULT_CONFIG),
+    "outsideModel",
+  );
+
+  assert.equal(aggregateClassification(["sameDomain", "crossFachbereich", "sameFachbereich"]), "crossFachbereich");
+  assert.equal(aggregateClassification(["sameDomain", "outsideModel"]), "outsideModel");
+  assert.equal(aggregateClassification([]), null);
+});
+
+test("validateConfig() checks the classification rules", () => {
+  assert.deepEqual(
+    validateConfig({
+      classificationRules: {
+        sameDomain: { label: "intern", color: "C6EFCE" },
+        nearby: { label: "nah" },
+        outsideModel: { label: "", color: "green", note: "x" },
+      },
+      externalSpecializations: [],
+    }),
+    [
+      "classificationRules.nearby: unknown connection category",
+      "classificationRules.outsideModel.note: unknown configuration key",
+      "classificationRules.outsideModel.label: must be a non-empty string",
+      'classificationRules.outsideModel.color: must be an RGB hex color like "C6EFCE"',
+    ],
+  );
+  assert.deepEqual(validateConfig({ externalSpecializations: "Externer Partner" }), [
+    "externalSpecializations: must be an array of strings",
+  ]);
+});
+
+test("runComatrix() labels and colors the rows and cells with the configured rules", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--config", (ws) => ws.path("comatrix.json")],
+  });
+  fs.writeFileSync(
+    workspace.path("comatrix.json"),
+    JSON.stringify({
+      classificationRules: {
+        sameDomain: { label: "Domäne", color: "c6efce" },
+        crossFachbereich: { label: "FB-übergreifend", color: "F4B084" },
+      },
+      externalSpecializations: ["Register"],
+    }),
+  );
+  captureConsole(() => runComatrix());
+
+  const filePath = workspace.path("comatrix.xlsm");
+  const rows = readSheet(filePath, "Matrix");
+  assert.deepEqual(
+    rows
+      .slice(2)
+      .filter((row) => row[2] !== "")
+      .map((row) => [row[1], row[2], row[3]]),
+    [
+      ["Payment Gateway", "SOAP Payment", "extern"],
+      ["Order System", "REST Orders", "FB-übergreifend"],
+      ["Order System", "WebSocket Updates", "Domäne"],
+      ["Kubernetes", "Deployment API", "extern"],
+    ],
+  );
+
+  // Row color in column D, cell colors per connection: Order System → Customer Portal (same domain, column H)
+  // and Order System → Reporting in Finance (different Fachbereich, column E)
+  const worksheet = XLSX.readFile(filePath, { cellStyles: true }).Sheets.Matrix;
+  assert.equal(worksheet.D7.s.fgColor.rgb, "F4B084");
+  assert.equal(worksheet.D8.s.fgColor.rgb, "C6EFCE");
+  assert.equal(worksheet.H7.s.fgColor.rgb, "C6EFCE");
+  assert.equal(worksheet.E7.s.fgColor.rgb, "F4B084");
+  assert.equal(worksheet.D3.s.fgColor, undefined);
+});
@@ -0,0 +1,296 @@
+/**
+ * cli.test.js
+ * Tests for the archi-comatrix command-line tool (src/node/cli.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const XLSX = require("xlsx-js-style");
+const { setupModel, createWorkspace, captureConsole, readSheet } = require("./helpers");
+const { runCli } = require("../src/node/cli");
+const { runComatrix } = require("../src/main/comatrix");
+const { runAppList } = require("../src/main/applist");
+const { runTGF } = require("../src/main/tgf");
+const { runInterfaceCatalog } = require("../src/main/interfaceCatalog");
+const { runModelLint } = require("../src/main/modelLint");
+
+/**
+ * Runs the CLI with console output suppressed
+ * @param {Array<String>} argv - Command-line arguments
+ * @returns {Object} {exitCode, output}
+ */
+function cli(argv) {
+  let exitCode;
+  const originalError = console.error;
+  const errors = [];
+  console.error = (...args) => errors.push(args.join(" "));
+  try {
+    const output = captureConsole(() => {
+      exitCode = runCli(argv);
+    });
+    return { exitCode, output: [...output, ...errors] };
+  } finally {
+    console.error = originalError;
+  }
+}
+
+/**
+ * Reads all worksheets of a workbook including styles, outline levels and column widths
+ * @param {String} filePath - Excel file
+ * @returns {Object} Worksheets by name
+ */
+function readWorkbook(filePath) {
+  return XLSX.readFile(filePath, { cellStyles: true }).Sheets;
+}
+
+test("matrix produces the same workbook as the jArchi script", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--baselineModel", (ws) => ws.path("landscape-baseline.archimate")],
+    extraFiles: ["landscape-baseline.archimate"],
+  });
+  captureConsole(() => runComatrix());
+
+  const result = cli([
+    "matrix",
+    workspace.path("landscape.archimate"),
+    "--baseline",
+    workspace.path("landscape-baseline.archimate"),
+    "-o",
+    workspace.path("cli.xlsm"),
+  ]);
+
+  assert.equal(result.exitCode, 0);
+  assert.deepEqual(readWorkbook(workspace.path("cli.xlsm")), readWorkbook(workspace.path("comatrix.xlsm")));
+});
+
+test("matrix --timeline produces the same workbook as the jArchi script", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--timeline", (ws) => `Ist=${ws.path("landscape-baseline.archimate")}`],
+    extraFiles: ["landscape-baseline.archimate"],
+  });
+  captureConsole(() => runComatrix());
+
+  const result = cli([
+    "matrix",
+    workspace.path("landscape.archimate"),
+    "-t",
+    `Ist=${workspace.path("landscape-baseline.archimate")}`,
+    "-o",
+    workspace.path("cli.xlsm"),
+  ]);
+
+  assert.equal(result.exitCode, 0);
+  assert.deepEqual(readWorkbook(workspace.path("cli.xlsm")), readWorkbook(workspace.path("comatrix.xlsm")));
+});
+
+test("applist produces the same workbook as the jArchi script", () => {
+  const { workspace } = setupModel("landscape.archimate");
+  captureConsole(() => runAppList());
+  fs.renameSync(workspace.path("applist.xlsx"), workspace.path("script.xlsx"));
+
+  const result = cli(["applist", workspace.path("landscape.archimate")]);
+
+  assert.equal(result.exitCode, 0);
+  assert.deepEqual(readWorkbook(workspace.path("applist.xlsx")), readWorkbook(workspace.path("script.xlsx")));
+});
+
+test("applist --baseline produces the same workbook as the jArchi script", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--baselineModel", (ws) => ws.path("landscape-baseline.archimate")],
+    extraFiles: ["landscape-baseline.archimate"],
+  });
+  captureConsole(() => runAppList());
+  fs.renameSync(workspace.path("applist.xlsx"), workspace.path("script.xlsx"));
+
+  const result = cli([
+    "applist",
+    workspace.path("landscape.archimate"),
+    "--baseline",
+    workspace.path("landscape-baseline.archimate"),
+  ]);
+
+  assert.equal(result.exitCode, 0);
+  assert.deepEqual(readWorkbook(workspace.path("applist.xlsx")), readWorkbook(workspace.path("script.xlsx")));
+});
+
+test("a baseline that cannot be loaded falls back to the single model mode like the jArchi script", () => {
+  const workspace = createWorkspace(["landscape.archimate"]);
+
+  const result = cli([
+    "matrix",
+    workspace.path("landscape.archimate"),
+    "--baseline",
+    workspace.path("missing.archimate"),
+  ]);
+
+  assert.equal(result.exitCode, 0);
+  assert.ok(result.output.some((line) => line.startsWith("⚠ Error loading baseline model")));
+  const summary = JSON.parse(fs.readFileSync(workspace.path("comatrix-summary.json"), "utf8"));
+  assert.equal(summary.baseline, null);
+  assert.ok(summary.warnings.some((warning) => warning.code === "baselineNotLoaded"));
+});
+
+test("tgf produces the same file as the jArchi script", () => {
+  const { workspace } = setupModel("landscape.archimate");
+  captureConsole(() => runTGF());
+
+  const result = cli(["tgf", workspace.path("landscape.archimate"), "--output", workspace.path("cli.tgf")]);
+
+  assert.equal(result.exitCode, 0);
+  assert.equal(
+    fs.readFileSync(workspace.path("cli.tgf"), "utf8"),
+    fs.readFileSync(workspace.path("graph.tgf"), "utf8"),
+  );
+});
+
+test("tgf filter options produce the same file as the script parameters", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--comatrixMode", "--specializations", "Geschäftsanwendung", "--view", "Sales Overview"],
+  });
+  captureConsole(() => runTGF());
+
+  const result = cli([
+    "tgf",
+    workspace.path("landscape.archimate"),
+    "--output",
+    workspace.path("cli.tgf"),
+    "--comatrix-mode",
+    "--specializations",
+    "Geschäftsanwendung",
+    "--view",
+    "Sales Overview",
+  ]);
+
+  assert.equal(result.exitCode, 0);
+  assert.equal(
+    fs.readFileSync(workspace.path("cli.tgf"), "utf8"),
+    fs.readFileSync(workspace.path("graph.tgf"), "utf8"),
+  );
+
+  assert.equal(cli(["matrix", workspace.path("landscape.archimate"), "--drop-isolated"]).exitCode, 2);
+  assert.equal(cli(["tgf", workspace.path("landscape.archimate"), "--relationship-types", "uses"]).exitCode, 1);
+});
+
+test("tgf --format writes the same file as the jArchi script next to the model", () => {
+  const { workspace } = setupModel("landscape.archimate", { argv: ["--format", "graphml"] });
+  captureConsole(() => runTGF());
+  fs.renameSync(workspace.path("graph.graphml"), workspace.path("script.graphml"));
+
+  const result = cli(["tgf", workspace.path("landscape.archimate"), "--format", "graphml"]);
+
+  assert.equal(result.exitCode, 0);
+  assert.equal(
+    fs.readFileSync(workspace.path("graph.graphml"), "utf8"),
+    fs.readFileSync(workspace.path("script.graphml"), "utf8"),
+  );
+
+  assert.equal(cli(["tgf", workspace.path("landscape.archimate"), "--format", "svg"]).exitCode, 2);
+  assert.equal(cli(["matrix", workspace.path("landscape.archimate"), "--format", "dot"]).exitCode, 2);
+});
+
+test("catalog produces the same workbook as the jArchi script", () => {
+  const { workspace } = setupModel("landscape.archimate");
+  captureConsole(() => runInterfaceCatalog());
+  fs.renameSync(workspace.path("interfacecatalog.xlsx"), workspace.path("script.xlsx"));
+
+  const result = cli(["catalog", workspace.path("landscape.archimate")]);
+
+  assert.equal(result.exitCode, 0);
+  assert.deepEqual(readWorkbook(workspace.path("interfacecatalog.xlsx")), readWorkbook(workspace.path("script.xlsx")));
+});
+
+test("lint produces the same workbook as the jArchi script and fails for errors", () => {
+  const { workspace } = setupModel("lint.archimate", { extraFiles: ["landscape.archimate"] });
+  captureConsole(() => runModelLint());
+  fs.renameSync(workspace.path("modellint.xlsx"), workspace.path("script.xlsx"));
+
+  const result = cli(["lint", workspace.path("lint.archimate")]);
+
+  assert.equal(result.exitCode, 1);
+  assert.ok(result.output.some((line) => line.startsWith("✗ [groupingCycle] Circular grouping Alpha → Beta → Alpha")));
+  assert.deepEqual(readWorkbook(workspace.path("modellint.xlsx")), readWorkbook(workspace.path("script.xlsx")));
+
+  assert.equal(cli(["lint", workspace.path("landscape.archimate")]).exitCode, 0);
+});
+
+test("logging options are passed to the logger and the run summary is written next to the output", () => {
+  const workspace = createWorkspace(["lint.archimate"]);
+
+  const quiet = cli(["lint", workspace.path("lint.archimate"), "-q", "--log-file", workspace.path("lint.log")]);
+
+  assert.equal(quiet.exitCode, 1);
+  assert.ok(quiet.output.length > 0);
+  assert.ok(quiet.output.every((line) => line.startsWith("✗ ERROR: ")));
+  assert.match(fs.readFileSync(workspace.path("lint.log"), "utf8"), /ERROR ✗ ERROR: The model violates/);
+
+  const summary = JSON.parse(fs.readFileSync(workspace.path("modellint-summary.json"), "utf8"));
+  assert.equal(summary.script, "modellint");
+  assert.equal(summary.status, "error");
+  assert.equal(summary.output, workspace.path("modellint.xlsx"));
+  assert.equal(summary.errors[0].code, "lintErrors");
+
+  const result = cli([
+    "catalog",
+    workspace.path("lint.archimate"),
+    "-o",
+    workspace.path("out/catalog.xlsx"),
+    "--summary-file",
+    workspace.path("catalog.json"),
+  ]);
+  assert.equal(JSON.parse(fs.readFileSync(workspace.path("catalog.json"), "utf8")).exitCode, result.exitCode);
+  assert.equal(cli(["lint", workspace.path("lint.archimate"), "--log-level", "trace"]).exitCode, 1);
+});
+
+test("--config is applied to the reports", () => {
+  const workspace = createWorkspace(["landscape.archimate"]);
+  fs.writeFileSync(workspace.path("comatrix.json"), JSON.stringify({ applicationSpecializations: ["Register"] }));
+
+  const result = cli(["applist", workspace.path("landscape.archimate"), "-c", workspace.path("comatrix.json")]);
+
+  assert.equal(result.exitCode, 0);
+  assert.deepEqual(readSheet(workspace.path("applist.xlsx"), "Anwendungen").slice(1), [
+    ["Kubernetes", "Register", "Cloud, Infrastructure", "(kein Fachbereich)"],
+  ]);
+});
+
+test("scope options produce the same workbook as the script parameters", () => {
+  const { workspace } = setupModel("landscape.archimate", { argv: ["--domain", "Sales", "--scopeConsumers"] });
+  captureConsole(() => runComatrix());
+  fs.renameSync(workspace.path("comatrix.xlsm"), workspace.path("script.xlsm"));
+
+  const result = cli(["matrix", workspace.path("landscape.archimate"), "--domain", "Sales", "--scope-consumers"]);
+
+  assert.equal(result.exitCode, 0);
+  assert.deepEqual(readWorkbook(workspace.path("comatrix.xlsm")), readWorkbook(workspace.path("script.xlsm")));
+
+  assert.equal(cli(["tgf", workspace.path("landscape.archimate"), "--domain", "Sales"]).exitCode, 2);
+  assert.equal(cli(["applist", workspace.path("landscape.archimate"), "--scope-consumers"]).exitCode, 2);
+  assert.equal(cli(["applist", workspace.path("landscape.archimate"), "--view", "Missing"]).exitCode, 1);
+});
+
+test("invalid arguments and failures return non-zero exit codes", () => {
+  const workspace = createWorkspace(["landscape.archimate"]);
+  fs.writeFileSync(workspace.path("comatrix.json"), JSON.stringify({ unknownKey: true }));
+
+  assert.equal(cli([]).exitCode, 2);
+  assert.equal(cli(["report", workspace.path("landscape.archimate")]).exitCode, 2);
+  assert.equal(cli(["matrix"]).exitCode, 2);
+  assert.equal(cli(["tgf", workspace.path("landscape.archimate"), "--baseline", "old.archimate"]).exitCode, 2);
+  assert.equal(cli(["matrix", workspace.path("landscape.archimate"), "-b", "old.archimate", "-r", "v1"]).exitCode, 2);
+  assert.equal(cli(["matrix", workspace.path("landscape.archimate"), "-b", "old.archimate", "-t", "a"]).exitCode, 2);
+  assert.equal(cli(["applist", workspace.path("landscape.archimate"), "--timeline", "old.archimate"]).exitCode, 2);
+  assert.equal(cli(["matrix", workspace.path("landscape.archimate"), "--columns", "name"]).exitCode, 2);
+  assert.equal(cli(["applist", workspace.path("landscape.archimate"), "--columns", "name,owner"]).exitCode, 1);
+  assert.equal(cli(["matrix", workspace.path("landscape.archimate"), "--unknown"]).exitCode, 2);
+  assert.equal(cli(["--help"]).exitCode, 0);
+
+  const missing = cli(["matrix", workspace.path("missing.archimate")]);
+  assert.equal(missing.exitCode, 1);
+  assert.ok(missing.output.some((line) => line.includes("Model file not found")));
+
+  const invalidConfig = cli(["matrix", workspace.path("landscape.archimate"), "-c", workspace.path("comatrix.json")]);
+  assert.equal(invalidConfig.exitCode, 1);
+  assert.ok(invalidConfig.output.some((line) => line.includes("unknownKey: unknown configuration key")));
+  assert.ok(!fs.existsSync(workspace.path("comatrix.xlsm")));
+});
@@ -0,0 +1,305 @@
+/**
+ * comatrix.test.js
+ * Regression tests for the connectivity matrix (src/main/comatrix.js, output2Excel.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const XLSX = require("xlsx-js-style");
+const { setupModel, createWorkspace, captureConsole, readSheet } = require("./helpers");
+const { installJArchiRuntime } = require("../src/node/jarchiRuntime");
+const { buildComatrix, merge, runComatrix } = require("../src/main/comatrix");
+const { resetConfig } = require("../src/main/config");
+
+test("buildComatrix() keys elements by ID so equally named elements stay separate", () => {
+  const { model } = setupModel("landscape.archimate");
+  let comatrix;
+  captureConsole(() => {
+    comatrix = buildComatrix(model);
+  });
+
+  // Sorted by Fachbereich (Kubernetes has none), then domain
+  assert.deepEqual(comatrix.sortedAElements, ["app-payment", "app-order", "app-k8s"]);
+  assert.deepEqual(comatrix.sortedBElements, [
+    "app-report-finance",
+    "app-portal",
+    "app-order",
+    "app-report-sales",
+    "app-bank",
+  ]);
+
+  const order = comatrix.aElements.get("app-order");
+  assert.equal(order.name, "Order System");
+  assert.deepEqual([...order.schnittstellenMap.get("REST Orders")], [
+    "app-portal",
+    "app-report-sales",
+    "app-report-finance",
+  ]);
+  assert.equal(comatrix.bElementsMap.get("app-report-sales").name, "Reporting");
+  assert.equal(comatrix.bElementsMap.get("app-report-finance").name, "Reporting");
+});
+
+test("merge() matches renamed elements by ID and leaves the input matrices untouched", () => {
+  const { model } = setupModel("landscape.archimate", { loadedModels: ["landscape-baseline.archimate"] });
+  const baselineModel = $.model.getLoadedModels()[1];
+  let base;
+  let current;
+  let merged;
+  captureConsole(() => {
+    base = buildComatrix(baselineModel);
+    current = buildComatrix(model);
+    merged = merge(base, current);
+  });
+
+  const order = merged.aElements.get("app-order");
+  assert.equal(order.name, "Order System");
+  assert.equal(order.previousName, "Order Service");
+  assert.equal(merged.bElementsMap.get("app-order").previousName, "Order Service");
+  assert.ok(merged.bElementsMap.has("app-legacy"));
+  assert.ok(merged.aElements.has("app-k8s"));
+
+  // Baseline sets must not receive the connections of the current model
+  assert.deepEqual([...base.aElements.get("app-order").schnittstellenMap.get("REST Orders")], [
+    "app-portal",
+    "app-report-sales",
+  ]);
+  assert.equal(merged.aElements.get("app-order").schnittstellenMap.get("REST Orders").size, 3);
+});
+
+test("merge() does not report groupings listed in another order as reassigned", () => {
+  const { model } = setupModel("landscape.archimate");
+  let base;
+  let current;
+  let merged;
+  captureConsole(() => {
+    base = buildComatrix(model);
+    current = buildComatrix(model);
+    base.aElements.get("app-k8s").domain = "Infrastructure, Cloud";
+    merged = merge(base, current);
+  });
+
+  assert.equal(current.aElements.get("app-k8s").domain, "Cloud, Infrastructure");
+  assert.equal(merged.aElements.get("app-k8s").previousAttributes, undefined);
+
+  // A changed set of groupings is still reported
+  base.aElements.get("app-k8s").domain = "Cloud";
+  captureConsole(() => {
+    merged = merge(base, current);
+  });
+  assert.deepEqual(merged.aElements.get("app-k8s").previousAttributes, { domain: "Cloud" });
+});
+
+test("runComatrix() writes the matrix next to the model", () => {
+  const { workspace } = setupModel("landscape.archimate");
+  captureConsole(() => runComatrix());
+
+  const rows = readSheet(workspace.path("comatrix.xlsm"), "Matrix");
+  assert.deepEqual(rows[1].slice(0, 4), ["Domäne", "Anwendungssystem", "Angebotene Schnittstelle", "intern/extern"]);
+
+  // Nothing can be reassigned without baseline, so the legend has no "Lila = verschoben"
+  assert.equal(rows[0][3], "");
+
+  const dataRows = rows.slice(2).filter((row) => row[2] !== "");
+  assert.deepEqual(
+    dataRows.map((row) => [row[0], row[1], row[2], row[3]]),
+    [
+      ["Finance", "Payment Gateway", "SOAP Payment", "extern"],
+      ["Sales", "Order System", "REST Orders", "fachbereichsübergreifend"],
+      ["Sales", "Order System", "WebSocket Updates", "intern"],
+      ["Cloud, Infrastructure", "Kubernetes", "Deployment API", "fachbereichsübergreifend"],
+    ],
+  );
+
+  // Both "Reporting" applications get their own column
+  assert.equal(rows[1].filter((cell) => cell === "Reporting").length, 2);
+});
+
+test("runComatrix() compares against --baselineModel and flags renamed elements", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--baselineModel", (ws) => ws.path("landscape-baseline.archimate")],
+    extraFiles: ["landscape-baseline.archimate"],
+  });
+  const output = captureConsole(() => runComatrix());
+
+  assert.ok(output.includes("Running in COMPARE MODE (parameter-based).\n"));
+  const rows = readSheet(workspace.path("comatrix.xlsm"), "Matrix");
+  const header = rows[1];
+
+  assert.ok(header.includes("renamed (Order Service → Order System)"));
+  assert.ok(!header.includes("Order Service"));
+  assert.ok(header.includes("Legacy CRM"));
+  assert.ok(rows.some((row) => row[1] === "renamed (Order Service → Order System)" && row[2] === "WebSocket Updates"));
+  assert.ok(rows.some((row) => row[1] === "Kubernetes"));
+});
+
+test("runComatrix() lists every difference on the change log worksheet", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--baselineModel", (ws) => ws.path("landscape-baseline.archimate")],
+    extraFiles: ["landscape-baseline.archimate"],
+  });
+  const output = captureConsole(() => runComatrix());
+
+  assert.ok(output.includes("Listed 6 changes"));
+  const rows = readSheet(workspace.path("comatrix.xlsm"), "Änderungen");
+  assert.deepEqual(rows, [
+    [
+      "Änderung",
+      "Domäne",
+      "Anwendungssystem",
+      "Angebotene Schnittstelle",
+      "Domäne Nutzer",
+      "Nutzer",
+      "Beziehungs-IDs",
+      "Baseline",
+      "Aktuell",
+    ],
+    ["Anwendungssystem umbenannt", "Sales", "Order System", "", "", "", "", "Order Service", "Order System"],
+    ["Nutzer umbenannt", "", "", "", "Sales", "Order System", "", "Order Service", "Order System"],
+    [
+      "Verbindung gelöscht",
+      "Finance",
+      "Payment Gateway",
+      "SOAP Payment",
+      "Sales",
+      "Legacy CRM",
+      "rel-legacy-payment",
+      "",
+      "",
+    ],
+    [
+      "Verbindung hinzugefügt",
+      "Sales",
+      "Order System",
+      "REST Orders",
+      "Finance",
+      "Reporting",
+      "rel-reportfinance-order",
+      "",
+      "",
+    ],
+    [
+      "Schnittstelle hinzugefügt",
+      "Sales",
+      "Order System",
+      "WebSocket Updates",
+      "Sales",
+      "Customer Portal",
+      "rel-portal-order",
+      "",
+      "",
+    ],
+    [
+      "Schnittstelle hinzugefügt",
+      "Cloud, Infrastructure",
+      "Kubernetes",
+      "Deployment API",
+      "Sales",
+      "Order System",
+      "rel-order-k8s",
+      "",
+      "",
+    ],
+  ]);
+
+  // Single model mode has no change log
+  const { workspace: single } = setupModel("landscape.archimate");
+  captureConsole(() => runComatrix());
+  assert.throws(() => readSheet(single.path("comatrix.xlsm"), "Änderungen"), /not found/);
+});
+
+test("runComatrix() highlights elements moved to another domain or specialization", () => {
+  // Current model: finance reporting moved to Sales, Payment Gateway became a Geschäftsanwendung
+  const workspace = createWorkspace(["landscape.archimate"]);
+  const xml = fs
+    .readFileSync(workspace.path("landscape.archimate"), "utf8")
+    .replace('source="grp-finance" target="app-report-finance"', 'source="grp-sales" target="app-report-finance"')
+    .replace('id="app-payment" profiles="prof-qa"', 'id="app-payment" profiles="prof-ga"');
+  fs.writeFileSync(workspace.path("moved.archimate"), xml);
+  resetConfig();
+  installJArchiRuntime({
+    modelPath: workspace.path("moved.archimate"),
+    argv: ["--baselineModel", workspace.path("landscape.archimate")],
+  });
+
+  const output = captureConsole(() => runComatrix());
+
+  assert.ok(output.includes("Reassigned elements: 1 A-elements, 1 B-elements"));
+  const filePath = workspace.path("comatrix.xlsm");
+  const rows = readSheet(filePath, "Matrix");
+  assert.equal(rows[0][3], "Lila = verschoben");
+  assert.ok(rows[1].includes("Reporting (Domäne: Finance → Sales, Fachbereich: Finanzen → Vertrieb)"));
+  const payment = "Payment Gateway (Spezialisierung: Querschnittsanwendung → Geschäftsanwendung)";
+  assert.ok(rows.some((row) => row[1] === payment));
+
+  const matrix = XLSX.readFile(filePath, { cellStyles: true }).Sheets.Matrix;
+  assert.equal(matrix.D1.s.fgColor.rgb, "B1A0C7");
+  const headerRef = Object.keys(matrix).find(
+    (ref) => /^[A-Z]+2$/.test(ref) && matrix[ref].v.startsWith("Reporting (Domäne"),
+  );
+  assert.equal(matrix[headerRef].s.fgColor.rgb, "B1A0C7");
+
+  const changes = readSheet(filePath, "Änderungen").slice(1);
+  assert.deepEqual(
+    changes.map((row) => [row[0], row[2] || row[5], row[7], row[8]]),
+    [
+      ["Spezialisierung geändert", "Payment Gateway", "Querschnittsanwendung", "Geschäftsanwendung"],
+      ["Domäne geändert", "Reporting", "Finance", "Sales"],
+      ["Fachbereich geändert", "Reporting", "Finanzen", "Vertrieb"],
+    ],
+  );
+});
+
+test("runComatrix() stops without output when no relationships are found", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--config", (ws) => ws.path("comatrix.json")],
+  });
+  fs.writeFileSync(workspace.path("comatrix.json"), JSON.stringify({ interfaceProperty: "Unused" }));
+
+  const output = captureConsole(() => runComatrix());
+
+  assert.ok(output.includes("⚠ No NST_* triggering relationships found in the selected model."));
+  assert.ok(!fs.existsSync(workspace.path("comatrix.xlsm")));
+});
+
+test("runComatrix() reports invalid configuration files", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--config", (ws) => ws.path("comatrix.json")],
+  });
+  fs.writeFileSync(workspace.path("comatrix.json"), JSON.stringify({ interfaceProperty: "", unknownKey: 1 }));
+
+  const output = captureConsole(() => runComatrix());
+
+  assert.ok(output.some((line) => line.includes("unknownKey: unknown configuration key")));
+  assert.ok(output.some((line) => line.includes("interfaceProperty: must be a non-empty string")));
+  assert.ok(!fs.existsSync(workspace.path("comatrix.xlsm")));
+});
+
+test("runComatrix() marks elements inside grouping cycles and lists the cycles on the Diagnose worksheet", () => {
+  const { workspace } = setupModel("cycle.archimate");
+  const output = captureConsole(() => runComatrix());
+
+  const rows = readSheet(workspace.path("comatrix.xlsm"), "Matrix");
+  assert.equal(rows[0][4], "Beta, Alpha (⚠ Zyklus)");
+  assert.deepEqual(rows[2].slice(0, 2), ["Delta", "Plain App"]);
+  assert.deepEqual(readSheet(workspace.path("comatrix.xlsm"), "Diagnose").slice(1), [
+    ["Zyklus in der Gruppierung", "Beta → Alpha → Beta", "grp-beta → grp-alpha → grp-beta", "Cyclic App"],
+  ]);
+  assert.ok(output.includes("⚠ Grouping cycle: Beta → Alpha → Beta"));
+});
+
+test("buildComatrix() merges interface-based and property-based connections into one row", () => {
+  const { model, workspace } = setupModel("interfaces.archimate", {
+    argv: ["--config", (ws) => ws.path("comatrix.json")],
+  });
+  fs.writeFileSync(workspace.path("comatrix.json"), JSON.stringify({ connectionModes: ["property", "interface"] }));
+  let comatrix;
+  captureConsole(() => {
+    comatrix = buildComatrix(model);
+  });
+
+  const billing = comatrix.aElements.get("app-billing");
+  assert.deepEqual([...billing.schnittstellenMap.keys()], ["Billing API"]);
+  assert.deepEqual([...billing.schnittstellenMap.get("Billing API")], ["app-warehouse", "app-shop", "app-crm"]);
+  assert.deepEqual([...comatrix.aElements.get("app-warehouse").schnittstellenMap.get("Stock Events")], ["app-shop"]);
+});
@@ -0,0 +1,158 @@
+/**
+ * comatrixImport.test.js
+ * Regression tests for the import of an edited matrix (src/main/comatrixImport.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const XLSX = require("xlsx-js-style");
+const { setupModel, captureConsole } = require("./helpers");
+const { installJArchiRuntime } = require("../src/node/jarchiRuntime");
+const { runComatrix } = require("../src/main/comatrix");
+const { runComatrixImport } = require("../src/main/comatrixImport");
+const { extractElements } = require("../src/main/model");
+const { resetConfig } = require("../src/main/config");
+
+/**
+ * Exports the matrix of a fixture model
+ * @param {Array<String>} argv - Script parameters of the export
+ * @param {String} fixtureName - Model file in tests/fixtures
+ * @returns {Object} workspace with comatrix.xlsm
+ */
+function exportMatrix(argv = [], fixtureName = "landscape.archimate") {
+  const { workspace } = setupModel(fixtureName, { argv });
+  captureConsole(() => runComatrix());
+  return workspace;
+}
+
+/**
+ * Edits the "Matrix" worksheet of an exported workbook like an analyst in Excel
+ * @param {String} filePath - Workbook
+ * @param {Function} edit - (rows, setCell(row, col, value)) => void, rows as read by sheet_to_json
+ */
+function editMatrix(filePath, edit) {
+  const workbook = XLSX.readFile(filePath);
+  const worksheet = workbook.Sheets.Matrix;
+  const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: "" });
+  edit(rows, (row, col, value) => XLSX.utils.sheet_add_aoa(worksheet, [[value]], { origin: { r: row, c: col } }));
+  XLSX.writeFile(workbook, filePath, { bookType: "xlsm" });
+}
+
+/**
+ * Runs the import on a freshly loaded fixture model
+ * @param {Object} workspace - Workspace with the model and the edited comatrix.xlsm
+ * @param {Array<String>} argv - Script parameters of the import
+ * @param {String} fixtureName - Model file in the workspace
+ * @returns {Object} {model, output}
+ */
+function importMatrix(workspace, argv = [], fixtureName = "landscape.archimate") {
+  resetConfig();
+  const model = installJArchiRuntime({ modelPath: workspace.path(fixtureName), argv });
+  const output = captureConsole(() => runComatrixImport());
+  return { model, output };
+}
+
+/**
+ * Lists the connections of a model
+ * @param {Object} model - Model
+ * @returns {Array<String>} "provider|Schnittstelle|consumer" sorted
+ */
+function connectionKeys(model) {
+  return extractElements(model)
+    .map((connection) => `${connection.target.id}|${connection.schnittstelle}|${connection.source.id}`)
+    .sort();
+}
+
+test("an unchanged matrix leaves the model as it is", () => {
+  const workspace = exportMatrix();
+  const { model, output } = importMatrix(workspace);
+
+  assert.ok(output.includes("Connections to add: 0, to remove: 0, unchanged: 7\n"));
+  assert.ok(output.includes("✓ The model already matches the matrix."));
+  assert.equal(extractElements(model).length, 7);
+});
+
+test("connections with an empty Schnittstelle match their N/A row", () => {
+  const workspace = exportMatrix([], "lint.archimate");
+  const unchanged = importMatrix(workspace, ["--dryRun"], "lint.archimate");
+  assert.ok(unchanged.output.includes("Connections to add: 0, to remove: 0, unchanged: 3\n"));
+
+  editMatrix(workspace.path("comatrix.xlsm"), (rows, setCell) => {
+    const row = rows.findIndex((cells) => cells[1] === "Legacy" && cells[2] === "N/A");
+    setCell(row, rows[row].indexOf("x"), "");
+  });
+  const { model, output } = importMatrix(workspace, [], "lint.archimate");
+  assert.ok(output.includes("- Legacy → Shop (Sales): N/A"));
+  assert.equal(
+    $(model)
+      .find("relationship")
+      .filter((relationship) => relationship.id === "rel-sync").length,
+    0,
+  );
+});
+
+test("added and removed marks create and delete connection relationships", () => {
+  const workspace = exportMatrix();
+  editMatrix(workspace.path("comatrix.xlsm"), (rows, setCell) => {
+    const column = (name, domain) => rows[1].findIndex((header, col) => header === name && rows[0][col] === domain);
+    const row = (name, schnittstelle) => rows.findIndex((cells) => cells[1] === name && cells[2] === schnittstelle);
+
+    setCell(row("Payment Gateway", "SOAP Payment"), column("Order System", "Sales"), "");
+    setCell(row("Order System", "WebSocket Updates"), column("Customer Portal", "Sales"), "");
+    setCell(row("Kubernetes", "Deployment API"), column("Reporting", "Finance"), "X");
+    setCell(row("Order System", "REST Orders"), column("Partner Bank", ""), "?");
+    // New Schnittstelle of an existing application, and a row of an application missing in the model
+    setCell(rows.length, 0, "Finance");
+    setCell(rows.length, 1, "Payment Gateway");
+    setCell(rows.length, 2, "Refund API");
+    setCell(rows.length, column("Partner Bank", ""), "x");
+    setCell(rows.length + 1, 1, "Billing");
+    setCell(rows.length + 1, 2, "Invoices");
+    setCell(rows.length + 1, column("Customer Portal", "Sales"), "x");
+  });
+
+  const dryRun = importMatrix(workspace, ["--dryRun"]);
+  assert.deepEqual(
+    dryRun.output.filter((line) => /^[+-] /.test(line)),
+    [
+      "+ Kubernetes → Reporting (Finance): Deployment API",
+      "+ Payment Gateway → Partner Bank: Refund API",
+      "- Payment Gateway → Order System: SOAP Payment",
+      "- Order System → Customer Portal: WebSocket Updates",
+    ],
+  );
+  assert.ok(dryRun.output.some((line) => /^⚠ Cell [A-Z]+\d+: unexpected value "\?", cell skipped$/.test(line)));
+  assert.ok(dryRun.output.some((line) => /^⚠ Row \d+: unknown application "Billing", row skipped$/.test(line)));
+  assert.ok(dryRun.output.includes("ℹ Dry run, the model was not changed."));
+  assert.equal(extractElements(dryRun.model).length, 7);
+
+  const before = connectionKeys(dryRun.model);
+  const { model, output } = importMatrix(workspace);
+  assert.ok(output.includes("✓ Created 2 relationships"));
+  assert.ok(output.includes("✓ Deleted 1 relationships"));
+  assert.ok(output.includes("✓ Removed 1 Schnittstelle values from relationships with further values"));
+
+  const expected = before
+    .filter((key) => key !== "app-payment|SOAP Payment|app-order" && key !== "app-order|WebSocket Updates|app-portal")
+    .concat(["app-k8s|Deployment API|app-report-finance", "app-payment|Refund API|app-bank"])
+    .sort();
+  assert.deepEqual(connectionKeys(model), expected);
+  assert.equal(
+    $(model)
+      .find("relationship")
+      .filter((relationship) => relationship.id === "rel-order-payment").length,
+    0,
+  );
+  const refund = extractElements(model).find((connection) => connection.schnittstelle === "Refund API").relationship;
+  assert.equal(refund.type, "triggering-relationship");
+  assert.equal(refund.name, "NST_Refund API");
+  assert.equal(refund.source.id, "app-bank");
+});
+
+test("matrices comparing model versions are rejected", () => {
+  const workspace = exportMatrix(["--baselineModel", (ws) => ws.path("landscape.archimate")]);
+  const { model, output } = importMatrix(workspace);
+
+  assert.ok(output.some((line) => line.includes('The workbook compares model versions (worksheet "Änderungen")')));
+  assert.equal(extractElements(model).length, 7);
+});
@@ -0,0 +1,61 @@
+/**
+ * domainMatrixExcel.test.js
+ * Regression tests for the "Domänen" worksheet (src/main/domainMatrixExcel.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const XLSX = require("xlsx-js-style");
+const { setupModel, captureConsole, readSheet } = require("./helpers");
+const { runComatrix } = require("../src/main/comatrix");
+const { getHeatmapColor } = require("../src/main/domainMatrixExcel");
+
+test("runComatrix() condenses the matrix to Domäne × Domäne with Schnittstellen and connections", () => {
+  const { workspace } = setupModel("landscape.archimate");
+  const output = captureConsole(() => runComatrix());
+
+  assert.ok(output.includes("Aggregated 7 connections between 4 providing and 3 consuming Domänen"));
+  const filePath = workspace.path("comatrix.xlsm");
+  // Kubernetes lies in Cloud and Infrastructure, its connection counts for each of them but once in the totals
+  assert.deepEqual(readSheet(filePath, "Domänen"), [
+    ["Schnittstellen / Verbindungen", "Nutzende Domäne", "", "", ""],
+    ["Anbietende Domäne", "Finance", "Sales", "(keine Domäne)", "Gesamt"],
+    ["Cloud", "", "1 / 1", "", "1 / 1"],
+    ["Finance", "", "1 / 1", "1 / 1", "1 / 2"],
+    ["Infrastructure", "", "1 / 1", "", "1 / 1"],
+    ["Sales", "1 / 1", "2 / 3", "", "2 / 4"],
+    ["Gesamt", "1 / 1", "4 / 5", "1 / 1", "4 / 7"],
+  ]);
+
+  // Sales → Sales has the most connections and the full heatmap color
+  const worksheet = XLSX.readFile(filePath, { cellStyles: true }).Sheets["Domänen"];
+  assert.equal(worksheet.C6.s.fgColor.rgb, "F8696B");
+  assert.equal(worksheet.C4.s.fgColor.rgb, getHeatmapColor(1, 3));
+  assert.equal(worksheet.B3.s.fgColor, undefined);
+});
+
+test("in compare mode the cells show the connections added and removed since the baseline", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--baselineModel", (ws) => ws.path("landscape-baseline.archimate")],
+    extraFiles: ["landscape-baseline.archimate"],
+  });
+  captureConsole(() => runComatrix());
+
+  const filePath = workspace.path("comatrix.xlsm");
+  const rows = readSheet(filePath, "Domänen");
+  assert.equal(rows[0][0], "Schnittstellen / Verbindungen (+hinzugefügt −gelöscht)");
+  assert.deepEqual(rows[2], ["Cloud", "", "1 / 1 (+1)", "", "1 / 1 (+1)"]);
+  assert.deepEqual(rows[3], ["Finance", "", "1 / 1 (−1)", "1 / 1", "1 / 2 (−1)"]);
+  assert.deepEqual(rows[4], ["Infrastructure", "", "1 / 1 (+1)", "", "1 / 1 (+1)"]);
+  assert.deepEqual(rows[6], ["Gesamt", "1 / 1 (+1)", "4 / 5 (+2 −1)", "1 / 1", "4 / 7 (+3 −1)"]);
+
+  // Domänen connected only since the baseline are green
+  const worksheet = XLSX.readFile(filePath, { cellStyles: true }).Sheets["Domänen"];
+  assert.equal(worksheet.C3.s.fgColor.rgb, "9BBB59");
+});
+
+test("getHeatmapColor() shades from white to the heatmap color", () => {
+  assert.equal(getHeatmapColor(0, 4), null);
+  assert.equal(getHeatmapColor(4, 4), "F8696B");
+  assert.equal(getHeatmapColor(2, 4), "FCB4B5");
+});
@@ -0,0 +1,159 @@
+/**
+ * gitBaseline.test.js
+ * Tests for loading the baseline model from a git revision (src/main/gitBaseline.js, grafico.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const childProcess = require("child_process");
+const { FIXTURES_DIR, setupModel, createWorkspace, captureConsole, readSheet } = require("./helpers");
+const { installJArchiRuntime } = require("../src/node/jarchiRuntime");
+const { parseArchimateModel } = require("../src/node/archimateModel");
+const { graficoToArchimate } = require("../src/main/grafico");
+const { loadBaselineFromRef } = require("../src/main/gitBaseline");
+const { runComatrix } = require("../src/main/comatrix");
+
+/**
+ * Runs git in a directory
+ * @param {String} dir - Working directory
+ * @param {Array<String>} args - git arguments
+ * @returns {String} Output
+ */
+function git(dir, args) {
+  return childProcess.execFileSync("git", ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args], {
+    cwd: dir,
+    encoding: "utf8",
+  });
+}
+
+/**
+ * Creates a repository with landscape-baseline.archimate committed as landscape.archimate (tag v1),
+ * followed by a commit of the current landscape.archimate
+ * @returns {Object} Workspace containing the repository
+ */
+function createModelRepository() {
+  const workspace = createWorkspace(["landscape.archimate", "landscape-baseline.archimate"]);
+  const repoDir = workspace.path("repo");
+  fs.mkdirSync(path.join(repoDir, "models"), { recursive: true });
+  git(repoDir, ["init", "--quiet"]);
+
+  fs.copyFileSync(workspace.path("landscape-baseline.archimate"), path.join(repoDir, "models", "landscape.archimate"));
+  git(repoDir, ["add", "-A"]);
+  git(repoDir, ["commit", "--quiet", "-m", "Baseline"]);
+  git(repoDir, ["tag", "v1"]);
+
+  fs.copyFileSync(workspace.path("landscape.archimate"), path.join(repoDir, "models", "landscape.archimate"));
+  git(repoDir, ["commit", "--quiet", "-am", "Current"]);
+
+  return workspace;
+}
+
+/**
+ * Lists the temporary baseline directories currently present
+ * @returns {Array<String>} Directory names
+ */
+function baselineTempDirs() {
+  return fs.readdirSync(os.tmpdir()).filter((name) => name.startsWith("comatrix-baseline-"));
+}
+
+test("graficoToArchimate() assembles the coArchi split layout into one model", () => {
+  installJArchiRuntime({});
+  const xml = graficoToArchimate(path.join(FIXTURES_DIR, "coarchi", "model"));
+  const model = parseArchimateModel(xml, "/tmp/baseline.archimate");
+
+  assert.equal(model.name, "Split Model");
+  assert.equal(model.purpose, "Model stored by coArchi & friends");
+
+  const shop = model.getById("app-shop");
+  assert.equal(shop.specialization, "Geschäftsanwendung");
+  assert.equal(shop.documentation, "Online shop\nwith two lines");
+  assert.equal(shop.prop("Owner"), 'Team "Web"');
+
+  // References stored as href child elements
+  assert.equal(model.getById("app-billing").name, "Billing & Invoicing");
+  assert.equal(model.getById("app-billing").specialization, "Geschäftsanwendung");
+  const trigger = model.getById("rel-shop-billing");
+  assert.equal(trigger.source.id, "app-shop");
+  assert.equal(trigger.target.id, "app-billing");
+  assert.equal(trigger.prop("Schnittstelle"), "Billing API");
+
+  // Sub folders and views
+  assert.equal(model.getById("app-mainframe").folder.name, "Legacy");
+  const view = model.getById("view-overview");
+  assert.equal(view.getDiagramObject("dobj-shop").concept.id, "app-shop");
+  assert.equal(view.getDiagramObject("dobj-shop").connections[0].concept.id, "rel-shop-billing");
+});
+
+test("runComatrix() compares with the model file at --baselineRef", () => {
+  const workspace = createModelRepository();
+  const modelPath = workspace.path("repo/models/landscape.archimate");
+  const tempDirsBefore = baselineTempDirs();
+  installJArchiRuntime({ modelPath, argv: ["--baselineRef", "v1"] });
+
+  const output = captureConsole(() => runComatrix());
+
+  assert.ok(output.includes("✓ Baseline model loaded: Landscape Baseline"));
+  assert.ok(output.includes("Running in COMPARE MODE (git revision).\n"));
+  const header = readSheet(workspace.path("repo/models/comatrix.xlsm"), "Matrix")[1];
+  assert.ok(header.includes("renamed (Order Service → Order System)"));
+  assert.ok(header.includes("Legacy CRM"));
+
+  // Temporary files are removed, the repository is unchanged
+  assert.deepEqual(baselineTempDirs(), tempDirsBefore);
+  assert.equal(git(workspace.path("repo"), ["status", "--porcelain", "--untracked-files=no"]), "");
+});
+
+test("loadBaselineFromRef() materializes coArchi repositories from the split layout", () => {
+  const workspace = createWorkspace(["landscape.archimate"]);
+  const repoDir = workspace.path("repo");
+  fs.cpSync(path.join(FIXTURES_DIR, "coarchi"), repoDir, { recursive: true });
+  git(repoDir, ["init", "--quiet"]);
+  git(repoDir, ["add", "-A"]);
+  git(repoDir, ["commit", "--quiet", "-m", "Model"]);
+  git(repoDir, ["branch", "release"]);
+
+  // coArchi opens the working copy of the model from .git/temp.archimate
+  const modelPath = path.join(repoDir, ".git", "temp.archimate");
+  fs.copyFileSync(workspace.path("landscape.archimate"), modelPath);
+  installJArchiRuntime({ modelPath });
+
+  const baseline = loadBaselineFromRef(modelPath, "release");
+
+  assert.equal(baseline.layout, "coArchi");
+  assert.equal(baseline.commit, git(repoDir, ["rev-parse", "release"]).trim());
+  assert.equal(baseline.model.name, "Split Model");
+  assert.equal(baseline.model.getRelationships().length, 4);
+});
+
+test("unknown revisions and models outside a repository are reported", () => {
+  const workspace = createModelRepository();
+  const tempDirsBefore = baselineTempDirs();
+  installJArchiRuntime({ modelPath: workspace.path("repo/models/landscape.archimate") });
+
+  assert.throws(
+    () => loadBaselineFromRef(workspace.path("repo/models/landscape.archimate"), "no-such-tag"),
+    /Unknown git revision "no-such-tag"/,
+  );
+  assert.throws(
+    () => loadBaselineFromRef(workspace.path("landscape.archimate"), "HEAD"),
+    /Model is not inside a git repository/,
+  );
+
+  // Model file that did not exist at the revision
+  fs.copyFileSync(workspace.path("landscape.archimate"), workspace.path("repo/models/new.archimate"));
+  assert.throws(
+    () => loadBaselineFromRef(workspace.path("repo/models/new.archimate"), "v1"),
+    /Revision "v1" contains neither "models\/new.archimate" nor a coArchi model folder/,
+  );
+  assert.deepEqual(baselineTempDirs(), tempDirsBefore);
+
+  // The script falls back to single model mode
+  const { workspace: single } = setupModel("landscape.archimate", { argv: ["--baselineRef", "v1"] });
+  const output = captureConsole(() => runComatrix());
+  assert.ok(output.some((line) => line.startsWith("⚠ Error loading baseline model: Model is not inside a git repository")));
+  assert.ok(output.includes("Running in single model mode.\n"));
+  assert.ok(fs.existsSync(single.path("comatrix.xlsm")));
+});
@@ -0,0 +1,126 @@
+/**
+ * graphFormats.test.js
+ * Regression tests for the graph export formats (src/main/graphFormats.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { XMLParser } = require("fast-xml-parser");
+const { setupModel, captureConsole } = require("./helpers");
+const { runTGF } = require("../src/main/tgf");
+
+// Parser keeping attributes and decoding the character references
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "",
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: false,
+  htmlEntities: true,
+  isArray: (name) => ["key", "node", "edge", "data", "attribute", "attributes", "attvalue"].includes(name),
+});
+
+/**
+ * Exports graph.archimate in a format
+ * @param {String} format - Value of --format
+ * @param {Array<String>} extraArgs - Further script parameters
+ * @returns {Object} {workspace, output}
+ */
+function exportGraph(format, extraArgs = []) {
+  const { workspace } = setupModel("graph.archimate", { argv: ["--format", format, ...extraArgs] });
+  const output = captureConsole(() => runTGF());
+  return { workspace, output };
+}
+
+test("--format graphml writes typed attribute keys and escaped values", () => {
+  const { workspace } = exportGraph("graphml");
+  const graphml = xmlParser.parse(fs.readFileSync(workspace.path("graph.graphml"), "utf8")).graphml;
+
+  const keys = Object.fromEntries(graphml.key.map((key) => [`${key.for}:${key["attr.name"]}`, key]));
+  assert.equal(keys["node:Nutzer"]["attr.type"], "int");
+  assert.equal(keys["node:Kritisch"]["attr.type"], "boolean");
+  assert.equal(keys["node:Verfügbarkeit"]["attr.type"], "string");
+  assert.equal(keys["edge:Schnittstelle"]["attr.type"], "string");
+
+  const portal = graphml.graph.node.find((node) => node.id === "app-portal");
+  const values = Object.fromEntries(portal.data.map((data) => [data.key, data["#text"]]));
+  assert.equal(values[keys["node:name"].id], 'Kunden "Portal" <Web> & Co');
+  assert.equal(values[keys["node:domain"].id], "Vertrieb & Service");
+  assert.equal(values[keys["node:documentation"].id], "Portal für Kunden\nzweite Zeile");
+  assert.equal(values[keys["node:Nutzer"].id], "1200");
+
+  const edge = graphml.graph.edge.find((candidate) => candidate.id === "rel-portal-order");
+  assert.equal(edge.source, "app-portal");
+  assert.ok(edge.data.some((data) => data["#text"] === 'REST "Orders" <v2>'));
+});
+
+test("--format gexf writes typed attributes and keeps line breaks in attribute values", () => {
+  const { workspace, output } = exportGraph("gexf");
+  const graph = xmlParser.parse(fs.readFileSync(workspace.path("graph.gexf"), "utf8")).gexf.graph;
+
+  const nodeAttributes = graph.attributes.find((attributes) => attributes.class === "node").attribute;
+  const types = Object.fromEntries(nodeAttributes.map((attribute) => [attribute.title, attribute.type]));
+  assert.equal(types.Nutzer, "integer");
+  assert.equal(types.Kritisch, "boolean");
+
+  const portal = graph.nodes.node.find((node) => node.id === "app-portal");
+  assert.equal(portal.label, 'Kunden "Portal" <Web> & Co');
+  const documentationId = nodeAttributes.find((attribute) => attribute.title === "documentation").id;
+  assert.equal(
+    portal.attvalues.attvalue.find((attvalue) => attvalue.for === documentationId).value,
+    "Portal für Kunden\nzweite Zeile",
+  );
+  assert.ok(output.includes("✓ GEXF file written successfully"));
+});
+
+test("--format dot groups the nodes in one cluster per Domäne", () => {
+  const { workspace } = exportGraph("dot", ["--comatrixMode"]);
+
+  assert.equal(
+    fs.readFileSync(workspace.path("graph.dot"), "utf8"),
+    [
+      'digraph "Graph \\"Export\\"" {',
+      "  node [shape=box];",
+      "  subgraph cluster_0 {",
+      '    label="Vertrieb & Service";',
+      '    "app-portal" [label="Kunden \\"Portal\\" <Web> & Co\\n[application-component]"];',
+      '    "app-order" [label="Bestellsystem #1 \\\\ Größe\\n[application-component]"];',
+      "  }",
+      '  "app-stock" [label="Lager\\n[application-component]"];',
+      '  "app-portal" -> "app-order" [label="REST \\"Orders\\" <v2>"];',
+      '  "app-order" -> "app-stock" [label="Bestand"];',
+      "}",
+      "",
+    ].join("\n"),
+  );
+});
+
+test("--format mermaid writes a flowchart with entity codes for special characters", () => {
+  const { workspace } = exportGraph("mermaid", ["--comatrixMode"]);
+
+  assert.equal(
+    fs.readFileSync(workspace.path("graph.mmd"), "utf8"),
+    [
+      "flowchart LR",
+      '  subgraph d0["Vertrieb & Service"]',
+      '    n0["Kunden #quot;Portal#quot; #lt;Web#gt; & Co<br>[application-component]"]',
+      '    n1["Bestellsystem #35;1 \\ Größe<br>[application-component]"]',
+      "  end",
+      '  n2["Lager<br>[application-component]"]',
+      '  n0 -->|"REST #quot;Orders#quot; #lt;v2#gt;"| n1',
+      '  n1 -->|"Bestand"| n2',
+      "",
+    ].join("\n"),
+  );
+});
+
+test("an unknown format aborts the export", () => {
+  const { workspace, output } = exportGraph("svg");
+
+  assert.ok(output.includes('✗ ERROR: Unknown format "svg", use one of tgf, graphml, dot, gexf, mermaid'));
+  assert.deepEqual(
+    fs.readdirSync(workspace.dir).filter((name) => name.startsWith("graph.")),
+    ["graph.archimate"],
+  );
+});
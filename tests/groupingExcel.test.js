@@ -0,0 +1,126 @@
+/**
+ * groupingExcel.test.js
+ * Tests for the nested row and column grouping of the matrix (src/main/groupingExcel.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const XLSX = require("xlsx-js-style");
+const { setupModel, captureConsole } = require("./helpers");
+const { runComatrix } = require("../src/main/comatrix");
+const {
+  insertGroupSeparators,
+  insertColumnSeparators,
+  mapColumnKeys,
+  isSeparatorColumn,
+} = require("../src/main/groupingExcel");
+
+/**
+ * Builds a data row as output2Excel() does
+ * @param {String} fachbereich - Fachbereich of the A-element
+ * @param {String} domain - Domain of the A-element
+ * @param {String} aId - A-element ID (also used as name)
+ * @param {String} schnittstelle - Schnittstelle
+ * @param {Array} marks - Cells of the B-element columns
+ * @returns {Array} Data row
+ */
+function dataRow(fachbereich, domain, aId, schnittstelle, marks) {
+  const row = [domain, aId, schnittstelle, "intern", ...marks];
+  row.aId = aId;
+  row.fachbereich = fachbereich;
+  return row;
+}
+
+test("insertGroupSeparators() nests Fachbereich, Domäne and Anwendungssystem separators", () => {
+  const rows = insertGroupSeparators([
+    dataRow("Finanzen", "Finance", "billing", "API", ["x", ""]),
+    dataRow("Finanzen", "Finance", "billing", "Events", ["", ""]),
+    dataRow("Finanzen", "Controlling", "reports", "Export", ["", "1-2"]),
+    dataRow("Vertrieb", "Sales", "shop", "API", ["x", ""]),
+    dataRow("", "", "legacy", "Batch", ["", "x"]),
+  ]);
+
+  assert.deepEqual(
+    rows.map((row) => [...row.slice(0, 3), ...row.slice(4), row.outline.level, row.outline.hidden]),
+    [
+      ["Finanzen", "", "", "x", "x", 0, false],
+      ["Finance", "", "", "x", "", 1, false],
+      ["Finance", "billing", "", "x", "", 2, false],
+      ["Finance", "billing", "API", "x", "", 3, true],
+      ["Finance", "billing", "Events", "", "", 3, true],
+      ["Controlling", "reports", "Export", "", "1-2", 1, false],
+      ["Sales", "shop", "API", "x", "", 0, false],
+      ["", "legacy", "Batch", "", "x", 0, false],
+    ],
+  );
+});
+
+test("insertGroupSeparators() skips the Fachbereich level in models without Fachbereich", () => {
+  const rows = insertGroupSeparators([
+    dataRow("", "Finance", "billing", "API", ["x"]),
+    dataRow("", "Finance", "billing", "Events", [""]),
+    dataRow("", "Finance", "reports", "Export", ["x"]),
+  ]);
+
+  assert.deepEqual(
+    rows.map((row) => [row[1], row[2], row.outline.level]),
+    [
+      ["", "", 0],
+      ["billing", "", 1],
+      ["billing", "API", 2],
+      ["billing", "Events", 2],
+      ["reports", "Export", 1],
+    ],
+  );
+});
+
+test("insertColumnSeparators() nests Fachbereich and Domäne separator columns", () => {
+  const data = [
+    ["", "", "", "", "Finance", "Finance", "Sales", ""],
+    ["Domäne", "Anwendungssystem", "Angebotene Schnittstelle", "intern/extern", "b1", "b2", "b3", "b4"],
+    dataRow("Finanzen", "Finance", "a1", "API", ["", "x", "", "x"]),
+  ];
+  const fachbereiche = ["Finanzen", "Finanzen", "Finanzen", ""];
+
+  const result = insertColumnSeparators(data, fachbereiche);
+
+  assert.deepEqual(result[0].slice(4), ["Finanzen", "Finance", "Finance", "Finance", "Sales", ""]);
+  assert.deepEqual(result[1].slice(4), ["", "", "b1", "b2", "b3", "b4"]);
+  assert.deepEqual(result[2].slice(4), ["x", "x", "", "x", "", "x"]);
+  assert.equal(result[2].aId, "a1");
+  assert.deepEqual(
+    result.columnOutline.slice(4).map((column) => [column.level, column.hidden]),
+    [
+      [0, false],
+      [1, false],
+      [2, true],
+      [2, true],
+      [1, false],
+      [0, false],
+    ],
+  );
+  assert.ok(isSeparatorColumn(result, 5));
+  assert.ok(!isSeparatorColumn(result, 6));
+  assert.deepEqual(mapColumnKeys(data, ["b1", "b2", "b3", "b4"], fachbereiche).slice(4), [
+    null,
+    null,
+    "b1",
+    "b2",
+    "b3",
+    "b4",
+  ]);
+});
+
+test("runComatrix() writes the nested outline levels to the matrix", () => {
+  const { workspace } = setupModel("landscape.archimate");
+  captureConsole(() => runComatrix());
+
+  const worksheet = XLSX.readFile(workspace.path("comatrix.xlsm"), { cellStyles: true }).Sheets.Matrix;
+  const rowLevels = Array.from(worksheet["!rows"], (row) => (row && row.level) || 0);
+  assert.equal(worksheet.A4.v, "Vertrieb");
+  assert.equal(worksheet.A5.v, "Sales");
+  assert.deepEqual(rowLevels.slice(2, 8), [0, 0, 1, 2, 3, 3]);
+  assert.ok(worksheet["!rows"][6].hidden);
+  assert.equal(worksheet.F1.v, "Vertrieb");
+  assert.equal(worksheet["!cols"][7].level, 2);
+});
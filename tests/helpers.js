@@ -0,0 +1,98 @@
+/**
+ * helpers.js
+ * Shared helpers for the regression tests
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx-js-style");
+const { installJArchiRuntime } = require("../src/node/jarchiRuntime");
+const { resetConfig } = require("../src/main/config");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+// Temporary directories created by the tests, removed when the test process exits
+const workspaceDirs = [];
+process.on("exit", () => {
+  workspaceDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+/**
+ * Copies fixture files into a fresh temporary directory
+ * The scripts write their output next to the model, so tests never run on the fixtures directly.
+ * @param {Array<String>} fixtureNames - File names in tests/fixtures
+ * @returns {Object} {dir, path(name)} of the temporary directory
+ */
+function createWorkspace(fixtureNames) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "comatrix-test-"));
+  workspaceDirs.push(dir);
+  fixtureNames.forEach((name) => fs.copyFileSync(path.join(FIXTURES_DIR, name), path.join(dir, name)));
+  return {
+    dir,
+    path: (name) => path.join(dir, name),
+  };
+}
+
+/**
+ * Installs the offline jArchi runtime with a fixture model as the selected model
+ * @param {String} fixtureName - Model file in tests/fixtures
+ * @param {Object} options - {argv: script arguments, loadedModels: further fixtures opened "in Archi", extraFiles: copied only,
+ *                           selection: IDs of the objects selected in the model tree}
+ * @returns {Object} {model, workspace}
+ */
+function setupModel(fixtureName, options = {}) {
+  const loadedModels = options.loadedModels || [];
+  const workspace = createWorkspace([fixtureName, ...loadedModels, ...(options.extraFiles || [])]);
+
+  resetConfig();
+  const model = installJArchiRuntime({
+    modelPath: workspace.path(fixtureName),
+    loadedModels: loadedModels.map((name) => workspace.path(name)),
+    argv: (options.argv || []).map((arg) => (typeof arg === "function" ? arg(workspace) : arg)),
+    scriptDir: workspace.dir,
+    selection: options.selection,
+  });
+
+  return { model, workspace };
+}
+
+/**
+ * Runs a function while collecting console.log output instead of printing it
+ * @param {Function} fn - Function to run
+ * @returns {Array<String>} Logged lines
+ */
+function captureConsole(fn) {
+  const lines = [];
+  const originalLog = console.log;
+  console.log = (...args) => lines.push(args.join(" "));
+  try {
+    fn();
+  } finally {
+    console.log = originalLog;
+  }
+  return lines;
+}
+
+/**
+ * Reads a worksheet as array of rows
+ * @param {String} filePath - Excel file
+ * @param {String} sheetName - Worksheet name
+ * @returns {Array<Array>} Cell values (empty cells as "")
+ */
+function readSheet(filePath, sheetName) {
+  const workbook = XLSX.readFile(filePath);
+  const worksheet = workbook.Sheets[sheetName];
+  if (!worksheet) {
+    throw new Error(`Worksheet "${sheetName}" not found in ${filePath}`);
+  }
+  return XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: "" });
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  createWorkspace,
+  setupModel,
+  captureConsole,
+  readSheet,
+};
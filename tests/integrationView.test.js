@@ -0,0 +1,190 @@
+/**
+ * integrationView.test.js
+ * Regression tests for the generated integration view (src/main/integrationView.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { setupModel, captureConsole } = require("./helpers");
+const { installJArchiRuntime } = require("../src/node/jarchiRuntime");
+const { resetConfig } = require("../src/main/config");
+const { EXIT_NO_DATA } = require("../src/main/batch");
+const { layoutGrid, runIntegrationView } = require("../src/main/integrationView");
+
+/**
+ * Gets the generated views of a model
+ * @param {Object} model - Model
+ * @param {String} name - View name
+ * @returns {Array} Views of this name
+ */
+function findViews(model, name) {
+  return Array.from(
+    $(model)
+      .find("view")
+      .filter((view) => view.name === name),
+  );
+}
+
+test("runIntegrationView() nests the applications in their Domäne and draws the NST relationships", () => {
+  const { model } = setupModel("landscape.archimate");
+  const output = captureConsole(() => runIntegrationView());
+
+  assert.ok(output.includes('Created view "Integrationslandschaft"'));
+  assert.ok(output.includes("✓ 3 Domänen, 7 applications and 6 connections drawn"));
+
+  const [view] = findViews(model, "Integrationslandschaft");
+  assert.equal(view.prop("Generiert von"), "integrationview");
+
+  const topLevel = $(view).children();
+  assert.deepEqual(
+    topLevel.map((object) => object.concept.name),
+    ["Cloud", "Finance", "Sales", "Partner Bank"],
+  );
+  const sales = topLevel.filter((object) => object.concept.name === "Sales").first();
+  assert.deepEqual(
+    $(sales)
+      .children()
+      .map((object) => object.concept.id),
+    ["app-portal", "app-order", "app-report-sales"],
+  );
+
+  // Groupings side by side, the applications without Domäne below them
+  const [cloud, finance] = topLevel;
+  assert.equal(finance.bounds.x, cloud.bounds.x + cloud.bounds.width + 40);
+  const bank = topLevel.filter((object) => object.concept.id === "app-bank").first();
+  assert.equal(bank.bounds.y, sales.bounds.y + sales.bounds.height + 40);
+
+  const connections = $(view).find("relationship");
+  assert.equal(connections.length, 6);
+  const placeOrder = connections.filter((connection) => connection.concept.id === "rel-portal-order").first();
+  assert.equal(placeOrder.source.concept.id, "app-portal");
+  assert.equal(placeOrder.target.concept.id, "app-order");
+  assert.equal(placeOrder.labelExpression, "${properties:, :Schnittstelle}");
+});
+
+test("connections through application interfaces are drawn through the interface", () => {
+  const { model, workspace } = setupModel("interfaces.archimate", {
+    argv: ["--config", (ws) => ws.path("comatrix.json")],
+  });
+  fs.writeFileSync(workspace.path("comatrix.json"), JSON.stringify({ connectionModes: ["interface"] }));
+
+  const output = captureConsole(() => runIntegrationView());
+
+  assert.ok(output.includes("✓ 2 Domänen, 4 applications, 2 application interfaces and 3 connections drawn"));
+  const [view] = findViews(model, "Integrationslandschaft");
+  const finance = $(view)
+    .children()
+    .filter((object) => object.concept.name === "Finance")
+    .first();
+  assert.deepEqual(
+    $(finance)
+      .children()
+      .map((object) => object.concept.id),
+    ["app-billing", "if-billing"],
+  );
+  assert.deepEqual(
+    $(view)
+      .find("relationship")
+      .map(
+        (connection) => `${connection.concept.id}: ${connection.source.concept.id} → ${connection.target.concept.id}`,
+      ),
+    [
+      "c-billing-api: app-billing → if-billing",
+      "s-billing-shop: if-billing → app-shop",
+      "f-billing-crm: if-billing → app-crm",
+      "c-warehouse-stock: app-warehouse → if-stock",
+      "f-stock-shop: if-stock → app-shop",
+    ],
+  );
+});
+
+test("applications without Domäne stay below the grid even if a Domäne grouping has no name", () => {
+  const { workspace } = setupModel("landscape.archimate");
+  const xml = fs
+    .readFileSync(workspace.path("landscape.archimate"), "utf8")
+    .replace(
+      '<element xsi:type="archimate:Grouping" name="Cloud"',
+      '<element xsi:type="archimate:Grouping" name="" id="grp-unnamed" profiles="prof-domaene"/>\n' +
+        '    <element xsi:type="archimate:Grouping" name="Cloud"',
+    );
+  fs.writeFileSync(workspace.path("unnamed.archimate"), xml);
+  resetConfig();
+  const model = installJArchiRuntime({ modelPath: workspace.path("unnamed.archimate") });
+
+  captureConsole(() => runIntegrationView());
+
+  const [view] = findViews(model, "Integrationslandschaft");
+  assert.deepEqual(
+    $(view)
+      .children()
+      .map((object) => object.concept.name),
+    ["Cloud", "Finance", "Sales", "Partner Bank"],
+  );
+});
+
+test("without connections the view is not drawn", () => {
+  const { model } = setupModel("landscape.archimate", { argv: ["--domain", "Missing"] });
+
+  let status;
+  const output = captureConsole(() => {
+    status = runIntegrationView();
+  });
+
+  assert.equal(status, EXIT_NO_DATA);
+  assert.ok(output.includes("⚠ No connections found in the scope, the view is not drawn."));
+  assert.deepEqual(findViews(model, "Integrationslandschaft"), []);
+});
+
+test("a second run regenerates the view in place", () => {
+  const { model } = setupModel("landscape.archimate", { argv: ["--viewName", "Sales", "--domain", "Sales"] });
+  captureConsole(() => runIntegrationView());
+  const [view] = findViews(model, "Sales");
+  const objectCount = $(view).find().length;
+
+  const output = captureConsole(() => runIntegrationView());
+
+  assert.ok(output.includes('Regenerated view "Sales"'));
+  assert.deepEqual(findViews(model, "Sales"), [view]);
+  assert.equal($(view).find().length, objectCount);
+});
+
+test("views drawn by hand are not overwritten", () => {
+  const { model } = setupModel("landscape.archimate", { argv: ["--viewName", "Sales Overview"] });
+  const [view] = findViews(model, "Sales Overview");
+  const objectIds = $(view)
+    .find()
+    .map((object) => object.id);
+
+  const output = captureConsole(() => runIntegrationView());
+
+  assert.ok(
+    output.includes(
+      'Error message: View "Sales Overview" was not generated by this script, choose another name with --viewName',
+    ),
+  );
+  assert.deepEqual(
+    $(view)
+      .find()
+      .map((object) => object.id),
+    objectIds,
+  );
+});
+
+test("layoutGrid() sizes the grid columns and rows by their largest grouping", () => {
+  const grid = layoutGrid(
+    [
+      { width: 100, height: 50 },
+      { width: 200, height: 80 },
+      { width: 150, height: 60 },
+    ],
+    2,
+  );
+
+  assert.deepEqual(grid.positions, [
+    { x: 20, y: 20 },
+    { x: 210, y: 20 },
+    { x: 20, y: 140 },
+  ]);
+  assert.equal(grid.height, 200);
+});
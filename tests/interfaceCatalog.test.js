@@ -0,0 +1,70 @@
+/**
+ * interfaceCatalog.test.js
+ * Tests for the interface catalog (src/main/interfaceCatalog.js)
+ */
+
+const fs = require("fs");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupModel, captureConsole, readSheet } = require("./helpers");
+const { collectInterfaces, runInterfaceCatalog } = require("../src/main/interfaceCatalog");
+const { getConfig } = require("../src/main/config");
+
+test("runInterfaceCatalog() lists one row per Schnittstelle and provider", () => {
+  const { workspace } = setupModel("landscape.archimate");
+  const output = captureConsole(() => runInterfaceCatalog());
+
+  assert.ok(output.includes("Found 4 Schnittstellen\n"));
+
+  const rows = readSheet(workspace.path("interfacecatalog.xlsx"), "Schnittstellen");
+  assert.deepEqual(rows[0], [
+    "Schnittstelle",
+    "Anbieter",
+    "Domäne Anbieter",
+    "Fachbereich Anbieter",
+    "Nutzer",
+    "Domäne Nutzer",
+    "Fachbereich Nutzer",
+    "intern/extern",
+    "Frequenz",
+    "Protokoll",
+    "Dokumentation",
+    "Beziehungs-IDs",
+  ]);
+  assert.deepEqual(
+    rows.find((row) => row[0] === "SOAP Payment"),
+    [
+      "SOAP Payment",
+      "Payment Gateway",
+      "Finance",
+      "Finanzen",
+      "Order System\nPartner Bank",
+      "Sales",
+      "Vertrieb",
+      "extern",
+      "on demand, täglich",
+      "",
+      "Card and invoice payments",
+      "rel-order-payment, rel-bank-payment",
+    ],
+  );
+});
+
+test("collectInterfaces() includes connections modelled through application interfaces", () => {
+  const { model, workspace } = setupModel("interfaces.archimate", {
+    argv: ["--config", (ws) => ws.path("comatrix.json")],
+  });
+  fs.writeFileSync(workspace.path("comatrix.json"), JSON.stringify({ connectionModes: ["property", "interface"] }));
+  let interfaces;
+  captureConsole(() => {
+    interfaces = collectInterfaces(model, getConfig());
+  });
+
+  const billing = interfaces.find((entry) => entry.schnittstelle === "Billing API");
+  assert.equal(billing.provider.name, "Billing");
+  assert.deepEqual(
+    billing.consumers.map((consumer) => consumer.name),
+    ["CRM", "Shop", "Warehouse"],
+  );
+  assert.equal(billing.internExtern, "extern");
+});
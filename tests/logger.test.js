@@ -0,0 +1,143 @@
+/**
+ * logger.test.js
+ * Tests for the log levels, the log file and the run summary of the report scripts (src/main/logger.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { setupModel, captureConsole } = require("./helpers");
+const { EXIT_OK, EXIT_ERROR } = require("../src/main/batch");
+const { runComatrix } = require("../src/main/comatrix");
+const { runAppList } = require("../src/main/applist");
+const { runTGF } = require("../src/main/tgf");
+const { runModelLint } = require("../src/main/modelLint");
+
+/**
+ * Reads a JSON file
+ * @param {String} filePath - File path
+ * @returns {Object} Parsed content
+ */
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+test("runComatrix() writes a run summary next to the output file", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--baselineModel", (ws) => ws.path("landscape-baseline.archimate")],
+    extraFiles: ["landscape-baseline.archimate"],
+  });
+  captureConsole(() => runComatrix());
+
+  const summary = readJson(workspace.path("comatrix-summary.json"));
+  assert.equal(summary.script, "comatrix");
+  assert.deepEqual(summary.model, { name: "Landscape", path: workspace.path("landscape.archimate") });
+  assert.equal(summary.baseline.path, workspace.path("landscape-baseline.archimate"));
+  assert.equal(summary.output, workspace.path("comatrix.xlsm"));
+  assert.equal(summary.status, "ok");
+  assert.equal(summary.exitCode, EXIT_OK);
+  assert.equal(typeof summary.durationMs, "number");
+  assert.equal(summary.counts.relationships, 7);
+  assert.deepEqual(summary.errors, []);
+
+  // Elements without Domäne are listed with their IDs
+  const missingDomain = summary.warnings.find((warning) => warning.code === "missingDomain");
+  assert.deepEqual(missingDomain.elements, [{ id: "app-bank", name: "Partner Bank" }]);
+});
+
+test("--quiet prints errors only, --verbose adds the debug messages", () => {
+  setupModel("cycle.archimate", { argv: ["--quiet"] });
+  assert.deepEqual(
+    captureConsole(() => runAppList()),
+    [],
+  );
+
+  const { workspace } = setupModel("cycle.archimate", { argv: ["--verbose"] });
+  const output = captureConsole(() => runAppList());
+  assert.ok(output.includes("    - Cyclic App (Geschäftsanwendung)"));
+  assert.ok(output.includes(`Run summary written to: ${workspace.path("applist-summary.json")}`));
+
+  // Grouping cycles are warnings of the run summary
+  const summary = readJson(workspace.path("applist-summary.json"));
+  assert.deepEqual(summary.warnings[0].cycle, ["Beta", "Alpha", "Beta"]);
+  assert.deepEqual(summary.warnings[0].elements, ["Cyclic App"]);
+});
+
+test("--logFile appends the printed messages with time and level", () => {
+  const { workspace } = setupModel("cycle.archimate", { argv: ["--logLevel", "warn", "--logFile", "logs.txt"] });
+  fs.writeFileSync(workspace.path("logs.txt"), "previous run\n");
+
+  const output = captureConsole(() => runComatrix());
+
+  assert.deepEqual(output, ["⚠ Grouping cycle: Beta → Alpha → Beta"]);
+  const lines = fs.readFileSync(workspace.path("logs.txt"), "utf8").trim().split("\n");
+  assert.equal(lines[0], "previous run");
+  assert.match(lines[1], /^\d{4}-\d{2}-\d{2}T[\d:.]+Z WARN {2}⚠ Grouping cycle: Beta → Alpha → Beta$/);
+});
+
+test("--summaryFile sets the summary path, errors end up in the summary", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--summaryFile", "runs/tgf.json", "--format", "unknown"],
+  });
+  fs.mkdirSync(workspace.path("runs"));
+
+  let status;
+  captureConsole(() => {
+    status = runTGF();
+  });
+
+  assert.equal(status, EXIT_ERROR);
+  const summary = readJson(workspace.path("runs/tgf.json"));
+  assert.equal(summary.status, "error");
+  assert.equal(summary.errors.length, 1);
+  assert.equal(summary.output, null);
+});
+
+test("the model lint writes its run summary with the findings as counts", () => {
+  const { workspace } = setupModel("lint.archimate");
+  captureConsole(() => runModelLint());
+
+  const summary = readJson(workspace.path("modellint-summary.json"));
+  assert.equal(summary.script, "modellint");
+  assert.equal(summary.status, "error");
+  assert.equal(summary.exitCode, EXIT_ERROR);
+  assert.equal(summary.output, workspace.path("modellint.xlsx"));
+  assert.ok(summary.counts.findingErrors > 0);
+  assert.equal(summary.errors[0].code, "lintErrors");
+});
+
+test("an unknown --logLevel fails the run", () => {
+  setupModel("landscape.archimate", { argv: ["--logLevel", "trace"] });
+
+  let status;
+  const output = captureConsole(() => {
+    status = runComatrix();
+  });
+
+  assert.equal(status, EXIT_ERROR);
+  assert.deepEqual(output, ['✗ ERROR: Unknown --logLevel "trace", expected one of error, warn, info, debug']);
+});
+
+test("a log file that cannot be written is dropped with a single warning", () => {
+  const { workspace } = setupModel("cycle.archimate", {
+    argv: ["--logLevel", "warn", "--logFile", "missing/logs.txt"],
+  });
+
+  let status;
+  const output = captureConsole(() => {
+    status = runComatrix();
+  });
+
+  assert.equal(status, EXIT_OK);
+  assert.equal(output.length, 2);
+  assert.equal(output[0], "⚠ Grouping cycle: Beta → Alpha → Beta");
+  assert.match(output[1], /^⚠ Could not write the log file .*missing\/logs\.txt: /);
+  assert.equal(fs.existsSync(workspace.path("missing")), false);
+
+  const summary = readJson(workspace.path("comatrix-summary.json"));
+  assert.equal(summary.status, "ok");
+  assert.deepEqual(
+    summary.warnings.map((warning) => warning.code),
+    ["groupingCycle", "logFileNotWritable"],
+  );
+});
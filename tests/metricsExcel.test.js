@@ -0,0 +1,93 @@
+/**
+ * metricsExcel.test.js
+ * Regression tests for the "Kennzahlen" worksheet (src/main/metricsExcel.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const XLSX = require("xlsx-js-style");
+const { setupModel, captureConsole, readSheet } = require("./helpers");
+const { runComatrix } = require("../src/main/comatrix");
+
+test("runComatrix() lists the coupling metrics per application, Domäne and Fachbereich", () => {
+  const { workspace } = setupModel("landscape.archimate");
+  const output = captureConsole(() => runComatrix());
+
+  assert.ok(output.includes("Computed coupling metrics for 15 applications, Domänen and Fachbereiche"));
+  const filePath = workspace.path("comatrix.xlsm");
+  const rows = readSheet(filePath, "Kennzahlen");
+  assert.deepEqual(rows[0], [
+    "Ebene",
+    "Name",
+    "Domäne",
+    "Fachbereich",
+    "Angebotene Schnittstellen",
+    "Nutzer (Ca)",
+    "Genutzte Schnittstellen",
+    "Anbieter (Ce)",
+    "Fan-in",
+    "Fan-out",
+    "Domänenübergreifend",
+    "Instabilität I",
+  ]);
+  assert.deepEqual(rows[5], ["Anwendung", "Order System", "Sales", "Vertrieb", 2, 3, 2, 2, 4, 2, 0.5, 0.4]);
+
+  // Connections within a Domäne do not count for its coupling
+  const sales = rows.find((row) => row[0] === "Domäne" && row[1] === "Sales");
+  assert.deepEqual(sales.slice(4, 10), [2, 1, 2, 2, 1, 2]);
+  assert.equal(sales[11].toFixed(2), "0.67");
+
+  // Applications without Domäne or Fachbereich come last within their level
+  assert.deepEqual(
+    rows.filter((row) => row[0] === "Fachbereich").map((row) => row[1]),
+    ["Finanzen", "Vertrieb", "(kein Fachbereich)"],
+  );
+
+  const worksheet = XLSX.readFile(filePath, { cellNF: true }).Sheets["Kennzahlen"];
+  assert.equal(worksheet.K6.z, "0%");
+  assert.equal(worksheet.L6.z, "0.00");
+});
+
+test("applications in several Domänen count for each of their Domänen", () => {
+  const { workspace } = setupModel("landscape.archimate");
+  captureConsole(() => runComatrix());
+
+  const rows = readSheet(workspace.path("comatrix.xlsm"), "Kennzahlen");
+  const kubernetes = rows.find((row) => row[1] === "Kubernetes");
+  assert.deepEqual(kubernetes.slice(0, 4), ["Anwendung", "Kubernetes", "Cloud, Infrastructure", "(kein Fachbereich)"]);
+
+  // Kubernetes offers its Schnittstelle to Sales, both of its Domänen provide it
+  const domains = rows.filter((row) => row[0] === "Domäne");
+  assert.deepEqual(
+    domains.map((row) => row[1]),
+    ["Cloud", "Finance", "Infrastructure", "Sales", "(keine Domäne)"],
+  );
+  ["Cloud", "Infrastructure"].forEach((name) => {
+    assert.deepEqual(domains.find((row) => row[1] === name).slice(4), [1, 1, 0, 0, 1, 0, 1, 0]);
+  });
+});
+
+test("in compare mode the metrics are followed by their difference to the baseline", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--baselineModel", (ws) => ws.path("landscape-baseline.archimate")],
+    extraFiles: ["landscape-baseline.archimate"],
+  });
+  captureConsole(() => runComatrix());
+
+  const filePath = workspace.path("comatrix.xlsm");
+  const rows = readSheet(filePath, "Kennzahlen");
+  assert.equal(rows[0][5], "Δ Angebotene Schnittstellen");
+
+  // Payment Gateway lost one of its Nutzer
+  const payment = rows.find((row) => row[1] === "Payment Gateway");
+  assert.deepEqual(payment.slice(4, 14), [1, 0, 2, -1, 0, 0, 0, 0, 2, -1]);
+
+  // Removed applications keep their row, their ratios are not compared
+  const legacy = rows.find((row) => row[1] === "Legacy CRM");
+  assert.deepEqual(legacy.slice(4, 20), ["", 0, "", 0, "", -1, "", -1, "", 0, "", -1, "", "", "", ""]);
+
+  // New applications are green, removed ones red
+  const worksheet = XLSX.readFile(filePath, { cellStyles: true }).Sheets["Kennzahlen"];
+  assert.equal(worksheet.B2.s.fgColor.rgb, "9BBB59");
+  assert.equal(worksheet.B6.s.fgColor.rgb, "C0504D");
+});
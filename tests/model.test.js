@@ -0,0 +1,124 @@
+/**
+ * model.test.js
+ * Tests for domain/Fachbereich detection and relationship extraction (src/main/model.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { setupModel } = require("./helpers");
+const {
+  analyzeGroupings,
+  findDomain,
+  findFachbereich,
+  findGroupingCycles,
+  withCycleMarker,
+  formatCyclePath,
+  extractElements,
+} = require("../src/main/model");
+
+test("findDomain() follows aggregation and composition relationships through nested groupings", () => {
+  setupModel("landscape.archimate");
+
+  assert.equal(findDomain($("#app-order").first()), "Sales");
+  assert.equal(findDomain($("#app-payment").first()), "Finance");
+  assert.equal(findDomain($("#app-k8s").first()), "Cloud, Infrastructure");
+  assert.equal(findDomain($("#app-bank").first()), "");
+});
+
+test("findFachbereich() finds Fachbereich groupings above domains", () => {
+  setupModel("landscape.archimate");
+
+  assert.equal(findFachbereich($("#app-portal").first()), "Vertrieb");
+  assert.equal(findFachbereich($("#app-report-finance").first()), "Finanzen");
+  assert.equal(findFachbereich($("#app-k8s").first()), "");
+});
+
+test("grouping cycles keep the groupings found and report the cycle path", () => {
+  setupModel("cycle.archimate");
+
+  assert.equal(findDomain($("#app-cyclic").first()), "Beta, Alpha");
+  assert.equal(findFachbereich($("#app-cyclic").first()), "Gamma");
+  assert.deepEqual(analyzeGroupings($("#app-cyclic").first()).cycles, [
+    [
+      { id: "grp-beta", name: "Beta" },
+      { id: "grp-alpha", name: "Alpha" },
+      { id: "grp-beta", name: "Beta" },
+    ],
+  ]);
+  assert.equal(formatCyclePath(findGroupingCycles($("#app-cyclic").first())[0]), "Beta → Alpha → Beta");
+  assert.equal(withCycleMarker("Beta, Alpha", findGroupingCycles($("#app-cyclic").first())), "Beta, Alpha (⚠ Zyklus)");
+
+  assert.equal(findDomain($("#app-plain").first()), "Delta");
+  assert.equal(findFachbereich($("#app-plain").first()), "Gamma");
+  assert.deepEqual(findGroupingCycles($("#app-plain").first()), []);
+  assert.equal(withCycleMarker("Delta", []), "Delta");
+});
+
+test("extractElements() creates one record per Schnittstelle value", () => {
+  const { model } = setupModel("landscape.archimate");
+  const relationships = extractElements(model);
+
+  assert.equal(relationships.length, 7);
+
+  const placeOrder = relationships.filter((rel) => rel.id === "rel-portal-order");
+  assert.deepEqual(
+    placeOrder.map((rel) => rel.schnittstelle),
+    ["REST Orders", "WebSocket Updates"],
+  );
+  assert.equal(placeOrder[0].source.name, "Customer Portal");
+  assert.equal(placeOrder[0].target.name, "Order System");
+  assert.equal(placeOrder[0].sourceDomain, "Sales");
+
+  // Relationships without Schnittstelle and other relationship types are ignored
+  assert.ok(!relationships.some((rel) => rel.id === "rel-portal-payment"));
+  assert.ok(!relationships.some((rel) => rel.id === "rel-serving-portal-order"));
+});
+
+test("extractElements() uses the interface property and relationship types from --config", () => {
+  const { model, workspace } = setupModel("landscape.archimate", {
+    argv: ["--config", (ws) => ws.path("comatrix.json")],
+  });
+  fs.writeFileSync(
+    workspace.path("comatrix.json"),
+    JSON.stringify({ interfaceProperty: "Protokoll", groupingSpecializations: { domain: "Fachbereich" } }),
+  );
+
+  const relationships = extractElements(model);
+
+  assert.equal(relationships.length, 1);
+  assert.equal(relationships[0].schnittstelle, "HTTPS");
+  assert.equal(relationships[0].targetDomain, "Vertrieb");
+});
+
+test("extractElements() resolves interface-based connections through the application interface", () => {
+  const { model, workspace } = setupModel("interfaces.archimate", {
+    argv: ["--config", (ws) => ws.path("comatrix.json")],
+  });
+  fs.writeFileSync(workspace.path("comatrix.json"), JSON.stringify({ connectionModes: ["property", "interface"] }));
+
+  const relationships = extractElements(model);
+
+  assert.deepEqual(
+    relationships.map((rel) => [rel.id, rel.source.name, rel.schnittstelle, rel.target.name]),
+    [
+      ["rel-warehouse-billing", "Warehouse", "Billing API", "Billing"],
+      ["s-billing-shop", "Shop", "Billing API", "Billing"],
+      ["f-billing-crm", "CRM", "Billing API", "Billing"],
+      ["f-stock-shop", "Shop", "Stock Events", "Warehouse"],
+    ],
+  );
+  assert.equal(relationships[1].sourceDomain, "Sales");
+  assert.equal(relationships[1].targetDomain, "Finance");
+  assert.equal(relationships[1].interfaceElement.id, "if-billing");
+  assert.equal(relationships[0].interfaceElement, null);
+});
+
+test("extractElements() keeps the legacy convention only by default", () => {
+  const { model } = setupModel("interfaces.archimate");
+
+  assert.deepEqual(
+    extractElements(model).map((rel) => rel.id),
+    ["rel-warehouse-billing"],
+  );
+});
@@ -0,0 +1,63 @@
+/**
+ * modelLint.test.js
+ * Tests for the model lint (src/main/modelLint.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupModel, captureConsole, readSheet } = require("./helpers");
+const { lintModel, runModelLint } = require("../src/main/modelLint");
+const { EXIT_OK, EXIT_ERROR } = require("../src/main/batch");
+const { getConfig } = require("../src/main/config");
+
+test("lintModel() reports every violated convention with severity and element IDs", () => {
+  const { model } = setupModel("lint.archimate");
+  const findings = lintModel(model, getConfig());
+
+  assert.deepEqual(
+    findings.map((finding) => [finding.severity, finding.rule, finding.objects.map((object) => object.id).join(", ")]),
+    [
+      ["error", "emptyInterface", "rel-sync"],
+      ["error", "groupingCycle", "grp-alpha, grp-beta"],
+      ["error", "invalidEndpoint", "rel-export, bo-orders"],
+      ["error", "missingInterface", "rel-import"],
+      ["warning", "duplicateName", "app-shop, app-shop-copy"],
+      ["warning", "missingDomain", "app-shop-copy"],
+      ["warning", "missingFachbereich", "app-looped"],
+      ["warning", "missingFachbereich", "app-shop-copy"],
+      ["warning", "unknownSpecialization", "app-legacy"],
+      ["info", "unknownSpecialization", "grp-relaunch"],
+    ],
+  );
+
+  // The cycle is reported with its full path, the external partner needs no Domäne
+  assert.match(findings[1].message, /^Circular grouping Alpha → Beta → Alpha,/);
+  assert.ok(!findings.some((finding) => finding.objects.some((object) => object.id === "app-bank")));
+});
+
+test("runModelLint() writes the report and fails for errors only", () => {
+  const { workspace } = setupModel("lint.archimate");
+  let result;
+  const output = captureConsole(() => {
+    result = runModelLint();
+  });
+
+  assert.equal(result, EXIT_ERROR);
+  assert.ok(output.includes("Errors: 4, warnings: 5, hints: 1\n"));
+  const rows = readSheet(workspace.path("modellint.xlsx"), "Befunde");
+  assert.deepEqual(rows[0], ["Schweregrad", "Regel", "Objekt", "Typ", "ID", "Meldung"]);
+  assert.deepEqual(rows[3].slice(0, 5), [
+    "Fehler",
+    "invalidEndpoint",
+    "NST_Export\nOrders",
+    "triggering-relationship\nbusiness-object",
+    "rel-export\nbo-orders",
+  ]);
+
+  // The landscape only has warnings (duplicate "Reporting", missing Domäne and Fachbereich)
+  setupModel("landscape.archimate");
+  captureConsole(() => {
+    result = runModelLint();
+  });
+  assert.equal(result, EXIT_OK);
+});
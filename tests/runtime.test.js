@@ -0,0 +1,122 @@
+/**
+ * runtime.test.js
+ * Tests for the offline jArchi stand-in (src/node)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { setupModel } = require("./helpers");
+
+test("loads the model file with names, specializations, documentation and properties", () => {
+  const { model, workspace } = setupModel("landscape.archimate");
+
+  assert.equal(model.name, "Landscape");
+  assert.equal(model.path, workspace.path("landscape.archimate"));
+  assert.equal(model.type, "archimate-model");
+
+  const portal = $("#app-portal").first();
+  assert.equal(portal.name, "Customer Portal");
+  assert.equal(portal.type, "application-component");
+  assert.equal(portal.specialization, "Geschäftsanwendung");
+  assert.equal(portal.documentation, "Web portal for customers");
+  assert.equal(portal.prop("Owner"), "Team Web");
+  assert.equal(portal.prop("Missing"), null);
+  assert.equal($("#app-bank").first().specialization, null);
+  assert.equal($("#folder-technology").first().name, "Technology & Physical");
+});
+
+test("find() supports type, element, relationship, id and name selectors", () => {
+  const { model } = setupModel("landscape.archimate");
+
+  assert.equal($(model).find("application-component").length, 7);
+  assert.equal($("application-component").length, 7);
+  assert.equal($(model).find("grouping").length, 6);
+  assert.equal($(model).find("element").length, 13);
+  assert.equal($(model).find("relationship").length, 17);
+  assert.equal($(model).find("element").not("relationship").length, 13);
+  assert.equal($(model).find("triggering-relationship").length, 7);
+  assert.equal($(model).find(".Reporting").length, 3); // two components and the folder
+  assert.equal($(model).find("application-component.Reporting").length, 2);
+  assert.equal($(model).find("grouping.Sales").first().id, "grp-sales");
+  assert.equal($(model).find("view").length, 1);
+});
+
+test("relationship navigation with inRels, outRels, add, filter, each and first", () => {
+  setupModel("landscape.archimate");
+  const order = $("#app-order").first();
+
+  const triggeringIn = $(order).inRels("triggering-relationship");
+  assert.equal(triggeringIn.length, 3);
+  assert.ok(triggeringIn.every((rel) => rel.target === order));
+
+  const hierarchy = $(order).inRels("aggregation-relationship").add($(order).inRels("composition-relationship"));
+  assert.equal(hierarchy.length, 1);
+  assert.equal(hierarchy.first().source.name, "Sales");
+
+  const named = [];
+  $(order)
+    .outRels()
+    .filter((rel) => rel.name.startsWith("NST_"))
+    .each((rel) => named.push(rel.name));
+  assert.deepEqual(named.sort(), ["NST_Deploy", "NST_Pay"]);
+
+  assert.equal($(order).inRels("serving-relationship").first(), null);
+  assert.equal($(order).add(order).length, 1);
+});
+
+test("prop(name, true) returns all values of a multi-value property", () => {
+  setupModel("landscape.archimate");
+  const relationship = $("#rel-portal-order").first();
+
+  assert.deepEqual(relationship.prop("Schnittstelle", true), ["REST Orders", "WebSocket Updates"]);
+  assert.equal(relationship.prop("Schnittstelle"), "REST Orders");
+  assert.deepEqual($("#rel-portal-payment").first().prop("Schnittstelle", true), []);
+  assert.deepEqual(relationship.prop(), ["Schnittstelle", "Protokoll"]);
+});
+
+test("views expose their diagram objects and connections", () => {
+  const { model } = setupModel("landscape.archimate");
+  const view = $(model).find("view").first();
+
+  const elements = $(view).find("element");
+  assert.deepEqual(
+    elements.map((object) => object.concept.name),
+    ["Customer Portal", "Order System"],
+  );
+  assert.equal($(view).find("relationship").first().concept.id, "rel-portal-order");
+  assert.equal($(view).find("diagram-model-note").length, 1);
+});
+
+test("selection, loaded models and parameters are available as in jArchi", () => {
+  const { model, workspace } = setupModel("landscape.archimate", {
+    loadedModels: ["landscape-baseline.archimate"],
+    argv: ["--baselineModel", "/tmp/x.archimate"],
+  });
+
+  assert.equal(selection.filter("archimate-model").first(), model);
+  assert.deepEqual(
+    $.model.getLoadedModels().map((m) => m.name),
+    ["Landscape", "Landscape Baseline"],
+  );
+  assert.deepEqual($.process.argv, ["--baselineModel", "/tmp/x.archimate"]);
+  assert.equal(__DIR__, workspace.dir);
+});
+
+test("Java file classes write to the file system", () => {
+  const { workspace } = setupModel("landscape.archimate");
+
+  const FileOutputStream = Java.type("java.io.FileOutputStream");
+  const stream = new FileOutputStream(workspace.path("bytes.bin"), false);
+  stream.write(Java.to([1, 2, 255], "byte[]"));
+  stream.close();
+  assert.deepEqual([...fs.readFileSync(workspace.path("bytes.bin"))], [1, 2, 255]);
+
+  const FileWriter = Java.type("java.io.FileWriter");
+  const writer = new FileWriter(workspace.path("text.txt"));
+  writer.write("Grüße\n");
+  writer.close();
+  assert.equal(fs.readFileSync(workspace.path("text.txt"), "utf8"), "Grüße\n");
+
+  assert.throws(() => Java.type("java.lang.Runtime"), /not available in offline runtime/);
+});
@@ -0,0 +1,97 @@
+/**
+ * scope.test.js
+ * Tests for scoping the reports to a part of the model (src/main/scope.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { setupModel, captureConsole, readSheet } = require("./helpers");
+const { runComatrix } = require("../src/main/comatrix");
+const { runAppList } = require("../src/main/applist");
+const { getScope, describeScope } = require("../src/main/scope");
+
+/**
+ * Gets the provider rows (with Schnittstelle) and the consumer names of a matrix
+ * @param {String} filePath - comatrix.xlsm
+ * @returns {Object} {legend: D1, providers: ["Application: Schnittstelle"], consumers: [names]}
+ */
+function readMatrix(filePath) {
+  const rows = readSheet(filePath, "Matrix");
+  return {
+    legend: rows[0][3],
+    providers: rows
+      .slice(2)
+      .filter((row) => row[2] !== "")
+      .map((row) => `${row[1]}: ${row[2]}`),
+    consumers: rows[1].slice(4).filter((name) => name !== ""),
+  };
+}
+
+test("--domain keeps the providers of the Domäne with all their consumers", () => {
+  const { workspace } = setupModel("landscape.archimate", { argv: ["--domain", "Sales"] });
+  captureConsole(() => runComatrix());
+
+  const matrix = readMatrix(workspace.path("comatrix.xlsm"));
+  assert.equal(matrix.legend, "Ausschnitt: Domäne Sales");
+  assert.deepEqual(matrix.providers, ["Order System: REST Orders", "Order System: WebSocket Updates"]);
+  assert.deepEqual(matrix.consumers, ["Reporting", "Customer Portal", "Reporting"]);
+});
+
+test("--scopeConsumers also restricts the consumer columns", () => {
+  const { workspace } = setupModel("landscape.archimate", { argv: ["--domain", "Sales", "--scopeConsumers"] });
+  captureConsole(() => runComatrix());
+
+  const matrix = readMatrix(workspace.path("comatrix.xlsm"));
+  assert.equal(matrix.legend, "Ausschnitt: Domäne Sales, nur Nutzer im Ausschnitt");
+  assert.deepEqual(matrix.consumers, ["Customer Portal", "Reporting"]);
+});
+
+test("views, folders and the selection restrict the elements", () => {
+  setupModel("landscape.archimate", { argv: ["--view", "Sales Overview", "--folder", "Application"] });
+  const scope = getScope();
+  assert.deepEqual(Array.from(scope.elementIds).sort(), ["app-order", "app-portal"]);
+  assert.equal(describeScope(scope), "Ausschnitt: Sicht Sales Overview, Ordner Application");
+
+  setupModel("landscape.archimate", { argv: ["--folder", "Application/Reporting"] });
+  assert.deepEqual(Array.from(getScope().elementIds).sort(), ["app-report-finance", "app-report-sales"]);
+
+  // Selected folders count as one object, the model itself does not restrict anything
+  setupModel("landscape.archimate", { selection: ["folder-reporting", "app-payment"] });
+  assert.equal(getScope().elementIds.size, 3);
+  assert.equal(describeScope(getScope()), "Ausschnitt: Auswahl (2 Objekte)");
+
+  setupModel("landscape.archimate");
+  assert.equal(getScope(), null);
+});
+
+test("the selection scopes the matrix when launched from the model tree", () => {
+  const { workspace } = setupModel("landscape.archimate", { selection: ["app-payment"] });
+  captureConsole(() => runComatrix());
+
+  const matrix = readMatrix(workspace.path("comatrix.xlsm"));
+  assert.equal(matrix.legend, "Ausschnitt: Auswahl (1 Objekt)");
+  assert.deepEqual(matrix.providers, ["Payment Gateway: SOAP Payment"]);
+});
+
+test("unknown views and folders stop the reports", () => {
+  const { workspace } = setupModel("landscape.archimate", { argv: ["--view", "Missing"] });
+  const output = captureConsole(() => runComatrix());
+  assert.ok(output.includes('✗ ERROR: View "Missing" not found in model "Landscape"'));
+  assert.ok(!fs.existsSync(workspace.path("comatrix.xlsm")));
+
+  setupModel("landscape.archimate", { argv: ["--folder", "Application/Missing"] });
+  assert.throws(() => getScope(), /Folder "Application\/Missing" not found/);
+});
+
+test("runAppList() lists the applications in scope and records the scope", () => {
+  const { workspace } = setupModel("landscape.archimate", { argv: ["--fachbereich", "Finanzen"] });
+  captureConsole(() => runAppList());
+
+  const rows = readSheet(workspace.path("applist.xlsx"), "Anwendungen");
+  assert.deepEqual(rows, [
+    ["Anwendung", "Typ", "Domäne", "Fachbereich", "", "Ausschnitt: Fachbereich Finanzen"],
+    ["Reporting", "Geschäftsanwendung", "Finance", "Finanzen", "", ""],
+    ["Payment Gateway", "Querschnittsanwendung", "Finance", "Finanzen", "", ""],
+  ]);
+});
@@ -0,0 +1,12 @@
+/**
+ * testComatrix.js
+ * Test entry point (npm test): runs every *.test.js file in this directory with node:test
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+fs.readdirSync(__dirname)
+  .filter((fileName) => fileName.endsWith(".test.js"))
+  .sort()
+  .forEach((fileName) => require(path.join(__dirname, fileName)));
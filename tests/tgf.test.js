@@ -0,0 +1,98 @@
+/**
+ * tgf.test.js
+ * Regression tests for the TGF export (src/main/tgf.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { setupModel, captureConsole } = require("./helpers");
+const { runTGF } = require("../src/main/tgf");
+
+test("runTGF() writes all elements as nodes and all relationships as edges", () => {
+  const { workspace } = setupModel("landscape.archimate");
+  captureConsole(() => runTGF());
+
+  const lines = fs.readFileSync(workspace.path("graph.tgf"), "utf8").trimEnd().split("\n");
+  const separator = lines.indexOf("#");
+
+  assert.equal(separator, 13);
+  assert.ok(lines.includes("app-portal Customer Portal [application-component]"));
+  assert.equal(lines.length - separator - 1, 17);
+  assert.ok(lines.includes("app-portal app-order NST_PlaceOrder"));
+  assert.ok(lines.includes("grp-sales app-order aggregation-relationship"));
+});
+
+/**
+ * Reads the nodes and edges of a TGF file
+ * @param {String} file - TGF file
+ * @returns {Object} {nodes, edges} as lines
+ */
+function readTGF(file) {
+  const lines = fs.readFileSync(file, "utf8").trimEnd().split("\n");
+  const separator = lines.indexOf("#");
+  return { nodes: lines.slice(0, separator), edges: lines.slice(separator + 1) };
+}
+
+test("--comatrixMode exports the applications with one edge per Schnittstelle", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--comatrixMode", "--specializations", "Geschäftsanwendung", "--dropIsolated"],
+  });
+  const output = captureConsole(() => runTGF());
+
+  assert.deepEqual(readTGF(workspace.path("graph.tgf")), {
+    nodes: [
+      "app-portal Customer Portal [application-component]",
+      "app-order Order System [application-component]",
+      "app-report-sales Reporting [application-component]",
+      "app-report-finance Reporting [application-component]",
+    ],
+    edges: [
+      "app-portal app-order REST Orders",
+      "app-portal app-order WebSocket Updates",
+      "app-report-sales app-order REST Orders",
+      "app-report-finance app-order REST Orders",
+    ],
+  });
+  assert.ok(output.includes("Exported 4 edges"));
+});
+
+test("type and view filters restrict the nodes and edges", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--view", "Sales Overview", "--relationshipTypes", "triggering-relationship"],
+  });
+  captureConsole(() => runTGF());
+
+  assert.deepEqual(readTGF(workspace.path("graph.tgf")), {
+    nodes: ["app-portal Customer Portal [application-component]", "app-order Order System [application-component]"],
+    edges: ["app-portal app-order NST_PlaceOrder"],
+  });
+});
+
+test("exclusions and --dropIsolated remove elements, relationships and unconnected nodes", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: [
+      "--elementTypes",
+      "application-component",
+      "--excludeSpecializations",
+      "Register",
+      "--excludeRelationshipTypes",
+      "triggering-relationship",
+      "--dropIsolated",
+    ],
+  });
+  captureConsole(() => runTGF());
+
+  assert.deepEqual(readTGF(workspace.path("graph.tgf")), {
+    nodes: ["app-portal Customer Portal [application-component]", "app-order Order System [application-component]"],
+    edges: ["app-order app-portal serving-relationship"],
+  });
+});
+
+test("an unknown relationship type aborts the export", () => {
+  const { workspace } = setupModel("landscape.archimate", { argv: ["--relationshipTypes", "trigger"] });
+  const output = captureConsole(() => runTGF());
+
+  assert.ok(output.includes('✗ ERROR: Unknown relationship type "trigger"'));
+  assert.equal(fs.existsSync(workspace.path("graph.tgf")), false);
+});
@@ -0,0 +1,123 @@
+/**
+ * timeline.test.js
+ * Tests for the comparison of several model versions (--timeline, src/main/timelineExcel.js)
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const XLSX = require("xlsx-js-style");
+const { setupModel, captureConsole, readSheet } = require("./helpers");
+const { runComatrix } = require("../src/main/comatrix");
+const { formatVersionCode, getTimelineStatus } = require("../src/main/timelineExcel");
+
+/**
+ * Reads the fill color of a cell
+ * @param {String} filePath - Excel file
+ * @param {String} cellRef - Cell reference on the Matrix worksheet
+ * @returns {String|undefined} Fill color (RGB hex)
+ */
+function fillColor(filePath, cellRef) {
+  const worksheet = XLSX.readFile(filePath, { cellStyles: true }).Sheets.Matrix;
+  return worksheet[cellRef].s.fgColor ? worksheet[cellRef].s.fgColor.rgb : undefined;
+}
+
+test("formatVersionCode() and getTimelineStatus() describe the versions of a connection", () => {
+  assert.equal(formatVersionCode([0, 1, 2, 3]), "1-4");
+  assert.equal(formatVersionCode([0, 1, 3]), "1-2,4");
+  assert.equal(formatVersionCode([2]), "3");
+
+  assert.equal(getTimelineStatus([0, 1, 2], 3), "existing");
+  assert.equal(getTimelineStatus([1, 2], 3), "added");
+  assert.equal(getTimelineStatus([0, 1], 3), "removed");
+  assert.equal(getTimelineStatus([1], 3), "changed");
+  assert.equal(getTimelineStatus([0, 2], 3), "changed");
+  assert.equal(getTimelineStatus([], 3), "");
+});
+
+test("runComatrix() appends the selected model as last version of the timeline", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--timeline", (ws) => `Ist=${ws.path("landscape-baseline.archimate")}`],
+    extraFiles: ["landscape-baseline.archimate"],
+  });
+
+  const output = captureConsole(() => runComatrix());
+
+  assert.ok(output.includes("✓ Version 1: Ist (Landscape Baseline)"));
+  assert.ok(output.includes("✓ Version 2: Landscape (Landscape)"));
+  assert.ok(output.includes("Running in TIMELINE MODE.\n"));
+
+  const filePath = workspace.path("comatrix.xlsm");
+  const rows = readSheet(filePath, "Matrix");
+  const [legendRow, headerRow, payment] = rows;
+  const kubernetes = rows[rows.length - 1];
+  assert.equal(legendRow[3], "1 = Ist\n2 = Landscape");
+  assert.ok(headerRow.includes("renamed (Order Service → Order System)"));
+  assert.deepEqual(kubernetes.slice(0, 4), [
+    "Cloud, Infrastructure",
+    "Kubernetes",
+    "Deployment API",
+    "fachbereichsübergreifend",
+  ]);
+  assert.deepEqual(payment.slice(4), ["", "x", "x", "", "1", "1-2", "", "1-2"]);
+
+  // Added connections green, removed connections red
+  assert.equal(fillColor(filePath, `A${rows.length}`), "9BBB59");
+  assert.equal(fillColor(filePath, "I3"), "C0504D");
+  assert.equal(fillColor(filePath, "J3"), "B8CCE4");
+
+  const timelineRows = readSheet(filePath, "Zeitleiste");
+  assert.deepEqual(timelineRows[0], [
+    "Domäne",
+    "Anwendungssystem",
+    "Angebotene Schnittstelle",
+    "Domäne Nutzer",
+    "Nutzer",
+    "Ist",
+    "Landscape",
+    "Erstmals",
+    "Zuletzt",
+  ]);
+  assert.deepEqual(
+    timelineRows.find((row) => row[4] === "Legacy CRM"),
+    ["Finance", "Payment Gateway", "SOAP Payment", "Sales", "Legacy CRM", "x", "", "Ist", "Ist"],
+  );
+});
+
+test("connections missing in between are marked as changing", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: [
+      "--timeline",
+      (ws) =>
+        `Ist=${ws.path("landscape-baseline.archimate")};2026=${ws.path("landscape.archimate")};` +
+        `Soll=${ws.path("landscape-baseline.archimate")}`,
+    ],
+    extraFiles: ["landscape-baseline.archimate"],
+  });
+
+  captureConsole(() => runComatrix());
+
+  const filePath = workspace.path("comatrix.xlsm");
+  const rows = readSheet(filePath, "Matrix");
+  assert.equal(rows[0][3], "1 = Ist\n2 = 2026\n3 = Soll");
+  // Renamed in 2026 only: first and last name are the same
+  assert.ok(rows[1].includes("Order Service"));
+  assert.deepEqual(rows[2].slice(4), ["", "x", "x", "", "1,3", "1-3", "", "1-3"]);
+  assert.equal(fillColor(filePath, "I3"), "FFC000");
+  assert.equal(fillColor(filePath, "J3"), "B8CCE4");
+
+  const legacyCrm = readSheet(filePath, "Zeitleiste").find((row) => row[4] === "Legacy CRM");
+  assert.deepEqual(legacyCrm.slice(4), ["Legacy CRM", "x", "", "x", "Ist", "Soll"]);
+});
+
+test("a timeline with a single version falls back to the normal matrix", () => {
+  const { workspace } = setupModel("landscape.archimate", {
+    argv: ["--timeline", (ws) => `Ist=${ws.path("landscape.archimate")}`],
+  });
+
+  const output = captureConsole(() => runComatrix());
+
+  assert.ok(output.includes("⚠ Error loading timeline: The timeline needs at least two model versions"));
+  assert.ok(output.includes("Running in single model mode.\n"));
+  assert.equal(readSheet(workspace.path("comatrix.xlsm"), "Matrix")[0][0], "Grün = Hinzugefügt");
+  assert.throws(() => readSheet(workspace.path("comatrix.xlsm"), "Zeitleiste"), /not found/);
+});
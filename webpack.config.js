@@ -7,6 +7,10 @@ module.exports = {
     "comatrix-bundled": "./src/main/comatrix.js",
     "applist-bundled": "./src/main/applist.js",
     "tgf-bundled": "./src/main/tgf.js",
+    "interfacecatalog-bundled": "./src/main/interfaceCatalog.js",
+    "modellint-bundled": "./src/main/modelLint.js",
+    "comatriximport-bundled": "./src/main/comatrixImport.js",
+    "integrationview-bundled": "./src/main/integrationView.js",
   },
   output: {
     path: path.resolve(__dirname, "dist"),